@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+
+'use strict';
+
+require('../src/cli.js').run(process.argv.slice(2), process, code => {
+  process.exitCode = code;
+});
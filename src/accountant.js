@@ -0,0 +1,123 @@
+/**
+ * Privacy accountant.
+ *
+ * Track the privacy budget a site spends releasing differentially private
+ * results over the course of a computation. A site's spending is recorded in a
+ * “ledger,” a collection of the epsilon released each round, which is stored
+ * on its local result so it persists between iterations.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const helpers = require('./helpers.js');
+
+/**
+ * Composition theorems.
+ *
+ * * `basic`: The epsilons of each round add up.
+ * * `advanced`: The heterogeneous advanced composition theorem, which gives a
+ *   tighter bound for many rounds at the cost of a `delta` failure
+ *   probability.
+ *
+ * @type {string[]}
+ */
+const COMPOSITIONS = ['basic', 'advanced'];
+
+/**
+ * Get the total epsilon spent.
+ *
+ * @example
+ * getSpent([0.1, 0.1, 0.1], { composition: 'basic' });
+ * // => 0.3
+ *
+ * @param {number[]} ledger Epsilon released each round
+ * @param {Object} options
+ * @param {string} options.composition One of `COMPOSITIONS`
+ * @param {number} [options.delta] Required for `advanced` composition
+ * @returns {number}
+ */
+function getSpent(ledger, options) {
+  if (!ledger.length) {
+    return 0;
+  }
+
+  const basic = helpers.sum(ledger);
+
+  if (options.composition === 'basic') {
+    return basic;
+  } else if (options.composition === 'advanced') {
+    /**
+     * ε' = √(2 ln(1/δ) Σ εᵢ²) + Σ εᵢ (e^εᵢ - 1)
+     *
+     * This is looser than basic composition for few rounds. Both bounds hold,
+     * so use the smaller.
+     */
+    const advanced =
+      Math.sqrt(
+        2 * Math.log(1 / options.delta) *
+        helpers.sum(ledger.map(epsilon => epsilon * epsilon))
+      ) +
+      helpers.sum(ledger.map(epsilon => epsilon * Math.expm1(epsilon)));
+
+    return Math.min(basic, advanced);
+  }
+
+  throw new Error(`Unknown composition '${options.composition}'`);
+}
+
+/**
+ * Record a release.
+ *
+ * @param {number[]} ledger Epsilon released each round
+ * @param {number} epsilon Epsilon the release spent
+ * @returns {number[]} New ledger
+ */
+function record(ledger, epsilon) {
+  return ledger.concat(epsilon);
+}
+
+/**
+ * Determine whether a site may release another result.
+ *
+ * @param {number[]} ledger Epsilon released each round
+ * @param {number} epsilon Epsilon the next release would spend
+ * @param {Object} options
+ * @param {(number|null)} options.budget Total epsilon a site may spend. `null`
+ * means there's no limit.
+ * @param {string} options.composition
+ * @param {number} [options.delta]
+ * @returns {boolean}
+ */
+function canSpend(ledger, epsilon, options) {
+  if (options.budget === null) {
+    return true;
+  }
+
+  return getSpent(record(ledger, epsilon), options) <= options.budget;
+}
+
+/**
+ * Get the most epsilon any site has spent.
+ *
+ * @param {Object[]} localResults Collection of local (client) results
+ * @returns {number}
+ */
+function getMaxSpent(localResults) {
+  return localResults.reduce(
+    (max, result) => (
+      _.isNumber(result.privacySpent) ? Math.max(max, result.privacySpent) : max
+    ),
+    0
+  );
+}
+
+module.exports = {
+  /* eslint-disable object-shorthand */
+  COMPOSITIONS: COMPOSITIONS,
+  canSpend: canSpend,
+  getMaxSpent: getMaxSpent,
+  getSpent: getSpent,
+  record: record,
+  /* eslint-enable object-shorthand */
+};
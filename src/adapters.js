@@ -0,0 +1,546 @@
+/**
+ * Input adapters.
+ *
+ * Sites' ROI values come in several formats. Each adapter parses a file's
+ * contents into records, each with a subject's ROI values:
+ *
+ *   {
+ *     location: 'line 3',
+ *     subject: 'S01', // or `null` if the file doesn't say
+ *     values: { 'Left-Hippocampus': 4000.1 },
+ *   }
+ *
+ * A file is parsed by the adapter named by an explicit format, or else by the
+ * adapter registered for its extension. Errors name the file and, where the
+ * format has them, the line.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const async = require('async');
+const Freesurfer = require('freesurfer-parser');
+const fs = require('fs');
+const manifest = require('./manifest.js');
+const path = require('path');
+
+/**
+ * Error for invalid input at a location in a file.
+ *
+ * @param {string} location Like `line 3`
+ * @param {string} message
+ * @returns {Error}
+ */
+function createLocationError(location, message) {
+  return new Error(`${location}: ${message}`);
+}
+
+/**
+ * Split content into numbered, non-empty lines.
+ *
+ * @param {string} content
+ * @returns {Object[]} Lines with `number` and `text`
+ */
+function getLines(content) {
+  return content.split(/\r?\n/)
+    .map((text, index) => ({ number: index + 1, text: text.trim() }))
+    .filter(line => line.text);
+}
+
+/**
+ * Parse an ROI value.
+ *
+ * @param {(number|string)} value
+ * @param {string} roi
+ * @param {string} location
+ * @returns {number}
+ */
+function parseValue(value, roi, location) {
+  const number = _.isString(value) && value.trim() ? Number(value) : value;
+
+  if (!_.isNumber(number) || !isFinite(number)) {
+    throw createLocationError(
+      location,
+      `Expected a numeric value for '${roi}', found '${value}'`
+    );
+  }
+
+  return number;
+}
+
+/**
+ * Parse Freesurfer aseg volume text: a header line, then an ROI and its value
+ * per line.
+ *
+ * @param {string} content
+ * @returns {Object[]} A single record
+ */
+function parseAseg(content) {
+  const lines = getLines(content);
+  let freesurfer;
+
+  if (!lines.length) {
+    throw new Error('Expected a header line');
+  }
+
+  lines.slice(1).forEach(line => {
+    const fields = line.text.split(/\s+/);
+    const location = `line ${line.number}`;
+
+    if (fields.length !== 2) {
+      throw createLocationError(
+        location,
+        `Expected an ROI and its value, found ${fields.length} fields`
+      );
+    }
+
+    parseValue(fields[1], fields[0], location);
+  });
+
+  try {
+    freesurfer = new Freesurfer({
+      string: content,
+    });
+    freesurfer.validate();
+  } catch (error) {
+    throw new Error(`Invalid aseg stats: ${error.message}`);
+  }
+
+  return [{
+    location: `line ${lines[0].number}`,
+    subject: null,
+    values: _.omit(freesurfer, 'header'),
+  }];
+}
+
+/**
+ * Parse Freesurfer aparc stats. ROIs are keyed like `aparcstats2table`'s
+ * thickness columns, for example `lh_bankssts_thickness`.
+ *
+ * @param {string} content
+ * @returns {Object[]} A single record
+ */
+function parseAparc(content) {
+  const lines = getLines(content);
+  const values = {};
+  let columns = null;
+  let hemisphere = null;
+
+  lines.forEach(line => {
+    const location = `line ${line.number}`;
+    const fields = line.text.split(/\s+/);
+
+    if (fields[0] === '#') {
+      if (fields[1] === 'ColHeaders') {
+        columns = fields.slice(2);
+      } else if (fields[1] === 'hemi') {
+        hemisphere = fields[2];
+      }
+
+      return;
+    }
+
+    if (!columns) {
+      throw createLocationError(location, "Expected a '# ColHeaders' line first");
+    }
+    if (columns.indexOf('StructName') === -1 || columns.indexOf('ThickAvg') === -1) {
+      throw createLocationError(
+        location,
+        "Expected '# ColHeaders' to include StructName and ThickAvg"
+      );
+    }
+    if (fields.length !== columns.length) {
+      throw createLocationError(
+        location,
+        `Expected ${columns.length} fields, found ${fields.length}`
+      );
+    }
+
+    const structure = fields[columns.indexOf('StructName')];
+    const roi = hemisphere ?
+      `${hemisphere}_${structure}_thickness` :
+      `${structure}_thickness`;
+
+    values[roi] = parseValue(fields[columns.indexOf('ThickAvg')], roi, location);
+  });
+
+  if (_.isEmpty(values)) {
+    throw new Error('Expected at least one structure');
+  }
+
+  return [{
+    location: 'line 1',
+    subject: null,
+    values: values, // eslint-disable-line object-shorthand
+  }];
+}
+
+/**
+ * Parse a subject × ROI CSV table. The header row has a `subject` column and
+ * a column per ROI.
+ *
+ * @param {string} content
+ * @returns {Object[]} A record per row
+ */
+function parseTable(content) {
+  const lines = getLines(content);
+
+  if (!lines.length) {
+    throw new Error('Expected a header row');
+  }
+
+  const header = manifest.parseCSVLine(lines[0].text, lines[0].number);
+  const subjectIndex = header.indexOf('subject');
+
+  if (subjectIndex === -1) {
+    throw createLocationError(
+      `line ${lines[0].number}`,
+      "Expected a 'subject' column"
+    );
+  }
+
+  return lines.slice(1).map(line => {
+    const location = `line ${line.number}`;
+    const fields = manifest.parseCSVLine(line.text, line.number);
+
+    if (fields.length !== header.length) {
+      throw createLocationError(
+        location,
+        `Expected ${header.length} fields, found ${fields.length}`
+      );
+    }
+
+    return {
+      location: location, // eslint-disable-line object-shorthand
+      subject: fields[subjectIndex],
+      values: header.reduce((values, roi, index) => {
+        if (index !== subjectIndex) {
+          values[roi] = parseValue( // eslint-disable-line no-param-reassign
+            fields[index],
+            roi,
+            location
+          );
+        }
+
+        return values;
+      }, {}),
+    };
+  });
+}
+
+/**
+ * Parse JSON ROI values: an object of a single subject's values, or an array
+ * of objects with a `subject` property and ROI values.
+ *
+ * Entries are located by their position, as parsed JSON has no lines. Syntax
+ * errors name the line when the parser reports a position.
+ *
+ * @param {string} content
+ * @returns {Object[]} A record per subject
+ */
+function parseJSONValues(content) {
+  let data;
+
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    const position = /at position (\d+)/.exec(error.message);
+
+    throw position ?
+      createLocationError(
+        `line ${content.slice(0, Number(position[1])).split('\n').length}`,
+        error.message
+      ) :
+      error;
+  }
+
+  const entries = Array.isArray(data) ? data : [data];
+
+  return entries.map((entry, index) => {
+    const location = `entry ${index + 1}`;
+
+    if (!_.isPlainObject(entry)) {
+      throw createLocationError(location, 'Expected an object');
+    }
+    if (Array.isArray(data) && !_.isString(entry.subject)) {
+      throw createLocationError(location, "Expected a 'subject' string");
+    }
+
+    return {
+      location: location, // eslint-disable-line object-shorthand
+      subject: Array.isArray(data) ? entry.subject : null,
+      values: _.mapValues(
+        _.omit(entry, 'subject'),
+        (value, roi) => parseValue(value, roi, location)
+      ),
+    };
+  });
+}
+
+/**
+ * Registered adapters, keyed by format. Each has `extensions`, file name
+ * endings it's chosen for, and `parse(content)`, which returns records.
+ *
+ * @type {Object}
+ */
+const ADAPTERS = {
+  aparc: {
+    extensions: ['.aparc.stats'],
+    parse: parseAparc,
+  },
+  aseg: {
+    extensions: ['.aseg.stats', '.stats', '.txt'],
+    parse: parseAseg,
+  },
+  csv: {
+    extensions: ['.csv'],
+    parse: parseTable,
+  },
+  json: {
+    extensions: ['.json'],
+    parse: parseJSONValues,
+  },
+};
+
+/**
+ * Register an adapter.
+ *
+ * @param {string} format
+ * @param {Object} adapter
+ * @param {string[]} adapter.extensions File name endings, like `.txt`
+ * @param {function} adapter.parse Parse content into records
+ */
+function registerAdapter(format, adapter) {
+  if (!_.isString(format) || !format) {
+    throw new TypeError('Expected format to be a non-empty string');
+  }
+  if (
+    !_.isPlainObject(adapter) ||
+    !Array.isArray(adapter.extensions) ||
+    !_.isFunction(adapter.parse)
+  ) {
+    throw new TypeError(
+      `Expected adapter '${format}' to have extensions and a parse function`
+    );
+  }
+
+  ADAPTERS[format] = adapter;
+}
+
+/**
+ * Get a file's format.
+ *
+ * @param {string} filename
+ * @param {(string|null)} [format] Explicit format
+ * @returns {string} The explicit format, or the format whose extension
+ * matches most of the file name
+ */
+function getFormat(filename, format) {
+  if (format) {
+    if (!_.has(ADAPTERS, format)) {
+      throw new Error(
+        `Unknown input format '${format}'. Expected one of: ` +
+        `${Object.keys(ADAPTERS).sort().join(', ')}`
+      );
+    }
+
+    return format;
+  }
+
+  const basename = path.basename(filename).toLowerCase();
+  const match = _.maxBy(
+    _.flatMap(Object.keys(ADAPTERS), key => ADAPTERS[key].extensions.map(
+      extension => ({
+        extension: extension, // eslint-disable-line object-shorthand
+        format: key,
+      })
+    )).filter(candidate => _.endsWith(basename, candidate.extension)),
+    candidate => candidate.extension.length
+  );
+
+  if (!match) {
+    throw new Error(`${filename}: No input format for this file's extension`);
+  }
+
+  return match.format;
+}
+
+/**
+ * Parse a file's contents.
+ *
+ * @param {string} content
+ * @param {string} filename
+ * @param {(string|null)} [format] Explicit format
+ * @returns {Object[]} Records
+ */
+function parseFile(content, filename, format) {
+  const adapter = ADAPTERS[getFormat(filename, format)];
+
+  try {
+    return adapter.parse(content);
+  } catch (error) {
+    throw new Error(`${filename}: ${error.message}`);
+  }
+}
+
+/**
+ * Read and parse a file.
+ *
+ * @param {string} filename
+ * @param {(string|null)} format
+ * @param {function} callback Node-style callback, called with records
+ */
+function readFile(filename, format, callback) {
+  fs.readFile(filename, 'utf-8', (error, content) => { // eslint-disable-line consistent-return
+    if (error) {
+      return callback(error);
+    }
+
+    try {
+      callback(null, parseFile(content, filename, format));
+    } catch (parseError) {
+      callback(parseError);
+    }
+  });
+}
+
+/**
+ * Find a source's record.
+ *
+ * @param {Object[]} records The source file's records
+ * @param {Object} source
+ * @returns {Object[]} The subject's record, or every record if the source
+ * doesn't name a subject
+ */
+function findRecords(records, source) {
+  if (source.subject === null) {
+    return records;
+  }
+
+  const record = _.find(records, item => item.subject === source.subject) ||
+    (records.length === 1 && records[0].subject === null ? records[0] : null);
+
+  if (!record) {
+    throw new Error(`${source.file}: No values for subject '${source.subject}'`);
+  }
+
+  return [record];
+}
+
+/**
+ * Read sources' records.
+ *
+ * @param {Array} sources File names, or objects with a `file` and the
+ * `subject` whose record to read from it
+ * @param {Object} options
+ * @param {Object} [options.cache] Parse cache. See `cache.createCache`.
+ * @param {(string|null)} [options.format] Read every file in this format
+ * instead of choosing by extension
+ * @param {function} callback Node-style callback, called with records that
+ * also have their `file`. There's a record per source with a subject, and
+ * every record of sources without one.
+ */
+function readRecords(sources, options, callback) {
+  const format = options.format || null;
+  const normalized = sources.map(source => (
+    _.isString(source) ?
+      { file: source, subject: null } :
+      { file: source.file, subject: source.subject || null }
+  ));
+  const read = options.cache ?
+    (filename, cb) => options.cache.get(filename, format, cb) :
+    (filename, cb) => readFile(filename, format, cb);
+  const filenames = _.uniq(_.map(normalized, 'file'));
+
+  async.map(filenames, read, (error, parsed) => { // eslint-disable-line consistent-return
+    if (error) {
+      return callback(error);
+    }
+
+    const recordsByFile = _.zipObject(filenames, parsed);
+    let records;
+
+    try {
+      records = _.flatMap(normalized, source => findRecords(
+        recordsByFile[source.file],
+        source
+      ).map(record => _.assign({ file: source.file }, record)));
+    } catch (recordError) {
+      return callback(recordError);
+    }
+
+    callback(null, records);
+  });
+}
+
+/**
+ * Get a record's ROI values.
+ *
+ * @param {Object} record Record with its `file`
+ * @param {string[]} roiKeys
+ * @returns {number[]} Values ordered by `roiKeys`
+ */
+function getRecordValues(record, roiKeys) {
+  return roiKeys.map(roi => {
+    if (!_.has(record.values, roi)) {
+      throw new Error(`${record.file}: ${record.location}: Missing ROI '${roi}'`);
+    }
+
+    return record.values[roi];
+  });
+}
+
+/**
+ * Read ROI values.
+ *
+ * @example
+ * readROIs(
+ *   [
+ *     { file: './site-1/S01.txt', subject: 'S01' },
+ *     { file: './site-1/thickness.csv', subject: 'S02' },
+ *   ],
+ *   ['Left-Hippocampus'],
+ *   {},
+ *   (error, roiValues) => {
+ *     // [[4000.1], [3921.3]]
+ *   }
+ * );
+ *
+ * @see readRecords
+ *
+ * @param {Array} sources
+ * @param {string[]} roiKeys
+ * @param {Object} options
+ * @param {function} callback Node-style callback, called with a row of ROI
+ * values, ordered by `roiKeys`, per record
+ */
+function readROIs(sources, roiKeys, options, callback) {
+  readRecords(sources, options, (error, records) => { // eslint-disable-line consistent-return
+    let roiValues;
+
+    if (error) {
+      return callback(error);
+    }
+
+    try {
+      roiValues = records.map(record => getRecordValues(record, roiKeys));
+    } catch (valueError) {
+      return callback(valueError);
+    }
+
+    callback(null, roiValues);
+  });
+}
+
+module.exports = {
+  /* eslint-disable object-shorthand */
+  ADAPTERS: ADAPTERS,
+  getFormat: getFormat,
+  getRecordValues: getRecordValues,
+  parseFile: parseFile,
+  readFile: readFile,
+  readROIs: readROIs,
+  readRecords: readRecords,
+  registerAdapter: registerAdapter,
+  /* eslint-enable object-shorthand */
+};
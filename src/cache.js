@@ -0,0 +1,217 @@
+/**
+ * Parse cache.
+ *
+ * Sites' ROI files don't change between iterations, but `local.fn` reads them
+ * every round. This caches the records `adapters` parse, keyed by each file's
+ * format and a hash of its contents, so a file is only parsed again when it
+ * changes. Entries are kept in memory and, optionally, as JSON files in a
+ * directory that outlives the process.
+ *
+ * The cache only saves work: a directory that can't be written to is counted
+ * in `writeErrors` and otherwise ignored. Callers get their own copy of each
+ * entry, so changing one can't change later rounds' records.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const adapters = require('./adapters.js');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Hash a file's contents.
+ *
+ * @param {string} content
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Create a parse cache.
+ *
+ * @example
+ * const cache = createCache({ directory: '/tmp/multishot-cache' });
+ *
+ * cache.get('./site-1/S01.txt', null, (error, records) => {
+ *   // records[0].values['Left-Hippocampus'] === 4000.1
+ * });
+ *
+ * @param {Object} [options]
+ * @param {(string|null)} [options.directory] Also store entries here. It's
+ * created if it doesn't exist.
+ * @returns {Object} Cache with `get(filename, format, callback)`, `getStats()`
+ * and `clear()`
+ */
+function createCache(options) {
+  const directory = options && options.directory ? options.directory : null;
+  const entries = {};
+  const fileKeys = {};
+  const stats = {
+    diskHits: 0,
+    hits: 0,
+    invalidations: 0,
+    misses: 0,
+    writeErrors: 0,
+  };
+
+  /**
+   * Remember a file's entry key, dropping its previous entry if it changed.
+   *
+   * @param {string} filename
+   * @param {string} key
+   */
+  const setFileKey = (filename, key) => {
+    const previousKey = fileKeys[filename];
+
+    fileKeys[filename] = key;
+
+    if (previousKey && previousKey !== key) {
+      stats.invalidations++;
+
+      if (_.values(fileKeys).indexOf(previousKey) === -1) {
+        delete entries[previousKey];
+      }
+    }
+  };
+
+  /**
+   * Read an entry from the cache directory.
+   *
+   * @param {string} key
+   * @param {function} callback Node-style callback, called with the entry or
+   * `null`. Missing and unreadable entries are misses.
+   */
+  const readEntry = (key, callback) => { // eslint-disable-line consistent-return
+    if (!directory) {
+      return setImmediate(callback, null, null);
+    }
+
+    fs.readFile(path.join(directory, `${key}.json`), 'utf-8', (error, json) => {
+      let entry = null;
+
+      if (!error) {
+        try {
+          entry = JSON.parse(json);
+        } catch (parseError) {
+          entry = null;
+        }
+      }
+
+      callback(null, Array.isArray(entry) ? entry : null);
+    });
+  };
+
+  /**
+   * Write an entry to the cache directory.
+   *
+   * @param {string} key
+   * @param {Object[]} entry
+   * @param {function} callback
+   */
+  const writeEntry = (key, entry, callback) => { // eslint-disable-line consistent-return
+    if (!directory) {
+      return setImmediate(callback);
+    }
+
+    fs.mkdir(directory, { recursive: true }, error => { // eslint-disable-line consistent-return
+      if (error) {
+        return callback(error);
+      }
+
+      fs.writeFile(
+        path.join(directory, `${key}.json`),
+        JSON.stringify(entry),
+        callback
+      );
+    });
+  };
+
+  return {
+    /**
+     * Empty the in-memory cache and reset its counters. Entries in the cache
+     * directory are kept.
+     */
+    clear: () => {
+      Object.keys(entries).forEach(key => delete entries[key]);
+      Object.keys(fileKeys).forEach(filename => delete fileKeys[filename]);
+      Object.keys(stats).forEach(key => { stats[key] = 0; });
+    },
+
+    /**
+     * Get a file's parsed records.
+     *
+     * @see adapters.parseFile
+     *
+     * @param {string} filename
+     * @param {(string|null)} format Explicit format
+     * @param {function} callback Node-style callback, called with a copy of
+     * the records
+     */
+    get: (filename, format, callback) => {
+      fs.readFile(filename, 'utf-8', (error, content) => { // eslint-disable-line consistent-return
+        let key;
+
+        if (error) {
+          return callback(error);
+        }
+
+        try {
+          key = `${adapters.getFormat(filename, format)}-${hashContent(content)}`;
+        } catch (formatError) {
+          return callback(formatError);
+        }
+
+        setFileKey(filename, key);
+
+        if (entries[key]) {
+          stats.hits++;
+          return callback(null, _.cloneDeep(entries[key]));
+        }
+
+        readEntry(key, (diskError, diskEntry) => { // eslint-disable-line consistent-return
+          let entry;
+
+          if (diskEntry) {
+            stats.diskHits++;
+            entries[key] = diskEntry;
+            return callback(null, _.cloneDeep(diskEntry));
+          }
+
+          try {
+            entry = adapters.parseFile(content, filename, format);
+          } catch (parseError) {
+            return callback(parseError);
+          }
+
+          stats.misses++;
+          entries[key] = entry;
+
+          writeEntry(key, entry, writeError => {
+            if (writeError) {
+              stats.writeErrors++;
+            }
+
+            callback(null, _.cloneDeep(entry));
+          });
+        });
+      });
+    },
+
+    /**
+     * @returns {Object} Counts of in-memory `hits`, `diskHits`, `misses`
+     * (files parsed), `invalidations` (files whose contents changed) and
+     * `writeErrors` (entries the cache directory couldn't store)
+     */
+    getStats: () => _.clone(stats),
+  };
+}
+
+module.exports = {
+  /* eslint-disable object-shorthand */
+  createCache: createCache,
+  /* eslint-enable object-shorthand */
+};
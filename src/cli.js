@@ -0,0 +1,686 @@
+/**
+ * Command-line interface.
+ *
+ * Run consortium configurations offline, inspect saved results and extract
+ * ROI values. `bin/multishot.js` calls `run` with the process'
+ * arguments.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const adapters = require('./adapters.js');
+const config = require('./config.js');
+const design = require('./design.js');
+const fs = require('fs');
+const helpers = require('./helpers.js');
+const history = require('./history.js');
+const path = require('path');
+const schemas = require('./schemas.js');
+const simulator = require('./simulator.js');
+
+/**
+ * Usage text.
+ *
+ * @type {string}
+ */
+const USAGE = `Usage: multishot <command> [options]
+
+Commands:
+  simulate <site-dir>...  Run the local/remote loop over site folders and
+                          print a per-iteration table
+      --config <file>     JSON computation options
+      --max-rounds <n>    Give up after n rounds (default 1000)
+      --json              Print the simulation as JSON
+  cross-validate <site-dir>...
+                          Refit without each site in turn and print each
+                          site's out-of-sample error
+      --config <file>     JSON computation options
+      --max-rounds <n>    Give up after n rounds per fold (default 1000)
+      --json              Print the cross-validation as JSON
+  inspect <file>          Pretty-print and validate a saved remote or local
+                          result
+      --config <file>     Check coefficients against JSON computation options
+  extract <file>...       Print ROI files' values as CSV, a row per subject
+      --config <file>     Read roiKeys and inputFormat from JSON computation
+                          options
+      --format <format>   Read files as aseg, aparc, csv or json instead of
+                          choosing by extension
+      --roi <key>         ROI to extract. Repeat for more ROIs.
+  history <file>          Export a saved remote result's convergence history
+      --format <format>   csv (default) or json
+`;
+
+/**
+ * Parse command-line arguments.
+ *
+ * @param {string[]} args
+ * @param {Object} spec
+ * @param {string[]} [spec.boolean] Flags without values
+ * @param {string[]} [spec.multiple] Options that may be repeated
+ * @param {string[]} [spec.string] Options with values
+ * @returns {Object} `options`, keyed by name, and `positional` arguments
+ */
+function parseArgs(args, spec) {
+  const booleans = spec.boolean || [];
+  const multiples = spec.multiple || [];
+  const strings = (spec.string || []).concat(multiples);
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const match = /^--([^=]+)(?:=(.*))?$/.exec(args[i]);
+
+    if (!match) {
+      positional.push(args[i]);
+    } else if (booleans.indexOf(match[1]) !== -1 && _.isUndefined(match[2])) {
+      options[match[1]] = true;
+    } else if (strings.indexOf(match[1]) !== -1) {
+      let value = match[2];
+
+      if (_.isUndefined(value)) {
+        i++;
+        value = args[i];
+      }
+      if (_.isUndefined(value)) {
+        throw new Error(`Option --${match[1]} requires a value`);
+      }
+
+      if (multiples.indexOf(match[1]) !== -1) {
+        options[match[1]] = (options[match[1]] || []).concat(value);
+      } else {
+        options[match[1]] = value;
+      }
+    } else {
+      throw new Error(`Unknown option --${match[1]}`);
+    }
+  }
+
+  return {
+    options: options, // eslint-disable-line object-shorthand
+    positional: positional, // eslint-disable-line object-shorthand
+  };
+}
+
+/**
+ * Read a JSON file.
+ *
+ * @param {string} filename
+ * @param {function} callback
+ */
+function readJSON(filename, callback) {
+  fs.readFile(filename, 'utf-8', (error, content) => { // eslint-disable-line consistent-return
+    if (error) {
+      return callback(error);
+    }
+
+    let value;
+
+    try {
+      value = JSON.parse(content);
+    } catch (parseError) {
+      return callback(new Error(`${filename}: ${parseError.message}`));
+    }
+
+    callback(null, value);
+  });
+}
+
+/**
+ * Read and validate computation options.
+ *
+ * @param {(string|undefined)} filename
+ * @param {function} callback Called with a validated configuration
+ */
+function readConfig(filename, callback) { // eslint-disable-line consistent-return
+  if (!filename) {
+    return callback(null, config.createConfig());
+  }
+
+  readJSON(filename, (error, options) => { // eslint-disable-line consistent-return
+    if (error) {
+      return callback(error);
+    }
+
+    let validated;
+
+    try {
+      validated = config.createConfig(options);
+    } catch (configError) {
+      return callback(new Error(`${filename}: ${configError.message}`));
+    }
+
+    callback(null, validated);
+  });
+}
+
+/**
+ * Format a number for a table.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function formatNumber(value) {
+  if (value === null || _.isUndefined(value)) {
+    return '-';
+  }
+
+  return _.isNumber(value) && isFinite(value) ?
+    String(Number(value.toPrecision(6))) :
+    String(value);
+}
+
+/**
+ * Format rows as a text table with aligned columns.
+ *
+ * @param {string[]} headers
+ * @param {array[]} rows
+ * @returns {string}
+ */
+function formatTable(headers, rows) {
+  const lines = [headers].concat(rows);
+  const widths = headers.map((header, index) => _.max(
+    lines.map(line => String(line[index]).length)
+  ));
+
+  return lines
+    .map(line => line
+      .map((value, index) => _.padEnd(String(value), widths[index]))
+      .join('  ')
+      .replace(/\s+$/, ''))
+    .join('\n');
+}
+
+/**
+ * Describe a remote result's phase.
+ *
+ * @param {Object} remoteResult
+ * @returns {string}
+ */
+function getStatus(remoteResult) {
+  if (remoteResult.complete) {
+    return `complete (${remoteResult.completionReason})`;
+  }
+  if (remoteResult.maskRecovery) {
+    return 'mask recovery';
+  }
+
+  return remoteResult.phase || 'fit';
+}
+
+/**
+ * Format out-of-sample validation, one row per site and a pooled row.
+ *
+ * @param {Object} validation See `validation.poolValidation`
+ * @returns {string}
+ */
+function formatValidation(validation) {
+  const keys = _.has(validation.pooled, 'accuracy') ?
+    ['accuracy', 'auc'] :
+    ['mse', 'r2'];
+  const getRow = (label, metrics) => [label, metrics.sampleSize].concat(
+    keys.map(key => formatNumber(metrics[key]))
+  );
+
+  return formatTable(
+    ['Site', 'Subjects'].concat(
+      keys[0] === 'accuracy' ? ['Accuracy', 'AUC'] : ['MSE', 'r²']
+    ),
+    _.map(validation.sites, (metrics, site) => getRow(site, metrics))
+      .concat([getRow('pooled', validation.pooled)])
+  );
+}
+
+/**
+ * Format a mass-univariate analysis, one row per ROI and coefficient.
+ *
+ * @param {Object} analysis See `univariate.computeTable`
+ * @returns {string}
+ */
+function formatMassUnivariate(analysis) {
+  return formatTable(
+    ['ROI', 'Coefficient', 'Estimate', 'SE', 't', 'p', 'p (FDR)', 'p (Bonferroni)'],
+    _.flatten(_.map(analysis.rois, (roi, roiKey) => _.map(
+      roi.coefficients,
+      (coefficient, key) => [
+        roiKey,
+        key,
+        formatNumber(coefficient.estimate),
+        formatNumber(coefficient.standardError),
+        formatNumber(coefficient.tStatistic),
+        formatNumber(coefficient.pValue),
+        formatNumber(coefficient.pValueFdr),
+        formatNumber(coefficient.pValueBonferroni),
+      ]
+    )))
+  );
+}
+
+/**
+ * Format a simulation's remote results, one row per round.
+ *
+ * @param {Object} simulation
+ * @returns {string}
+ */
+function formatSimulation(simulation) {
+  const rows = simulation.trace
+    .filter(entry => entry.remoteResult)
+    .map(entry => {
+      const remoteResult = entry.remoteResult;
+      const gradient = _.values(remoteResult.gradient || {});
+      const metric = _.isUndefined(remoteResult.accuracy) ?
+        remoteResult.r2 :
+        remoteResult.accuracy;
+
+      return [
+        entry.round,
+        remoteResult.iterationCount,
+        formatNumber(remoteResult.objective),
+        formatNumber(
+          gradient.length ?
+            Math.sqrt(gradient.reduce((sum, value) => sum + value * value, 0)) :
+            null
+        ),
+        formatNumber(metric),
+        formatNumber(remoteResult.learningRate),
+        getStatus(remoteResult),
+      ];
+    });
+  const remoteResult = simulation.remoteResult;
+  const inference = remoteResult.inference;
+  let coefficients;
+
+  if (remoteResult.massUnivariate) {
+    coefficients = formatMassUnivariate(remoteResult.massUnivariate);
+  } else if (inference) {
+    coefficients = formatTable(
+      ['Coefficient', 'Estimate', 'SE', 't', 'p', 'CI'],
+      _.map(inference.coefficients, (coefficient, key) => [
+        key,
+        formatNumber(coefficient.estimate),
+        formatNumber(coefficient.standardError),
+        formatNumber(coefficient.tStatistic),
+        formatNumber(coefficient.pValue),
+        coefficient.confidenceInterval.map(formatNumber).join(' to '),
+      ])
+    );
+  } else {
+    coefficients = formatTable(
+      ['Coefficient', 'Estimate'],
+      _.map(remoteResult.mVals, (value, key) => [key, formatNumber(value)])
+    );
+  }
+
+  return [
+    formatTable(
+      [
+        'Round',
+        'Iteration',
+        'Objective',
+        'Gradient norm',
+        _.isUndefined(remoteResult.accuracy) ? 'r²' : 'Accuracy',
+        'Learning rate',
+        'Status',
+      ],
+      rows
+    ),
+    '',
+    `Completed after ${simulation.rounds} rounds: ` +
+      `${remoteResult.completionReason}`,
+    '',
+    coefficients,
+    '',
+  ].concat(remoteResult.validation ? [
+    'Out-of-sample validation:',
+    '',
+    formatValidation(remoteResult.validation),
+    '',
+  ] : []).concat(simulation.cacheStats ? [
+    `Parse cache: ${simulation.cacheStats.hits} hits, ` +
+      `${simulation.cacheStats.diskHits} disk hits, ` +
+      `${simulation.cacheStats.misses} files parsed`,
+    '',
+  ] : []).join('\n');
+}
+
+/**
+ * Get a saved result's type.
+ *
+ * @param {Object} result
+ * @returns {(string|null)} `'remote'`, `'local'` or `null`
+ */
+function getResultType(result) {
+  if (!_.isPlainObject(result)) {
+    return null;
+  }
+  if (_.has(result, 'previousAggregateMVals')) {
+    return 'local';
+  }
+  if (_.has(result, 'mVals') && _.has(result, 'iterationCount')) {
+    return 'remote';
+  }
+
+  return null;
+}
+
+/**
+ * Parse a command that simulates site directories.
+ *
+ * @param {string} command
+ * @param {string[]} args
+ * @returns {Object} `options` and `positional` arguments, as from `parseArgs`,
+ * and `maxRounds`
+ */
+function parseSimulationArgs(command, args) {
+  const parsed = parseArgs(args, {
+    boolean: ['json'],
+    string: ['config', 'max-rounds'],
+  });
+  const maxRounds = parsed.options['max-rounds'] ?
+    Number(parsed.options['max-rounds']) :
+    undefined;
+
+  if (!parsed.positional.length) {
+    throw new Error(`${command} requires at least one site directory`);
+  }
+  if (!_.isUndefined(maxRounds) && (!_.isInteger(maxRounds) || maxRounds < 1)) {
+    throw new Error('--max-rounds should be a positive integer');
+  }
+
+  return _.assign(parsed, { maxRounds: maxRounds }); // eslint-disable-line object-shorthand
+}
+
+/**
+ * Get sites from their directories, named by directory.
+ *
+ * @param {string[]} directories
+ * @returns {Object[]}
+ */
+function getDirectorySites(directories) {
+  return directories.map(directory => ({
+    directory: directory, // eslint-disable-line object-shorthand
+    username: path.basename(path.resolve(directory)),
+  }));
+}
+
+/**
+ * `simulate` command.
+ *
+ * @param {string[]} args
+ * @param {Object} io
+ * @param {function} callback Called with an exit code
+ */
+function simulateCommand(args, io, callback) {
+  const parsed = parseSimulationArgs('simulate', args);
+
+  readConfig(parsed.options.config, (error, options) => { // eslint-disable-line consistent-return
+    if (error) {
+      return callback(error);
+    }
+
+    simulator.simulate({
+      config: options,
+      maxRounds: parsed.maxRounds,
+      sites: getDirectorySites(parsed.positional),
+    }, (simulationError, simulation) => { // eslint-disable-line consistent-return
+      if (simulationError) {
+        return callback(simulationError);
+      }
+
+      io.stdout.write(
+        parsed.options.json ?
+          `${JSON.stringify(simulation, null, 2)}\n` :
+          formatSimulation(simulation)
+      );
+      callback(null, 0);
+    });
+  });
+}
+
+/**
+ * `cross-validate` command.
+ *
+ * @param {string[]} args
+ * @param {Object} io
+ * @param {function} callback Called with an exit code
+ */
+function crossValidateCommand(args, io, callback) {
+  const parsed = parseSimulationArgs('cross-validate', args);
+
+  readConfig(parsed.options.config, (error, options) => { // eslint-disable-line consistent-return
+    if (error) {
+      return callback(error);
+    }
+
+    simulator.crossValidate({
+      config: options,
+      maxRounds: parsed.maxRounds,
+      sites: getDirectorySites(parsed.positional),
+    }, (crossValidationError, crossValidation) => { // eslint-disable-line consistent-return
+      if (crossValidationError) {
+        return callback(crossValidationError);
+      }
+
+      io.stdout.write(
+        parsed.options.json ?
+          `${JSON.stringify(crossValidation, null, 2)}\n` :
+          `${formatValidation(crossValidation.validation)}\n`
+      );
+      callback(null, 0);
+    });
+  });
+}
+
+/**
+ * `inspect` command.
+ *
+ * @param {string[]} args
+ * @param {Object} io
+ * @param {function} callback Called with an exit code
+ */
+function inspectCommand(args, io, callback) {
+  const parsed = parseArgs(args, { string: ['config'] });
+
+  if (parsed.positional.length !== 1) {
+    throw new Error('inspect requires one result file');
+  }
+
+  const configFilename = parsed.options.config;
+  const filename = parsed.positional[0];
+
+  readConfig(configFilename, (configError, options) => { // eslint-disable-line consistent-return
+    if (configError) {
+      return callback(configError);
+    }
+
+    readJSON(filename, (error, result) => { // eslint-disable-line consistent-return
+      if (error) {
+        return callback(error);
+      }
+
+      const type = getResultType(result);
+
+      if (!type) {
+        return callback(new Error(
+          `${filename}: Unrecognized result. Expected a remote result with ` +
+          "'mVals' and 'iterationCount' or a local result with " +
+          "'previousAggregateMVals'"
+        ));
+      }
+
+      const getProblems = type === 'remote' ?
+        schemas.getRemoteProblems :
+        schemas.getLocalProblems;
+      const problems = getProblems(result, {
+        coefficientKeys: parsed.options.config ?
+          design.getCoefficientKeys(options) :
+          null,
+      });
+
+      io.stdout.write(`${type} result: ${filename}\n`);
+      io.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+
+      if (problems.length) {
+        io.stderr.write(
+          `\nInvalid ${type} result:\n` +
+          `${problems.map(problem => `  - ${problem}\n`).join('')}`
+        );
+        return callback(null, 1);
+      }
+
+      io.stdout.write(
+        `\nValid ${type} result (schema version ${schemas.SCHEMA_VERSION})\n`
+      );
+      callback(null, 0);
+    });
+  });
+}
+
+/**
+ * `extract` command.
+ *
+ * @param {string[]} args
+ * @param {Object} io
+ * @param {function} callback Called with an exit code
+ */
+function extractCommand(args, io, callback) {
+  const parsed = parseArgs(
+    args,
+    { multiple: ['roi'], string: ['config', 'format'] }
+  );
+
+  if (!parsed.positional.length) {
+    throw new Error('extract requires at least one ROI file');
+  }
+
+  const configFilename = parsed.options.config;
+
+  readConfig(configFilename, (configError, options) => { // eslint-disable-line consistent-return
+    if (configError) {
+      return callback(configError);
+    }
+
+    const roiKeys = parsed.options.roi || options.roiKeys;
+
+    adapters.readRecords(
+      parsed.positional,
+      { format: parsed.options.format || options.inputFormat },
+      (error, records) => { // eslint-disable-line consistent-return
+        let rows;
+
+        if (error) {
+          return callback(error);
+        }
+
+        try {
+          rows = records.map(record => [record.file, record.subject].concat(
+            adapters.getRecordValues(record, roiKeys)
+          ));
+        } catch (valueError) {
+          return callback(valueError);
+        }
+
+        io.stdout.write(helpers.formatCSV(
+          [['file', 'subject'].concat(roiKeys)].concat(rows)
+        ));
+        callback(null, 0);
+      }
+    );
+  });
+}
+
+/**
+ * `history` command.
+ *
+ * @param {string[]} args
+ * @param {Object} io
+ * @param {function} callback Called with an exit code
+ */
+function historyCommand(args, io, callback) {
+  const parsed = parseArgs(args, { string: ['format'] });
+  const format = parsed.options.format || 'csv';
+
+  if (parsed.positional.length !== 1) {
+    throw new Error('history requires one remote result file');
+  }
+  if (history.FORMATS.indexOf(format) === -1) {
+    throw new Error(`--format should be one of: ${history.FORMATS.join(', ')}`);
+  }
+
+  const filename = parsed.positional[0];
+
+  readJSON(filename, (error, result) => { // eslint-disable-line consistent-return
+    if (error) {
+      return callback(error);
+    }
+    if (getResultType(result) !== 'remote' || !Array.isArray(result.history)) {
+      return callback(new Error(
+        `${filename}: Expected a remote result with a 'history'`
+      ));
+    }
+
+    io.stdout.write(history.exportHistory(result.history, format));
+    callback(null, 0);
+  });
+}
+
+/**
+ * Commands, keyed by name.
+ *
+ * @type {Object}
+ */
+const COMMANDS = {
+  'cross-validate': crossValidateCommand,
+  extract: extractCommand,
+  history: historyCommand,
+  inspect: inspectCommand,
+  simulate: simulateCommand,
+};
+
+/**
+ * Run the command-line interface.
+ *
+ * @example
+ * run(['simulate', 'site-1', 'site-2'], process, code => {
+ *   process.exitCode = code;
+ * });
+ *
+ * @param {string[]} args Arguments after the executable
+ * @param {Object} io Object with `stdout` and `stderr` writable streams
+ * @param {function} callback Called with the exit code
+ */
+function run(args, io, callback) { // eslint-disable-line consistent-return
+  const command = args[0];
+  const done = (error, code) => {
+    if (error) {
+      io.stderr.write(`multishot: ${error.message}\n`);
+      return callback(1);
+    }
+
+    return callback(code);
+  };
+
+  if (!command || command === '--help' || command === 'help') {
+    io.stdout.write(USAGE);
+    return callback(command ? 0 : 1);
+  }
+  if (!_.has(COMMANDS, command)) {
+    io.stderr.write(`multishot: Unknown command '${command}'\n\n${USAGE}`);
+    return callback(1);
+  }
+
+  try {
+    COMMANDS[command](args.slice(1), io, done);
+  } catch (error) {
+    done(error);
+  }
+}
+
+module.exports = {
+  /* eslint-disable object-shorthand */
+  USAGE: USAGE,
+  formatTable: formatTable,
+  parseArgs: parseArgs,
+  run: run,
+  /* eslint-enable object-shorthand */
+};
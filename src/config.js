@@ -0,0 +1,646 @@
+/**
+ * Computation configuration.
+ *
+ * Defaults and validation for the options accepted by `createMultishot`.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const adapters = require('./adapters.js');
+const COMPOSITIONS = require('./accountant.js').COMPOSITIONS;
+const design = require('./design.js');
+const MODEL_TYPES = require('./models.js').MODEL_TYPES;
+const NORMALIZATIONS = require('./normalization.js').NORMALIZATIONS;
+const MAX_SEED = require('./prng.js').MAX_SEED;
+const optimizers = require('./optimizers.js');
+const ROBUST_AGGREGATIONS = require('./robust.js').ROBUST_AGGREGATIONS;
+
+/**
+ * Ways the remote combines sites' gradients and objectives.
+ *
+ * @type {string[]}
+ */
+const AGGREGATIONS = ['sum', 'weighted'].concat(ROBUST_AGGREGATIONS);
+
+/**
+ * Computation modes.
+ *
+ * @type {string[]}
+ */
+const MODES = ['iterative', 'exact'];
+
+/**
+ * Default options.
+ *
+ * These were previously hard-coded as module constants in `src/index.js`.
+ * Every value may be overridden per distributed computation run.
+ *
+ * @type {Object}
+ * @property {string} aggregation One of `AGGREGATIONS`. `sum` adds sites'
+ * gradients and objectives and averages their r². `weighted` weights sites by
+ * sample size, taking the mean per subject, and pools r² from sites' sums of
+ * squares. `median`, `trimmedMean` and `clippedMean` limit how far any one
+ * site can move the fit. See `runners.computeAggregate` and `robust`.
+ * @property {(number|null)} anomalyThreshold Score how far each site's
+ * gradient is from the others' every round, and flag sites scoring above
+ * this. `null` doesn't score them. See `robust.getAnomalyScores`.
+ * @property {boolean} cache Cache sites' parsed Freesurfer files between
+ * iterations, keyed by their contents. See `cache`.
+ * @property {(string|null)} cacheDirectory Also keep parsed files in this
+ * directory so later runs can reuse them. `null` keeps them in memory only.
+ * @property {(number|null)} clipNorm Maximum L2 norm of a site's gradient
+ * with `clippedMean` aggregation. `null` uses the median site's norm each
+ * round.
+ * @property {number} clipBound Maximum L1 norm of a subject’s gradient
+ * contribution (and maximum value of its objective contribution) when
+ * `differentialPrivacy` is enabled.
+ * @property {string} composition How the privacy accountant adds up each
+ * round's epsilon. See `accountant.COMPOSITIONS`.
+ * @property {number} confidenceLevel Coverage of the coefficients'
+ * confidence intervals when `inference` runs.
+ * @property {number} delta Failure probability used by `advanced` composition.
+ * @property {string} dependent The dependent variable: `group` or one of
+ * `roiKeys`. Ignored under `massUnivariate`.
+ * @property {boolean} differentialPrivacy Clip subjects’ contributions and add
+ * Laplace noise to the gradient and objective sites share.
+ * @property {number} epsilon Used when calculating Laplacian noise.
+ * @property {string[]} groups Group labels sites' manifests may use. The first
+ * is the reference group, coded as `0`. The second is coded as `1`.
+ * @property {(number|null)} historySize Keep at most this many of the latest
+ * iterations in the remote result's `history`. `null` keeps every iteration.
+ * See `history`.
+ * @property {(number|null)} holdoutFraction Fraction of each site's subjects
+ * held out of fitting. After fitting, sites evaluate the model on them in a
+ * final `validation` round. `null` holds none out. See `validation`.
+ * @property {boolean} inference Run a final round in which sites share
+ * sufficient statistics so the remote can report standard errors,
+ * t-statistics, p-values and confidence intervals. Only the unpenalized
+ * `ridge` model without `differentialPrivacy` supports inference; otherwise
+ * it's skipped.
+ * @property {(string|null)} inputFormat Read every ROI file with this
+ * adapter. `null` chooses by file extension. See `adapters.ADAPTERS`.
+ * @property {boolean} intercept Fit an intercept. Its coefficient is keyed
+ * `design.INTERCEPT_KEY`.
+ * @property {number} lambda Ridge penalty on every coefficient but the
+ * intercept. See `runners.computeAggregate`.
+ * @property {(number[]|null)} lambdas Penalties to search. Each is fit in
+ * turn, or all at once in `exact` mode, and the one with the lowest held-out
+ * error wins. Requires a `holdoutFraction`. `null` fits `lambda` alone. See
+ * `regularization`.
+ * @property {number} learningRate Initial learning rate. Used to seed the
+ * remote computation.
+ * @property {string} model One of `models.MODEL_TYPES`. `logistic` predicts
+ * the group label.
+ * @property {boolean} massUnivariate Fit a model per ROI: each of `roiKeys`
+ * that isn't one of `predictors` is the dependent variable in turn. Requires
+ * `exact` mode. The remote reports each ROI's inference with p-values
+ * corrected across ROIs. See `univariate`.
+ * @property {number} maxIterationCount Used in the `remote.fn` function to
+ * ensure the iteration doesn’t continue indefinitely.
+ * @property {(number|null)} maxSiteLag Rounds a site may miss before it's
+ * excluded from the computation. Rounds only run without a site when
+ * `minSiteFraction` is below `1`. `null` never excludes sites. See `quorum`.
+ * @property {number} minSiteFraction Fraction of sites that aren't excluded a
+ * round requires. `1` waits for all of them.
+ * @property {(number|null)} minSites Number of sites a round requires,
+ * whatever `minSiteFraction` allows.
+ * @property {string} mode One of `MODES`. `iterative` descends the model's
+ * objective over many rounds. `exact` solves a linear model's normal
+ * equations from sites' sufficient statistics in one round.
+ * @property {string} normalization One of `normalization.NORMALIZATIONS`.
+ * `local` standardizes each site's variables with its own means and standard
+ * deviations. `global` starts with a round in which the remote computes the
+ * consortium's, and reports the final coefficients in original units too.
+ * @property {string} optimizer Remote update rule. One of `optimizers`' keys.
+ * @property {Object} optimizerOptions Overrides for the optimizer's
+ * hyperparameter `defaults`.
+ * @property {(string[]|null)} predictors Design matrix columns: `group`, any of
+ * `roiKeys` or manifest covariates. `null` means `roiKeys`.
+ * @property {(number|null)} privacyBudget Total epsilon a site may spend over
+ * all iterations when `differentialPrivacy` is enabled. `null` means there's
+ * no limit.
+ * @property {(number|null)} randomSeed Seed for the remote's initial
+ * coefficients, an integer from 0 to `prng.MAX_SEED`. `null` draws one. The
+ * seed used is recorded in the remote result. Can't be set with
+ * `differentialPrivacy`, whose noise is never seeded. See `prng`.
+ * @property {boolean} rejoin Let an excluded site rejoin once it sends a
+ * result for the current round. Sites dropped from `secureAggregation` can't
+ * rejoin.
+ * @property {string[]} roiKeys Region of interest keys. These correspond with
+ * Freesurfer “predictors.”
+ * @property {boolean} secureAggregation Mask the values sites share with
+ * pairwise-cancelling masks so the remote only learns their sum. See
+ * `masking`.
+ * @property {number} trimFraction Fraction of sites `trimmedMean` aggregation
+ * drops from each end, per coefficient. At least one is dropped from each end
+ * of three or more. See `robust.trimmedMean`.
+ * @property {number} tolerance Used to stop the `remote.fn` if the square root
+ * of the sum of squares of the aggregate gradient falls below this value.
+ */
+const DEFAULTS = {
+  aggregation: 'sum',
+  anomalyThreshold: null,
+  cache: true,
+  cacheDirectory: null,
+  clipBound: 1,
+  clipNorm: null,
+  composition: 'basic',
+  confidenceLevel: 0.95,
+  delta: 1e-5,
+  dependent: 'group',
+  differentialPrivacy: false,
+  epsilon: 1,
+  groups: ['control', 'patient'],
+  historySize: null,
+  holdoutFraction: null,
+  inference: true,
+  inputFormat: null,
+  intercept: false,
+  lambda: 0,
+  lambdas: null,
+  learningRate: 0.7,
+  massUnivariate: false,
+  maxIterationCount: 200,
+  maxSiteLag: null,
+  minSiteFraction: 1,
+  minSites: null,
+  mode: 'iterative',
+  model: 'ridge',
+  normalization: 'local',
+  optimizer: 'gradientDescent',
+  optimizerOptions: {},
+  predictors: null,
+  privacyBudget: null,
+  randomSeed: null,
+  rejoin: true,
+  roiKeys: ['Left-Hippocampus'],
+  secureAggregation: false,
+  tolerance: 1e-5,
+  trimFraction: 0.1,
+};
+
+/**
+ * Assert a configuration value is a finite, positive number.
+ *
+ * @param {Object} config
+ * @param {string} key
+ */
+function assertPositiveNumber(config, key) {
+  const value = config[key];
+
+  if (!_.isNumber(value) || !isFinite(value)) {
+    throw new TypeError(`Expected option '${key}' to be a finite number`);
+  }
+  if (value <= 0) {
+    throw new RangeError(`Expected option '${key}' to be greater than 0`);
+  }
+}
+
+/**
+ * Assert a configuration value is a finite, non-negative number.
+ *
+ * @param {Object} config
+ * @param {string} key
+ */
+function assertNonNegativeNumber(config, key) {
+  const value = config[key];
+
+  if (!_.isNumber(value) || !isFinite(value)) {
+    throw new TypeError(`Expected option '${key}' to be a finite number`);
+  }
+  if (value < 0) {
+    throw new RangeError(`Expected option '${key}' to be at least 0`);
+  }
+}
+
+/**
+ * Assert a configuration value is a positive integer.
+ *
+ * @param {Object} config
+ * @param {string} key
+ */
+function assertPositiveInteger(config, key) {
+  const value = config[key];
+
+  if (!_.isInteger(value)) {
+    throw new TypeError(`Expected option '${key}' to be an integer`);
+  }
+  if (value < 1) {
+    throw new RangeError(`Expected option '${key}' to be at least 1`);
+  }
+}
+
+/**
+ * Assert a configuration value is a boolean.
+ *
+ * @param {Object} config
+ * @param {string} key
+ */
+function assertBoolean(config, key) {
+  if (!_.isBoolean(config[key])) {
+    throw new TypeError(`Expected option '${key}' to be a boolean`);
+  }
+}
+
+/**
+ * Assert a configuration value is one of a set of choices.
+ *
+ * @param {Object} config
+ * @param {string} key
+ * @param {Array} choices
+ */
+function assertOneOf(config, key, choices) {
+  if (choices.indexOf(config[key]) === -1) {
+    throw new Error(
+      `Expected option '${key}' to be one of: ${choices.join(', ')}`
+    );
+  }
+}
+
+/**
+ * Assert a configuration value is a number between 0 and 1, exclusive.
+ *
+ * @param {Object} config
+ * @param {string} key
+ */
+function assertProbability(config, key) {
+  assertPositiveNumber(config, key);
+
+  if (config[key] >= 1) {
+    throw new RangeError(`Expected option '${key}' to be less than 1`);
+  }
+}
+
+/**
+ * Assert a configuration value is a non-empty collection of unique strings.
+ *
+ * @param {Object} config
+ * @param {string} key
+ */
+function assertUniqueStrings(config, key) {
+  const value = config[key];
+
+  if (!Array.isArray(value) || !value.length) {
+    throw new TypeError(`Expected option '${key}' to be a non-empty array`);
+  }
+
+  value.forEach(item => {
+    if (!_.isString(item) || !item) {
+      throw new TypeError(
+        `Expected option '${key}' to only contain non-empty strings`
+      );
+    }
+  });
+
+  if (_.uniq(value).length !== value.length) {
+    throw new Error(`Expected option '${key}' to contain unique values`);
+  }
+}
+
+/**
+ * Validate the configuration's optimizer.
+ *
+ * @param {Object} config
+ */
+function validateOptimizer(config) {
+  assertOneOf(config, 'optimizer', Object.keys(optimizers).sort());
+
+  if (!_.isPlainObject(config.optimizerOptions)) {
+    throw new TypeError("Expected option 'optimizerOptions' to be an object");
+  }
+
+  const defaults = optimizers[config.optimizer].defaults;
+
+  Object.keys(config.optimizerOptions).forEach(key => {
+    if (!_.has(defaults, key)) {
+      throw new Error(
+        `Unknown optimizer option '${key}' for '${config.optimizer}'`
+      );
+    }
+
+    assertPositiveNumber(config.optimizerOptions, key);
+  });
+}
+
+/**
+ * Validate the configuration's model design.
+ *
+ * @param {Object} config
+ */
+function validateDesign(config) {
+  assertOneOf(
+    config,
+    'dependent',
+    [design.GROUP_KEY].concat(config.roiKeys)
+  );
+
+  if (config.model === 'logistic' && config.dependent !== design.GROUP_KEY) {
+    throw new Error(
+      `Expected option 'dependent' to be '${design.GROUP_KEY}' for ` +
+      'logistic models'
+    );
+  }
+
+  if (config.predictors !== null) {
+    assertUniqueStrings(config, 'predictors');
+
+    if (
+      !config.massUnivariate &&
+      config.predictors.indexOf(config.dependent) !== -1
+    ) {
+      throw new Error(
+        `Expected option 'predictors' not to contain '${config.dependent}'`
+      );
+    }
+    if (config.predictors.indexOf(design.INTERCEPT_KEY) !== -1) {
+      throw new Error(
+        `Expected option 'predictors' not to contain '${design.INTERCEPT_KEY}'. ` +
+        "Use the 'intercept' option."
+      );
+    }
+  } else if (config.dependent !== design.GROUP_KEY) {
+    throw new Error(
+      "Expected option 'predictors' when 'dependent' is an ROI"
+    );
+  }
+}
+
+/**
+ * Validate the configuration's mass-univariate analysis. Every ROI's model
+ * is solved, with its inference, from one round of sufficient statistics.
+ *
+ * @param {Object} config
+ */
+function validateMassUnivariate(config) {
+  if (!config.massUnivariate) {
+    return;
+  }
+  if (config.predictors === null) {
+    throw new Error("Expected option 'predictors' with 'massUnivariate'");
+  }
+  if (!design.getDependentKeys(config).length) {
+    throw new Error(
+      "Expected option 'roiKeys' to contain an ROI that isn't a predictor"
+    );
+  }
+  if (config.mode !== 'exact') {
+    throw new Error("Option 'massUnivariate' requires mode 'exact'");
+  }
+  if (!config.inference) {
+    throw new Error("Option 'massUnivariate' requires option 'inference'");
+  }
+
+  const unsupported = _.find([
+    config.lambda ? 'lambda' : null,
+    config.lambdas !== null ? 'lambdas' : null,
+    config.holdoutFraction !== null ? 'holdoutFraction' : null,
+    config.normalization === 'global' ? "normalization 'global'" : null,
+    config.secureAggregation ? 'secureAggregation' : null,
+  ]);
+
+  if (unsupported) {
+    throw new Error(`Option 'massUnivariate' doesn't support ${unsupported}`);
+  }
+}
+
+/**
+ * Validate the configuration's robust aggregation and anomaly scoring. Both
+ * need every site's own gradient, which exact mode and secure aggregation
+ * don't give the remote.
+ *
+ * @param {Object} config
+ */
+function validateRobustness(config) {
+  const features = [];
+
+  if (ROBUST_AGGREGATIONS.indexOf(config.aggregation) !== -1) {
+    features.push(`Aggregation '${config.aggregation}'`);
+  }
+  if (config.anomalyThreshold !== null) {
+    features.push("Option 'anomalyThreshold'");
+  }
+
+  features.forEach(feature => {
+    if (config.mode === 'exact') {
+      throw new Error(`${feature} requires mode 'iterative'`);
+    }
+    if (config.secureAggregation) {
+      throw new Error(`${feature} doesn't support secureAggregation`);
+    }
+  });
+}
+
+/**
+ * Validate a configuration.
+ *
+ * @param {Object} config
+ * @returns {Object} The validated configuration
+ */
+function validateConfig(config) {
+  const unknownKeys = _.difference(Object.keys(config), Object.keys(DEFAULTS));
+
+  if (unknownKeys.length) {
+    throw new Error(`Unknown option(s): ${unknownKeys.join(', ')}`);
+  }
+
+  assertOneOf(config, 'aggregation', AGGREGATIONS);
+
+  if (config.anomalyThreshold !== null) {
+    assertPositiveNumber(config, 'anomalyThreshold');
+  }
+
+  assertBoolean(config, 'cache');
+
+  if (
+    config.cacheDirectory !== null &&
+    (!_.isString(config.cacheDirectory) || !config.cacheDirectory)
+  ) {
+    throw new TypeError(
+      "Expected option 'cacheDirectory' to be a non-empty string or null"
+    );
+  }
+
+  assertPositiveNumber(config, 'clipBound');
+
+  if (config.clipNorm !== null) {
+    assertPositiveNumber(config, 'clipNorm');
+  }
+
+  assertOneOf(config, 'composition', COMPOSITIONS);
+  assertProbability(config, 'confidenceLevel');
+  assertProbability(config, 'delta');
+  assertBoolean(config, 'differentialPrivacy');
+  assertPositiveNumber(config, 'epsilon');
+  assertUniqueStrings(config, 'groups');
+
+  if (config.groups.length !== 2) {
+    throw new Error("Expected option 'groups' to contain exactly 2 groups");
+  }
+
+  if (config.historySize !== null) {
+    assertPositiveInteger(config, 'historySize');
+  }
+  if (config.holdoutFraction !== null) {
+    assertProbability(config, 'holdoutFraction');
+  }
+
+  assertBoolean(config, 'inference');
+
+  if (config.inputFormat !== null) {
+    assertOneOf(config, 'inputFormat', Object.keys(adapters.ADAPTERS).sort());
+  }
+
+  assertBoolean(config, 'intercept');
+  assertNonNegativeNumber(config, 'lambda');
+
+  if (config.lambdas !== null) {
+    if (!Array.isArray(config.lambdas) || !config.lambdas.length) {
+      throw new TypeError("Expected option 'lambdas' to be a non-empty array");
+    }
+
+    config.lambdas.forEach(value => {
+      if (!_.isNumber(value) || !isFinite(value) || value < 0) {
+        throw new TypeError(
+          "Expected option 'lambdas' to only contain non-negative numbers"
+        );
+      }
+    });
+
+    if (_.uniq(config.lambdas).length !== config.lambdas.length) {
+      throw new Error("Expected option 'lambdas' to contain unique values");
+    }
+  }
+
+  assertPositiveNumber(config, 'learningRate');
+  assertBoolean(config, 'massUnivariate');
+  assertPositiveInteger(config, 'maxIterationCount');
+
+  if (config.maxSiteLag !== null) {
+    assertPositiveInteger(config, 'maxSiteLag');
+  }
+
+  assertPositiveNumber(config, 'minSiteFraction');
+
+  if (config.minSiteFraction > 1) {
+    throw new RangeError("Expected option 'minSiteFraction' to be at most 1");
+  }
+  if (config.minSites !== null) {
+    assertPositiveInteger(config, 'minSites');
+  }
+  if (config.maxSiteLag !== null && config.minSiteFraction === 1) {
+    throw new Error(
+      "Expected option 'minSiteFraction' to be below 1 with 'maxSiteLag': " +
+      'sites are only excluded for missing rounds that run without them'
+    );
+  }
+
+  assertOneOf(config, 'mode', MODES);
+  assertOneOf(config, 'model', MODEL_TYPES);
+  assertOneOf(config, 'normalization', NORMALIZATIONS);
+  validateOptimizer(config);
+
+  if (config.privacyBudget !== null) {
+    assertPositiveNumber(config, 'privacyBudget');
+  }
+
+  if (config.randomSeed !== null) {
+    if (!_.isInteger(config.randomSeed)) {
+      throw new TypeError("Expected option 'randomSeed' to be an integer");
+    }
+    if (config.randomSeed < 0 || config.randomSeed > MAX_SEED) {
+      throw new RangeError(
+        `Expected option 'randomSeed' to be between 0 and ${MAX_SEED}`
+      );
+    }
+    if (config.differentialPrivacy) {
+      throw new Error(
+        "Expected option 'randomSeed' to be null with 'differentialPrivacy': " +
+        'seeded noise could be recomputed and removed'
+      );
+    }
+  }
+
+  assertBoolean(config, 'rejoin');
+  assertUniqueStrings(config, 'roiKeys');
+  assertBoolean(config, 'secureAggregation');
+  assertPositiveNumber(config, 'tolerance');
+  assertProbability(config, 'trimFraction');
+
+  if (config.trimFraction >= 0.5) {
+    throw new RangeError("Expected option 'trimFraction' to be less than 0.5");
+  }
+
+  validateDesign(config);
+
+  if (config.mode === 'exact' && config.model !== 'ridge') {
+    throw new Error("Mode 'exact' requires model 'ridge'");
+  }
+  if (config.mode === 'exact' && config.differentialPrivacy) {
+    throw new Error("Mode 'exact' doesn't support differentialPrivacy");
+  }
+
+  // Moments aren't noised, and raw sums of squares overflow masked values
+  if (config.normalization === 'global' && config.differentialPrivacy) {
+    throw new Error("Normalization 'global' doesn't support differentialPrivacy");
+  }
+  if (config.normalization === 'global' && config.secureAggregation) {
+    throw new Error("Normalization 'global' doesn't support secureAggregation");
+  }
+
+  // Validation errors aren't noised
+  if (config.holdoutFraction !== null && config.differentialPrivacy) {
+    throw new Error("Option 'holdoutFraction' doesn't support differentialPrivacy");
+  }
+  if (config.lambdas !== null && config.holdoutFraction === null) {
+    throw new Error("Option 'lambdas' requires a holdoutFraction to choose with");
+  }
+
+  // The remote only sees the sum of sites' masked means
+  if (
+    config.aggregation === 'weighted' &&
+    config.differentialPrivacy &&
+    config.secureAggregation
+  ) {
+    throw new Error(
+      "Aggregation 'weighted' doesn't support differentialPrivacy with " +
+      'secureAggregation'
+    );
+  }
+
+  validateMassUnivariate(config);
+  validateRobustness(config);
+
+  return config;
+}
+
+/**
+ * Create a configuration.
+ *
+ * @example
+ * createConfig({
+ *   roiKeys: ['Left-Hippocampus', 'Right-Hippocampus'],
+ *   tolerance: 1e-4,
+ * });
+ * // => `DEFAULTS` with `roiKeys` and `tolerance` replaced
+ *
+ * @param {Object} [options] Overrides for `DEFAULTS`
+ * @returns {Object} Validated configuration
+ */
+function createConfig(options) {
+  if (options !== undefined && !_.isPlainObject(options)) {
+    throw new TypeError('Expected options to be an object');
+  }
+
+  return validateConfig(_.cloneDeep(_.assign({}, DEFAULTS, options)));
+}
+
+module.exports = {
+  /* eslint-disable object-shorthand */
+  AGGREGATIONS: AGGREGATIONS,
+  DEFAULTS: DEFAULTS,
+  MODES: MODES,
+  createConfig: createConfig,
+  validateConfig: validateConfig,
+  /* eslint-enable object-shorthand */
+};
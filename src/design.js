@@ -0,0 +1,257 @@
+/**
+ * Design matrix.
+ *
+ * Build a site's regression inputs from its manifest rows and Freesurfer ROI
+ * values. Variables are referred to by name:
+ *
+ * * `group`: The subject's group label, coded by its position in the `groups`
+ *   option.
+ * * A key in the `roiKeys` option: The subject's Freesurfer value.
+ * * Anything else: A covariate column from the site's manifest.
+ *
+ * With the `massUnivariate` option, every ROI that isn't a predictor is a
+ * dependent variable, and `yVals` has a row of them per subject.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Intercept coefficient's key.
+ *
+ * @type {string}
+ */
+const INTERCEPT_KEY = '(Intercept)';
+
+/**
+ * Group variable's key.
+ *
+ * @type {string}
+ */
+const GROUP_KEY = 'group';
+
+/**
+ * Get the predictors' keys.
+ *
+ * @param {Object} config
+ * @param {(string[]|null)} config.predictors
+ * @param {string[]} config.roiKeys
+ * @returns {string[]} `config.predictors`, defaulting to `config.roiKeys`
+ */
+function getPredictorKeys(config) {
+  return config.predictors || config.roiKeys;
+}
+
+/**
+ * Get the coefficients' keys.
+ *
+ * These name the model's `mVals` and `gradient` values, in design matrix
+ * column order.
+ *
+ * @example
+ * getCoefficientKeys({
+ *   intercept: true,
+ *   predictors: ['group', 'age'],
+ *   roiKeys: ['Left-Hippocampus'],
+ * });
+ * // => ['(Intercept)', 'group', 'age']
+ *
+ * @param {Object} config
+ * @param {boolean} config.intercept
+ * @param {(string[]|null)} config.predictors
+ * @param {string[]} config.roiKeys
+ * @returns {string[]}
+ */
+function getCoefficientKeys(config) {
+  const predictorKeys = getPredictorKeys(config);
+
+  return config.intercept ?
+    [INTERCEPT_KEY].concat(predictorKeys) :
+    predictorKeys.slice();
+}
+
+/**
+ * Get the dependent variables' keys.
+ *
+ * @example
+ * getDependentKeys({
+ *   massUnivariate: true,
+ *   predictors: ['group', 'EstimatedTotalIntraCranialVol'],
+ *   roiKeys: ['Left-Hippocampus', 'EstimatedTotalIntraCranialVol'],
+ * });
+ * // => ['Left-Hippocampus']
+ *
+ * @param {Object} config
+ * @param {string} config.dependent
+ * @param {boolean} config.massUnivariate
+ * @param {(string[]|null)} config.predictors
+ * @param {string[]} config.roiKeys
+ * @returns {string[]} `config.roiKeys` that aren't predictors under
+ * `config.massUnivariate`, otherwise `config.dependent`
+ */
+function getDependentKeys(config) {
+  return config.massUnivariate ?
+    _.difference(config.roiKeys, getPredictorKeys(config)) :
+    [config.dependent];
+}
+
+/**
+ * Get a subject's value for a variable.
+ *
+ * @param {Object} row Manifest row
+ * @param {number[]} roiValues The subject's values ordered by `config.roiKeys`
+ * @param {string} key Variable name
+ * @param {Object} config
+ * @param {string[]} config.groups
+ * @param {string[]} config.roiKeys
+ * @returns {number}
+ */
+function getValue(row, roiValues, key, config) {
+  if (key === GROUP_KEY) {
+    return config.groups.indexOf(row.group);
+  }
+
+  const roiIndex = config.roiKeys.indexOf(key);
+
+  if (roiIndex !== -1) {
+    return roiValues[roiIndex];
+  }
+
+  const value = row.covariates[key];
+
+  if (value === null || _.isUndefined(value)) {
+    throw new Error(`Manifest ${row.location} missing covariate '${key}'`);
+  }
+  if (!_.isNumber(value) || !isFinite(value)) {
+    throw new Error(
+      `Manifest ${row.location} has nonnumeric covariate '${key}'`
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Get a site's design matrix and dependent variable.
+ *
+ * The intercept column isn't included: it's added after normalization.
+ *
+ * @see addIntercept
+ *
+ * @param {Object[]} rows Manifest rows
+ * @param {array[]} roiValues Subjects' values ordered by `config.roiKeys`, in
+ * the same order as `rows`
+ * @param {Object} config
+ * @param {string} config.dependent
+ * @param {string[]} config.groups
+ * @param {boolean} config.massUnivariate
+ * @param {(string[]|null)} config.predictors
+ * @param {string[]} config.roiKeys
+ * @returns {Object} `xVals`, a `rows.length`×p matrix, and `yVals`, a row of
+ * values ordered by `getDependentKeys` per subject under
+ * `config.massUnivariate`
+ */
+function getDesignMatrix(rows, roiValues, config) {
+  const predictorKeys = getPredictorKeys(config);
+  const dependentKeys = getDependentKeys(config);
+  const getValues = (keys, row, index) => keys.map(
+    key => getValue(row, roiValues[index], key, config)
+  );
+
+  return {
+    xVals: rows.map((row, index) => getValues(predictorKeys, row, index)),
+    yVals: rows.map((row, index) => (
+      config.massUnivariate ?
+        getValues(dependentKeys, row, index) :
+        getValue(row, roiValues[index], config.dependent, config)
+    )),
+  };
+}
+
+/**
+ * Validate an in-memory design matrix and dependent variable.
+ *
+ * @param {Object} data
+ * @param {array[]} data.xVals n×p design matrix, without an intercept column,
+ * with columns ordered by the predictors' keys
+ * @param {array} data.yVals Dependent variable. Under `config.massUnivariate`,
+ * each subject's values ordered by `getDependentKeys`.
+ * @param {Object} config
+ * @param {boolean} config.massUnivariate
+ * @param {(string[]|null)} config.predictors
+ * @param {string[]} config.roiKeys
+ * @returns {Object} `data`
+ */
+function validateData(data, config) {
+  const predictorKeys = getPredictorKeys(config);
+  const dependentKeys = getDependentKeys(config);
+  const isNumber = value => _.isNumber(value) && isFinite(value);
+
+  if (
+    !data || !Array.isArray(data.xVals) || !data.xVals.length ||
+    !Array.isArray(data.yVals)
+  ) {
+    throw new TypeError('Expected data to have xVals and yVals arrays');
+  }
+  if (data.yVals.length !== data.xVals.length) {
+    throw new Error(
+      `Expected ${data.xVals.length} yVals, one per row, found ` +
+      `${data.yVals.length}`
+    );
+  }
+
+  data.xVals.forEach((row, index) => {
+    if (
+      !Array.isArray(row) ||
+      row.length !== predictorKeys.length ||
+      !row.every(isNumber)
+    ) {
+      throw new Error(
+        `Expected data row ${index + 1} to have ${predictorKeys.length} ` +
+        `numeric values: ${predictorKeys.join(', ')}`
+      );
+    }
+    if (config.massUnivariate) {
+      const yVals = data.yVals[index];
+
+      if (
+        !Array.isArray(yVals) ||
+        yVals.length !== dependentKeys.length ||
+        !yVals.every(isNumber)
+      ) {
+        throw new Error(
+          `Expected data row ${index + 1} to have ${dependentKeys.length} ` +
+          `numeric yVals: ${dependentKeys.join(', ')}`
+        );
+      }
+    } else if (!isNumber(data.yVals[index])) {
+      throw new Error(`Expected data row ${index + 1} to have a numeric yVal`);
+    }
+  });
+
+  return data;
+}
+
+/**
+ * Add an intercept column to a design matrix.
+ *
+ * @param {array[]} xVals
+ * @returns {array[]}
+ */
+function addIntercept(xVals) {
+  return xVals.map(row => [1].concat(row));
+}
+
+module.exports = {
+  /* eslint-disable object-shorthand */
+  GROUP_KEY: GROUP_KEY,
+  INTERCEPT_KEY: INTERCEPT_KEY,
+  addIntercept: addIntercept,
+  getCoefficientKeys: getCoefficientKeys,
+  getDependentKeys: getDependentKeys,
+  getDesignMatrix: getDesignMatrix,
+  getPredictorKeys: getPredictorKeys,
+  validateData: validateData,
+  /* eslint-enable object-shorthand */
+};
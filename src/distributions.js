@@ -0,0 +1,193 @@
+/**
+ * Distributions.
+ *
+ * Student's t distribution functions used for coefficient inference.
+ */
+
+'use strict';
+
+/**
+ * Lanczos approximation coefficients (g = 7, n = 9).
+ *
+ * @type {number[]}
+ */
+const LANCZOS = [
+  0.99999999999980993,
+  676.5203681218851,
+  -1259.1392167224028,
+  771.32342877765313,
+  -176.61502916214059,
+  12.507343278686905,
+  -0.13857109526572012,
+  9.9843695780195716e-6,
+  1.5056327351493116e-7,
+];
+
+/**
+ * Natural logarithm of the gamma function.
+ *
+ * @param {number} value Positive number
+ * @returns {number}
+ */
+function logGamma(value) {
+  if (value < 0.5) {
+    // Reflection formula
+    return Math.log(Math.PI / Math.sin(Math.PI * value)) -
+      logGamma(1 - value);
+  }
+
+  const x = value - 1;
+  const t = x + 7.5;
+  let series = LANCZOS[0];
+
+  for (let i = 1; i < LANCZOS.length; i++) {
+    series += LANCZOS[i] / (x + i);
+  }
+
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t +
+    Math.log(series);
+}
+
+/**
+ * Continued fraction for the incomplete beta function.
+ *
+ * @see {@link http://numerical.recipes/book/book.html} §6.4
+ *
+ * @param {number} x
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function betaContinuedFraction(x, a, b) {
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+
+  let fraction = d;
+
+  for (let m = 1; m <= 300; m++) {
+    const m2 = 2 * m;
+    const even = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+
+    d = 1 + even * d;
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    c = 1 + even / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    fraction *= d * c;
+
+    const odd = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+
+    d = 1 + odd * d;
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    c = 1 + odd / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+
+    const delta = d * c;
+
+    fraction *= delta;
+
+    if (Math.abs(delta - 1) < 1e-15) {
+      break;
+    }
+  }
+
+  return fraction;
+}
+
+/**
+ * Regularized incomplete beta function, Iₓ(a, b).
+ *
+ * @param {number} x Value in [0, 1]
+ * @param {number} a Positive shape
+ * @param {number} b Positive shape
+ * @returns {number}
+ */
+function incompleteBeta(x, a, b) {
+  if (x <= 0) {
+    return 0;
+  }
+  if (x >= 1) {
+    return 1;
+  }
+
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) +
+    a * Math.log(x) + b * Math.log(1 - x)
+  );
+
+  // The continued fraction converges quickly on this side of the mean
+  if (x < (a + 1) / (a + b + 2)) {
+    return front * betaContinuedFraction(x, a, b) / a;
+  }
+
+  return 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+/**
+ * Student's t cumulative distribution function.
+ *
+ * @param {number} t
+ * @param {number} df Degrees of freedom
+ * @returns {number} P(T ≤ t)
+ */
+function studentTCDF(t, df) {
+  const tail = 0.5 * incompleteBeta(df / (df + t * t), df / 2, 0.5);
+
+  return t > 0 ? 1 - tail : tail;
+}
+
+/**
+ * Two-sided p-value of a t-statistic.
+ *
+ * @param {number} t
+ * @param {number} df Degrees of freedom
+ * @returns {number} P(|T| ≥ |t|)
+ */
+function studentTPValue(t, df) {
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+/**
+ * Student's t quantile function.
+ *
+ * Inverts `studentTCDF` by bisection.
+ *
+ * @param {number} probability Value in (0, 1)
+ * @param {number} df Degrees of freedom
+ * @returns {number} t such that P(T ≤ t) = `probability`
+ */
+function studentTQuantile(probability, df) {
+  let lower = -1;
+  let upper = 1;
+
+  while (studentTCDF(lower, df) > probability) {
+    lower *= 2;
+  }
+  while (studentTCDF(upper, df) < probability) {
+    upper *= 2;
+  }
+
+  for (let i = 0; i < 200 && upper - lower > 1e-12; i++) {
+    const middle = (lower + upper) / 2;
+
+    if (studentTCDF(middle, df) < probability) {
+      lower = middle;
+    } else {
+      upper = middle;
+    }
+  }
+
+  return (lower + upper) / 2;
+}
+
+module.exports = {
+  /* eslint-disable object-shorthand */
+  incompleteBeta: incompleteBeta,
+  logGamma: logGamma,
+  studentTCDF: studentTCDF,
+  studentTPValue: studentTPValue,
+  studentTQuantile: studentTQuantile,
+  /* eslint-enable object-shorthand */
+};
@@ -7,11 +7,10 @@
 'use strict';
 
 const _ = require('lodash');
-const async = require('async');
+const adapters = require('./adapters.js');
 const coinstacAlgorithms = require('coinstac-distributed-algorithm-set');
-const Freesurfer = require('freesurfer-parser');
-const fs = require('fs');
 const laplace = coinstacAlgorithms.laplace;
+const prng = require('./prng.js');
 
 /**
  * Sum.
@@ -39,6 +38,81 @@ function mean(values) {
   return sum(values) / count;
 }
 
+/**
+ * Weighted mean.
+ *
+ * @example
+ * weightedMean([0.5, 0.9], [10, 30]);
+ * // => 0.8
+ *
+ * @param {number[]} values
+ * @param {number[]} weights Weight of each value, in the same order
+ * @returns {number}
+ */
+function weightedMean(values, weights) {
+  const totalWeight = sum([0].concat(weights));
+
+  if (!totalWeight) {
+    return mean(values);
+  }
+
+  return values.reduce(
+    (total, value, index) => total + value * weights[index],
+    0
+  ) / totalWeight;
+}
+
+/**
+ * Classification accuracy.
+ *
+ * @param {number[]} labels Group labels coded as `0` or `1`
+ * @param {number[]} probabilities Predicted probabilities of label `1`
+ * @returns {number} Proportion of labels predicted correctly at a 0.5 cutoff
+ */
+function getAccuracy(labels, probabilities) {
+  if (!labels.length) {
+    return 0;
+  }
+
+  return labels.filter(
+    (label, index) => (probabilities[index] >= 0.5 ? 1 : 0) === label
+  ).length / labels.length;
+}
+
+/**
+ * Area under the receiver operating characteristic curve.
+ *
+ * Computed as the Mann–Whitney U statistic: the probability a randomly chosen
+ * subject labeled `1` scores higher than one labeled `0`. Ties count half.
+ *
+ * @param {number[]} labels Group labels coded as `0` or `1`
+ * @param {number[]} scores Predicted probabilities of label `1`
+ * @returns {(number|null)} `null` if either label is missing
+ */
+function getAUC(labels, scores) {
+  const positives = scores.filter((score, index) => labels[index] === 1);
+  const negatives = scores.filter((score, index) => labels[index] === 0);
+
+  if (!positives.length || !negatives.length) {
+    return null;
+  }
+
+  const wins = positives.reduce((total, positive) => total + negatives.reduce(
+    (subtotal, negative) => {
+      if (positive > negative) {
+        return subtotal + 1;
+      } else if (positive === negative) {
+        return subtotal + 0.5;
+      }
+
+      return subtotal;
+    },
+    0
+  ), 0);
+
+  return wins / (positives.length * negatives.length);
+}
+
 /**
  * Get objective function results from each analysis.
  *
@@ -152,11 +226,39 @@ function calculateLaplaceScale(roi, sampleSize, epsilon) {
  * @param {number} roi.max
  * @param {number} sampleSize Number of samples on which the value was computed
  * @param {number} epsilon
+ * @param {function} [random] Seeded generator to draw the noise from. See
+ * `prng.createPrng`. Defaults to `laplace.noise`'s own randomness.
  * @returns {number} The value with noise added
  */
-function addNoise(value, roi, sampleSize, epsilon) {
+function addNoise(value, roi, sampleSize, epsilon, random) {
   const scale = calculateLaplaceScale(roi, sampleSize, epsilon);
-  return value + laplace.noise(scale);
+  return value +
+    (random ? prng.laplaceNoise(scale, random) : laplace.noise(scale));
+}
+
+/**
+ * Clip values to a maximum L1 norm.
+ *
+ * Values are scaled down proportionally so the sum of their absolute values is
+ * at most `bound`. Used to limit a single subject's contribution before adding
+ * Laplace noise.
+ *
+ * @example
+ * clipL1Norm([3, -1], 2);
+ * // => [1.5, -0.5]
+ *
+ * @param {number[]} values
+ * @param {number} bound Maximum L1 norm
+ * @returns {number[]} Clipped values
+ */
+function clipL1Norm(values, bound) {
+  const norm = _.sumBy(values, Math.abs);
+
+  if (norm <= bound) {
+    return values.slice();
+  }
+
+  return values.map(value => value * bound / norm);
 }
 
 /**
@@ -191,15 +293,43 @@ function getRoiValues(analyses, roiKeys) {
   });
 }
 
+/**
+ * Format rows as CSV.
+ *
+ * Values containing commas, quotes or line breaks are quoted. `null` and
+ * `undefined` are empty.
+ *
+ * @example
+ * formatCSV([['file', 'Left-Hippocampus'], ['S 01, a.txt', 4065.7]]);
+ * // => 'file,Left-Hippocampus\n"S 01, a.txt",4065.7\n'
+ *
+ * @param {array[]} rows
+ * @returns {string}
+ */
+function formatCSV(rows) {
+  const formatValue = value => {
+    const string = value === null || _.isUndefined(value) ? '' : String(value);
+
+    return /[",\r\n]/.test(string) ?
+      `"${string.replace(/"/g, '""')}"` :
+      string;
+  };
+
+  return rows.map(row => `${row.map(formatValue).join(',')}\n`).join('');
+}
+
 /**
  * Get a remote result seed based.
  *
  * @param {Object} options
  * @param {number} options.learningRate
+ * @param {function} [options.random=Math.random] Generator the initial
+ * `mVals` are drawn from. See `prng.createPrng`.
  * @param {string[]} options.roiKeys
  * @returns {Object}
  */
 function getRemoteSeed(options) {
+  const random = options.random || Math.random;
   const seed = {
     gradient: {},
     iterationCount: 0,
@@ -216,14 +346,29 @@ function getRemoteSeed(options) {
 
   options.roiKeys.forEach(key => {
     seed.gradient[key] = seed.previousBestFit.gradient[key] = 0;
-    seed.mVals[key] = seed.previousBestFit.mVals[key] = Math.random();
+    seed.mVals[key] = seed.previousBestFit.mVals[key] = random();
   });
 
   return seed;
 }
 
-function markRemoteComplete(remoteResult) {
-  return _.assign({}, remoteResult, { complete: true });
+/**
+ * Mark a remote result as complete.
+ *
+ * @param {Object} remoteResult
+ * @param {string} [reason] Why the computation stopped. One of
+ * `'converged'`, `'max-iterations'`, `'privacy-budget-exhausted'` or
+ * `'solved'`.
+ * @returns {Object}
+ */
+function markRemoteComplete(remoteResult, reason) {
+  const result = _.assign({}, remoteResult, { complete: true });
+
+  if (reason) {
+    result.completionReason = reason;
+  }
+
+  return result;
 }
 
 /**
@@ -294,51 +439,33 @@ function pickOrderedValues(order, values, strict) {
  *   }
  * );
  *
- * @todo Figure out how to cache files' FreeSurfer analysis
+ * @see adapters.readROIs
+ * @see cache.createCache
  *
- * @param {string[]} filenames Collection of full paths to Freesurfer files
+ * @param {string[]} filenames Collection of full paths to Freesurfer files, or
+ * files in any format `adapters` chooses by extension
  * @param {string[]} roiKeys Freesurfer regions of interest (predictors?)
+ * @param {Object} [cache] Parse cache. Files are parsed every call without
+ * one.
  * @param {function} callback Node-style callback. Returns a collection of
  * region-of-interest values.
  */
-function getROIsFromFiles(filenames, roiKeys, callback) {
-  async.waterfall([
-    // Read files' contents
-    (cb1) => async.map(
-      filenames,
-      (filename, cb) => fs.readFile(filename, 'utf-8', cb),
-      cb1
-    ),
-
-    // Convert blobs to usable strings
-    (blobs, cb2) => async.map(blobs, blob => blob.toString(), cb2),
-
-    // Find regions of interest (ROIs) with the Freesurfer parser
-    (contents, cb3) => async.map(
-      contents,
-      (content, cb3a) => { // eslint-disable-line consistent-return
-        const freesurfer = new Freesurfer({
-          string: content,
-        });
-
-        try {
-          freesurfer.validate();
-        } catch (error) {
-          return cb3a(error);
-        }
-
-        cb3a(null, pickOrderedValues(roiKeys, freesurfer));
-      },
-      cb3
-    ),
-    callback,
-  ]);
+function getROIsFromFiles(filenames, roiKeys, cache, callback) {
+  adapters.readROIs(
+    filenames,
+    roiKeys,
+    { cache: _.isFunction(cache) ? null : cache },
+    _.isFunction(cache) ? cache : callback
+  );
 }
 
 module.exports = {
   /* eslint-disable object-shorthand */
   mean: mean,
   sum: sum,
+  weightedMean: weightedMean,
+  getAccuracy: getAccuracy,
+  getAUC: getAUC,
   getObjectiveValues: getObjectiveValues,
   unzipRoiKeyPairs: unzipRoiKeyPairs,
   zipRoiKeyPairs: zipRoiKeyPairs,
@@ -348,6 +475,8 @@ module.exports = {
   calculateSensitivity: calculateSensitivity,
   calculateLaplaceScale: calculateLaplaceScale,
   addNoise: addNoise,
+  clipL1Norm: clipL1Norm,
+  formatCSV: formatCSV,
   getRoiValues: getRoiValues,
   getRemoteSeed: getRemoteSeed,
   getROIsFromFiles: getROIsFromFiles,
@@ -0,0 +1,94 @@
+/**
+ * Convergence history.
+ *
+ * The remote result keeps a compact entry per iteration so a completed run
+ * shows how it converged. Each entry has:
+ *
+ * * `accepted`: Whether the evaluation became the `previousBestFit`. Rejected
+ *   steps had a higher objective than the best fit so far.
+ * * `gradientNorm`: The aggregate gradient's L2 norm
+ * * `iterationCount`: The iteration whose `mVals` were evaluated
+ * * `learningRate`: The optimizer's learning rate after the step
+ * * `objective`: The aggregate objective
+ * * `r2`: Sites' r², pooled with `weighted` aggregation
+ */
+
+'use strict';
+
+const helpers = require('./helpers.js');
+
+/**
+ * History columns, in export order.
+ *
+ * @type {string[]}
+ */
+const HISTORY_KEYS = [
+  'iterationCount',
+  'objective',
+  'gradientNorm',
+  'learningRate',
+  'r2',
+  'accepted',
+];
+
+/**
+ * Export formats.
+ *
+ * @type {string[]}
+ */
+const FORMATS = ['csv', 'json'];
+
+/**
+ * Append an entry to a history.
+ *
+ * @param {Object[]} history
+ * @param {Object} entry
+ * @param {(number|null)} size Keep at most this many of the latest entries.
+ * `null` keeps them all.
+ * @returns {Object[]} New history
+ */
+function appendHistory(history, entry, size) {
+  const appended = history.concat(entry);
+
+  return size === null || appended.length <= size ?
+    appended :
+    appended.slice(appended.length - size);
+}
+
+/**
+ * Export a history for plotting.
+ *
+ * @example
+ * exportHistory(remoteResult.history, 'csv');
+ * // => 'iterationCount,objective,gradientNorm,learningRate,r2,accepted\n0,...'
+ *
+ * @param {Object[]} history
+ * @param {string} format One of `FORMATS`
+ * @returns {string}
+ */
+function exportHistory(history, format) {
+  if (!Array.isArray(history)) {
+    throw new TypeError('Expected history to be an array');
+  }
+
+  if (format === 'csv') {
+    return helpers.formatCSV([HISTORY_KEYS].concat(
+      history.map(entry => HISTORY_KEYS.map(key => entry[key]))
+    ));
+  } else if (format === 'json') {
+    return `${JSON.stringify(history, null, 2)}\n`;
+  }
+
+  throw new Error(
+    `Unknown history format '${format}'. Expected one of: ${FORMATS.join(', ')}`
+  );
+}
+
+module.exports = {
+  /* eslint-disable object-shorthand */
+  FORMATS: FORMATS,
+  HISTORY_KEYS: HISTORY_KEYS,
+  appendHistory: appendHistory,
+  exportHistory: exportHistory,
+  /* eslint-enable object-shorthand */
+};
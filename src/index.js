@@ -1,231 +1,1297 @@
 'use strict';
 
+const _ = require('lodash');
+const accountant = require('./accountant.js');
+const adapters = require('./adapters.js');
 const async = require('async');
+const cache = require('./cache.js');
+const createConfig = require('./config.js').createConfig;
+const design = require('./design.js');
 const helpers = require('./helpers.js');
-const isEqual = require('lodash/isEqual');
+const manifest = require('./manifest.js');
+const masking = require('./masking.js');
+const models = require('./models.js');
+const normalization = require('./normalization.js');
+const phases = require('./phases.js');
 const pkg = require('../package.json');
+const prng = require('./prng.js');
+const quorum = require('./quorum.js');
+const regularization = require('./regularization.js');
 const runners = require('./runners.js');
+const schemas = require('./schemas.js');
+const univariate = require('./univariate.js');
+const validation = require('./validation.js');
 
 /**
- * Algorithm-specific constants.
+ * Create a multishot computation definition.
  *
- * The following variables are non-changing values applied to every computation.
+ * @example
+ * createMultishot({
+ *   learningRate: 0.5,
+ *   roiKeys: ['Left-Hippocampus', 'Right-Hippocampus'],
+ * });
+ * // => { cache, label, local, name, remote, version }
  *
- * @todo Figure out how to vary these – especially `ROI_KEYS` per distributed
- * computation run.
- */
-
-/**
- * Epsilon. This value is used when calculating Laplacian noise.
- *
- * @todo Figure out how to integrate into multishot.
+ * @see config.createConfig
  *
- * @type {number}
+ * @param {Object} [options] Computation options. These are validated and
+ * defaulted by `config.createConfig`.
+ * @returns {Object} COINSTAC computation definition. Its `cache` is the parse
+ * cache, or `null` if the `cache` option is off.
  */
-const EPSILON = 1; // eslint-disable-line no-unused-vars
+function createMultishot(options) {
+  const config = createConfig(options);
 
-/**
- * Initial learning rate. Used to seed the remote computation.
- *
- * @type {number}
- */
-const INITIAL_LEARNING_RATE = 0.7;
+  /**
+   * Names of the model's coefficients. These key the `mVals` and `gradient`
+   * values shared between sites and the remote.
+   *
+   * @type {string[]}
+   */
+  const coefficientKeys = design.getCoefficientKeys(config);
 
-/**
- * Maximum iteration count. Used in the `remote.fn` function to ensure the
- * iteration doesn’t continue indefinitely.
- *
- * @type {number}
- */
-const MAX_ITERATION_COUNT = 200;
+  /**
+   * Names of the dependent variables: one per model under `massUnivariate`.
+   *
+   * @type {string[]}
+   */
+  const dependentKeys = design.getDependentKeys(config);
 
-/**
- * Region of interest keys. These correspond with Freesurfer “predictors.”
- *
- * @type {string[]}
- */
-const ROI_KEYS = ['Left-Hippocampus'];
+  /**
+   * Options for `runners.computeRegression`.
+   *
+   * @type {Object}
+   */
+  const regressionOptions = {
+    intercept: config.intercept,
+    model: config.model,
+  };
 
-/**
- * Tolerance. Used to stop the `remote.fn` if the square root of the sum of
- * squares of the aggregate gradient falls below this value.
- *
- * @see runners/computeAggregate
- *
- * @type {number}
- */
-const TOLERANCE = 1e-5;
+  /**
+   * Variables standardized by global normalization.
+   *
+   * @see normalization.computeMoments
+   *
+   * @type {Object}
+   */
+  const normalizationOptions = {
+    dependent: models[config.model].normalizeDependent ? config.dependent : null,
+    predictorKeys: design.getPredictorKeys(config),
+  };
 
-/**
- * Multishot.
- * @module
- */
-module.exports = {
-  label: pkg.description,
-  local: {
-    type: 'function',
+  /**
+   * Options for the privacy accountant.
+   *
+   * @see accountant.canSpend
+   *
+   * @type {Object}
+   */
+  const accounting = {
+    budget: config.privacyBudget,
+    composition: config.composition,
+    delta: config.delta,
+  };
+
+  /**
+   * Whether the remote runs a final inference round. Sufficient statistics
+   * aren't noised, so this is skipped under differential privacy. Standard
+   * errors assume an unpenalized fit, so it's skipped with a penalty too.
+   *
+   * @type {boolean}
+   */
+  const runsInference =
+    config.inference &&
+    config.model === 'ridge' &&
+    !config.differentialPrivacy &&
+    !config.lambda &&
+    !config.lambdas;
+
+  /**
+   * Whether the remote fits each of `lambdas` in turn.
+   *
+   * @see regularization
+   *
+   * @type {boolean}
+   */
+  const searchesIteratively = !!config.lambdas && config.mode !== 'exact';
+
+  /**
+   * Get the penalty the remote is fitting.
+   *
+   * @param {Object} remoteResult
+   * @returns {number}
+   */
+  const getLambda = remoteResult => (
+    _.has(remoteResult, 'lambda') ? remoteResult.lambda : config.lambda
+  );
+
+  /**
+   * Parsed Freesurfer files, shared by every iteration.
+   *
+   * @see cache.createCache
+   *
+   * @type {(Object|null)}
+   */
+  const parseCache = config.cache ?
+    cache.createCache({ directory: config.cacheDirectory }) :
+    null;
+
+  /**
+   * Sites' private keys for secure aggregation.
+   *
+   * @see masking.createKeyStore
+   *
+   * @type {Object}
+   */
+  const keyStore = masking.createKeyStore();
+
+  /**
+   * Label a round for masking. Masks are derived from this, so it must differ
+   * every round.
+   *
+   * @param {Object} remoteResult
+   * @returns {string}
+   */
+  const getMaskingRound = remoteResult => (
+    `${remoteResult.iterationCount}:${remoteResult.phase || 'fit'}`
+  );
+
+  /**
+   * Read a site's design matrix and dependent variable.
+   *
+   * @param {Object} params Local computation parameters
+   * @param {Object} [params.data] In-memory `xVals` and `yVals`, used instead
+   * of the site's files
+   * @param {string[]} params.filenames
+   * @param {string} [params.manifest]
+   * @param {function} callback Node-style callback, called with `xVals` and
+   * `yVals`
+   */
+  const readDesign = (params, callback) => { // eslint-disable-line consistent-return
+    if (params.data) {
+      try {
+        return callback(null, design.validateData(params.data, config));
+      } catch (error) {
+        return callback(error);
+      }
+    }
 
     /**
-     * Local computation function.
+     * The site's subject manifest maps ROI files to subjects, group
+     * labels and covariates. It's either passed explicitly or included in the
+     * site's files.
      *
-     * @see `LocalPipelineRunner#run`
+     * @see manifest
      *
-     * @param {Object} params
-     * @param {string[]} params.filenames
-     * @param {string} params.previousData
-     * @param {string} params.remoteResult
-     * @param {string} params.result
-     * @param {string} params.username
-     * @param {function} callback Node-style callback
+     * @type {(string|undefined)}
+     */
+    const manifestFilename =
+      params.manifest || manifest.findManifest(params.filenames);
+
+    if (!manifestFilename) {
+      const expected = manifest.MANIFEST_FILENAMES.join(', ');
+
+      return callback(new Error(
+        `Expected a subject manifest named one of: ${expected}`
+      ));
+    }
+
+    async.waterfall(
+      [
+        (cb1) => manifest.readManifest(
+          manifestFilename,
+          { groups: config.groups },
+          cb1
+        ),
+        (rows, cb2) => adapters.readROIs(
+          rows.map(row => _.pick(row, ['file', 'subject'])),
+          config.roiKeys,
+          { cache: parseCache, format: config.inputFormat },
+          (error, roiValues) => { // eslint-disable-line consistent-return
+            if (error) {
+              return cb2(error);
+            }
+
+            try {
+              cb2(null, design.getDesignMatrix(rows, roiValues, config));
+            } catch (designError) {
+              cb2(designError);
+            }
+          }
+        ),
+      ],
+      callback
+    );
+  };
+
+  /**
+   * Options that standardize with the consortium's normalization, once the
+   * remote shares it.
+   *
+   * @param {Object} remoteResult
+   * @returns {Object} Options for `runners.computeRegression` and
+   * `runners.computeStatistics`
+   */
+  const getSharedNormalization = remoteResult => {
+    const sharedOptions = {};
+
+    if (remoteResult.normalization) {
+      sharedOptions.normalization = normalization.getColumnNormalization(
+        remoteResult.normalization,
+        normalizationOptions
+      );
+    }
+
+    return sharedOptions;
+  };
+
+  /**
+   * Read a site's design and split off the subjects it holds out of fitting.
+   *
+   * @see validation.splitHoldout
+   *
+   * @param {Object} params Local computation parameters
+   * @param {function} callback Node-style callback, called with `holdout` and
+   * `training` designs
+   */
+  const readSplitDesign = (params, callback) => readDesign(
+    params,
+    (error, results) => { // eslint-disable-line consistent-return
+      if (error) {
+        return callback(error);
+      }
+
+      let split;
+
+      try {
+        split = validation.splitHoldout(results, config.holdoutFraction);
+      } catch (splitError) {
+        return callback(splitError);
+      }
+
+      callback(null, split);
+    }
+  );
+
+  /**
+   * Wrap a local handler so it's also called with the subjects the site fits
+   * the model on.
+   *
+   * @param {function} handler Called with the context, the site's `xVals`
+   * and `yVals`, and a callback
+   * @returns {function} Local handler
+   */
+  const withDesign = handler => (context, callback) => readSplitDesign(
+    context.params,
+    (error, split) => (
+      error ? callback(error) : handler(context, split.training, callback)
+    )
+  );
+
+  /**
+   * Share sufficient statistics instead of a gradient, for every ROI under
+   * `massUnivariate`.
+   *
+   * @type {function}
+   */
+  const shareStatistics = withDesign((context, results) => {
+    const statisticsOptions = _.assign(
+      { intercept: config.intercept },
+      getSharedNormalization(context.params.remoteResult)
+    );
+
+    context.send(_.assign(
+      config.massUnivariate ?
+        univariate.computeStatistics(
+          results.xVals,
+          results.yVals,
+          dependentKeys,
+          statisticsOptions
+        ) :
+        runners.computeStatistics(
+          results.xVals,
+          results.yVals,
+          statisticsOptions
+        ),
+      { previousAggregateMVals: context.aggregateMVals }
+    ));
+  });
+
+  /**
+   * The computation's phases. Secure aggregation starts with a key exchange,
+   * and global normalization with a normalization round. Exact mode solves
+   * the model, with its inference, in a single `statistics` round. Sites
+   * that hold subjects out evaluate the model on them last. An iterative
+   * `lambdas` search returns from `validation` to `fit` for each penalty.
+   *
+   * Local handlers are called with the site's `aggregateMVals`, its `params`
+   * and `previousData`, and `send`, which masks a result under secure
+   * aggregation. Remote handlers are called with the remote's `previousData`,
+   * the round's `userResults` and sites' `participation`, and `advance`,
+   * `finish` and `withPrivacySpent`.
+   *
+   * @see phases.createPhaseMachine
+   *
+   * @type {Object}
+   */
+  const machine = phases.createPhaseMachine([
+    config.secureAggregation ? 'keys' : null,
+    config.normalization === 'global' ? 'normalization' : null,
+    config.mode === 'exact' ? 'statistics' : 'fit',
+    config.mode !== 'exact' && runsInference ? 'inference' : null,
+    config.holdoutFraction ? 'validation' : null,
+  ].filter(Boolean));
+
+  machine.register('init', {
+    /**
+     * Seed the remote result, starting a search with the first penalty. The
+     * random seed is recorded so the run can be replayed, unless sites add
+     * differential privacy noise: it's never seeded, so the remote can't
+     * recompute and remove it.
+     */
+    remote: context => {
+      const randomSeed =
+        config.randomSeed === null ? prng.createSeed() : config.randomSeed;
+
+      context.advance(_.assign(
+        helpers.getRemoteSeed({
+          learningRate: config.learningRate,
+          random: prng.createPrng(randomSeed),
+          roiKeys: coefficientKeys,
+        }),
+        {
+          /* eslint-disable object-shorthand */
+          randomSeed: randomSeed,
+          replayable: !config.differentialPrivacy,
+          /* eslint-enable object-shorthand */
+        },
+        searchesIteratively ? { lambda: config.lambdas[0] } : {}
+      ));
+    },
+  });
+
+  machine.register('keys', {
+    // Share a public key to set up secure aggregation
+    local: (context, callback) => callback(null, {
+      previousAggregateMVals: context.aggregateMVals,
+      publicKey: keyStore.getPublicKey(context.params.username),
+      username: context.params.username,
+    }),
+
+    // Share sites' public keys so they can derive pairwise seeds
+    remote: context => context.advance(_.assign({}, context.previousData, {
+      publicKeys: _.zipObject(
+        _.map(context.userResults, 'username'),
+        _.map(context.userResults, 'publicKey')
+      ),
+    })),
+  });
+
+  machine.register('normalization', {
+    // Share moments for the consortium's normalization
+    local: withDesign((context, results) => context.send(_.assign(
+      normalization.computeMoments(
+        results.xVals,
+        results.yVals,
+        normalizationOptions
+      ),
+      { previousAggregateMVals: context.aggregateMVals }
+    ))),
+
+    // Share the consortium's normalization, then start fitting
+    remote: context => context.advance(_.assign({}, context.previousData, {
+      normalization: normalization.getNormalization(
+        context.userResults,
+        normalizationOptions
+      ),
+    })),
+  });
+
+  machine.register('statistics', {
+    local: shareStatistics,
+
+    /**
+     * Solve the normal equations, completing after one round. A search
+     * solves every penalty, and validation picks between them. Under
+     * `massUnivariate`, every ROI is solved and `mVals` are the first ROI's.
      */
-    fn: (params, callback) => { // eslint-disable-line consistent-return
-      // Don’t do anything if there isn’t a remote result
-      if (!params.remoteResult) {
-        return callback(null, null);
+    remote: (context, callback) => { // eslint-disable-line consistent-return
+      const userResults = config.massUnivariate ?
+        univariate.getROIResults(context.userResults, dependentKeys[0]) :
+        context.userResults;
+      const solve = lambda => runners.computeExactAggregate(
+        userResults,
+        coefficientKeys,
+        lambda
+      );
+      let exactResult;
+
+      try {
+        exactResult = solve(config.lambdas ? config.lambdas[0] : config.lambda);
+
+        if (config.massUnivariate) {
+          exactResult.massUnivariate = univariate.computeTable(
+            context.userResults,
+            coefficientKeys,
+            dependentKeys,
+            config.confidenceLevel,
+            config.normalization
+          );
+        }
+
+        if (config.lambdas) {
+          exactResult.regularizationPath = config.lambdas.map(lambda => _.assign(
+            { lambda: lambda }, // eslint-disable-line object-shorthand
+            _.omit(solve(lambda), 'sampleSize')
+          ));
+        }
+
+        if (runsInference && !config.massUnivariate) {
+          exactResult.inference = runners.computeInference(
+            context.userResults,
+            exactResult.mVals,
+            coefficientKeys,
+            config.confidenceLevel,
+            config.normalization
+          );
+        }
+      } catch (error) {
+        return callback(error);
+      }
+
+      context.advance(
+        _.assign(
+          { iterationCount: context.previousData.iterationCount + 1 },
+          exactResult,
+          _.pick(context.previousData, ['normalization', 'randomSeed', 'replayable'])
+        ),
+        'solved'
+      );
+    },
+  });
+
+  /**
+   * Epsilon a site has spent in previous rounds.
+   *
+   * @param {(Object|undefined)} previousData The site's previous result
+   * @returns {number[]}
+   */
+  const getPrivacyLedger = previousData => (
+    (previousData && previousData.privacyLedger) || []
+  );
+
+  /**
+   * Share a gradient, noised under differential privacy.
+   *
+   * @type {function}
+   */
+  const shareGradient = withDesign((context, results) => { // eslint-disable-line consistent-return, max-len
+    if (!config.differentialPrivacy) {
+      return context.send(runners.computeRegression(
+        results.xVals,
+        results.yVals,
+        context.aggregateMVals,
+        coefficientKeys,
+        _.assign(
+          {},
+          regressionOptions,
+          getSharedNormalization(context.params.remoteResult)
+        )
+      ));
+    }
+
+    const newLedger = accountant.record(
+      getPrivacyLedger(context.previousData),
+      config.epsilon
+    );
+
+    context.send(_.assign(
+      runners.computeRegression(
+        results.xVals,
+        results.yVals,
+        context.aggregateMVals,
+        coefficientKeys,
+        _.assign({}, regressionOptions, {
+          privacy: {
+            clipBound: config.clipBound,
+            epsilon: config.epsilon,
+          },
+        })
+      ),
+      {
+        privacyLedger: newLedger,
+        privacySpent: accountant.getSpent(newLedger, accounting),
       }
+    ));
+  });
 
-      const filenames = params.filenames;
+  machine.register('fit', {
+    local: (context, callback) => { // eslint-disable-line consistent-return
+      const privacyLedger = getPrivacyLedger(context.previousData);
+
+      // Refuse to release another noisy result beyond the privacy budget
+      if (
+        config.differentialPrivacy &&
+        !accountant.canSpend(privacyLedger, config.epsilon, accounting)
+      ) {
+        return callback(null, {
+          budgetExhausted: true,
+          previousAggregateMVals: context.aggregateMVals,
+          privacyLedger: privacyLedger, // eslint-disable-line object-shorthand
+          privacySpent: accountant.getSpent(privacyLedger, accounting),
+        });
+      }
+
+      shareGradient(context, callback);
+    },
+
+    remote: (context, callback) => { // eslint-disable-line consistent-return
+      const previousData = context.previousData;
+      const lambda = getLambda(previousData);
 
       /**
-       * The remote result's mVals are stored as such:
-       *
-       * {
-       *   'Left-Hippocampus': 100,
-       *   'Right-Hippocampus': 101,
-       *   //...
-       * }
+       * Complete the fit, moving on to a later phase at its final
+       * coefficients. A search records them on the regularization path, and
+       * its completion reason comes from the penalty it picks.
        *
-       * The regression computation expects these to be a 1-dimensional in the
-       * order of `ROI_KEYS`.
-       *
-       * @type {number[]}
+       * @param {Object} result
+       * @param {string} reason
+       * @param {Object} mVals Final coefficients
        */
-      const aggregateMVals = helpers.pickOrderedValues(
-        ROI_KEYS,
-        params.remoteResult.mVals
-      );
+      const complete = (result, reason, mVals) => { // eslint-disable-line consistent-return
+        if (machine.getNextPhase('fit') === 'done') {
+          return context.advance(result, reason);
+        }
+        if (!searchesIteratively) {
+          return context.advance(
+            _.assign({}, result, { mVals: mVals }), // eslint-disable-line object-shorthand
+            reason
+          );
+        }
 
-      const previousData = params.previousData;
-      const controls = [];
-      const patients = [];
+        context.advance(_.assign({}, result, {
+          /* eslint-disable object-shorthand */
+          mVals: mVals,
+          regularizationPath: (result.regularizationPath || []).concat({
+            completionReason: reason,
+            iterationCount: result.iterationCount,
+            lambda: lambda,
+            mVals: mVals,
+          }),
+          /* eslint-enable object-shorthand */
+        }));
+      };
 
       /**
-       * Don’t calculate a regression if the last aggregate mVals (stored on the
-       * previous result) match this run's aggregate mVals.
-       *
-       * @todo  Ensure this check is necessary.
+       * Signal to the pipeline runner to mark as 'complete' if maximum
+       * iteraction count is exceeded. A search counts each penalty's
+       * iterations separately.
        */
       if (
-        previousData &&
-        isEqual(previousData.previousAggregateMVals, aggregateMVals)
+        previousData.iterationCount - regularization.getPathStart(previousData) >=
+        config.maxIterationCount
       ) {
-        return callback(null, null);
+        return complete(
+          previousData,
+          'max-iterations',
+          previousData.previousBestFit.mVals
+        );
       }
 
       /**
-       * @todo This filter’s a user’s files based on the presense of one of the
-       * keywords “control” or “patient” in the file path. If one of these isn’t
-       * found it throws an error.
-       *
-       * Figure out how to make this controlled by the user via COINSTAC’s UI.
+       * A site dropping out or rejoining changes what the objective sums, so
+       * the previous best fit's can't be compared with it. Descend afresh
+       * from the current coefficients.
        */
-      for (var i = 0, il = filenames.length; i < il; i++) { // eslint-disable-line
-        if (filenames[i].indexOf('controls')) {
-          controls.controls.push(filenames[i]);
-        } else if (filenames[i].indexOf('patients')) {
-          patients.patients.push(filenames[i]);
-        } else {
-          return callback(new Error(
-            `Expected file path “${filenames[i]}” to contain either “controls”
-            or “patients”.`
-          ));
-        }
-      }
+      const aggregateFrom = quorum.hasChangedContributors(context.participation) ?
+        _.assign(_.omit(previousData, 'optimizerState'), {
+          learningRate: config.learningRate,
+          previousBestFit: _.assign({}, previousData.previousBestFit, {
+            objective: Infinity,
+          }),
+        }) :
+        previousData;
+      let newResult;
 
-      async.series(
-        {
-          controls: (cb1) => helpers.getROIsFromFiles(controls, ROI_KEYS, cb1),
-          patients: (cb2) => helpers.getROIsFromFiles(patients, ROI_KEYS, cb2),
-        },
-        (error, results) => { // eslint-disable-line consistent-return
-          if (error) {
-            return callback(error);
+      try {
+        newResult = runners.computeAggregate(
+          aggregateFrom,
+          context.userResults,
+          config.tolerance,
+          coefficientKeys,
+          {
+            aggregation: config.aggregation,
+            anomalyThreshold: config.anomalyThreshold,
+            clipNorm: config.clipNorm,
+            historySize: config.historySize,
+            lambda: lambda, // eslint-disable-line object-shorthand
+            localMeans: config.differentialPrivacy,
+            optimizer: config.optimizer,
+            optimizerOptions: config.optimizerOptions,
+            resolution: config.secureAggregation ?
+              masking.getResolution(_.size(previousData.publicKeys)) :
+              0,
+            trimFraction: config.trimFraction,
           }
+        );
+      } catch (error) {
+        return callback(error);
+      }
 
-          callback(null, runners.computeRegression(
-            results.controls, // xVals?
-            results.patients, // yVals?
-            aggregateMVals,
-            ROI_KEYS
-          ));
-        }
-      );
+      /**
+       * Signal to the pipeline runner to mark as 'complete' if
+       * `computeAggregate` signals to stop:
+       */
+      if (newResult.converged) {
+        return complete(
+          _.assign({}, previousData, { history: newResult.history }),
+          'converged',
+          previousData.mVals
+        );
+      }
+
+      callback(null, context.withPrivacySpent(_.assign(
+        newResult,
+        _.pick(previousData, [
+          'lambda',
+          'normalization',
+          'phase',
+          'publicKeys',
+          'randomSeed',
+          'regularizationPath',
+          'replayable',
+        ])
+      )));
     },
-  },
-  name: pkg.name,
-  remote: {
-    type: 'function',
+  });
+
+  machine.register('inference', {
+    local: shareStatistics,
 
     /**
-     * Remote computation function.
-     *
-     * @see `RemotePipelineRunner#_run`
-     *
-     * @param {Object} params
-     * @param {(Object|undefined)} params.previousData
-     * @param {Object} params.result ???
-     * @param {Object[]} params.userResults
-     * @param {function} callback
+     * Sites have shared sufficient statistics at the final coefficients.
+     * Complete with their inference.
+     */
+    remote: (context, callback) => { // eslint-disable-line consistent-return
+      let inference;
+
+      try {
+        inference = runners.computeInference(
+          context.userResults,
+          context.previousData.mVals,
+          coefficientKeys,
+          config.confidenceLevel,
+          config.normalization
+        );
+      } catch (error) {
+        return callback(error);
+      }
+
+      context.advance(_.assign(
+        {},
+        context.previousData,
+        { inference: inference } // eslint-disable-line object-shorthand
+      ));
+    },
+  });
+
+  /**
+   * Get the normalization held-out subjects are standardized with: the
+   * consortium's, or the site's own over the subjects it fit on.
+   *
+   * @param {Object} remoteResult
+   * @param {Object} training Site's `xVals` and `yVals` used for fitting
+   * @returns {Object} Column normalization
+   */
+  const getValidationNormalization = (remoteResult, training) => {
+    const shared = remoteResult.normalization || normalization.getNormalization(
+      [normalization.computeMoments(
+        training.xVals,
+        training.yVals,
+        normalizationOptions
+      )],
+      normalizationOptions
+    );
+
+    return normalization.getColumnNormalization(shared, normalizationOptions);
+  };
+
+  /**
+   * Start fitting the next penalty in a search from the last one's final
+   * coefficients, with the optimizer reset. The iteration count moves on so
+   * the round's masks differ from the last fit's.
+   *
+   * @param {Object} previousData Remote result with a validated path
+   * @param {number} lambda
+   * @returns {Object} Remote result
+   */
+  const restartFit = (previousData, lambda) => {
+    const seed = helpers.getRemoteSeed({
+      learningRate: config.learningRate,
+      roiKeys: coefficientKeys,
+    });
+
+    return _.assign(
+      seed,
+      _.pick(previousData, [
+        'flaggedSites',
+        'history',
+        'normalization',
+        'publicKeys',
+        'randomSeed',
+        'regularizationPath',
+        'replayable',
+      ]),
+      {
+        /* eslint-disable object-shorthand */
+        iterationCount: previousData.iterationCount + 1,
+        lambda: lambda,
+        mVals: previousData.mVals,
+        phase: 'fit',
+        previousBestFit: _.assign(seed.previousBestFit, {
+          mVals: previousData.mVals,
+        }),
+        /* eslint-enable object-shorthand */
+      }
+    );
+  };
+
+  machine.register('validation', {
+    /**
+     * Evaluate the final coefficients on the subjects held out of fitting,
+     * or on every subject if the site holds none out. They're standardized
+     * like the subjects the model was fit on. Per-site errors are the point
+     * of validation, so they aren't masked. A search evaluates each penalty
+     * on the path that hasn't been validated yet.
      */
-    fn: (params, callback) => { // eslint-disable-line consistent-return
-      const previousData = params.previousData;
-      const userResults = params.userResults;
-
-      // Seed remote result if there's no previous result
-      if (!previousData) {
-        return callback(null, helpers.getRemoteSeed({
-          learningRate: INITIAL_LEARNING_RATE,
-          roiKeys: ROI_KEYS,
+    local: (context, callback) => readSplitDesign(
+      context.params,
+      (error, split) => { // eslint-disable-line consistent-return
+        if (error) {
+          return callback(error);
+        }
+
+        const evaluated = config.holdoutFraction ? split.holdout : split.training;
+        const validationOptions = _.assign({}, regressionOptions, {
+          normalization: getValidationNormalization(
+            context.params.remoteResult,
+            split.training
+          ),
+        });
+        const evaluate = mVals => validation.computeValidation(
+          evaluated.xVals,
+          evaluated.yVals,
+          mVals,
+          coefficientKeys,
+          validationOptions
+        );
+        const pending =
+          _.reject(context.params.remoteResult.regularizationPath, 'validation');
+        let result;
+
+        if (pending.length) {
+          result = {
+            pathValidations: pending.map(entry => evaluate(
+              helpers.pickOrderedValues(coefficientKeys, entry.mVals)
+            )),
+            sampleSize: evaluated.yVals.length,
+          };
+        } else {
+          result = evaluate(context.aggregateMVals);
+        }
+
+        callback(null, _.assign(result, {
+          previousAggregateMVals: context.aggregateMVals,
         }));
       }
+    ),
 
-      if (
-        // Wait for user results
-        (!Array.isArray(userResults) || !userResults.length) ||
+    /**
+     * Report sites' out-of-sample errors and complete. A search validates
+     * the penalties on its path, then fits the next penalty or completes
+     * with the best.
+     */
+    remote: (context, callback) => { // eslint-disable-line consistent-return
+      const previousData = context.previousData;
+      const pending = _.reject(previousData.regularizationPath, 'validation');
 
-        // Wait for user results to sync to last aggregate's mVals
-        !userResults
-          .map(r => r.previousAggregateMVals)
-          .every(userMVals => isEqual(userMVals, previousData.mVals))
-      ) {
-        return callback(null, null);
+      if (!pending.length) {
+        return context.advance(_.assign({}, previousData, {
+          validation: validation.poolValidation(context.userResults),
+        }));
       }
 
-      /**
-       * Signal to the pipeline runner to mark as 'complete' if maximum
-       * iteraction count is exceeded
-       */
-      if (previousData.iterationCount >= MAX_ITERATION_COUNT) {
-        return callback(null, helpers.markRemoteComplete(previousData));
+      const validations =
+        regularization.poolPathValidations(context.userResults, pending.length);
+      const path = _.filter(previousData.regularizationPath, 'validation').concat(
+        pending.map((entry, index) => _.assign({}, entry, {
+          validation: validations[index],
+        }))
+      );
+
+      if (searchesIteratively && path.length < config.lambdas.length) {
+        return callback(null, restartFit(
+          _.assign({}, previousData, { regularizationPath: path }),
+          config.lambdas[path.length]
+        ));
       }
 
-      const newResult = runners.computeAverage(
-        previousData,
-        userResults,
-        TOLERANCE,
-        ROI_KEYS
+      const best = regularization.selectLambda(path);
+
+      context.advance(
+        _.assign(
+          {},
+          previousData,
+          _.pick(best, ['lambda', 'mVals', 'objective', 'r2', 'validation']),
+          { regularizationPath: path }
+        ),
+        best.completionReason
       );
+    },
+  });
+
+  return {
+    cache: parseCache,
+    label: pkg.description,
+    local: {
+      type: 'function',
 
       /**
-       * Signal to the pipeline runner to mark as 'complete' if
-       * `computeAggregate` signals to stop:
+       * Local computation function.
+       *
+       * @see `LocalPipelineRunner#run`
+       *
+       * @param {Object} params
+       * @param {Object} [params.data] In-memory design matrix, `xVals`, and
+       * dependent variable, `yVals`, used instead of the site's files.
+       * `xVals` columns are ordered by the configuration's predictors.
+       * @param {string[]} params.filenames
+       * @param {string} [params.manifest] Path to the site's subject manifest.
+       * Defaults to the file in `params.filenames` named like
+       * `manifest.MANIFEST_FILENAMES`.
+       * @param {string} params.previousData
+       * @param {string} params.remoteResult
+       * @param {string} params.result
+       * @param {string} params.username
+       * @param {function} done Node-style callback
        */
-      if (newResult === runners.computeAverage.STOP) {
-        return callback(null, helpers.markRemoteComplete(newResult));
-      }
+      fn: (params, done) => { // eslint-disable-line consistent-return
+        /**
+         * Respond with a result stamped with the schema version, the phase
+         * it was computed for and this site's username, so the remote can
+         * name it in errors.
+         *
+         * @param {Error} [error]
+         * @param {Object} [result]
+         */
+        const callback = (error, result) => done(
+          error,
+          result ?
+            _.assign(
+              { schemaVersion: schemas.SCHEMA_VERSION },
+              result,
+              { phase: params.remoteResult.phase || 'fit' },
+              _.pick(params, 'username')
+            ) :
+            result
+        );
+
+        // Don’t do anything if there isn’t a remote result
+        if (!params.remoteResult) {
+          return callback(null, null);
+        }
+
+        try {
+          schemas.validateRemoteResult(params.remoteResult, {
+            coefficientKeys: coefficientKeys, // eslint-disable-line object-shorthand
+          });
+        } catch (error) {
+          return callback(error);
+        }
+
+        /**
+         * The remote result's mVals are stored as such:
+         *
+         * {
+         *   '(Intercept)': 100,
+         *   'group': 101,
+         *   'age': 102,
+         *   //...
+         * }
+         *
+         * The regression computation expects these to be a 1-dimensional in
+         * the order of `coefficientKeys`.
+         *
+         * @type {number[]}
+         */
+        const aggregateMVals = helpers.pickOrderedValues(
+          coefficientKeys,
+          params.remoteResult.mVals
+        );
+
+        const phase = params.remoteResult.phase || 'fit';
+        const previousData = params.previousData;
+        const username = params.username;
+
+        if (config.secureAggregation && !username) {
+          return callback(new Error('Secure aggregation requires a username'));
+        }
+
+        /**
+         * The remote has the last masked round's values. Reveal this site's
+         * self mask and its masks with sites that dropped out, once and for
+         * that round only, so the remote can unmask the sum. A site that
+         * wasn't counted reveals nothing.
+         */
+        if (params.remoteResult.maskRecovery) {
+          if (!previousData || !previousData.masked || previousData.recoveryMask) {
+            return callback(null, null);
+          }
+
+          try {
+            if (!masking.checkRecovery(
+              params.remoteResult.maskRecovery,
+              username,
+              Object.keys(params.remoteResult.publicKeys)
+            )) {
+              return callback(null, null);
+            }
+          } catch (error) {
+            return callback(error);
+          }
+
+          return callback(null, _.assign({}, previousData, {
+            recoveryMask: masking.getRecoveryMask({
+              dropped: params.remoteResult.maskRecovery.dropped,
+              length: previousData.masked.length,
+              round: getMaskingRound(params.remoteResult),
+              seeds: keyStore.getSharedSeeds(
+                username,
+                params.remoteResult.publicKeys
+              ),
+              selfSeed: keyStore.getSelfSeed(username),
+              username: username, // eslint-disable-line object-shorthand
+            }),
+          }));
+        }
+
+        /**
+         * Don’t calculate a regression if the last aggregate mVals (stored on
+         * the previous result) match this run's aggregate mVals. The
+         * inference round re-evaluates the last mVals, so the phase must
+         * match too.
+         *
+         * @todo  Ensure this check is necessary.
+         */
+        if (
+          previousData &&
+          _.isEqual(previousData.previousAggregateMVals, aggregateMVals) &&
+          (previousData.phase || 'fit') === phase
+        ) {
+          return callback(null, null);
+        }
+
+        const handler = machine.getHandler(phase, 'local');
+
+        // Nothing to share in this phase
+        if (!handler) {
+          return callback(null, null);
+        }
+
+        /**
+         * Send a result, masking its summed values under secure aggregation.
+         *
+         * @param {Object} result
+         */
+        const send = result => { // eslint-disable-line consistent-return
+          if (!config.secureAggregation) {
+            return callback(null, result);
+          }
 
-      callback(null, newResult);
+          let masked;
+
+          try {
+            masked = masking.maskResult(result, {
+              coefficientKeys: coefficientKeys, // eslint-disable-line object-shorthand
+              round: getMaskingRound(params.remoteResult),
+              seeds: keyStore.getSharedSeeds(
+                username,
+                params.remoteResult.publicKeys
+              ),
+              selfSeed: keyStore.getSelfSeed(username),
+              username: username, // eslint-disable-line object-shorthand
+            });
+          } catch (error) {
+            return callback(error);
+          }
+
+          callback(null, masked);
+        };
+
+        handler(
+          {
+            /* eslint-disable object-shorthand */
+            aggregateMVals: aggregateMVals,
+            params: params,
+            previousData: previousData,
+            send: send,
+            /* eslint-enable object-shorthand */
+          },
+          callback
+        );
+      },
     },
-  },
-  version: pkg.version,
-};
+    name: pkg.name,
+    remote: {
+      type: 'function',
+
+      /**
+       * Remote computation function.
+       *
+       * @see `RemotePipelineRunner#_run`
+       *
+       * @param {Object} params
+       * @param {(Object|undefined)} params.previousData
+       * @param {Object} params.result ???
+       * @param {Object[]} params.userResults
+       * @param {function} done
+       */
+      fn: (params, done) => { // eslint-disable-line consistent-return
+        let participation;
+        let previousData = params.previousData;
+        let userResults = params.userResults;
+        let phase = 'init';
+
+        if (previousData) {
+          phase = previousData.phase || 'fit';
+        }
+
+        /**
+         * Report a completed result's coefficients in original units when
+         * sites standardized with a global normalization.
+         *
+         * @param {Object} result
+         * @returns {Object}
+         */
+        const withOriginalMVals = result => (
+          result.complete && result.normalization ?
+            _.assign({}, result, {
+              originalMVals: normalization.backTransform(
+                result.mVals,
+                result.normalization,
+                normalizationOptions
+              ),
+            }) :
+            result
+        );
+
+        /**
+         * Respond with a result stamped with the schema version and, once the
+         * round is assessed, sites' participation.
+         *
+         * @param {Error} [error]
+         * @param {Object} [result]
+         */
+        const callback = (error, result) => done(
+          error,
+          result ?
+            _.assign(
+              {},
+              withOriginalMVals(result),
+              participation ? { participation: participation } : {}, // eslint-disable-line object-shorthand, max-len
+              { schemaVersion: schemas.SCHEMA_VERSION }
+            ) :
+            result
+        );
+
+        /**
+         * Track the most epsilon spent by any one site in the remote result
+         * when running with differential privacy.
+         *
+         * @param {Object} result
+         * @returns {Object}
+         */
+        const withPrivacySpent = result => (
+          config.differentialPrivacy ?
+            _.assign({}, result, {
+              privacySpent: accountant.getMaxSpent(params.userResults),
+            }) :
+            result
+        );
+
+        /**
+         * Complete the computation.
+         *
+         * @param {Object} result
+         * @param {string} reason
+         */
+        const finish = (result, reason) => callback(
+          null,
+          helpers.markRemoteComplete(
+            withPrivacySpent(_.assign(
+              _.omit(result, 'pendingCompletionReason'),
+              { phase: 'done' }
+            )),
+            reason
+          )
+        );
+
+        /**
+         * Move on to the next phase. A completion reason is held as the
+         * result's `pendingCompletionReason` until the last phase is done.
+         *
+         * @param {Object} result
+         * @param {string} [reason]
+         */
+        const advance = (result, reason) => {
+          const nextPhase = machine.getNextPhase(phase);
+          const completionReason = reason || result.pendingCompletionReason;
+
+          if (nextPhase === 'done') {
+            return finish(result, completionReason);
+          }
+
+          return callback(null, _.assign(
+            {},
+            result,
+            completionReason ? { pendingCompletionReason: completionReason } : {},
+            { phase: nextPhase }
+          ));
+        };
+
+        /**
+         * Run the current phase's handler.
+         */
+        const run = () => machine.getHandler(phase, 'remote')(
+          {
+            /* eslint-disable object-shorthand */
+            advance: advance,
+            finish: finish,
+            participation: participation,
+            previousData: previousData,
+            userResults: userResults,
+            withPrivacySpent: withPrivacySpent,
+            /* eslint-enable object-shorthand */
+          },
+          callback
+        );
+
+        // Seed remote result if there's no previous result
+        if (!previousData) {
+          return run();
+        }
+
+        // Nothing to aggregate once the computation is done
+        if (!machine.getHandler(phase, 'remote')) {
+          return callback(null, null);
+        }
+
+        // Wait for user results
+        if (!Array.isArray(userResults) || !userResults.length) {
+          return callback(null, null);
+        }
+
+        /**
+         * Wait for a quorum of sites to sync to the last aggregate's mVals and
+         * phase. Sites dropped from secure aggregation can't rejoin: later
+         * rounds are only masked between survivors.
+         */
+        const round = quorum.assessRound(previousData, userResults, {
+          coefficientKeys: coefficientKeys, // eslint-disable-line object-shorthand
+          maxSiteLag: config.maxSiteLag,
+          minSiteFraction: config.minSiteFraction,
+          minSites: config.minSites,
+          rejoin: config.rejoin && !config.secureAggregation,
+        });
+
+        participation = round.participation;
+
+        if (!round.ready) {
+          return callback(null, null);
+        }
+
+        userResults = round.contributors;
+
+        /**
+         * Reject malformed results before they reach the aggregate. Stale
+         * results, from sites that haven't caught up, aren't aggregated, so
+         * they're left alone.
+         */
+        try {
+          schemas.validateLocalResults(userResults, {
+            coefficientKeys: coefficientKeys, // eslint-disable-line object-shorthand
+          });
+        } catch (error) {
+          return callback(error);
+        }
+
+        /**
+         * Signal to the pipeline runner to mark as 'complete' if any site has
+         * used up its privacy budget.
+         */
+        if (userResults.some(r => r.budgetExhausted)) {
+          return finish(previousData, 'privacy-budget-exhausted');
+        }
+
+        // Sites' public keys and validations aren't masked
+        if (config.secureAggregation && !_.includes(['keys', 'validation'], phase)) {
+          // Ask counted sites for their self masks and masks with dropped sites
+          if (!previousData.maskRecovery) {
+            const counted = _.map(userResults, 'username').sort();
+
+            return callback(null, _.assign({}, previousData, {
+              maskRecovery: {
+                /* eslint-disable object-shorthand */
+                counted: counted,
+                dropped: _.difference(Object.keys(previousData.publicKeys), counted),
+                /* eslint-enable object-shorthand */
+              },
+            }));
+          }
+
+          const survivors = previousData.maskRecovery.counted;
+          const dropped = previousData.maskRecovery.dropped;
+
+          userResults = userResults.filter(r => _.includes(survivors, r.username));
+
+          // Wait for every counted site's masks
+          if (
+            userResults.length < survivors.length ||
+            !userResults.every(r => r.recoveryMask)
+          ) {
+            return callback(null, null);
+          }
+
+          try {
+            userResults = [masking.unmaskResults(userResults, coefficientKeys)];
+          } catch (error) {
+            return callback(error);
+          }
+
+          // Later rounds are only masked between survivors
+          previousData = _.assign(_.omit(previousData, 'maskRecovery'), {
+            publicKeys: _.pick(previousData.publicKeys, survivors),
+          });
+          participation = _.assign({}, participation, {
+            excluded: _.union(participation.excluded, dropped).sort(),
+            lag: _.omit(participation.lag, dropped),
+          });
+        }
+
+        run();
+      },
+    },
+    version: pkg.version,
+  };
+}
+
+/**
+ * Multishot.
+ *
+ * The default export is a computation definition with default options. Use
+ * `createMultishot` to configure a run.
+ *
+ * @module
+ */
+module.exports = createMultishot();
+module.exports.createMultishot = createMultishot;
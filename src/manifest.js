@@ -0,0 +1,325 @@
+/**
+ * Subject manifest.
+ *
+ * A site's manifest maps each of its subjects' ROI files to a subject ID, a
+ * group label and any number of covariates. Several subjects may share a file
+ * when its format holds many subjects; see `adapters`. It may be a CSV file with a header row:
+ *
+ *   file,subject,group,age,sex
+ *   subject-1.txt,S01,control,34,0
+ *   subject-2.txt,S02,patient,51,1
+ *
+ * …or a JSON file containing an array of objects with the same properties.
+ * Every column besides `file`, `subject` and `group` is a covariate. Relative
+ * file paths are resolved against the manifest's directory.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const async = require('async');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Manifest file names `findManifest` looks for.
+ *
+ * @type {string[]}
+ */
+const MANIFEST_FILENAMES = ['manifest.csv', 'manifest.json'];
+
+/**
+ * Columns every manifest row requires.
+ *
+ * @type {string[]}
+ */
+const REQUIRED_COLUMNS = ['file', 'subject', 'group'];
+
+/**
+ * Parse a line of CSV.
+ *
+ * Supports double-quoted fields containing commas and escaped (`""`) quotes.
+ *
+ * @param {string} line
+ * @param {number} lineNumber Used in error messages
+ * @returns {string[]}
+ */
+function parseCSVLine(line, lineNumber) {
+  const fields = [];
+  let field = '';
+  let isQuoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (isQuoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += char;
+        i++;
+      } else if (char === '"') {
+        isQuoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      isQuoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (isQuoted) {
+    throw new Error(`Unterminated quote on line ${lineNumber}`);
+  }
+
+  fields.push(field.trim());
+
+  return fields;
+}
+
+/**
+ * Convert a CSV field to a number when it looks like one. `REQUIRED_COLUMNS`
+ * stay strings: subject IDs like `007` must still match their files.
+ *
+ * @param {string} value
+ * @param {string} column The field's header
+ * @returns {(number|string|null)} `null` for empty fields
+ */
+function coerceValue(value, column) {
+  if (value === '') {
+    return null;
+  }
+
+  if (REQUIRED_COLUMNS.indexOf(column) !== -1) {
+    return value;
+  }
+
+  const number = Number(value);
+
+  return isNaN(number) ? value : number;
+}
+
+/**
+ * Parse manifest CSV into records.
+ *
+ * @param {string} content
+ * @returns {Object[]} Records with a `location` property
+ */
+function parseCSV(content) {
+  const lines = content.split(/\r?\n/);
+  const header = parseCSVLine(lines[0], 1);
+
+  return lines.slice(1).reduce((records, line, index) => {
+    const lineNumber = index + 2;
+
+    if (!line.trim()) {
+      return records;
+    }
+
+    const fields = parseCSVLine(line, lineNumber);
+
+    if (fields.length !== header.length) {
+      throw new Error(
+        `Expected ${header.length} fields on line ${lineNumber}, ` +
+        `found ${fields.length}`
+      );
+    }
+
+    return records.concat(_.assign(
+      _.zipObject(
+        header,
+        fields.map((field, fieldIndex) => coerceValue(field, header[fieldIndex]))
+      ),
+      { location: `line ${lineNumber}` }
+    ));
+  }, []);
+}
+
+/**
+ * Parse manifest JSON into records.
+ *
+ * @param {string} content
+ * @returns {Object[]} Records with a `location` property
+ */
+function parseJSON(content) {
+  const records = JSON.parse(content);
+
+  if (!Array.isArray(records)) {
+    throw new Error('Expected manifest JSON to be an array');
+  }
+
+  return records.map((record, index) => {
+    if (!_.isPlainObject(record)) {
+      throw new Error(`Expected manifest entry ${index + 1} to be an object`);
+    }
+
+    return _.assign({}, record, { location: `entry ${index + 1}` });
+  });
+}
+
+/**
+ * Parse a manifest.
+ *
+ * @example
+ * parseManifest('file,subject,group,age\nS01.txt,S01,control,34\n', 'csv');
+ * // => [{
+ * //   covariates: { age: 34 },
+ * //   file: 'S01.txt',
+ * //   group: 'control',
+ * //   location: 'line 2',
+ * //   subject: 'S01',
+ * // }]
+ *
+ * @param {string} content
+ * @param {string} format Either `csv` or `json`
+ * @returns {Object[]} Manifest rows
+ */
+function parseManifest(content, format) {
+  let records;
+
+  if (format === 'csv') {
+    records = parseCSV(content);
+  } else if (format === 'json') {
+    records = parseJSON(content);
+  } else {
+    throw new Error(`Unknown manifest format '${format}'`);
+  }
+
+  return records.map(record => {
+    REQUIRED_COLUMNS.forEach(column => {
+      if (record[column] === null || _.isUndefined(record[column])) {
+        throw new Error(
+          `Manifest ${record.location} missing required '${column}'`
+        );
+      }
+    });
+
+    return {
+      covariates: _.omit(record, REQUIRED_COLUMNS.concat('location')),
+      file: String(record.file),
+      group: String(record.group),
+      location: record.location,
+      subject: String(record.subject),
+    };
+  });
+}
+
+/**
+ * Validate manifest rows.
+ *
+ * @param {Object[]} rows Manifest rows from `parseManifest`
+ * @param {Object} options
+ * @param {string[]} options.groups Allowed group labels
+ * @returns {Object[]} The validated rows
+ */
+function validateManifest(rows, options) {
+  const subjects = {};
+
+  if (!rows.length) {
+    throw new Error('Manifest contains no subjects');
+  }
+
+  rows.forEach(row => {
+    if (options.groups.indexOf(row.group) === -1) {
+      throw new Error(
+        `Manifest ${row.location} has unknown group '${row.group}'. ` +
+        `Expected one of: ${options.groups.join(', ')}`
+      );
+    }
+
+    if (subjects[row.subject]) {
+      throw new Error(
+        `Manifest ${row.location} has duplicate subject '${row.subject}' ` +
+        `(first on ${subjects[row.subject]})`
+      );
+    }
+
+    subjects[row.subject] = row.location;
+  });
+
+  return rows;
+}
+
+/**
+ * Find a manifest in a collection of file names.
+ *
+ * @param {string[]} filenames
+ * @returns {(string|undefined)} The first file named like
+ * `MANIFEST_FILENAMES`
+ */
+function findManifest(filenames) {
+  return _.find(
+    filenames,
+    filename =>
+      MANIFEST_FILENAMES.indexOf(path.basename(filename).toLowerCase()) !== -1
+  );
+}
+
+/**
+ * Read, parse and validate a manifest file.
+ *
+ * @example
+ * readManifest(
+ *   './path/to/manifest.csv',
+ *   { groups: ['control', 'patient'] },
+ *   (error, rows) => {
+ *     // `rows` contains parsed rows with absolute `file` paths
+ *   }
+ * );
+ *
+ * @param {string} filename Path to a `.csv` or `.json` manifest
+ * @param {Object} options See `validateManifest`
+ * @param {function} callback Node-style callback. Returns manifest rows.
+ */
+function readManifest(filename, options, callback) {
+  const format = path.extname(filename).slice(1).toLowerCase();
+  const dirname = path.dirname(filename);
+
+  async.waterfall([
+    (cb1) => fs.readFile(filename, 'utf-8', cb1),
+
+    (content, cb2) => { // eslint-disable-line consistent-return
+      let rows;
+
+      try {
+        rows = validateManifest(parseManifest(content, format), options)
+          .map(row => _.assign({}, row, {
+            file: path.resolve(dirname, row.file),
+          }));
+      } catch (error) {
+        return cb2(new Error(`${filename}: ${error.message}`));
+      }
+
+      cb2(null, rows);
+    },
+
+    // Ensure every subject's file exists
+    (rows, cb3) => async.eachSeries(
+      rows,
+      (row, cb3a) => fs.stat(row.file, error => { // eslint-disable-line consistent-return
+        if (error) {
+          return cb3a(new Error(
+            `${filename}: Manifest ${row.location} file not found: ${row.file}`
+          ));
+        }
+
+        cb3a();
+      }),
+      error => cb3(error, rows)
+    ),
+  ], callback);
+}
+
+module.exports = {
+  /* eslint-disable object-shorthand */
+  MANIFEST_FILENAMES: MANIFEST_FILENAMES,
+  findManifest: findManifest,
+  parseCSVLine: parseCSVLine,
+  parseManifest: parseManifest,
+  readManifest: readManifest,
+  validateManifest: validateManifest,
+  /* eslint-enable object-shorthand */
+};
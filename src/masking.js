@@ -0,0 +1,449 @@
+/**
+ * Masking.
+ *
+ * Secure aggregation of sites' summed values. Every pair of sites agrees on a
+ * shared seed through an elliptic-curve Diffie–Hellman key exchange. Each
+ * round, a site adds a pseudorandom mask per peer to its values: the site
+ * whose username sorts first adds it, the other subtracts it. The masks cancel
+ * in the sum, so the remote learns only the column-wise sum.
+ *
+ * Values are encoded as fixed-point integers modulo `MODULUS` so masks cancel
+ * exactly.
+ *
+ * Sites also add a self mask that only they can generate. Once the remote has
+ * the round's masked values, it names the sites it counted and those that
+ * dropped out. Each counted site reveals its self mask and its masks with
+ * dropped peers, for that round only, so the remote can remove them. A site
+ * named as dropped reveals nothing, so a remote that falsely declares a live
+ * site dropped still can't remove its self mask.
+ *
+ * @see {@link https://eprint.iacr.org/2017/281}
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const crypto = require('crypto');
+const helpers = require('./helpers.js');
+
+/**
+ * Modulus for encoded values and masks.
+ *
+ * @type {number}
+ */
+const MODULUS = Math.pow(2, 48);
+
+/**
+ * Fixed-point scale. Decoded sums are accurate to about 1e-6 and must be
+ * smaller than `MODULUS / SCALE / 2` in magnitude, about 1.3e8.
+ *
+ * @type {number}
+ */
+const SCALE = Math.pow(2, 20);
+
+/**
+ * Result properties that are summed by the remote, in packing order.
+ *
+ * @type {string[]}
+ */
+const MASKED_KEYS = ['gradient', 'objective', 'xTx', 'xTy', 'yTy'];
+
+/**
+ * Get how far apart two sums of sites' decoded values can be from rounding
+ * alone. Each value is rounded to the nearest `1 / SCALE` when encoded.
+ *
+ * @param {number} siteCount Number of sites summed
+ * @returns {number}
+ */
+function getResolution(siteCount) {
+  return siteCount / SCALE;
+}
+
+/**
+ * Elliptic curve used for key agreement.
+ *
+ * @type {string}
+ */
+const CURVE = 'prime256v1';
+
+/**
+ * Add two encoded values.
+ *
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function addModulo(a, b) {
+  return (a + b) % MODULUS;
+}
+
+/**
+ * Encode a number as a fixed-point integer modulo `MODULUS`.
+ *
+ * @param {number} value
+ * @returns {number}
+ */
+function encode(value) {
+  const scaled = Math.round(value * SCALE);
+
+  if (!isFinite(scaled) || Math.abs(scaled) >= MODULUS / 2) {
+    throw new RangeError(`Can't mask value ${value}: too large`);
+  }
+
+  return ((scaled % MODULUS) + MODULUS) % MODULUS;
+}
+
+/**
+ * Decode a fixed-point integer.
+ *
+ * @param {number} value
+ * @returns {number}
+ */
+function decode(value) {
+  return (value >= MODULUS / 2 ? value - MODULUS : value) / SCALE;
+}
+
+/**
+ * Create an in-process key store.
+ *
+ * This stands in for each site's key exchange: it creates and keeps sites'
+ * private keys, and only public keys leave it. In a deployment every site
+ * runs its own computation definition, so each store only holds one site's
+ * keys.
+ *
+ * @returns {Object} Store with `getPublicKey(username)`,
+ * `getSelfSeed(username)` and `getSharedSeeds(username, publicKeys)`
+ */
+function createKeyStore() {
+  const keyPairs = {};
+
+  /**
+   * Get a site's key pair, creating it on first use.
+   *
+   * @param {string} username
+   * @returns {ECDH}
+   */
+  const getKeyPair = username => {
+    if (!keyPairs[username]) {
+      keyPairs[username] = crypto.createECDH(CURVE);
+      keyPairs[username].generateKeys();
+    }
+
+    return keyPairs[username];
+  };
+
+  return {
+    /**
+     * @param {string} username
+     * @returns {string} Base64-encoded public key
+     */
+    getPublicKey: username => getKeyPair(username).getPublicKey('base64'),
+
+    /**
+     * Get the seed for a site's self masks. It's derived from the private
+     * key, so it never leaves the site.
+     *
+     * @param {string} username
+     * @returns {string} Hex seed
+     */
+    getSelfSeed: username => (
+      crypto.createHash('sha256')
+        .update('self:')
+        .update(getKeyPair(username).getPrivateKey())
+        .digest('hex')
+    ),
+
+    /**
+     * Get the seeds a site shares with each of its peers.
+     *
+     * @param {string} username
+     * @param {Object} publicKeys Public keys keyed by username
+     * @returns {Object} Hex seeds keyed by peer username
+     */
+    getSharedSeeds: (username, publicKeys) => {
+      const keyPair = getKeyPair(username);
+      const peers = Object.keys(publicKeys).filter(peer => peer !== username);
+
+      return _.zipObject(peers, peers.map(peer => (
+        crypto.createHash('sha256')
+          .update(keyPair.computeSecret(publicKeys[peer], 'base64'))
+          .digest('hex')
+      )));
+    },
+  };
+}
+
+/**
+ * Generate a pairwise mask.
+ *
+ * @param {string} seed Shared seed
+ * @param {string} round Round label. A mask must never be reused, so this
+ * differs every round.
+ * @param {number} length
+ * @returns {number[]} Values in [0, `MODULUS`)
+ */
+function getMask(seed, round, length) {
+  const mask = [];
+
+  for (let i = 0; i < length; i++) {
+    mask.push(
+      crypto.createHmac('sha256', seed)
+        .update(`${round}:${i}`)
+        .digest()
+        .readUIntBE(0, 6)
+    );
+  }
+
+  return mask;
+}
+
+/**
+ * Get the sum of a site's signed masks with some peers.
+ *
+ * @param {string} username
+ * @param {Object} seeds Seeds keyed by peer username
+ * @param {string[]} peers
+ * @param {string} round
+ * @param {number} length
+ * @returns {number[]}
+ */
+function getNetMask(username, seeds, peers, round, length) {
+  return peers.reduce((netMask, peer) => {
+    const mask = getMask(seeds[peer], round, length);
+
+    return netMask.map((value, index) => addModulo(
+      value,
+      username < peer ? mask[index] : MODULUS - mask[index]
+    ));
+  }, _.fill(Array(length), 0));
+}
+
+/**
+ * Flatten a result's summed values.
+ *
+ * @param {Object} result
+ * @param {string[]} keys Keys of `MASKED_KEYS` present on `result`
+ * @param {string[]} coefficientKeys
+ * @returns {number[]}
+ */
+function pack(result, keys, coefficientKeys) {
+  return _.flatten(keys.map(key => {
+    if (key === 'gradient') {
+      return helpers.pickOrderedValues(coefficientKeys, result.gradient);
+    }
+
+    return _.flattenDeep([result[key]]);
+  }));
+}
+
+/**
+ * Restore flattened values.
+ *
+ * @see pack
+ *
+ * @param {number[]} values
+ * @param {string[]} keys
+ * @param {string[]} coefficientKeys
+ * @returns {Object}
+ */
+function unpack(values, keys, coefficientKeys) {
+  const size = coefficientKeys.length;
+  let offset = 0;
+  const take = length => {
+    offset += length;
+    return values.slice(offset - length, offset);
+  };
+
+  return keys.reduce((result, key) => {
+    let value;
+
+    if (key === 'gradient') {
+      value = _.zipObject(coefficientKeys, take(size));
+    } else if (key === 'xTx') {
+      value = _.chunk(take(size * size), size);
+    } else if (key === 'xTy') {
+      value = take(size);
+    } else {
+      value = take(1)[0];
+    }
+
+    return _.assign(result, _.set({}, key, value));
+  }, {});
+}
+
+/**
+ * Mask a local result's summed values.
+ *
+ * @param {Object} result Local result
+ * @param {Object} options
+ * @param {string[]} options.coefficientKeys
+ * @param {string} options.round Round label
+ * @param {Object} options.seeds Seeds shared with every peer, keyed by
+ * username
+ * @param {string} options.selfSeed Seed for the site's self mask
+ * @param {string} options.username
+ * @returns {Object} `result` with `MASKED_KEYS` replaced by `masked`, the
+ * masked and encoded values, and `maskedKeys`
+ */
+function maskResult(result, options) {
+  const maskedKeys = MASKED_KEYS.filter(key => _.has(result, key));
+  const values = pack(result, maskedKeys, options.coefficientKeys)
+    .map(encode);
+  const netMask = getNetMask(
+    options.username,
+    options.seeds,
+    Object.keys(options.seeds),
+    options.round,
+    values.length
+  );
+  const selfMask = getMask(options.selfSeed, options.round, values.length);
+
+  return _.assign(_.omit(result, MASKED_KEYS), {
+    masked: values.map((value, index) => addModulo(
+      addModulo(value, netMask[index]),
+      selfMask[index]
+    )),
+    maskedKeys: maskedKeys, // eslint-disable-line object-shorthand
+    username: options.username,
+  });
+}
+
+/**
+ * Get the masks a counted site reveals: its self mask and its masks with
+ * dropped peers.
+ *
+ * A site must only reveal these once per round, and only when it's counted
+ * and every dropped peer isn't: a peer's self mask and all its pairwise masks
+ * together unmask its values.
+ *
+ * @param {Object} options
+ * @param {string[]} options.dropped Usernames of sites that dropped out
+ * @param {number} options.length Length of the masked values
+ * @param {string} options.round Round label
+ * @param {Object} options.seeds
+ * @param {string} options.selfSeed
+ * @param {string} options.username
+ * @returns {number[]} Sum of the masks to remove from the site's values
+ */
+function getRecoveryMask(options) {
+  const selfMask = getMask(options.selfSeed, options.round, options.length);
+
+  return getNetMask(
+    options.username,
+    options.seeds,
+    options.dropped.filter(peer => _.has(options.seeds, peer)),
+    options.round,
+    options.length
+  ).map((value, index) => addModulo(value, selfMask[index]));
+}
+
+/**
+ * Check a request to reveal a site's masks.
+ *
+ * @param {Object} request
+ * @param {string[]} request.counted Usernames of sites whose values the
+ * remote summed
+ * @param {string[]} request.dropped Usernames of sites that dropped out
+ * @param {string} username
+ * @param {string[]} peers Usernames of every site masks were set up with
+ * @returns {boolean} Whether the site was counted. A site that wasn't reveals
+ * nothing.
+ * @throws {Error} If the request would unmask a counted site
+ */
+function checkRecovery(request, username, peers) {
+  const both = _.intersection(request.counted, request.dropped);
+
+  if (both.length) {
+    throw new Error(
+      `Won't reveal masks with ${both.join(', ')}: counted and dropped`
+    );
+  }
+  if (!_.isEqual(_.union(request.counted, request.dropped).sort(), peers.slice().sort())) {
+    throw new Error("Won't reveal masks: counted and dropped sites aren't every site");
+  }
+
+  return _.includes(request.counted, username);
+}
+
+/**
+ * Unmask the sum of sites' masked results.
+ *
+ * Every site's `masked` values are summed and its `recoveryMask` is
+ * subtracted.
+ *
+ * Unmasked properties are combined too: `sampleSize`, `ssResidual` and
+ * `ssTotal` are summed, and `r2`, `accuracy` and `auc` are averaged, weighted
+ * by `sampleSize`. `siteCount` records how many results were summed.
+ *
+ * @param {Object[]} localResults Masked local results
+ * @param {string[]} coefficientKeys
+ * @returns {Object} A single local result with the sites' sums
+ */
+function unmaskResults(localResults, coefficientKeys) {
+  const maskedKeys = localResults[0].maskedKeys;
+
+  localResults.forEach(result => {
+    if (!result.recoveryMask) {
+      throw new Error(`Site '${result.username}' didn't reveal its masks`);
+    }
+    if (!_.isEqual(result.maskedKeys, maskedKeys)) {
+      throw new Error(
+        `Site '${result.username}' masked ${result.maskedKeys.join(', ')}, ` +
+        `expected ${maskedKeys.join(', ')}`
+      );
+    }
+  });
+
+  const sum = localResults.reduce((total, result) => {
+    const withMask = total.map(
+      (value, index) => addModulo(value, result.masked[index])
+    );
+
+    return withMask.map(
+      (value, index) => addModulo(value, MODULUS - result.recoveryMask[index])
+    );
+  }, _.fill(Array(localResults[0].masked.length), 0));
+  const combined = unpack(sum.map(decode), maskedKeys, coefficientKeys);
+
+  combined.previousAggregateMVals = localResults[0].previousAggregateMVals;
+  combined.sampleSize = helpers.sum(_.map(localResults, 'sampleSize'));
+  combined.siteCount = localResults.length;
+
+  if (_.has(localResults[0], 'phase')) {
+    combined.phase = localResults[0].phase;
+  }
+
+  ['ssResidual', 'ssTotal'].forEach(key => {
+    if (localResults.every(result => _.isNumber(result[key]))) {
+      combined[key] = helpers.sum(_.map(localResults, key));
+    }
+  });
+
+  ['accuracy', 'auc', 'r2'].forEach(key => {
+    const reporting = localResults.filter(result => _.isNumber(result[key]));
+
+    if (reporting.length) {
+      combined[key] = helpers.weightedMean(
+        _.map(reporting, key),
+        _.map(reporting, 'sampleSize')
+      );
+    }
+  });
+
+  return combined;
+}
+
+module.exports = {
+  /* eslint-disable object-shorthand */
+  MASKED_KEYS: MASKED_KEYS,
+  MODULUS: MODULUS,
+  checkRecovery: checkRecovery,
+  createKeyStore: createKeyStore,
+  decode: decode,
+  encode: encode,
+  getRecoveryMask: getRecoveryMask,
+  getResolution: getResolution,
+  maskResult: maskResult,
+  unmaskResults: unmaskResults,
+  /* eslint-enable object-shorthand */
+};
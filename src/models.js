@@ -0,0 +1,160 @@
+/**
+ * Models.
+ *
+ * Local objective and gradient functions for an n×p design matrix. These
+ * mirror the signatures of `coinstac-distributed-algorithm-set`'s ridge
+ * regression, which only accepts 1-dimensional predictors.
+ *
+ * Each model has:
+ *
+ * * `applyModel(mVals, xVals)`: Predicted values
+ * * `gradient(mVals, xVals, yVals)`
+ * * `objective(mVals, xVals, yVals)`
+ * * `normalizeDependent`: Whether the dependent variable is normalized
+ *
+ * The ridge penalty isn't part of a model. See `runners.getPenalty`.
+ */
+
+'use strict';
+
+const numeric = require('numeric');
+
+/**
+ * Ensure a design matrix is 2-dimensional.
+ *
+ * A 1-dimensional array is treated as a single predictor column.
+ *
+ * @param {array} xVals
+ * @returns {array[]}
+ */
+function toMatrix(xVals) {
+  return xVals.map(row => (Array.isArray(row) ? row : [row]));
+}
+
+/**
+ * Apply a linear model.
+ *
+ * @param {number[]} mVals Coefficients
+ * @param {array[]} xVals n×p design matrix
+ * @returns {number[]} Predicted values
+ */
+function applyLinearModel(mVals, xVals) {
+  return numeric.dot(toMatrix(xVals), mVals);
+}
+
+/**
+ * Ridge regression objective.
+ *
+ * ‖Xm - y‖²
+ *
+ * @param {number[]} mVals Coefficients
+ * @param {array[]} xVals n×p design matrix
+ * @param {number[]} yVals Dependent variable
+ * @returns {number}
+ */
+function ridgeObjective(mVals, xVals, yVals) {
+  const residuals = numeric.sub(applyLinearModel(mVals, xVals), yVals);
+
+  return numeric.dot(residuals, residuals);
+}
+
+/**
+ * Ridge regression gradient.
+ *
+ * 2Xᵀ(Xm - y)
+ *
+ * @param {number[]} mVals Coefficients
+ * @param {array[]} xVals n×p design matrix
+ * @param {number[]} yVals Dependent variable
+ * @returns {number[]}
+ */
+function ridgeGradient(mVals, xVals, yVals) {
+  const matrix = toMatrix(xVals);
+  const residuals = numeric.sub(applyLinearModel(mVals, matrix), yVals);
+
+  return numeric.mul(2, numeric.dot(numeric.transpose(matrix), residuals));
+}
+
+/**
+ * Logistic function.
+ *
+ * @param {number} value
+ * @returns {number}
+ */
+function sigmoid(value) {
+  return 1 / (1 + Math.exp(-value));
+}
+
+/**
+ * Apply a logistic model.
+ *
+ * @param {number[]} mVals Coefficients
+ * @param {array[]} xVals n×p design matrix
+ * @returns {number[]} Predicted probabilities of the second group
+ */
+function applyLogisticModel(mVals, xVals) {
+  return applyLinearModel(mVals, xVals).map(sigmoid);
+}
+
+/**
+ * Logistic regression objective.
+ *
+ * Σ log(1 + e^(xᵢm)) - yᵢxᵢm, the log-loss. This is computed as
+ * `max(z, 0) + log(1 + e^-|z|)` to avoid overflow.
+ *
+ * @param {number[]} mVals Coefficients
+ * @param {array[]} xVals n×p design matrix
+ * @param {number[]} yVals Group labels coded as `0` or `1`
+ * @returns {number}
+ */
+function logisticObjective(mVals, xVals, yVals) {
+  const logLoss = applyLinearModel(mVals, xVals).reduce(
+    (sum, value, index) => sum +
+      Math.max(value, 0) + Math.log1p(Math.exp(-Math.abs(value))) -
+      yVals[index] * value,
+    0
+  );
+
+  return logLoss;
+}
+
+/**
+ * Logistic regression gradient.
+ *
+ * Xᵀ(σ(Xm) - y)
+ *
+ * @param {number[]} mVals Coefficients
+ * @param {array[]} xVals n×p design matrix
+ * @param {number[]} yVals Group labels coded as `0` or `1`
+ * @returns {number[]}
+ */
+function logisticGradient(mVals, xVals, yVals) {
+  const matrix = toMatrix(xVals);
+  const residuals = numeric.sub(applyLogisticModel(mVals, matrix), yVals);
+
+  return numeric.dot(numeric.transpose(matrix), residuals);
+}
+
+/**
+ * Model types.
+ *
+ * @type {string[]}
+ */
+const MODEL_TYPES = ['ridge', 'logistic'];
+
+module.exports = {
+  MODEL_TYPES: MODEL_TYPES, // eslint-disable-line object-shorthand
+  logistic: {
+    applyModel: applyLogisticModel,
+    gradient: logisticGradient,
+    normalizeDependent: false,
+    objective: logisticObjective,
+  },
+  ridge: {
+    applyModel: applyLinearModel,
+    gradient: ridgeGradient,
+    normalizeDependent: true,
+    objective: ridgeObjective,
+  },
+  toMatrix: toMatrix, // eslint-disable-line object-shorthand
+};
@@ -0,0 +1,229 @@
+/**
+ * Global normalization.
+ *
+ * By default each site standardizes its own variables, so a coefficient means
+ * something slightly different at every site. With `global` normalization
+ * the computation starts with a `normalization` round: sites share each
+ * variable's count, sum and sum of squares, and the remote returns the
+ * consortium's means and standard deviations. Every site then standardizes
+ * with those shared parameters.
+ *
+ * The remote result's `normalization` is keyed by variable:
+ *
+ *   {
+ *     means: { age: 41.2, 'Left-Hippocampus': 3910.5 },
+ *     standardDeviations: { age: 9.8, 'Left-Hippocampus': 120.3 },
+ *   }
+ *
+ * The dependent variable is only included if the model standardizes it.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const design = require('./design.js');
+const helpers = require('./helpers.js');
+const models = require('./models.js');
+
+/**
+ * Normalization modes.
+ *
+ * @type {string[]}
+ */
+const NORMALIZATIONS = ['local', 'global'];
+
+/**
+ * Sum each column's values and squared values.
+ *
+ * @param {array[]} matrix
+ * @param {string[]} keys Column keys
+ * @returns {Object} `sum` and `sumOfSquares`, keyed by column
+ */
+function sumColumns(matrix, keys) {
+  return {
+    sum: _.zipObject(keys, keys.map(
+      (key, index) => _.sumBy(matrix, row => row[index])
+    )),
+    sumOfSquares: _.zipObject(keys, keys.map(
+      (key, index) => _.sumBy(matrix, row => row[index] * row[index])
+    )),
+  };
+}
+
+/**
+ * Compute a site's moments for the normalization round.
+ *
+ * @example
+ * computeMoments([[0, 34], [1, 51]], [3910, 3850], {
+ *   dependent: 'Left-Hippocampus',
+ *   predictorKeys: ['group', 'age'],
+ * });
+ * // => { sampleSize: 2, xSum: { group: 1, age: 85 }, ySum: 7760, ... }
+ *
+ * @param {array} xVals n×p design matrix, without an intercept column
+ * @param {number[]} yVals Dependent variable
+ * @param {Object} options
+ * @param {(string|null)} options.dependent Dependent variable's key, or
+ * `null` if the model doesn't standardize it
+ * @param {string[]} options.predictorKeys Design matrix columns' keys
+ * @returns {Object} `sampleSize`, `xSum` and `xSumOfSquares`, and `ySum` and
+ * `ySumOfSquares` with a `dependent`
+ */
+function computeMoments(xVals, yVals, options) {
+  const predictors = sumColumns(models.toMatrix(xVals), options.predictorKeys);
+  const moments = {
+    sampleSize: yVals.length,
+    xSum: predictors.sum,
+    xSumOfSquares: predictors.sumOfSquares,
+  };
+
+  if (options.dependent) {
+    moments.ySum = helpers.sum(yVals);
+    moments.ySumOfSquares = _.sumBy(yVals, value => value * value);
+  }
+
+  return moments;
+}
+
+/**
+ * Get a variable's standard deviation from its moments.
+ *
+ * This is the population standard deviation, matching local normalization.
+ * Constant variables get `1` so they aren't divided by zero.
+ *
+ * @param {number} sum
+ * @param {number} sumOfSquares
+ * @param {number} count
+ * @returns {number}
+ */
+function getStandardDeviation(sum, sumOfSquares, count) {
+  const mean = sum / count;
+  const variance = Math.max(sumOfSquares / count - mean * mean, 0);
+
+  return Math.sqrt(variance) || 1;
+}
+
+/**
+ * Get the consortium's normalization from sites' moments.
+ *
+ * @param {Object[]} localResults Sites' `computeMoments` results
+ * @param {Object} options
+ * @param {(string|null)} options.dependent
+ * @param {string[]} options.predictorKeys
+ * @returns {Object} `means` and `standardDeviations`, keyed by variable
+ */
+function getNormalization(localResults, options) {
+  const count = helpers.sum(_.map(localResults, 'sampleSize'));
+  const sums = {};
+  const sumsOfSquares = {};
+
+  options.predictorKeys.forEach(key => {
+    sums[key] = _.sumBy(localResults, result => result.xSum[key]);
+    sumsOfSquares[key] = _.sumBy(
+      localResults,
+      result => result.xSumOfSquares[key]
+    );
+  });
+
+  if (options.dependent) {
+    sums[options.dependent] = _.sumBy(localResults, 'ySum');
+    sumsOfSquares[options.dependent] = _.sumBy(localResults, 'ySumOfSquares');
+  }
+
+  return {
+    means: _.mapValues(sums, sum => sum / count),
+    standardDeviations: _.mapValues(
+      sums,
+      (sum, key) => getStandardDeviation(sum, sumsOfSquares[key], count)
+    ),
+  };
+}
+
+/**
+ * Order a normalization by design matrix column, as
+ * `runners.computeRegression` expects.
+ *
+ * @param {Object} normalization Remote result's `normalization`
+ * @param {Object} options
+ * @param {(string|null)} options.dependent
+ * @param {string[]} options.predictorKeys
+ * @returns {Object} `xMeans` and `xStandardDeviations` arrays, and `yMean`
+ * and `yStandardDeviation` with a `dependent`
+ */
+function getColumnNormalization(normalization, options) {
+  const columns = {
+    xMeans: helpers.pickOrderedValues(
+      options.predictorKeys,
+      normalization.means
+    ),
+    xStandardDeviations: helpers.pickOrderedValues(
+      options.predictorKeys,
+      normalization.standardDeviations
+    ),
+  };
+
+  if (options.dependent) {
+    columns.yMean = normalization.means[options.dependent];
+    columns.yStandardDeviation =
+      normalization.standardDeviations[options.dependent];
+  }
+
+  return columns;
+}
+
+/**
+ * Back-transform standardized coefficients to the variables' original units.
+ *
+ * A standardized model ỹ = b₀ + Σ bⱼ x̃ⱼ is, in original units,
+ * y = β₀ + Σ βⱼ xⱼ with βⱼ = σy bⱼ / σⱼ and
+ * β₀ = μy + σy (b₀ - Σ bⱼ μⱼ / σⱼ). The original-unit model always has an
+ * intercept, so it's included even if the standardized model has none. Without
+ * a standardized dependent, μy is 0 and σy is 1.
+ *
+ * @example
+ * backTransform(
+ *   { '(Intercept)': 0, age: 0.5 },
+ *   { means: { age: 40, y: 10 }, standardDeviations: { age: 10, y: 2 } },
+ *   { dependent: 'y' }
+ * );
+ * // => { '(Intercept)': 6, age: 0.1 }
+ *
+ * @param {Object} mVals Standardized coefficients, keyed by coefficient
+ * @param {Object} normalization Remote result's `normalization`
+ * @param {Object} options
+ * @param {(string|null)} options.dependent
+ * @returns {Object} Coefficients in original units
+ */
+function backTransform(mVals, normalization, options) {
+  const means = normalization.means;
+  const standardDeviations = normalization.standardDeviations;
+  const yMean = options.dependent ? means[options.dependent] : 0;
+  const yStandardDeviation = options.dependent ?
+    standardDeviations[options.dependent] :
+    1;
+  const slopes = _.omit(mVals, design.INTERCEPT_KEY);
+  const original = _.mapValues(
+    slopes,
+    (value, key) => yStandardDeviation * value / standardDeviations[key]
+  );
+
+  original[design.INTERCEPT_KEY] = yMean + yStandardDeviation * (
+    (mVals[design.INTERCEPT_KEY] || 0) -
+    _.sum(_.map(slopes, (value, key) => value * means[key] / standardDeviations[key]))
+  );
+
+  return _.assign(
+    _.pick(original, design.INTERCEPT_KEY),
+    _.omit(original, design.INTERCEPT_KEY)
+  );
+}
+
+module.exports = {
+  /* eslint-disable object-shorthand */
+  NORMALIZATIONS: NORMALIZATIONS,
+  backTransform: backTransform,
+  computeMoments: computeMoments,
+  getColumnNormalization: getColumnNormalization,
+  getNormalization: getNormalization,
+  /* eslint-enable object-shorthand */
+};
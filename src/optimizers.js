@@ -0,0 +1,260 @@
+/**
+ * Optimizers.
+ *
+ * Update rules for the remote's descent step. Every round the remote receives
+ * the aggregate objective and gradient evaluated at its last `mVals`, and an
+ * optimizer picks the next `mVals` to evaluate.
+ *
+ * An optimizer has:
+ *
+ * * `defaults`: Default hyperparameters, overridden by the `optimizerOptions`
+ *   option.
+ * * `init(learningRate, size, options)`: Returns the optimizer's initial
+ *   state. State must be JSON-serializable as it's stored on the remote result
+ *   between rounds. It always has a `learningRate`.
+ * * `step(state, context, options)`: Returns `{ mVals, state }`, the next
+ *   coefficients to evaluate and the new state. `context` has the current
+ *   `evaluation`, the `previousBestFit` before it and the `bestFit` after it.
+ *   Each is an object with `gradient`, `mVals` and `objective`, which fits
+ *   are compared by: robust aggregation's is the gradient's norm. Its
+ *   `resolution` is how precisely objectives are known: masked objectives are
+ *   rounded, so those closer than this are treated as equal.
+ *
+ * An evaluation whose objective is worse than the previous best fit's is
+ * rejected. Every optimizer then shrinks its learning rate and steps from the
+ * best fit instead, so a learning rate that's too large can't diverge.
+ */
+
+'use strict';
+
+const numeric = require('numeric');
+
+/**
+ * Get a vector of zeros.
+ *
+ * @param {number} size
+ * @returns {number[]}
+ */
+function zeros(size) {
+  const values = [];
+
+  for (let i = 0; i < size; i++) {
+    values.push(0);
+  }
+
+  return values;
+}
+
+/**
+ * Take a gradient step.
+ *
+ * @param {number[]} mVals
+ * @param {number[]} direction
+ * @param {number} learningRate
+ * @returns {number[]}
+ */
+function descend(mVals, direction, learningRate) {
+  return numeric.sub(mVals, numeric.mul(learningRate, direction));
+}
+
+/**
+ * Whether an evaluation was rejected: its objective is worse than the best
+ * fit's before it.
+ *
+ * @param {Object} context Step context
+ * @returns {boolean}
+ */
+function isRejected(context) {
+  return context.evaluation.objective >
+    context.previousBestFit.objective + (context.resolution || 0);
+}
+
+/**
+ * Plain gradient descent.
+ *
+ * Always step from the best fit so far. Halve the learning rate when an
+ * evaluation's objective is worse than the best fit's.
+ *
+ * @type {Object}
+ */
+const gradientDescent = {
+  defaults: {
+    shrink: 0.5,
+  },
+  init: learningRate => ({
+    learningRate: learningRate, // eslint-disable-line object-shorthand
+  }),
+  step: (state, context, options) => {
+    const learningRate = isRejected(context) ?
+      state.learningRate * options.shrink :
+      state.learningRate;
+
+    return {
+      mVals: descend(
+        context.bestFit.mVals,
+        context.bestFit.gradient,
+        learningRate
+      ),
+      state: {
+        learningRate: learningRate, // eslint-disable-line object-shorthand
+      },
+    };
+  },
+};
+
+/**
+ * Gradient descent with momentum.
+ *
+ * Accumulate a velocity from past gradients: v = βv + g, m = m - αv. After a
+ * rejected evaluation, shrink the learning rate, drop the velocity and step
+ * from the best fit.
+ *
+ * @type {Object}
+ */
+const momentum = {
+  defaults: {
+    beta: 0.9,
+    shrink: 0.5,
+  },
+  init: (learningRate, size) => ({
+    learningRate: learningRate, // eslint-disable-line object-shorthand
+    velocity: zeros(size),
+  }),
+  step: (state, context, options) => {
+    const rejected = isRejected(context);
+    const start = rejected ?
+      momentum.init(state.learningRate * options.shrink, state.velocity.length) :
+      state;
+    const from = rejected ? context.bestFit : context.evaluation;
+    const velocity = numeric.add(
+      numeric.mul(options.beta, start.velocity),
+      from.gradient
+    );
+
+    return {
+      mVals: descend(from.mVals, velocity, start.learningRate),
+      state: {
+        learningRate: start.learningRate,
+        velocity: velocity, // eslint-disable-line object-shorthand
+      },
+    };
+  },
+};
+
+/**
+ * Adam.
+ *
+ * Scale each coefficient's step by bias-corrected estimates of the gradient's
+ * first and second moments. After a rejected evaluation, shrink the learning
+ * rate, restart the moments and step from the best fit.
+ *
+ * @see {@link https://arxiv.org/abs/1412.6980}
+ *
+ * @type {Object}
+ */
+const adam = {
+  defaults: {
+    beta1: 0.9,
+    beta2: 0.999,
+    epsilon: 1e-8,
+    shrink: 0.5,
+  },
+  init: (learningRate, size) => ({
+    firstMoment: zeros(size),
+    learningRate: learningRate, // eslint-disable-line object-shorthand
+    secondMoment: zeros(size),
+    timestep: 0,
+  }),
+  step: (state, context, options) => {
+    const rejected = isRejected(context);
+    const start = rejected ?
+      adam.init(state.learningRate * options.shrink, state.firstMoment.length) :
+      state;
+    const from = rejected ? context.bestFit : context.evaluation;
+    const gradient = from.gradient;
+    const timestep = start.timestep + 1;
+    const firstMoment = numeric.add(
+      numeric.mul(options.beta1, start.firstMoment),
+      numeric.mul(1 - options.beta1, gradient)
+    );
+    const secondMoment = numeric.add(
+      numeric.mul(options.beta2, start.secondMoment),
+      numeric.mul(1 - options.beta2, numeric.mul(gradient, gradient))
+    );
+    const firstCorrection = 1 - Math.pow(options.beta1, timestep);
+    const secondCorrection = 1 - Math.pow(options.beta2, timestep);
+    const direction = firstMoment.map((value, index) => (
+      (value / firstCorrection) /
+      (Math.sqrt(secondMoment[index] / secondCorrection) + options.epsilon)
+    ));
+
+    return {
+      mVals: descend(from.mVals, direction, start.learningRate),
+      state: {
+        /* eslint-disable object-shorthand */
+        firstMoment: firstMoment,
+        learningRate: start.learningRate,
+        secondMoment: secondMoment,
+        timestep: timestep,
+        /* eslint-enable object-shorthand */
+      },
+    };
+  },
+};
+
+/**
+ * Backtracking line search.
+ *
+ * Accept a step if it satisfies the Armijo condition,
+ * f(m - αg) ≤ f(m) - cα‖g‖², and grow the learning rate for the next step.
+ * Otherwise shrink the learning rate and retry from the best fit.
+ *
+ * @type {Object}
+ */
+const lineSearch = {
+  defaults: {
+    grow: 2,
+    shrink: 0.5,
+    sufficientDecrease: 1e-4,
+  },
+  init: learningRate => ({
+    learningRate: learningRate, // eslint-disable-line object-shorthand
+  }),
+  step: (state, context, options) => {
+    const previousBestFit = context.previousBestFit;
+    const isSufficient = !isFinite(previousBestFit.objective) ||
+      context.evaluation.objective <=
+        previousBestFit.objective + (context.resolution || 0) -
+        options.sufficientDecrease * state.learningRate *
+        numeric.dot(previousBestFit.gradient, previousBestFit.gradient);
+    const learningRate = state.learningRate *
+      (isSufficient ? options.grow : options.shrink);
+
+    return {
+      mVals: descend(
+        context.bestFit.mVals,
+        context.bestFit.gradient,
+        learningRate
+      ),
+      state: {
+        learningRate: learningRate, // eslint-disable-line object-shorthand
+      },
+    };
+  },
+};
+
+/**
+ * Optimizers, keyed by name.
+ *
+ * @type {Object}
+ */
+const OPTIMIZERS = {
+  /* eslint-disable object-shorthand */
+  adam: adam,
+  gradientDescent: gradientDescent,
+  lineSearch: lineSearch,
+  momentum: momentum,
+  /* eslint-enable object-shorthand */
+};
+
+module.exports = OPTIMIZERS;
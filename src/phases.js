@@ -0,0 +1,146 @@
+/**
+ * Phases.
+ *
+ * A computation runs through a sequence of phases. It always starts with
+ * `init` and ends with `done`. In between are the phases its configuration
+ * needs, for example:
+ *
+ *   init → keys → normalization → fit → inference → done
+ *
+ * The remote result's `phase` names the current phase, and sites tag their
+ * results with the phase they were computed for. Each phase registers a
+ * `local` handler, run by sites, and a `remote` handler, run by the remote.
+ * Either may be omitted if that side has nothing to do in the phase.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Every phase, in the order a computation would run them.
+ *
+ * * `init`: The remote seeds its first result
+ * * `keys`: Sites exchange public keys for secure aggregation
+ * * `normalization`: Sites share moments for global normalization
+ * * `statistics`: Sites share sufficient statistics for an exact solution
+ * * `fit`: Sites share gradients until the remote converges
+ * * `inference`: Sites share sufficient statistics at the final coefficients
+ * * `validation`: Sites evaluate the final coefficients on held-out subjects
+ * * `done`: The computation is complete
+ *
+ * @type {string[]}
+ */
+const PHASES = [
+  'init',
+  'keys',
+  'normalization',
+  'statistics',
+  'fit',
+  'inference',
+  'validation',
+  'done',
+];
+
+/**
+ * Throw if a phase isn't known.
+ *
+ * @param {string} phase
+ */
+function assertPhase(phase) {
+  if (PHASES.indexOf(phase) === -1) {
+    throw new Error(
+      `Unknown phase '${phase}'. Expected one of: ${PHASES.join(', ')}`
+    );
+  }
+}
+
+/**
+ * Create a phase machine.
+ *
+ * @example
+ * const machine = createPhaseMachine(['fit', 'inference']);
+ *
+ * machine.register('fit', {
+ *   local: (context, callback) => { ... },
+ *   remote: (context, callback) => { ... },
+ * });
+ * machine.getNextPhase('fit');
+ * // => 'inference'
+ *
+ * @param {string[]} sequence Phases to run between `init` and `done`, in order
+ * @returns {Object} Machine with `getHandler`, `getNextPhase`, `register` and
+ * `sequence`
+ */
+function createPhaseMachine(sequence) {
+  const order = ['init'].concat(sequence, 'done');
+  const handlers = {};
+
+  order.forEach(assertPhase);
+
+  if (_.uniq(order).length !== order.length) {
+    throw new Error(`Expected phases to run once each: ${order.join(', ')}`);
+  }
+
+  const machine = {
+    /**
+     * Get a phase's handler.
+     *
+     * @param {string} phase
+     * @param {string} side `'local'` or `'remote'`
+     * @returns {(function|null)} `null` if the phase has no handler on that
+     * side
+     */
+    getHandler: (phase, side) => {
+      assertPhase(phase);
+
+      return (handlers[phase] && handlers[phase][side]) || null;
+    },
+
+    /**
+     * Get the phase that follows another in this computation.
+     *
+     * @param {string} phase
+     * @returns {string}
+     */
+    getNextPhase: phase => {
+      const index = order.indexOf(phase);
+
+      if (index === -1) {
+        throw new Error(`Phase '${phase}' isn't part of this computation`);
+      } else if (phase === 'done') {
+        throw new Error("Phase 'done' is the last phase");
+      }
+
+      return order[index + 1];
+    },
+
+    /**
+     * Register a phase's handlers. Handlers are called with a context and a
+     * Node-style callback.
+     *
+     * @param {string} phase
+     * @param {Object} phaseHandlers
+     * @param {function} [phaseHandlers.local]
+     * @param {function} [phaseHandlers.remote]
+     * @returns {Object} The machine
+     */
+    register: (phase, phaseHandlers) => {
+      assertPhase(phase);
+      handlers[phase] = _.pick(phaseHandlers, ['local', 'remote']);
+
+      return machine;
+    },
+
+    sequence: order,
+  };
+
+  return machine;
+}
+
+module.exports = {
+  /* eslint-disable object-shorthand */
+  PHASES: PHASES,
+  createPhaseMachine: createPhaseMachine,
+  /* eslint-enable object-shorthand */
+};
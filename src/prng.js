@@ -0,0 +1,103 @@
+/**
+ * Pseudorandom numbers.
+ *
+ * A seeded generator for the computation's randomness, so a run can be
+ * replayed exactly. The remote draws the first coefficients from the run's
+ * `randomSeed`, which it records in its result. Differential privacy noise
+ * is never drawn from it: every site sees the seed, and so does the remote,
+ * which could recompute the noise and remove it.
+ *
+ * This isn't a cryptographic generator. Masks for secure aggregation come
+ * from `masking`'s key exchange instead.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Largest seed. Seeds are unsigned 32-bit integers.
+ *
+ * @type {number}
+ */
+const MAX_SEED = 0xffffffff;
+
+/**
+ * Draw a new seed.
+ *
+ * @returns {number}
+ */
+function createSeed() {
+  return crypto.randomBytes(4).readUInt32BE(0);
+}
+
+/**
+ * Derive an independent stream's seed from a seed and a label.
+ *
+ * @example
+ * deriveSeed(42, 'site-1:3:fit');
+ * // => 3143957315
+ *
+ * @param {number} seed
+ * @param {string} label
+ * @returns {number}
+ */
+function deriveSeed(seed, label) {
+  return crypto.createHash('sha256')
+    .update(`${seed}:${label}`)
+    .digest()
+    .readUInt32BE(0);
+}
+
+/**
+ * Create a seeded generator (Mulberry32).
+ *
+ * @example
+ * const random = createPrng(42);
+ *
+ * random();
+ * // => 0.6011037519201636
+ *
+ * @param {number} seed Unsigned 32-bit integer
+ * @returns {function} Returns a number in [0, 1) on each call, like
+ * `Math.random`
+ */
+function createPrng(seed) {
+  /* eslint-disable no-bitwise */
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+
+    let value = Math.imul(state ^ (state >>> 15), state | 1);
+
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+
+    return ((value ^ (value >>> 14)) >>> 0) / (MAX_SEED + 1);
+  };
+  /* eslint-enable no-bitwise */
+}
+
+/**
+ * Draw Laplace noise centered on 0 by inverting its CDF. A draw of exactly 0
+ * would give infinite noise, so it's treated as the median.
+ *
+ * @param {number} scale
+ * @param {function} random Generator from `createPrng`
+ * @returns {number}
+ */
+function laplaceNoise(scale, random) {
+  const uniform = (random() || 0.5) - 0.5;
+
+  return -scale * Math.sign(uniform) * Math.log(1 - 2 * Math.abs(uniform));
+}
+
+module.exports = {
+  /* eslint-disable object-shorthand */
+  MAX_SEED: MAX_SEED,
+  createPrng: createPrng,
+  createSeed: createSeed,
+  deriveSeed: deriveSeed,
+  laplaceNoise: laplaceNoise,
+  /* eslint-enable object-shorthand */
+};
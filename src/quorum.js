@@ -0,0 +1,203 @@
+/**
+ * Quorum.
+ *
+ * Decide whether the remote has heard from enough sites to run a round, and
+ * track sites that fall behind.
+ *
+ * A site contributes to a round if its latest result was computed at the
+ * remote's current coefficients and phase. The remote runs once a quorum of
+ * active sites contributes; sites that haven't are stragglers. A straggler's
+ * lag counts the rounds, by `iterationCount` and phase, that ran without it.
+ * Waiting doesn't count, however many sites post while the remote waits. Once
+ * a site's lag exceeds `maxSiteLag` it's excluded: it no longer counts
+ * towards the quorum. An excluded site that sends a current result again may
+ * rejoin.
+ *
+ * The remote result's `participation` records every round's contributors:
+ *
+ *   {
+ *     excluded: ['site-3'],
+ *     lag: { 'site-1': 0, 'site-2': 1 },
+ *     rounds: [{ iterationCount: 0, phase: 'fit', sites: ['site-1', ...] }],
+ *   }
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const helpers = require('./helpers.js');
+
+/**
+ * Get a site's ID: its username, or its position.
+ *
+ * @param {Object} result Local result
+ * @param {number} index Position in `userResults`
+ * @returns {string}
+ */
+function getSiteId(result, index) {
+  return (result && result.username) || `site-${index + 1}`;
+}
+
+/**
+ * Whether a local result was computed for the remote's current round. Results
+ * without a phase are in the `fit` phase.
+ *
+ * @param {Object} result Local result
+ * @param {Object} remoteResult
+ * @param {string[]} coefficientKeys
+ * @returns {boolean}
+ */
+function isCurrent(result, remoteResult, coefficientKeys) {
+  return _.isPlainObject(result) && _.isEqual(
+    result.previousAggregateMVals,
+    helpers.pickOrderedValues(coefficientKeys, remoteResult.mVals)
+  ) && (result.phase || 'fit') === (remoteResult.phase || 'fit');
+}
+
+/**
+ * Get the number of contributors a round requires.
+ *
+ * @param {number} activeCount Number of sites that aren't excluded
+ * @param {Object} options
+ * @param {number} options.minSiteFraction
+ * @param {(number|null)} options.minSites
+ * @returns {number}
+ */
+function getQuorumSize(activeCount, options) {
+  return Math.max(
+    options.minSites || 1,
+    Math.ceil(options.minSiteFraction * activeCount)
+  );
+}
+
+/**
+ * Whether the latest round's contributors differ from the round before's.
+ * Objectives summed over different sites can't be compared.
+ *
+ * @param {(Object|undefined)} participation
+ * @returns {boolean}
+ */
+function hasChangedContributors(participation) {
+  const rounds = (participation && participation.rounds) || [];
+
+  return rounds.length > 1 && !_.isEqual(
+    _.sortBy(rounds[rounds.length - 2].sites),
+    _.sortBy(_.last(rounds).sites)
+  );
+}
+
+/**
+ * Exclude sites that lag too far behind.
+ *
+ * @param {Object} participation
+ * @param {(number|null)} maxSiteLag
+ * @returns {Object} `participation` with lagging sites moved to `excluded`
+ */
+function excludeLagging(participation, maxSiteLag) {
+  if (maxSiteLag === null) {
+    return participation;
+  }
+
+  const lagging = Object.keys(participation.lag)
+    .filter(id => participation.lag[id] > maxSiteLag);
+
+  return _.assign({}, participation, {
+    excluded: _.union(participation.excluded, lagging).sort(),
+    lag: _.omit(participation.lag, lagging),
+  });
+}
+
+/**
+ * Assess a round.
+ *
+ * @example
+ * assessRound(remoteResult, userResults, {
+ *   coefficientKeys: ['Left-Hippocampus'],
+ *   maxSiteLag: 2,
+ *   minSiteFraction: 0.5,
+ *   minSites: null,
+ *   rejoin: true,
+ * });
+ * // => { contributors: [...], participation: {...}, ready: true }
+ *
+ * @param {Object} remoteResult The remote's current result
+ * @param {Object[]} userResults Sites' latest results
+ * @param {Object} options
+ * @param {string[]} options.coefficientKeys
+ * @param {(number|null)} options.maxSiteLag Rounds a site may miss before
+ * it's excluded. `null` never excludes it.
+ * @param {number} options.minSiteFraction Fraction of active sites a round
+ * requires
+ * @param {(number|null)} options.minSites Number of sites a round requires
+ * @param {boolean} options.rejoin Let excluded sites rejoin
+ * @returns {Object} `ready`, whether the round can run; `contributors`, the
+ * results to aggregate; and `participation`, the updated record, or `null`
+ * while waiting.
+ */
+function assessRound(remoteResult, userResults, options) {
+  const previous = remoteResult.participation ||
+    { excluded: [], lag: {}, rounds: [] };
+  const phase = remoteResult.phase || 'fit';
+  const lastRound = _.last(previous.rounds);
+  const isRecorded = !!lastRound &&
+    lastRound.iterationCount === remoteResult.iterationCount &&
+    lastRound.phase === phase;
+  const sites = userResults.map((result, index) => ({
+    current: isCurrent(result, remoteResult, options.coefficientKeys),
+    id: getSiteId(result, index),
+    result: result, // eslint-disable-line object-shorthand
+  }));
+  const currentIds = _.map(_.filter(sites, 'current'), 'id');
+  const excluded = options.rejoin ?
+    _.difference(previous.excluded, currentIds) :
+    previous.excluded;
+  const active = sites.filter(site => excluded.indexOf(site.id) === -1);
+  const contributors = _.filter(active, 'current');
+  const stragglerIds = _.map(_.reject(active, 'current'), 'id');
+  const lag = _.assign(
+    _.pick(previous.lag, _.map(active, 'id')),
+    _.zipObject(_.map(contributors, 'id'), contributors.map(() => 0))
+  );
+
+  if (
+    !contributors.length ||
+    contributors.length < getQuorumSize(active.length, options)
+  ) {
+    return { contributors: [], participation: null, ready: false };
+  }
+
+  const round = {
+    iterationCount: remoteResult.iterationCount,
+    phase: phase, // eslint-disable-line object-shorthand
+    sites: _.map(contributors, 'id'),
+  };
+
+  // A round assessed again, as while masks are recovered, is already counted
+  return {
+    contributors: _.map(contributors, 'result'),
+    participation: excludeLagging(
+      {
+        excluded: excluded, // eslint-disable-line object-shorthand
+        lag: isRecorded ? lag : _.assign({}, lag, _.zipObject(
+          stragglerIds,
+          stragglerIds.map(id => (lag[id] || 0) + 1)
+        )),
+        rounds: isRecorded ?
+          previous.rounds.slice(0, -1).concat(round) :
+          previous.rounds.concat(round),
+      },
+      options.maxSiteLag
+    ),
+    ready: true,
+  };
+}
+
+module.exports = {
+  /* eslint-disable object-shorthand */
+  assessRound: assessRound,
+  getQuorumSize: getQuorumSize,
+  getSiteId: getSiteId,
+  hasChangedContributors: hasChangedContributors,
+  isCurrent: isCurrent,
+  /* eslint-enable object-shorthand */
+};
@@ -0,0 +1,91 @@
+/**
+ * Regularization.
+ *
+ * With `lambdas` the computation searches for the ridge penalty whose model
+ * generalizes best. `exact` mode solves every penalty from one round of
+ * sufficient statistics. `iterative` mode fits them in turn, each starting
+ * from the last one's coefficients, with a `validation` round after each.
+ * Sites evaluate every penalty on the subjects they hold out, and the one
+ * with the lowest pooled error wins.
+ *
+ * The remote result's `regularizationPath` reports every penalty tried:
+ *
+ *   [
+ *     {
+ *       lambda: 0.1,
+ *       mVals: { '(Intercept)': 0.02, age: -0.41 },
+ *       validation: { pooled: { mse: 0.62, r2: 0.38, sampleSize: 36 }, ... },
+ *     },
+ *     ...
+ *   ]
+ *
+ * Exact solutions also report their `objective` and `r2`. Iterative fits
+ * report their `completionReason` and the `iterationCount` they stopped at.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const validation = require('./validation.js');
+
+/**
+ * Get the iteration the current penalty's fit started at.
+ *
+ * @param {Object} remoteResult
+ * @returns {number}
+ */
+function getPathStart(remoteResult) {
+  const last = _.last(remoteResult.regularizationPath || []);
+
+  return last ? last.iterationCount + 1 : 0;
+}
+
+/**
+ * Get a validation's pooled error: the mean squared error, or for logistic
+ * models the misclassification rate.
+ *
+ * @param {Object} pooledValidation See `validation.poolValidation`
+ * @returns {number}
+ */
+function getValidationError(pooledValidation) {
+  const pooled = pooledValidation.pooled;
+
+  return _.has(pooled, 'accuracy') ? 1 - pooled.accuracy : pooled.mse;
+}
+
+/**
+ * Pool sites' validations of each penalty awaiting one.
+ *
+ * @param {Object[]} localResults Sites' results, each with a
+ * `pathValidations` value per penalty
+ * @param {number} count Number of penalties
+ * @returns {Object[]} Pooled validations, in the order sites evaluated them
+ */
+function poolPathValidations(localResults, count) {
+  return _.range(count).map(index => validation.poolValidation(
+    localResults.map(result => _.assign(
+      _.pick(result, 'username'),
+      result.pathValidations[index]
+    ))
+  ));
+}
+
+/**
+ * Select the penalty with the lowest pooled validation error. Ties go to the
+ * first penalty tried.
+ *
+ * @param {Object[]} path Validated regularization path
+ * @returns {Object} Path entry
+ */
+function selectLambda(path) {
+  return _.minBy(path, entry => getValidationError(entry.validation));
+}
+
+module.exports = {
+  /* eslint-disable object-shorthand */
+  getPathStart: getPathStart,
+  getValidationError: getValidationError,
+  poolPathValidations: poolPathValidations,
+  selectLambda: selectLambda,
+  /* eslint-enable object-shorthand */
+};
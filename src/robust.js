@@ -0,0 +1,167 @@
+/**
+ * Robust aggregation.
+ *
+ * Adding sites' gradients lets one misconfigured site with huge gradients
+ * steer the whole fit. These rules limit any one site's influence:
+ *
+ * * `median`: Coordinate-wise median
+ * * `trimmedMean`: Coordinate-wise mean after dropping the highest and lowest
+ *   `trimFraction` of sites, and at least one site from each end of three or
+ *   more
+ * * `clippedMean`: Mean after scaling down any site whose gradient's L2 norm
+ *   exceeds `clipNorm`, the median site's norm by default
+ *
+ * Each is scaled by the number of sites, so it's on the same scale as `sum`
+ * and the learning rate means the same. Sites' objectives are combined the
+ * same way to report the fit, but the sites a rule picks change from round to
+ * round, so the remote doesn't compare them to reject steps.
+ *
+ * Anomaly scores measure how far each site's gradient is from the
+ * coordinate-wise median, as a robust z-score of the distances: the distance
+ * less the median distance, over the median absolute deviation scaled to a
+ * normal standard deviation.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const helpers = require('./helpers.js');
+const numeric = require('numeric');
+
+/**
+ * Robust aggregation rules.
+ *
+ * @type {string[]}
+ */
+const ROBUST_AGGREGATIONS = ['median', 'trimmedMean', 'clippedMean'];
+
+/**
+ * Scales from the median absolute deviation, or the mean absolute deviation
+ * if that's 0, to a normal distribution's standard deviation.
+ *
+ * @type {Object}
+ */
+const CONSISTENCY = { mean: 1.253314, median: 1.4826 };
+
+/**
+ * Median.
+ *
+ * @param {number[]} values
+ * @returns {number}
+ */
+function median(values) {
+  const sorted = _.sortBy(values);
+  const middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 ?
+    sorted[middle] :
+    (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Mean after dropping the highest and lowest `fraction` of values. At least
+ * one value is dropped from each end of three or more, so it never behaves
+ * like a plain mean, and at least one value is kept.
+ *
+ * @example
+ * trimmedMean([1, 2, 3, 100], 0.1);
+ * // => 2.5
+ *
+ * @param {number[]} values
+ * @param {number} fraction Fraction to drop from each end, rounded down
+ * @returns {number}
+ */
+function trimmedMean(values, fraction) {
+  const trim = Math.min(
+    Math.max(Math.floor(values.length * fraction), 1),
+    Math.floor((values.length - 1) / 2)
+  );
+
+  return helpers.mean(_.sortBy(values).slice(trim, values.length - trim));
+}
+
+/**
+ * Get the weights that clip each site's gradient to an L2 norm.
+ *
+ * @param {array[]} gradients Sites' gradient values
+ * @param {(number|null)} clipNorm `null` clips to the median site's norm
+ * @returns {number[]}
+ */
+function getClipWeights(gradients, clipNorm) {
+  const norms = gradients.map(gradient => numeric.norm2(gradient));
+  const bound = clipNorm === null ? median(norms) : clipNorm;
+
+  return norms.map(norm => (norm > bound ? bound / norm : 1));
+}
+
+/**
+ * Combine sites' objectives and gradients with a robust rule.
+ *
+ * @param {number[]} objectives Sites' objectives
+ * @param {array[]} gradients Sites' gradient values, in the same order
+ * @param {string} aggregation One of `ROBUST_AGGREGATIONS`
+ * @param {Object} options
+ * @param {(number|null)} options.clipNorm See `getClipWeights`
+ * @param {number} options.trimFraction See `trimmedMean`
+ * @returns {Object} `gradient` values and `objective`
+ */
+function combine(objectives, gradients, aggregation, options) {
+  const count = objectives.length;
+
+  if (aggregation === 'clippedMean') {
+    const weights = getClipWeights(gradients, options.clipNorm);
+
+    return {
+      gradient: gradients
+        .map((gradient, index) => numeric.mul(weights[index], gradient))
+        .reduce((sum, gradient) => numeric.add(sum, gradient)),
+      objective: helpers.sum(objectives.map(
+        (objective, index) => weights[index] * objective
+      )),
+    };
+  }
+
+  const center = aggregation === 'median' ?
+    median :
+    values => trimmedMean(values, options.trimFraction);
+
+  return {
+    gradient: numeric.transpose(gradients).map(values => count * center(values)),
+    objective: count * center(objectives),
+  };
+}
+
+/**
+ * Score how far each site's gradient is from the others'.
+ *
+ * @example
+ * getAnomalyScores([[1, 1], [1.1, 0.9], [0.9, 1.1], [0.8, 1], [50, -50]]);
+ * // => [-1.63, 0, 0, 0.67, 812.72]
+ *
+ * @param {array[]} gradients Sites' gradient values
+ * @returns {number[]} Robust z-scores. All are 0 if the distances don't vary.
+ */
+function getAnomalyScores(gradients) {
+  const center = numeric.transpose(gradients).map(median);
+  const distances = gradients.map(
+    gradient => numeric.norm2(numeric.sub(gradient, center))
+  );
+  const medianDistance = median(distances);
+  const deviations = distances.map(distance => Math.abs(distance - medianDistance));
+  const scale = CONSISTENCY.median * median(deviations) ||
+    CONSISTENCY.mean * helpers.mean(deviations);
+
+  return distances.map(distance => (
+    scale ? (distance - medianDistance) / scale : 0
+  ));
+}
+
+module.exports = {
+  /* eslint-disable object-shorthand */
+  ROBUST_AGGREGATIONS: ROBUST_AGGREGATIONS,
+  combine: combine,
+  getAnomalyScores: getAnomalyScores,
+  median: median,
+  trimmedMean: trimmedMean,
+  /* eslint-enable object-shorthand */
+};
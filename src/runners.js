@@ -2,145 +2,938 @@
 
 const _ = require('lodash');
 const coinstacAlgorithms = require('coinstac-distributed-algorithm-set');
+const design = require('./design.js');
+const distributions = require('./distributions.js');
 const helpers = require('./helpers.js');
+const history = require('./history.js');
+const models = require('./models.js');
 const numeric = require('numeric');
+const optimizers = require('./optimizers.js');
+const quorum = require('./quorum.js');
+const robust = require('./robust.js');
+
+/**
+ * Compute a differentially private regression.
+ *
+ * Each subject's gradient contribution is clipped to an L1 norm of
+ * `privacy.clipBound` and their objective contribution to
+ * `[0, privacy.clipBound]`. The site's averaged gradient and objective then
+ * have a sensitivity of `2 * clipBound / sampleSize` and
+ * `clipBound / sampleSize` respectively. Each receives Laplace noise
+ * calibrated to half of `privacy.epsilon`.
+ *
+ * `r2`, `accuracy` and `auc` aren't released as they aren't protected by the
+ * noise.
+ *
+ * @param {array[]} xVals Normalized n×p design matrix
+ * @param {number[]} yVals Normalized dependent variable
+ * @param {number[]} aggregateMVals
+ * @param {string[]} coefficientKeys
+ * @param {Object} model One of `models`' models
+ * @param {Object} privacy
+ * @param {number} privacy.clipBound
+ * @param {number} privacy.epsilon
+ * @param {function} [privacy.random] Seeded generator for the noise. See
+ * `helpers.addNoise`.
+ * @returns {object}
+ */
+function computePrivateRegression(
+  xVals,
+  yVals,
+  aggregateMVals,
+  coefficientKeys,
+  model,
+  privacy
+) {
+  const clipBound = privacy.clipBound;
+  const sampleSize = yVals.length;
+  const contributions = yVals.map((yVal, index) => {
+    const subjectXVals = [xVals[index]];
+    const subjectYVals = [yVal];
+
+    return {
+      gradient: helpers.clipL1Norm(
+        model.gradient(aggregateMVals, subjectXVals, subjectYVals),
+        clipBound
+      ),
+      objective: _.clamp(
+        model.objective(aggregateMVals, subjectXVals, subjectYVals),
+        0,
+        clipBound
+      ),
+    };
+  });
+  const gradient = coinstacAlgorithms.utils.columnWiseAverage(
+    contributions.map(contribution => contribution.gradient)
+  ).map(value => helpers.addNoise(
+    value,
+    { max: clipBound, min: -clipBound },
+    sampleSize,
+    privacy.epsilon / 2,
+    privacy.random
+  ));
+
+  return {
+    gradient: _.zipObject(coefficientKeys, gradient),
+    objective: helpers.addNoise(
+      helpers.mean(contributions.map(contribution => contribution.objective)),
+      { max: clipBound, min: 0 },
+      sampleSize,
+      privacy.epsilon / 2,
+      privacy.random
+    ),
+    previousAggregateMVals: aggregateMVals,
+    sampleSize: sampleSize, // eslint-disable-line object-shorthand
+  };
+}
+
+/**
+ * Get the ridge penalty, λ‖m‖², and its gradient, 2λm. The intercept isn't
+ * penalized.
+ *
+ * `lambda` is per subject: it's the penalty on the mean objective per subject.
+ * Objectives summed over subjects are penalized by λ times their number of
+ * subjects, so the same `lambda` shrinks coefficients the same however
+ * they're fit. See `getPenaltyScale`.
+ *
+ * @param {number[]} mVals Coefficients, ordered by `coefficientKeys`
+ * @param {string[]} coefficientKeys
+ * @param {number} lambda
+ * @returns {Object} `gradient`, ordered by `coefficientKeys`, and `objective`
+ */
+function getPenalty(mVals, coefficientKeys, lambda) {
+  const penalized = mVals.map((value, index) => (
+    coefficientKeys[index] === design.INTERCEPT_KEY ? 0 : value
+  ));
+
+  return {
+    gradient: numeric.mul(2 * lambda, penalized),
+    objective: lambda * numeric.dot(penalized, penalized),
+  };
+}
+
+/**
+ * Add the ridge penalty to a result's objective and gradient.
+ *
+ * @see getPenalty
+ *
+ * @param {Object} result Result with `gradient`, keyed by `coefficientKeys`,
+ * and `objective`
+ * @param {number[]} mVals Coefficients the result was evaluated at
+ * @param {string[]} coefficientKeys
+ * @param {number} lambda
+ * @returns {Object}
+ */
+function addPenalty(result, mVals, coefficientKeys, lambda) {
+  if (!lambda) {
+    return result;
+  }
+
+  const penalty = getPenalty(mVals, coefficientKeys, lambda);
+
+  return _.assign({}, result, {
+    gradient: _.zipObject(
+      coefficientKeys,
+      numeric.add(
+        helpers.pickOrderedValues(coefficientKeys, result.gradient),
+        penalty.gradient
+      )
+    ),
+    objective: result.objective + penalty.objective,
+  });
+}
+
+/**
+ * Standardize values with a shared mean and standard deviation.
+ *
+ * @param {number[]} values
+ * @param {number} mean
+ * @param {number} standardDeviation
+ * @returns {number[]}
+ */
+function standardize(values, mean, standardDeviation) {
+  return values.map(value => (value - mean) / standardDeviation);
+}
+
+/**
+ * Normalize a site's design matrix and dependent variable.
+ *
+ * @param {array} xVals n×p design matrix, without an intercept column
+ * @param {number[]} yVals Dependent variable
+ * @param {boolean} intercept Add an intercept column after normalizing
+ * @param {Object} model One of `models`' models
+ * @param {Object} [normalization] Shared normalization, ordered by column.
+ * See `normalization.getColumnNormalization`. Without it, the site's own
+ * values are normalized.
+ * @returns {Object} `xVals` and `yVals`
+ */
+function normalizeDesign(xVals, yVals, intercept, model, normalization) {
+  const matrix = models.toMatrix(xVals);
+  let normalizedXVals;
+  let normalizedYVals = yVals;
+
+  if (normalization) {
+    normalizedXVals = matrix.map(row => row.map(
+      (value, index) => (value - normalization.xMeans[index]) /
+        normalization.xStandardDeviations[index]
+    ));
+
+    if (model.normalizeDependent) {
+      normalizedYVals = standardize(
+        yVals,
+        normalization.yMean,
+        normalization.yStandardDeviation
+      );
+    }
+  } else {
+    // `normalize` accepts 1-dim or 2-dim array
+    normalizedXVals = coinstacAlgorithms.utils.normalize(matrix);
+
+    if (model.normalizeDependent) {
+      normalizedYVals = coinstacAlgorithms.utils.normalize(yVals);
+    }
+  }
+
+  return {
+    xVals: intercept ?
+      design.addIntercept(normalizedXVals) :
+      normalizedXVals,
+    yVals: normalizedYVals,
+  };
+}
 
 /**
  * Compute regression on the client.
  *
  * @example
  * computeRegression(
- *   [[100, 200], [101, 201], [102, 202], [103, 203], [104, 204]],
- *   [[300, 400], [301, 401], [302, 402], [303, 403], [304, 404]],
- *   [0.123, 0.456],
- *   ['Left-Hippocampus', 'Right-Hippocampus']
+ *   [[0, 34, 1.2e6], [1, 51, 1.5e6], [0, 45, 1.4e6], [1, 38, 1.3e6]],
+ *   [4065.7, 3713.1, 3941.4, 3802.6],
+ *   [0.1, 0.2, 0.3, 0.4],
+ *   ['(Intercept)', 'group', 'age', 'EstimatedTotalIntraCranialVol'],
+ *   { intercept: true }
  * );
  *
- * @todo  The underlying COINSTAC algorithms ridge regression doesn't appear to
- * accept 2-dimensional arrays. Thus, `xVals` and `yVals` need to be
- * 1-dimensional.
- *
- * @param {array[]} xVals Predictors
- * @param {array[]} yVals Dependent variables
- * @param {number[]} aggregateMVals ?
- * @param {string[]} roiKeys Targetted predictors
+ * @param {array[]} xVals n×p design matrix, without an intercept column. A
+ * 1-dimensional array is treated as a single predictor.
+ * @param {number[]} yVals Dependent variable
+ * @param {number[]} aggregateMVals Coefficients, ordered by `coefficientKeys`
+ * @param {string[]} coefficientKeys Names of the coefficients
+ * @param {Object} [options]
+ * @param {boolean} [options.intercept=false] Add an intercept column to the
+ * normalized design matrix. `aggregateMVals`' first value is its coefficient.
+ * @param {number} [options.lambda=0] Ridge penalty per subject, added to the
+ * objective and gradient. See `getPenalty`.
+ * @param {string} [options.model='ridge'] One of `models.MODEL_TYPES`.
+ * `logistic` expects `yVals` to be group labels coded as `0` or `1`, and
+ * reports `accuracy` and `auc` instead of `r2`.
+ * @param {Object} [options.normalization] Shared normalization. See
+ * `normalizeDesign`.
+ * @param {Object} [options.privacy] Compute a differentially private
+ * regression with these parameters. See `computePrivateRegression`.
+ * @param {number} options.privacy.clipBound
+ * @param {number} options.privacy.epsilon
+ * @param {function} [options.privacy.random]
  * @returns {object}
  */
-function computeRegression(xVals, yVals, aggregateMVals, roiKeys) {
-  // `normalize` accepts 1-dim or 2-dim array
-  const normalizedXVals = coinstacAlgorithms.utils.normalize(xVals);
-  const normalizedYVals = coinstacAlgorithms.utils.normalize(yVals);
-
-  const gradient = coinstacAlgorithms.ridgeRegression.gradient(
-    aggregateMVals,  // {array} M Vals
-    normalizedXVals, // {array} 2-dim array of X Vals
-    normalizedYVals  // {array} yVals
+function computeRegression(
+  xVals,
+  yVals,
+  aggregateMVals,
+  coefficientKeys,
+  options
+) {
+  const opts = options || {};
+  const modelType = opts.model || 'ridge';
+  const model = models[modelType];
+  const normalized = normalizeDesign(
+    xVals,
+    yVals,
+    opts.intercept,
+    model,
+    opts.normalization
   );
+  const normalizedXVals = normalized.xVals;
+  const normalizedYVals = normalized.yVals;
 
-  // `applyModel` returns a number. `predictedYVals` should be a number.
-  const predictedYVals = coinstacAlgorithms.ridgeRegression.applyModel(
-    aggregateMVals, // {array} M Vals
-    normalizedXVals // {array} X Vals
-  );
+  if (opts.privacy) {
+    /**
+     * The penalty doesn't depend on subjects, so it's added after the noise.
+     * Private results are means per subject.
+     */
+    return addPenalty(
+      computePrivateRegression(
+        normalizedXVals,
+        normalizedYVals,
+        aggregateMVals,
+        coefficientKeys,
+        model,
+        opts.privacy
+      ),
+      aggregateMVals,
+      coefficientKeys,
+      opts.lambda
+    );
+  }
 
-  return {
-    gradient: _.zipObject(roiKeys, gradient),
-    objective: coinstacAlgorithms.ridgeRegression.objective(
-      aggregateMVals,  // {array} of M Vals
-      normalizedXVals, // {array} 2-dim array of X Vals
-      normalizedYVals  // {array} 1-dim ??? array of Y Vals
+  const gradient = model.gradient(
+    aggregateMVals,
+    normalizedXVals,
+    normalizedYVals
+  );
+  const predictedYVals = model.applyModel(aggregateMVals, normalizedXVals);
+  const result = {
+    gradient: _.zipObject(coefficientKeys, gradient),
+    objective: model.objective(
+      aggregateMVals,
+      normalizedXVals,
+      normalizedYVals
     ),
 
     // `previousAggregateMVals` is used to determine whether remote should run
     previousAggregateMVals: aggregateMVals,
-    r2: coinstacAlgorithms.utils.r2(
-      normalizedYVals, // {number[]} sampleData 1-dim array
-      predictedYVals   // {number} modelData (should be a number?)
-    ),
+    sampleSize: yVals.length,
+  };
+
+  if (modelType === 'logistic') {
+    result.accuracy = helpers.getAccuracy(normalizedYVals, predictedYVals);
+    result.auc = helpers.getAUC(normalizedYVals, predictedYVals);
+  } else {
+    const residuals = numeric.sub(normalizedYVals, predictedYVals);
+
+    /**
+     * Under shared normalization, deviations are from the shared normalized
+     * mean, 0, as in `computeExactAggregate`. A site's own mean would
+     * understate its total sum of squares.
+     */
+    const deviations = opts.normalization ?
+      normalizedYVals :
+      numeric.sub(normalizedYVals, helpers.mean(normalizedYVals));
+
+    // Sums of squares let the remote pool r² across sites
+    result.ssResidual = numeric.dot(residuals, residuals);
+    result.ssTotal = numeric.dot(deviations, deviations);
+
+    if (opts.normalization) {
+      result.r2 = result.ssTotal ? 1 - result.ssResidual / result.ssTotal : 0;
+    } else {
+      result.r2 = coinstacAlgorithms.utils.r2(
+        normalizedYVals, // {number[]} sampleData 1-dim array
+        predictedYVals   // {number[]} modelData
+      );
+    }
+  }
+
+  if (!isFinite(result.objective)) {
+    throw new Error(
+      `Objective is ${result.objective} at the remote's coefficients: the fit ` +
+      "diverged. Try a lower 'learningRate'."
+    );
+  }
+
+  return addPenalty(
+    result,
+    aggregateMVals,
+    coefficientKeys,
+    (opts.lambda || 0) * result.sampleSize
+  );
+}
+
+/**
+ * Compute a site's sufficient statistics for an exact linear regression.
+ *
+ * The design matrix and dependent variable are normalized as in
+ * `computeRegression`, so the remote's exact solution minimizes the same
+ * objective the iterative mode descends.
+ *
+ * @example
+ * computeStatistics([[0, 34], [1, 51], [0, 45]], [4065.7, 3713.1, 3941.4]);
+ * // => { sampleSize: 3, xTx: [[...], [...]], xTy: [...], yTy: 3 }
+ *
+ * @param {array[]} xVals n×p design matrix, without an intercept column
+ * @param {number[]} yVals Dependent variable
+ * @param {Object} [options]
+ * @param {boolean} [options.intercept=false]
+ * @param {Object} [options.normalization] Shared normalization. See
+ * `normalizeDesign`.
+ * @returns {Object} `xTx` (XᵀX), `xTy` (Xᵀy), `yTy` (yᵀy) and `sampleSize`
+ */
+function computeStatistics(xVals, yVals, options) {
+  const opts = options || {};
+  const normalized = normalizeDesign(
+    xVals,
+    yVals,
+    opts.intercept,
+    models.ridge,
+    opts.normalization
+  );
+  const xTranspose = numeric.transpose(normalized.xVals);
+
+  return {
+    sampleSize: yVals.length,
+    xTx: numeric.dot(xTranspose, normalized.xVals),
+    xTy: numeric.dot(xTranspose, normalized.yVals),
+    yTy: numeric.dot(normalized.yVals, normalized.yVals),
+  };
+}
+
+/**
+ * Sum sites' sufficient statistics.
+ *
+ * @see computeStatistics
+ *
+ * @param {Object[]} localResults Collection of local (client) results
+ * @returns {Object} `xTx`, `xTy`, `yTy` and `sampleSize` over all sites
+ */
+function sumStatistics(localResults) {
+  return {
+    sampleSize: helpers.sum(_.map(localResults, 'sampleSize')),
+    xTx: localResults
+      .map(result => result.xTx)
+      .reduce((sum, matrix) => numeric.add(sum, matrix)),
+    xTy: localResults
+      .map(result => result.xTy)
+      .reduce((sum, vector) => numeric.add(sum, vector)),
+    yTy: helpers.sum(_.map(localResults, 'yTy')),
+  };
+}
+
+/**
+ * Get the residual sum of squares from sufficient statistics.
+ *
+ * SSres = yᵀy - 2mᵀXᵀy + mᵀXᵀXm
+ *
+ * @param {Object} statistics Summed `xTx`, `xTy` and `yTy`
+ * @param {number[]} mVals
+ * @returns {number}
+ */
+function getResidualSumOfSquares(statistics, mVals) {
+  return statistics.yTy - 2 * numeric.dot(mVals, statistics.xTy) +
+    numeric.dot(mVals, numeric.dot(statistics.xTx, mVals));
+}
+
+/**
+ * Solve the normal equations from sites' sufficient statistics.
+ *
+ * Sum the sites' XᵀX, Xᵀy, yᵀy and n and solve (XᵀX + nλI)m = Xᵀy, where I
+ * has a 0 for the intercept. Every site's dependent variable is centered, so
+ * the pooled r² is 1 - SSres / Σyᵀy.
+ *
+ * @see computeStatistics
+ *
+ * @param {Object[]} localResults Collection of local (client) results
+ * @param {string[]} coefficientKeys
+ * @param {number} [lambda=0] Ridge penalty per subject. See `getPenalty`.
+ * @returns {Object} `mVals`, `objective` (the residual sum of squares plus
+ * the penalty), `r2` and `sampleSize`
+ */
+function computeExactAggregate(localResults, coefficientKeys, lambda) {
+  const statistics = sumStatistics(localResults);
+  const scaledLambda = (lambda || 0) * statistics.sampleSize;
+  const penalty = coefficientKeys.map(
+    key => (key === design.INTERCEPT_KEY ? 0 : scaledLambda)
+  );
+  const mVals = numeric.solve(
+    numeric.add(statistics.xTx, numeric.diag(penalty)),
+    statistics.xTy
+  );
+
+  if (!mVals.every(value => isFinite(value))) {
+    throw new Error(
+      'Normal equations are singular: predictors may be collinear or ' +
+      'constant at every site'
+    );
+  }
+
+  const ssResidual = getResidualSumOfSquares(statistics, mVals);
+
+  return {
+    mVals: _.zipObject(coefficientKeys, mVals),
+    objective:
+      ssResidual + getPenalty(mVals, coefficientKeys, scaledLambda).objective,
+    r2: statistics.yTy ? 1 - ssResidual / statistics.yTy : 0,
+    sampleSize: statistics.sampleSize,
+  };
+}
+
+/**
+ * Get the residual degrees of freedom.
+ *
+ * Each mean the design was centered on is estimated from the data, like a
+ * site's fixed effect, and costs a degree of freedom. The intercept is
+ * redundant with them, so it isn't counted again.
+ *
+ * @param {Object[]} localResults Collection of local (client) results
+ * @param {number} sampleSize
+ * @param {string[]} coefficientKeys
+ * @param {string} [normalization] See `computeInference`
+ * @returns {number}
+ */
+function getResidualDf(localResults, sampleSize, coefficientKeys, normalization) {
+  let centers = 0;
+
+  if (normalization === 'local') {
+    centers = helpers.sum(localResults.map(result => result.siteCount || 1));
+  } else if (normalization === 'global') {
+    centers = 1;
+  }
+
+  const intercepts = centers && _.includes(coefficientKeys, design.INTERCEPT_KEY) ? 1 : 0;
+
+  return sampleSize - (coefficientKeys.length - intercepts) - centers;
+}
+
+/**
+ * Compute coefficient inference from sites' sufficient statistics.
+ *
+ * The pooled residual variance is σ² = SSres / df, and the coefficients'
+ * covariance is σ²(XᵀX)⁻¹. Each coefficient's t-statistic is tested against
+ * Student's t distribution with df degrees of freedom. df is n - p for a
+ * design used as is. Under local normalization every site centers its own
+ * variables, as if the model had a fixed effect per site, so df is n - p - s
+ * for s sites, plus one if the intercept is among the p coefficients. See
+ * `getResidualDf`.
+ *
+ * @example
+ * computeInference(localResults, { group: 0.4, age: -0.2 }, ['group', 'age']);
+ * // => {
+ * //   coefficients: {
+ * //     group: {
+ * //       confidenceInterval: [0.1, 0.7],
+ * //       estimate: 0.4,
+ * //       pValue: 0.01,
+ * //       standardError: 0.15,
+ * //       tStatistic: 2.67,
+ * //     },
+ * //     age: { ... },
+ * //   },
+ * //   confidenceLevel: 0.95,
+ * //   df: 118,
+ * //   residualVariance: 0.85,
+ * // }
+ *
+ * @see computeStatistics
+ *
+ * @param {Object[]} localResults Collection of local (client) results with
+ * sufficient statistics
+ * @param {Object} mVals Coefficients, keyed by `coefficientKeys`
+ * @param {string[]} coefficientKeys
+ * @param {number} [confidenceLevel=0.95]
+ * @param {string} [normalization] How the design was centered. One of
+ * `normalization.NORMALIZATIONS`. Without it, the design is used as is.
+ * @returns {Object}
+ */
+function computeInference(
+  localResults,
+  mVals,
+  coefficientKeys,
+  confidenceLevel,
+  normalization
+) {
+  const level = confidenceLevel || 0.95;
+  const statistics = sumStatistics(localResults);
+  const estimates = helpers.pickOrderedValues(coefficientKeys, mVals);
+  const df = getResidualDf(
+    localResults,
+    statistics.sampleSize,
+    coefficientKeys,
+    normalization
+  );
+
+  if (df < 1) {
+    throw new Error(
+      `Expected more subjects (${statistics.sampleSize}) than coefficients ` +
+      `and centered means (${statistics.sampleSize - df}) for inference`
+    );
+  }
+
+  const residualVariance =
+    getResidualSumOfSquares(statistics, estimates) / df;
+  const inverse = numeric.inv(statistics.xTx);
+  const critical = distributions.studentTQuantile((1 + level) / 2, df);
+  const coefficients = {};
+
+  coefficientKeys.forEach((key, index) => {
+    const estimate = estimates[index];
+    const standardError = Math.sqrt(residualVariance * inverse[index][index]);
+
+    if (!isFinite(standardError)) {
+      throw new Error(
+        `Can't compute standard error for '${key}': XᵀX is singular`
+      );
+    }
+
+    const tStatistic = estimate / standardError;
+
+    coefficients[key] = {
+      /* eslint-disable object-shorthand */
+      confidenceInterval: [
+        estimate - critical * standardError,
+        estimate + critical * standardError,
+      ],
+      estimate: estimate,
+      pValue: distributions.studentTPValue(tStatistic, df),
+      standardError: standardError,
+      tStatistic: tStatistic,
+      /* eslint-enable object-shorthand */
+    };
+  });
+
+  return {
+    /* eslint-disable object-shorthand */
+    coefficients: coefficients,
+    confidenceLevel: level,
+    df: df,
+    residualVariance: residualVariance,
+    /* eslint-enable object-shorthand */
   };
 }
 
+/**
+ * Aggregate a classification metric across sites.
+ *
+ * Sites' values are weighted by their `sampleSize`. Sites that didn't report
+ * the metric, for example because they only have one group, are skipped.
+ *
+ * @param {Object[]} localResults Collection of local (client) results
+ * @param {string} key Metric's property, like `accuracy` or `auc`
+ * @returns {(number|undefined)} `undefined` if no site reported the metric
+ */
+function aggregateMetric(localResults, key) {
+  const reporting = localResults.filter(result => _.isNumber(result[key]));
+
+  if (!reporting.length) {
+    return undefined;
+  }
+
+  return helpers.weightedMean(
+    _.map(reporting, key),
+    reporting.map(result => result.sampleSize || 0)
+  );
+}
+
+/**
+ * Pool sites' r².
+ *
+ * r² is computed from the summed residual and total sums of squares when
+ * every site reports them. Otherwise sites' r² are averaged, weighted by
+ * `sampleSize`.
+ *
+ * @param {Object[]} localResults Collection of local (client) results
+ * @returns {number}
+ */
+function poolR2(localResults) {
+  if (localResults.every(
+    result => _.isNumber(result.ssResidual) && _.isNumber(result.ssTotal)
+  )) {
+    const ssTotal = helpers.sum(_.map(localResults, 'ssTotal'));
+
+    return ssTotal ?
+      1 - helpers.sum(_.map(localResults, 'ssResidual')) / ssTotal :
+      0;
+  }
+
+  const value = aggregateMetric(localResults, 'r2');
+
+  return _.isUndefined(value) ? 0 : value;
+}
+
+/**
+ * Get sites' weights for combining their gradients and objectives.
+ *
+ * With `sum` aggregation every site's values are added as they are. With
+ * `weighted` aggregation the remote takes the mean per subject: a site's
+ * values are a sum over its subjects, or with `localMeans` a mean scaled up by
+ * its `sampleSize`, and the totals are divided by every site's subjects.
+ *
+ * @param {Object[]} localResults Collection of local (client) results
+ * @param {string} aggregation `sum` or `weighted`
+ * @param {boolean} localMeans Whether sites' values are means per subject
+ * @returns {number[]}
+ */
+function getSiteWeights(localResults, aggregation, localMeans) {
+  if (aggregation !== 'weighted') {
+    return localResults.map(() => 1);
+  }
+
+  const sampleSize = helpers.sum(_.map(localResults, 'sampleSize'));
+
+  return localResults.map(
+    result => (localMeans ? result.sampleSize : 1) / sampleSize
+  );
+}
+
+/**
+ * Get the number of subjects an aggregate objective is a sum over, to scale
+ * the penalty per subject by. See `getPenalty`.
+ *
+ * `sum` aggregation and robust rules add sites' values, which are sums over
+ * their subjects, or with `localMeans` a mean per site. `weighted`
+ * aggregation is already a mean per subject. Sites' values unmasked together
+ * count as `siteCount` means.
+ *
+ * @param {Object[]} localResults Collection of local (client) results
+ * @param {string} aggregation
+ * @param {boolean} localMeans Whether sites' values are means per subject
+ * @returns {number}
+ */
+function getPenaltyScale(localResults, aggregation, localMeans) {
+  const weights = robust.ROBUST_AGGREGATIONS.indexOf(aggregation) === -1 ?
+    getSiteWeights(localResults, aggregation, localMeans) :
+    localResults.map(() => 1);
+
+  return helpers.sum(localResults.map((result, index) => weights[index] * (
+    localMeans ? result.siteCount || 1 : result.sampleSize
+  )));
+}
+
 /**
  * Compute aggregate.
  *
- * Run a differentially private average of the analyses.
+ * Combine the sites' objectives and gradients, which were evaluated at the
+ * previous remote result's `mVals`, and let the optimizer pick the next
+ * `mVals`.
+ *
+ * @see optimizers
  *
  * @param {Object} previousRemoteResult Previous remote result
  * @param {Object[]} localResults Collection of local (client) results
  * @param {number} tolerance
- * @param {string[]} roiKeys Freesurfer region-of-interest keys
+ * @param {string[]} roiKeys Coefficient keys. These are Freesurfer
+ * region-of-interest keys unless the model has other predictors.
+ * @param {Object} [options]
+ * @param {string} [options.aggregation='sum'] `sum` adds sites' gradients and
+ * objectives and averages their r². `weighted` takes the mean per subject,
+ * weighting sites by `sampleSize`, and pools r². See `getSiteWeights`. Any of
+ * `robust.ROBUST_AGGREGATIONS` limits each site's influence instead.
+ * @param {(number|null)} [options.anomalyThreshold=null] Score sites'
+ * gradients with `robust.getAnomalyScores` and flag those scoring above this.
+ * `null` doesn't score them.
+ * @param {(number|null)} [options.clipNorm=null] Gradient norm for
+ * `clippedMean`. `null` uses the median site's.
+ * @param {(number|null)} [options.historySize=null] Keep at most this many
+ * entries in the result's `history`. See `history`.
+ * @param {number} [options.lambda=0] Ridge penalty per subject, added once
+ * to the aggregate objective and gradient. See `getPenalty`.
+ * @param {string} [options.optimizer='gradientDescent'] Key of `optimizers`
+ * @param {boolean} [options.localMeans=false] Sites' gradients and objectives
+ * are means per subject, as with differential privacy
+ * @param {Object} [options.optimizerOptions] Overrides for the optimizer's
+ * `defaults`
+ * @param {number} [options.resolution=0] Treat objectives closer than this as
+ * equal. Masked objectives are only known to within
+ * `masking.getResolution`.
+ * @param {number} [options.trimFraction=0.1] Fraction of sites `trimmedMean`
+ * drops from each end
+ * @returns {Object} New remote result. Once the gradient's norm is below
+ * `tolerance`, it's the previous remote result with `converged: true` and the
+ * final evaluation in its `history`.
  */
 function computeAggregate(
   previousRemoteResult,
   localResults,
   tolerance,
-  roiKeys
+  roiKeys,
+  options
 ) {
-  const aggregateObjective =
-    helpers.sum(helpers.getObjectiveValues(localResults));
-  const aggregateGradient = coinstacAlgorithms.utils.columnWiseSum(
-    helpers.getGradientValues(localResults, roiKeys)
+  const opts = options || {};
+  const optimizerName = opts.optimizer || 'gradientDescent';
+  const optimizer = optimizers[optimizerName];
+  const optimizerOptions =
+    _.assign({}, optimizer.defaults, opts.optimizerOptions);
+  const aggregation = opts.aggregation || 'sum';
+  const gradientValues = helpers.getGradientValues(localResults, roiKeys);
+  const penalty = getPenalty(
+    helpers.unzipRoiKeyPairs(previousRemoteResult.mVals, roiKeys),
+    roiKeys,
+    (opts.lambda || 0) * getPenaltyScale(localResults, aggregation, !!opts.localMeans)
   );
+  const isRobust = robust.ROBUST_AGGREGATIONS.indexOf(aggregation) !== -1;
+  let combined;
+
+  if (isRobust) {
+    combined = robust.combine(
+      _.map(localResults, 'objective'),
+      gradientValues,
+      aggregation,
+      {
+        clipNorm: _.isUndefined(opts.clipNorm) ? null : opts.clipNorm,
+        trimFraction: _.isUndefined(opts.trimFraction) ? 0.1 : opts.trimFraction,
+      }
+    );
+  } else {
+    const weights =
+      getSiteWeights(localResults, aggregation, !!opts.localMeans);
+
+    combined = {
+      gradient: coinstacAlgorithms.utils.columnWiseSum(gradientValues.map(
+        (values, index) => numeric.mul(weights[index], values)
+      )),
+      objective: helpers.sum(localResults.map(
+        (result, index) => weights[index] * result.objective
+      )),
+    };
+  }
+
+  const aggregateObjective = penalty.objective + combined.objective;
+  const aggregateGradient = numeric.add(penalty.gradient, combined.gradient);
   const gradient = helpers.zipRoiKeyPairs(aggregateGradient, roiKeys);
-  let learningRate = previousRemoteResult.learningRate;
   const previousBestFit = previousRemoteResult.previousBestFit;
-  let bestFit;
+  const resolution = opts.resolution || 0;
 
   /**
-   * Stop iterating if the gradient falls below the tolerance. This returns the
-   * “stop” symbol, which indicates to the controlling method to kill the
-   * computation.
+   * Robust rules pick different sites, and weight them differently, from
+   * round to round, so their objectives don't match their gradients. Fits
+   * are compared by the gradient's norm instead, which falls to 0 at the
+   * robust fit. A fit that hasn't been evaluated is infinitely bad either way.
    */
-  if (numeric.norm2(helpers.unzipRoiKeyPairs(gradient, roiKeys)) < tolerance) {
-    return computeAggregate.STOP;
-  }
+  const getMerit = (objective, values) => (
+    isRobust && isFinite(objective) ? numeric.norm2(values) : objective
+  );
+
+  /**
+   * Aim for a low objective. The evaluation becomes the best fit if its
+   * objective is no higher than the previous best fit's, to within the
+   * objectives' resolution.
+   */
+  const toVectors = fit => {
+    const values = helpers.unzipRoiKeyPairs(fit.gradient, roiKeys);
+
+    return {
+      gradient: values,
+      mVals: helpers.unzipRoiKeyPairs(fit.mVals, roiKeys),
+      objective: getMerit(fit.objective, values),
+    };
+  };
+  const evaluation = toVectors({
+    gradient: gradient, // eslint-disable-line object-shorthand
+    mVals: previousRemoteResult.mVals,
+    objective: aggregateObjective,
+  });
+  const accepted =
+    evaluation.objective <= toVectors(previousBestFit).objective + resolution;
+
+  // Differentially private local results don't include `r2`
+  const r2 = aggregation === 'weighted' ?
+    poolR2(localResults) :
+    helpers.mean(_.filter(_.map(localResults, 'r2'), _.isNumber));
+  const appendEntry = learningRate => history.appendHistory(
+    previousRemoteResult.history || [],
+    {
+      /* eslint-disable object-shorthand */
+      accepted: accepted,
+      gradientNorm: numeric.norm2(aggregateGradient),
+      iterationCount: previousRemoteResult.iterationCount,
+      learningRate: learningRate,
+      objective: aggregateObjective,
+      r2: r2,
+      /* eslint-enable object-shorthand */
+    },
+    _.isUndefined(opts.historySize) ? null : opts.historySize
+  );
 
   /**
-   * Aim for a low objective. If this iteration's objective is higher then
-   * adjust the learning rate. Gradient stays the same.
+   * Stop iterating if the gradient falls below the tolerance. The evaluated
+   * coefficients are the answer, so their entry completes the history.
    */
-  if (aggregateObjective > previousBestFit.objective) {
-    learningRate /= 2;
+  if (numeric.norm2(aggregateGradient) < tolerance) {
+    return _.assign({}, previousRemoteResult, {
+      converged: true,
+      history: appendEntry(previousRemoteResult.learningRate),
+    });
+  }
+
+  let bestFit;
+
+  if (!accepted) {
     bestFit = previousBestFit;
   } else {
     // Newer, better fit
     bestFit = {
-      gradient: previousRemoteResult.gradient,
+      gradient: gradient, // eslint-disable-line object-shorthand
       mVals: previousRemoteResult.mVals,
-      objective: previousRemoteResult.objective,
+      objective: aggregateObjective,
     };
   }
 
-  return {
+  /**
+   * Optimizer state persists on the remote result. Older remote results
+   * without state are treated as the start of a run.
+   */
+  const optimizerState =
+    previousRemoteResult.optimizer === optimizerName &&
+    previousRemoteResult.optimizerState ?
+      previousRemoteResult.optimizerState :
+      optimizer.init(
+        previousRemoteResult.learningRate,
+        roiKeys.length,
+        optimizerOptions
+      );
+
+  const step = optimizer.step(
+    optimizerState,
+    {
+      /* eslint-disable object-shorthand */
+      bestFit: toVectors(bestFit),
+      evaluation: evaluation,
+      previousBestFit: toVectors(previousBestFit),
+      /* eslint-enable object-shorthand */
+      resolution: resolution, // eslint-disable-line object-shorthand
+    },
+    optimizerOptions
+  );
+
+  if (!step.mVals.every(value => isFinite(value))) {
+    throw new Error(
+      `Optimizer '${optimizerName}' stepped to non-finite coefficients: the ` +
+      "fit diverged. Try a lower 'learningRate'."
+    );
+  }
+
+  const result = {
     /* eslint-disable object-shorthand */
     gradient: gradient,
     iterationCount: previousRemoteResult.iterationCount + 1,
-    learningRate: learningRate,
-    /* eslint-enable object-shorthand */
-
-    // Still recalculate MVals with the previous best fit's data
-    mVals: helpers.zipRoiKeyPairs(
-      coinstacAlgorithms.ridgeRegression.recalculateMVals(
-        learningRate,
-        helpers.unzipRoiKeyPairs(previousBestFit.mVals, roiKeys),
-        helpers.unzipRoiKeyPairs(previousBestFit.gradient, roiKeys)
-      ),
-      roiKeys
-    ),
+    learningRate: step.state.learningRate,
+    mVals: helpers.zipRoiKeyPairs(step.mVals, roiKeys),
     objective: aggregateObjective,
+    optimizer: optimizerName,
+    optimizerState: step.state,
     previousBestFit: bestFit,
-    r2: helpers.mean(localResults.map(result => result.r2)),
+    r2: r2,
+    /* eslint-enable object-shorthand */
   };
-}
 
-/**
- * @type {Symbol}
- */
-computeAggregate.STOP = Symbol('computeAggregate STOP');
+  ['accuracy', 'auc'].forEach(key => {
+    const value = aggregateMetric(localResults, key);
+
+    if (!_.isUndefined(value)) {
+      result[key] = value;
+    }
+  });
+
+  if (!_.isUndefined(opts.anomalyThreshold) && opts.anomalyThreshold !== null) {
+    const siteIds = localResults.map(quorum.getSiteId);
+    const scores = robust.getAnomalyScores(gradientValues);
+
+    result.anomalyScores = _.zipObject(siteIds, scores);
+    result.flaggedSites = _.union(
+      previousRemoteResult.flaggedSites || [],
+      siteIds.filter((id, index) => scores[index] > opts.anomalyThreshold)
+    );
+  }
+
+  result.history = appendEntry(result.learningRate);
+
+  return result;
+}
 
 module.exports = {
   /* eslint-disable object-shorthand */
   computeAggregate: computeAggregate,
+  computeExactAggregate: computeExactAggregate,
+  computeInference: computeInference,
   computeRegression: computeRegression,
+  computeStatistics: computeStatistics,
   /* eslint-enable object-shorthand */
 };
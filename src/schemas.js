@@ -0,0 +1,803 @@
+/**
+ * Result schemas.
+ *
+ * Local results travel from sites to the remote, and remote results back to
+ * every site. Each is stamped with `SCHEMA_VERSION` and validated against the
+ * schema on arrival, so a malformed message fails loudly instead of turning
+ * into `NaN` coefficients.
+ *
+ * A schema maps each field a result may have to a check. A check returns a
+ * problem, like `should be a finite number`, or `null`. Fields not in the
+ * schema are problems too.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const masking = require('./masking.js');
+const PHASES = require('./phases.js').PHASES;
+
+/**
+ * Version of the local and remote result schemas. Sites and the remote only
+ * exchange results when they run the same version, so bump it once per release
+ * that adds, removes or changes the meaning of a field, not once per change.
+ *
+ * @type {number}
+ */
+const SCHEMA_VERSION = 1;
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isFiniteNumber(value) {
+  return _.isNumber(value) && isFinite(value);
+}
+
+/**
+ * Check for a finite number.
+ *
+ * @param {*} value
+ * @returns {(string|null)}
+ */
+function finiteNumber(value) {
+  return isFiniteNumber(value) ? null : 'should be a finite number';
+}
+
+/**
+ * Check for a finite number or `null`.
+ *
+ * @param {*} value
+ * @returns {(string|null)}
+ */
+function optionalNumber(value) {
+  return value === null || isFiniteNumber(value) ?
+    null :
+    'should be a finite number or null';
+}
+
+/**
+ * Check for a number that isn't `NaN`. Objectives start at `Infinity`.
+ *
+ * @param {*} value
+ * @returns {(string|null)}
+ */
+function number(value) {
+  return _.isNumber(value) && !isNaN(value) ? null : 'should be a number';
+}
+
+/**
+ * @param {*} value
+ * @returns {(string|null)}
+ */
+function nonNegativeNumber(value) {
+  return isFiniteNumber(value) && value >= 0 ?
+    null :
+    'should be a non-negative number';
+}
+
+/**
+ * @param {*} value
+ * @returns {(string|null)}
+ */
+function positiveInteger(value) {
+  return _.isInteger(value) && value > 0 ? null : 'should be a positive integer';
+}
+
+/**
+ * @param {*} value
+ * @returns {(string|null)}
+ */
+function nonNegativeInteger(value) {
+  return _.isInteger(value) && value >= 0 ?
+    null :
+    'should be a non-negative integer';
+}
+
+/**
+ * @param {*} value
+ * @returns {(string|null)}
+ */
+function boolean(value) {
+  return _.isBoolean(value) ? null : 'should be a boolean';
+}
+
+/**
+ * @param {*} value
+ * @returns {(string|null)}
+ */
+function string(value) {
+  return _.isString(value) && value ? null : 'should be a non-empty string';
+}
+
+/**
+ * @param {*} value
+ * @returns {(string|null)}
+ */
+function phase(value) {
+  return PHASES.indexOf(value) === -1 ?
+    `should be one of: ${PHASES.join(', ')}` :
+    null;
+}
+
+/**
+ * @param {*} value
+ * @returns {(string|null)}
+ */
+function object(value) {
+  return _.isPlainObject(value) ? null : 'should be an object';
+}
+
+/**
+ * Check for an array of finite numbers.
+ *
+ * @param {*} value
+ * @returns {(string|null)}
+ */
+function numbers(value) {
+  return Array.isArray(value) && value.every(isFiniteNumber) ?
+    null :
+    'should be an array of finite numbers';
+}
+
+/**
+ * Check for masked values: integers modulo `masking.MODULUS`.
+ *
+ * @param {*} value
+ * @returns {(string|null)}
+ */
+function encodedIntegers(value) {
+  return Array.isArray(value) && value.every(
+    item => _.isInteger(item) && item >= 0 && item < masking.MODULUS
+  ) ?
+    null :
+    'should be an array of encoded integers';
+}
+
+/**
+ * Check for values keyed by coefficient.
+ *
+ * @param {*} value
+ * @param {Object} context
+ * @param {(string[]|null)} context.coefficientKeys Expected keys, if known
+ * @returns {(string|null)}
+ */
+function coefficientValues(value, context) {
+  if (!_.isPlainObject(value)) {
+    return 'should be an object of coefficient values';
+  }
+  if (
+    context.coefficientKeys &&
+    !_.isEqual(Object.keys(value).sort(), context.coefficientKeys.slice().sort())
+  ) {
+    return `should have coefficients ${context.coefficientKeys.join(', ')}, ` +
+      `found ${Object.keys(value).join(', ') || 'none'}`;
+  }
+
+  const key = _.findKey(value, item => !isFiniteNumber(item));
+
+  return _.isUndefined(key) ? null : `.${key} should be a finite number`;
+}
+
+/**
+ * Check for values ordered by coefficient.
+ *
+ * @param {*} value
+ * @param {Object} context
+ * @returns {(string|null)}
+ */
+function coefficientVector(value, context) {
+  const problem = numbers(value);
+
+  if (problem) {
+    return problem;
+  }
+  if (context.coefficientKeys && value.length !== context.coefficientKeys.length) {
+    return `should have ${context.coefficientKeys.length} values, ` +
+      `found ${value.length}`;
+  }
+
+  return null;
+}
+
+/**
+ * Check for a square matrix over the coefficients.
+ *
+ * @param {*} value
+ * @param {Object} context
+ * @returns {(string|null)}
+ */
+function coefficientMatrix(value, context) {
+  const size = context.coefficientKeys ?
+    context.coefficientKeys.length :
+    (Array.isArray(value) && value.length);
+
+  if (
+    !Array.isArray(value) ||
+    value.length !== size ||
+    !value.every(row => !numbers(row) && row.length === size)
+  ) {
+    return `should be a ${size || 'p'}×${size || 'p'} matrix of finite numbers`;
+  }
+
+  return null;
+}
+
+/**
+ * Prefix a nested problem with its field.
+ *
+ * @param {string} field
+ * @param {(string|null)} problem
+ * @returns {(string|null)}
+ */
+function prefix(field, problem) {
+  if (!problem) {
+    return null;
+  }
+
+  return problem[0] === '.' ? `.${field}${problem}` : `.${field} ${problem}`;
+}
+
+/**
+ * Check a nested fit: `gradient`, `mVals` and `objective`.
+ *
+ * @param {*} value
+ * @param {Object} context
+ * @returns {(string|null)}
+ */
+function fit(value, context) {
+  if (!_.isPlainObject(value)) {
+    return 'should be an object';
+  }
+
+  const problems = _.compact([
+    _.isEmpty(value.gradient) ?
+      null :
+      prefix('gradient', coefficientValues(value.gradient, context)),
+    _.isEmpty(value.mVals) ?
+      null :
+      prefix('mVals', coefficientValues(value.mVals, context)),
+    prefix('objective', number(value.objective)),
+  ]);
+
+  return problems.length ? problems[0] : null;
+}
+
+/**
+ * Check for an object of finite numbers.
+ *
+ * @param {*} value
+ * @returns {(string|null)}
+ */
+function numberValues(value) {
+  if (!_.isPlainObject(value)) {
+    return 'should be an object of finite numbers';
+  }
+
+  const key = _.findKey(value, item => !isFiniteNumber(item));
+
+  return _.isUndefined(key) ? null : `.${key} should be a finite number`;
+}
+
+/**
+ * Check a normalization. See `normalization`.
+ *
+ * @param {*} value
+ * @returns {(string|null)}
+ */
+function normalizationValues(value) {
+  if (!_.isPlainObject(value)) {
+    return 'should be an object with means and standardDeviations';
+  }
+
+  const problem = prefix('means', numberValues(value.means)) ||
+    prefix('standardDeviations', numberValues(value.standardDeviations));
+
+  if (problem) {
+    return problem;
+  }
+  if (!_.every(value.standardDeviations, item => item > 0)) {
+    return '.standardDeviations should be positive';
+  }
+
+  return null;
+}
+
+/**
+ * Check a site's or the pooled validation metrics.
+ *
+ * @param {*} value
+ * @returns {(string|null)}
+ */
+function metricValues(value) {
+  if (!_.isPlainObject(value) || positiveInteger(value.sampleSize)) {
+    return 'should be an object of metrics with a sampleSize';
+  }
+
+  const key = _.findKey(value, optionalNumber);
+
+  return _.isUndefined(key) ?
+    null :
+    `.${key} should be a finite number or null`;
+}
+
+/**
+ * Check out-of-sample validation. See `validation`.
+ *
+ * @param {*} value
+ * @returns {(string|null)}
+ */
+function validationValues(value) {
+  if (!_.isPlainObject(value) || !_.isPlainObject(value.sites)) {
+    return 'should be an object with pooled and sites';
+  }
+
+  const site = _.findKey(value.sites, metricValues);
+
+  return prefix('pooled', metricValues(value.pooled)) || (
+    _.isUndefined(site) ?
+      null :
+      prefix(`sites.${site}`, metricValues(value.sites[site]))
+  );
+}
+
+/**
+ * Check sites' validations of each penalty on a regularization path.
+ *
+ * @param {*} value
+ * @returns {(string|null)}
+ */
+function pathValidations(value) {
+  if (!Array.isArray(value) || !value.length) {
+    return 'should be a non-empty array';
+  }
+
+  const index = _.findIndex(value, metricValues);
+
+  return index === -1 ? null : prefix(index, metricValues(value[index]));
+}
+
+/**
+ * Check a regularization path. See `regularization`.
+ *
+ * @param {*} value
+ * @param {Object} context
+ * @returns {(string|null)}
+ */
+function regularizationPath(value, context) {
+  if (!Array.isArray(value)) {
+    return 'should be an array';
+  }
+
+  const check = entry => (
+    _.isPlainObject(entry) ?
+      prefix('lambda', nonNegativeNumber(entry.lambda)) ||
+        prefix('mVals', coefficientValues(entry.mVals, context)) ||
+        (_.has(entry, 'validation') ?
+          prefix('validation', validationValues(entry.validation)) :
+          null) :
+      'should be an object with lambda and mVals'
+  );
+  const index = _.findIndex(value, check);
+
+  return index === -1 ? null : prefix(index, check(value[index]));
+}
+
+/**
+ * Check inference's coefficients.
+ *
+ * @param {*} value
+ * @param {string[]} fields Finite numbers each coefficient should have
+ * @returns {(string|null)}
+ */
+function inferenceCoefficients(value, fields) {
+  if (!_.isPlainObject(value)) {
+    return 'should be an object of coefficients';
+  }
+
+  const key = _.findKey(value, coefficient => !_.every(
+    fields,
+    field => _.isPlainObject(coefficient) && isFiniteNumber(coefficient[field])
+  ));
+  const last = fields.length - 1;
+
+  return _.isUndefined(key) ?
+    null :
+    `.${key} should have finite ${fields.slice(0, last).join(', ')} and ` +
+      `${fields[last]}`;
+}
+
+/**
+ * Check sites' sufficient statistics per ROI. See `univariate`.
+ *
+ * @param {*} value
+ * @param {Object} context
+ * @returns {(string|null)}
+ */
+function roiStatistics(value, context) {
+  if (!_.isPlainObject(value) || _.isEmpty(value)) {
+    return 'should be a non-empty object of statistics keyed by ROI';
+  }
+
+  const check = item => (
+    _.isPlainObject(item) ?
+      prefix('xTy', coefficientVector(item.xTy, context)) ||
+        prefix('yTy', finiteNumber(item.yTy)) :
+      'should be an object with xTy and yTy'
+  );
+  const roi = _.findKey(value, check);
+
+  return _.isUndefined(roi) ? null : prefix(roi, check(value[roi]));
+}
+
+/**
+ * Check a mass-univariate analysis. See `univariate`.
+ *
+ * @param {*} value
+ * @returns {(string|null)}
+ */
+function massUnivariate(value) {
+  if (!_.isPlainObject(value) || !_.isPlainObject(value.rois)) {
+    return 'should be an object with rois';
+  }
+
+  const check = item => (
+    _.isPlainObject(item) ?
+      prefix('coefficients', inferenceCoefficients(item.coefficients, [
+        'estimate',
+        'pValue',
+        'pValueBonferroni',
+        'pValueFdr',
+        'standardError',
+        'tStatistic',
+      ])) ||
+        prefix('df', positiveInteger(item.df)) ||
+        prefix('r2', finiteNumber(item.r2)) :
+      'should be an object with coefficients, df and r2'
+  );
+  const roi = _.findKey(value.rois, check);
+
+  return _.isUndefined(roi) ? null : prefix(`rois.${roi}`, check(value.rois[roi]));
+}
+
+/**
+ * Check a convergence history. See `history`.
+ *
+ * @param {*} value
+ * @returns {(string|null)}
+ */
+function historyEntries(value) {
+  if (!Array.isArray(value)) {
+    return 'should be an array';
+  }
+
+  const index = _.findIndex(value, entry => (
+    !_.isPlainObject(entry) ||
+    boolean(entry.accepted) ||
+    nonNegativeNumber(entry.gradientNorm) ||
+    nonNegativeInteger(entry.iterationCount) ||
+    finiteNumber(entry.learningRate) ||
+    finiteNumber(entry.objective) ||
+    finiteNumber(entry.r2)
+  ));
+
+  return index === -1 ?
+    null :
+    `.${index} should have accepted, gradientNorm, iterationCount, ` +
+      'learningRate, objective and r2';
+}
+
+/**
+ * Check sites' participation. See `quorum`.
+ *
+ * @param {*} value
+ * @returns {(string|null)}
+ */
+function participation(value) {
+  const isSites = sites => Array.isArray(sites) && sites.every(_.isString);
+
+  if (
+    !_.isPlainObject(value) ||
+    !isSites(value.excluded) ||
+    !_.isPlainObject(value.lag) ||
+    !Array.isArray(value.rounds)
+  ) {
+    return 'should be an object with excluded, lag and rounds';
+  }
+  if (!_.every(value.lag, item => !nonNegativeInteger(item))) {
+    return '.lag should be non-negative integers';
+  }
+
+  const index = _.findIndex(value.rounds, round => (
+    !_.isPlainObject(round) ||
+    nonNegativeInteger(round.iterationCount) ||
+    string(round.phase) ||
+    !isSites(round.sites)
+  ));
+
+  return index === -1 ?
+    null :
+    `.rounds.${index} should have an iterationCount, phase and sites`;
+}
+
+/**
+ * Local result schema.
+ *
+ * @type {Object}
+ */
+const LOCAL_SCHEMA = {
+  accuracy: finiteNumber,
+  auc: optionalNumber,
+  budgetExhausted: boolean,
+  gradient: coefficientValues,
+  masked: encodedIntegers,
+  maskedKeys: value => (
+    Array.isArray(value) && _.difference(value, masking.MASKED_KEYS).length === 0 ?
+      null :
+      `should only contain ${masking.MASKED_KEYS.join(', ')}`
+  ),
+  objective: finiteNumber,
+  pathValidations: pathValidations, // eslint-disable-line object-shorthand
+  phase: phase, // eslint-disable-line object-shorthand
+  previousAggregateMVals: coefficientVector,
+  privacyLedger: value => (
+    Array.isArray(value) && value.every(item => isFiniteNumber(item) && item > 0) ?
+      null :
+      'should be an array of positive numbers'
+  ),
+  privacySpent: nonNegativeNumber,
+  publicKey: string,
+  r2: finiteNumber,
+  recoveryMask: encodedIntegers,
+  roiStatistics: roiStatistics, // eslint-disable-line object-shorthand
+  sampleSize: positiveInteger,
+  schemaVersion: positiveInteger,
+  ssResidual: nonNegativeNumber,
+  ssTotal: nonNegativeNumber,
+  username: string,
+  xSum: numberValues,
+  xSumOfSquares: numberValues,
+  xTx: coefficientMatrix,
+  xTy: coefficientVector,
+  ySum: finiteNumber,
+  ySumOfSquares: nonNegativeNumber,
+  yTy: finiteNumber,
+};
+
+/**
+ * Remote result schema.
+ *
+ * @type {Object}
+ */
+const REMOTE_SCHEMA = {
+  accuracy: finiteNumber,
+  anomalyScores: numberValues,
+  auc: optionalNumber,
+  complete: boolean,
+  completionReason: string,
+  flaggedSites: value => (
+    Array.isArray(value) && value.every(_.isString) ?
+      null :
+      'should be an array of site IDs'
+  ),
+  gradient: coefficientValues,
+  history: historyEntries,
+  inference: value => (
+    _.isPlainObject(value) && _.isPlainObject(value.coefficients) ?
+      prefix('coefficients', inferenceCoefficients(
+        value.coefficients,
+        ['estimate', 'pValue', 'standardError', 'tStatistic']
+      )) :
+      'should be an object with coefficients'
+  ),
+  iterationCount: nonNegativeInteger,
+  lambda: nonNegativeNumber,
+  learningRate: finiteNumber,
+  maskRecovery: value => (
+    _.isPlainObject(value) &&
+      ['counted', 'dropped'].every(key => (
+        Array.isArray(value[key]) && value[key].every(_.isString)
+      )) ?
+      null :
+      'should be an object with counted and dropped usernames'
+  ),
+  massUnivariate: massUnivariate, // eslint-disable-line object-shorthand
+  mVals: coefficientValues,
+  normalization: normalizationValues,
+  objective: number,
+  optimizer: string,
+  optimizerState: object,
+  originalMVals: numberValues,
+  participation: participation, // eslint-disable-line object-shorthand
+  pendingCompletionReason: string,
+  phase: phase, // eslint-disable-line object-shorthand
+  previousBestFit: fit,
+  privacySpent: nonNegativeNumber,
+  publicKeys: value => (
+    _.isPlainObject(value) && _.every(value, _.isString) ?
+      null :
+      'should be an object of public keys'
+  ),
+  r2: finiteNumber,
+  randomSeed: nonNegativeInteger,
+  regularizationPath: regularizationPath, // eslint-disable-line object-shorthand
+  replayable: boolean,
+  sampleSize: positiveInteger,
+  schemaVersion: positiveInteger,
+  validation: validationValues,
+};
+
+/**
+ * Get the fields a local result requires, which depend on its kind.
+ *
+ * @param {Object} result
+ * @returns {string[]}
+ */
+function getLocalRequired(result) {
+  const required = ['previousAggregateMVals', 'schemaVersion'];
+
+  if (result.phase === 'keys') {
+    return required.concat('publicKey', 'username');
+  } else if (result.phase === 'validation') {
+    return required.concat('sampleSize');
+  } else if (result.budgetExhausted) {
+    return required.concat('privacyLedger', 'privacySpent');
+  } else if (_.has(result, 'masked')) {
+    return required.concat('maskedKeys', 'sampleSize', 'username');
+  } else if (_.has(result, 'xSum')) {
+    return required.concat('sampleSize', 'xSum', 'xSumOfSquares');
+  } else if (_.has(result, 'roiStatistics')) {
+    return required.concat('sampleSize', 'xTx');
+  } else if (_.has(result, 'xTx')) {
+    return required.concat('sampleSize', 'xTy', 'yTy');
+  }
+
+  return required.concat('gradient', 'objective', 'sampleSize');
+}
+
+/**
+ * Get a result's problems.
+ *
+ * @param {Object} result
+ * @param {Object} schema
+ * @param {string[]} required
+ * @param {Object} context
+ * @returns {string[]}
+ */
+function getProblems(result, schema, required, context) {
+  if (!_.isPlainObject(result)) {
+    return ['should be an object'];
+  }
+
+  const missing = required
+    .filter(field => !_.has(result, field))
+    .map(field => `missing '${field}'`);
+  const unknown = Object.keys(result)
+    .filter(field => !_.has(schema, field))
+    .map(field => `unknown field '${field}'`);
+  const invalid = Object.keys(result)
+    .filter(field => _.has(schema, field))
+    .map(field => {
+      const problem = schema[field](result[field], context);
+
+      if (!problem) {
+        return null;
+      }
+
+      const nested = /^(\.\S+) (.*)$/.exec(problem);
+
+      return nested ?
+        `'${field}${nested[1]}' ${nested[2]}` :
+        `'${field}' ${problem}`;
+    });
+  const problems = missing.concat(unknown, _.compact(invalid));
+
+  if (!problems.length && result.schemaVersion !== SCHEMA_VERSION) {
+    problems.push(
+      `'schemaVersion' ${result.schemaVersion} isn't supported, ` +
+      `expected ${SCHEMA_VERSION}`
+    );
+  }
+
+  return problems;
+}
+
+/**
+ * Get a local result's problems.
+ *
+ * @param {Object} result
+ * @param {Object} [options]
+ * @param {string[]} [options.coefficientKeys] Check coefficients against these
+ * @returns {string[]} Problems naming each offending field. Empty if valid.
+ */
+function getLocalProblems(result, options) {
+  const context = { coefficientKeys: (options && options.coefficientKeys) || null };
+
+  return getProblems(
+    result,
+    LOCAL_SCHEMA,
+    _.isPlainObject(result) ? getLocalRequired(result) : [],
+    context
+  );
+}
+
+/**
+ * Get a remote result's problems.
+ *
+ * @param {Object} result
+ * @param {Object} [options]
+ * @param {string[]} [options.coefficientKeys] Check coefficients against these
+ * @returns {string[]} Problems naming each offending field. Empty if valid.
+ */
+function getRemoteProblems(result, options) {
+  const context = { coefficientKeys: (options && options.coefficientKeys) || null };
+
+  return getProblems(
+    result,
+    REMOTE_SCHEMA,
+    ['iterationCount', 'mVals', 'schemaVersion'],
+    context
+  );
+}
+
+/**
+ * Validate sites' local results.
+ *
+ * @example
+ * validateLocalResults(
+ *   [{ gradient: { age: '0.5' }, username: 'site-1', ... }],
+ *   { coefficientKeys: ['age'] }
+ * );
+ * // throws "Invalid local result from 'site-1': 'gradient.age' should be a
+ * // finite number"
+ *
+ * @param {Object[]} results
+ * @param {Object} [options] See `getLocalProblems`
+ * @returns {Object[]} The validated results
+ */
+function validateLocalResults(results, options) {
+  results.forEach((result, index) => {
+    const problems = getLocalProblems(result, options);
+
+    if (problems.length) {
+      const site = result && _.isString(result.username) ?
+        `'${result.username}'` :
+        `site ${index + 1}`;
+
+      throw new Error(
+        `Invalid local result from ${site}: ${problems.join('; ')}`
+      );
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Validate a remote result.
+ *
+ * @param {Object} result
+ * @param {Object} [options] See `getRemoteProblems`
+ * @returns {Object} The validated result
+ */
+function validateRemoteResult(result, options) {
+  const problems = getRemoteProblems(result, options);
+
+  if (problems.length) {
+    throw new Error(`Invalid remote result: ${problems.join('; ')}`);
+  }
+
+  return result;
+}
+
+module.exports = {
+  /* eslint-disable object-shorthand */
+  LOCAL_SCHEMA: LOCAL_SCHEMA,
+  REMOTE_SCHEMA: REMOTE_SCHEMA,
+  SCHEMA_VERSION: SCHEMA_VERSION,
+  getLocalProblems: getLocalProblems,
+  getRemoteProblems: getRemoteProblems,
+  validateLocalResults: validateLocalResults,
+  validateRemoteResult: validateRemoteResult,
+  /* eslint-enable object-shorthand */
+};
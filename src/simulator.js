@@ -0,0 +1,403 @@
+/**
+ * Simulator.
+ *
+ * Run a consortium in-process: drive a computation definition's `local.fn`
+ * and `remote.fn` round-trip the way COINSTAC's pipeline runners do, until
+ * the remote result is `complete`.
+ *
+ * Each round the remote runs with its previous result and every site's latest
+ * result. Then every site runs with the remote's latest result and its own
+ * previous result.
+ *
+ * `crossValidate` runs a simulation per site, leaving that site out. It's only
+ * available here: a deployed run can't refit the consortium once per site.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const async = require('async');
+const createMultishot = require('./index.js').createMultishot;
+const fs = require('fs');
+const path = require('path');
+const validation = require('./validation.js');
+
+/**
+ * Get a site's local computation parameters.
+ *
+ * @param {Object} site
+ * @param {Object} state Site's simulation state
+ * @param {Object} remoteResult
+ * @returns {Object}
+ */
+function getLocalParams(site, state, remoteResult) {
+  const params = {
+    filenames: state.filenames,
+    previousData: state.previousData,
+    remoteResult: remoteResult, // eslint-disable-line object-shorthand
+    username: site.username,
+  };
+
+  if (site.data) {
+    params.data = site.data;
+  }
+  if (site.manifest) {
+    params.manifest = site.manifest;
+  }
+
+  return params;
+}
+
+/**
+ * Normalize sites.
+ *
+ * @param {Array} sites Site directories or site objects
+ * @returns {Object[]}
+ */
+function getSites(sites) {
+  if (!Array.isArray(sites) || !sites.length) {
+    throw new TypeError('Expected sites to be a non-empty array');
+  }
+
+  const normalized = sites.map((site, index) => {
+    const value = _.isString(site) ? { directory: site } : _.clone(site);
+
+    if (!_.isPlainObject(value)) {
+      throw new TypeError(`Expected site ${index + 1} to be a directory or object`);
+    }
+    if (!value.data && !value.directory && !value.filenames) {
+      throw new Error(
+        `Expected site ${index + 1} to have data, a directory or filenames`
+      );
+    }
+
+    if (
+      value.offlineRounds &&
+      (!Array.isArray(value.offlineRounds) || !value.offlineRounds.every(_.isInteger))
+    ) {
+      throw new TypeError(
+        `Expected site ${index + 1}'s offlineRounds to be an array of rounds`
+      );
+    }
+
+    value.username = value.username || `site-${index + 1}`;
+
+    return value;
+  });
+  const usernames = _.map(normalized, 'username');
+
+  if (_.uniq(usernames).length !== usernames.length) {
+    throw new Error('Expected sites to have unique usernames');
+  }
+
+  return normalized;
+}
+
+/**
+ * List a site's files.
+ *
+ * @param {Object} site
+ * @param {function} callback
+ */
+function getFilenames(site, callback) { // eslint-disable-line consistent-return
+  if (site.filenames || !site.directory) {
+    return callback(null, site.filenames || []);
+  }
+
+  fs.readdir(site.directory, (error, filenames) => { // eslint-disable-line consistent-return
+    if (error) {
+      return callback(error);
+    }
+
+    callback(
+      null,
+      filenames.sort().map(filename => path.join(site.directory, filename))
+    );
+  });
+}
+
+/**
+ * Simulate a consortium run.
+ *
+ * @example
+ * simulate({
+ *   config: { intercept: true, predictors: ['group', 'age'] },
+ *   sites: ['./site-1', './site-2'],
+ * }, (error, simulation) => {
+ *   // simulation.remoteResult.complete === true
+ * });
+ *
+ * @param {Object} options
+ * @param {Object} [options.config] Options for `createMultishot`
+ * @param {Object} [options.definition] Computation definition. Defaults to
+ * one created from `options.config`.
+ * @param {number} [options.maxRounds=1000] Give up after this many rounds
+ * @param {Array} options.sites Site directories, or objects with:
+ * * `data`: Synthetic `xVals` and `yVals` (see `design.validateData`), or
+ * * `directory`: Directory with the site's Freesurfer files and manifest, or
+ * * `filenames`: The site's files
+ * * `manifest`: Optional manifest path
+ * * `offlineRounds`: Rounds in which the site doesn't run
+ * * `username`: Defaults to `site-<n>`
+ * @param {function} callback Node-style callback. Called with the simulation:
+ * `cacheStats`, the definition's parse cache counters or `null`;
+ * `remoteResult`, the final remote result; `rounds`, the number of rounds;
+ * `siteResults`, each site's last result keyed by username; and `trace`, every
+ * round's `remoteResult` and `localResults`. Errors have the trace up to the
+ * failure as `error.trace`.
+ */
+function simulate(options, callback) { // eslint-disable-line consistent-return
+  let definition;
+  let sites;
+
+  try {
+    definition = options.definition || createMultishot(options.config);
+    sites = getSites(options.sites);
+  } catch (error) {
+    return setImmediate(callback, error);
+  }
+
+  const maxRounds = options.maxRounds || 1000;
+  const trace = [];
+  const fail = error => {
+    error.trace = trace; // eslint-disable-line no-param-reassign
+    callback(error);
+  };
+  let remoteResult;
+
+  /**
+   * Start the simulation once every site's files are listed.
+   *
+   * @param {Error} [filenameError]
+   * @param {array[]} filenames
+   */
+  const start = (filenameError, filenames) => { // eslint-disable-line consistent-return
+    if (filenameError) {
+      return fail(filenameError);
+    }
+
+    const states = sites.map((site, index) => ({
+      filenames: filenames[index],
+      previousData: undefined,
+    }));
+
+    /**
+     * Run one round: the remote, then every site.
+     *
+     * @param {number} round
+     */
+    const runRound = round => { // eslint-disable-line consistent-return
+      if (round > maxRounds) {
+        return fail(new Error(
+          `Simulation didn't complete within ${maxRounds} rounds`
+        ));
+      }
+
+      definition.remote.fn(
+        {
+          previousData: remoteResult,
+          userResults: _.compact(_.map(states, 'previousData')),
+        },
+        (remoteError, newRemoteResult) => { // eslint-disable-line consistent-return
+          if (remoteError) {
+            return fail(remoteError);
+          }
+
+          const entry = {
+            localResults: {},
+            remoteResult: newRemoteResult || null,
+            round: round, // eslint-disable-line object-shorthand
+          };
+
+          trace.push(entry);
+
+          if (newRemoteResult) {
+            remoteResult = newRemoteResult;
+          }
+
+          if (remoteResult && remoteResult.complete) {
+            return callback(null, {
+              cacheStats: definition.cache ? definition.cache.getStats() : null,
+              remoteResult: remoteResult, // eslint-disable-line object-shorthand
+              rounds: round,
+              siteResults: _.zipObject(
+                _.map(sites, 'username'),
+                _.map(states, 'previousData')
+              ),
+              trace: trace, // eslint-disable-line object-shorthand
+            });
+          }
+
+          async.mapSeries(
+            sites,
+            (site, cb) => { // eslint-disable-line consistent-return
+              // Offline sites keep their stale result
+              if (_.includes(site.offlineRounds, round)) {
+                return cb(null, null);
+              }
+
+              definition.local.fn(
+                getLocalParams(site, states[sites.indexOf(site)], remoteResult),
+                (localError, localResult) => {
+                  if (localError) {
+                    localError.message = // eslint-disable-line no-param-reassign
+                      `${site.username}: ${localError.message}`;
+                  }
+
+                  cb(localError, localResult);
+                }
+              );
+            },
+            (localError, localResults) => { // eslint-disable-line consistent-return
+              if (localError) {
+                return fail(localError);
+              }
+
+              localResults.forEach((localResult, index) => {
+                entry.localResults[sites[index].username] =
+                  localResult || null;
+
+                if (localResult) {
+                  states[index].previousData = localResult;
+                }
+              });
+
+              if (!newRemoteResult && !_.some(localResults)) {
+                return fail(new Error(
+                  `Simulation stalled in round ${round}: neither the remote ` +
+                  'nor any site produced a result'
+                ));
+              }
+
+              setImmediate(runRound, round + 1);
+            }
+          );
+        }
+      );
+    };
+
+    runRound(1);
+  };
+
+  async.map(sites, getFilenames, start);
+}
+
+/**
+ * Cross-validate a consortium, leaving one site out at a time.
+ *
+ * Each fold refits the model without one site. The site left out then
+ * evaluates the fold's coefficients on all of its subjects, the way sites
+ * evaluate held-out subjects in a `validation` round. Sites don't hold
+ * subjects out of fitting, so `holdoutFraction` can't be set.
+ *
+ * @example
+ * crossValidate({
+ *   config: { intercept: true, predictors: ['group', 'age'] },
+ *   sites: ['./site-1', './site-2', './site-3'],
+ * }, (error, crossValidation) => {
+ *   // crossValidation.validation.pooled.r2
+ * });
+ *
+ * @see validation.poolValidation
+ *
+ * @param {Object} options
+ * @param {Object} [options.config] Options for `createMultishot`
+ * @param {number} [options.maxRounds] See `simulate`
+ * @param {Array} options.sites At least two sites. See `simulate`.
+ * @param {function} callback Node-style callback. Called with `folds`, each
+ * fold's `mVals` and `rounds` keyed by the username of the site left out, and
+ * `validation`, the sites' out-of-sample metrics and their pooled metrics.
+ */
+function crossValidate(options, callback) { // eslint-disable-line consistent-return
+  let definition;
+  let sites;
+
+  if (options.config && !_.isNil(options.config.holdoutFraction)) {
+    return setImmediate(
+      callback,
+      new Error(
+        "Expected option 'holdoutFraction' to be null to cross-validate: " +
+        'the site left out validates on all of its subjects'
+      )
+    );
+  }
+
+  try {
+    definition = createMultishot(options.config);
+    sites = getSites(options.sites);
+  } catch (error) {
+    return setImmediate(callback, error);
+  }
+
+  if (sites.length < 2) {
+    return setImmediate(
+      callback,
+      new Error('Expected at least 2 sites to cross-validate')
+    );
+  }
+
+  /**
+   * Refit without a site, then evaluate the fold's model on it.
+   *
+   * @param {Object} site
+   * @param {function} cb Called with the fold's `localResult` and simulation
+   */
+  const runFold = (site, cb) => async.waterfall(
+    [
+      cb1 => simulate({
+        definition: definition, // eslint-disable-line object-shorthand
+        maxRounds: options.maxRounds,
+        sites: _.without(sites, site),
+      }, cb1),
+      (simulation, cb2) => getFilenames(site, (error, filenames) => { // eslint-disable-line consistent-return, max-len
+        if (error) {
+          return cb2(error);
+        }
+
+        definition.local.fn(
+          getLocalParams(
+            site,
+            { filenames: filenames }, // eslint-disable-line object-shorthand
+            _.assign({}, simulation.remoteResult, { phase: 'validation' })
+          ),
+          (localError, localResult) => cb2(localError, {
+            localResult: localResult, // eslint-disable-line object-shorthand
+            simulation: simulation, // eslint-disable-line object-shorthand
+          })
+        );
+      }),
+    ],
+    (error, fold) => {
+      if (error) {
+        error.message = // eslint-disable-line no-param-reassign
+          `Leaving out ${site.username}: ${error.message}`;
+      }
+
+      cb(error, fold);
+    }
+  );
+
+  async.mapSeries(sites, runFold, (error, folds) => { // eslint-disable-line consistent-return
+    if (error) {
+      return callback(error);
+    }
+
+    callback(null, {
+      folds: _.zipObject(
+        _.map(sites, 'username'),
+        folds.map(fold => ({
+          mVals: fold.simulation.remoteResult.mVals,
+          rounds: fold.simulation.rounds,
+        }))
+      ),
+      validation: validation.poolValidation(_.map(folds, 'localResult')),
+    });
+  });
+}
+
+module.exports = {
+  /* eslint-disable object-shorthand */
+  crossValidate: crossValidate,
+  simulate: simulate,
+  /* eslint-enable object-shorthand */
+};
@@ -0,0 +1,204 @@
+/**
+ * Mass-univariate analysis.
+ *
+ * With `massUnivariate`, every one of `roiKeys` that isn't a predictor is the
+ * dependent variable of its own model, all fit from one round of sufficient
+ * statistics. The predictors are the same for every ROI, so sites share XᵀX
+ * once and Xᵀy and yᵀy per ROI, from files they parse once.
+ *
+ * The remote result's `massUnivariate` reports each ROI's model, in
+ * `roiKeys` order:
+ *
+ *   {
+ *     confidenceLevel: 0.95,
+ *     rois: {
+ *       'Left-Hippocampus': {
+ *         coefficients: {
+ *           group: {
+ *             confidenceInterval: [-0.91, -0.12],
+ *             estimate: -0.52,
+ *             pValue: 0.013,
+ *             pValueBonferroni: 0.234,
+ *             pValueFdr: 0.078,
+ *             standardError: 0.19,
+ *             tStatistic: -2.71,
+ *           },
+ *           ...
+ *         },
+ *         df: 33,
+ *         r2: 0.21,
+ *         residualVariance: 0.81,
+ *       },
+ *       ...
+ *     },
+ *   }
+ *
+ * Each coefficient's p-values are corrected across ROIs: `pValueBonferroni`
+ * controls the family-wise error rate, and `pValueFdr` is the
+ * Benjamini–Hochberg adjusted p-value, which controls the false discovery
+ * rate.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const runners = require('./runners.js');
+
+/**
+ * Bonferroni-adjust p-values.
+ *
+ * @example
+ * adjustBonferroni([0.01, 0.04, 0.5]);
+ * // => [0.03, 0.12, 1]
+ *
+ * @param {number[]} pValues
+ * @returns {number[]} Adjusted p-values, in the same order
+ */
+function adjustBonferroni(pValues) {
+  return pValues.map(pValue => Math.min(1, pValue * pValues.length));
+}
+
+/**
+ * Benjamini–Hochberg-adjust p-values. The adjusted p-value of the i-th
+ * smallest of m is the smallest of p₍ⱼ₎m / j for j ≥ i. Rejecting those at or
+ * below q controls the false discovery rate at q.
+ *
+ * @example
+ * adjustBenjaminiHochberg([0.01, 0.04, 0.03, 0.5]);
+ * // => [0.04, 0.0533, 0.0533, 0.5]
+ *
+ * @param {number[]} pValues
+ * @returns {number[]} Adjusted p-values, in the same order
+ */
+function adjustBenjaminiHochberg(pValues) {
+  const count = pValues.length;
+  const order = _.sortBy(_.range(count), index => pValues[index]);
+  const adjusted = [];
+  let minimum = 1;
+
+  for (let rank = count; rank > 0; rank--) {
+    const index = order[rank - 1];
+
+    minimum = Math.min(minimum, pValues[index] * count / rank);
+    adjusted[index] = minimum;
+  }
+
+  return adjusted;
+}
+
+/**
+ * Compute a site's sufficient statistics for every ROI.
+ *
+ * @see runners.computeStatistics
+ *
+ * @param {array[]} xVals n×p design matrix, without an intercept column
+ * @param {array[]} yVals Each subject's values, ordered by `dependentKeys`
+ * @param {string[]} dependentKeys See `design.getDependentKeys`
+ * @param {Object} [options] See `runners.computeStatistics`
+ * @returns {Object} `sampleSize`, `xTx`, and `roiStatistics`: `xTy` and
+ * `yTy` keyed by ROI
+ */
+function computeStatistics(xVals, yVals, dependentKeys, options) {
+  const statistics = dependentKeys.map((key, index) => runners.computeStatistics(
+    xVals,
+    yVals.map(row => row[index]),
+    options
+  ));
+
+  return {
+    roiStatistics: _.zipObject(
+      dependentKeys,
+      statistics.map(item => _.pick(item, ['xTy', 'yTy']))
+    ),
+    sampleSize: statistics[0].sampleSize,
+    xTx: statistics[0].xTx,
+  };
+}
+
+/**
+ * Get sites' sufficient statistics for one ROI.
+ *
+ * @param {Object[]} localResults Sites' results from `computeStatistics`
+ * @param {string} roi
+ * @returns {Object[]} Results with `sampleSize`, `xTx`, `xTy` and `yTy`, as
+ * `runners.computeExactAggregate` expects
+ */
+function getROIResults(localResults, roi) {
+  return localResults.map(result => _.assign(
+    _.pick(result, ['sampleSize', 'xTx']),
+    result.roiStatistics[roi]
+  ));
+}
+
+/**
+ * Solve every ROI's model and correct its p-values across ROIs.
+ *
+ * @param {Object[]} localResults Sites' results from `computeStatistics`
+ * @param {string[]} coefficientKeys
+ * @param {string[]} dependentKeys See `design.getDependentKeys`
+ * @param {number} [confidenceLevel=0.95]
+ * @param {string} [normalization] See `runners.computeInference`
+ * @returns {Object} The remote result's `massUnivariate`
+ */
+function computeTable(
+  localResults,
+  coefficientKeys,
+  dependentKeys,
+  confidenceLevel,
+  normalization
+) {
+  const rois = dependentKeys.map(roi => {
+    const roiResults = getROIResults(localResults, roi);
+    let exactResult;
+    let inference;
+
+    try {
+      exactResult = runners.computeExactAggregate(roiResults, coefficientKeys);
+      inference = runners.computeInference(
+        roiResults,
+        exactResult.mVals,
+        coefficientKeys,
+        confidenceLevel,
+        normalization
+      );
+    } catch (error) {
+      throw new Error(`ROI '${roi}': ${error.message}`);
+    }
+
+    return {
+      coefficients: inference.coefficients,
+      df: inference.df,
+      r2: exactResult.r2,
+      residualVariance: inference.residualVariance,
+    };
+  });
+
+  coefficientKeys.forEach(key => {
+    const coefficients = rois.map(roi => roi.coefficients[key]);
+    const pValues = _.map(coefficients, 'pValue');
+    const bonferroni = adjustBonferroni(pValues);
+    const fdr = adjustBenjaminiHochberg(pValues);
+
+    coefficients.forEach((coefficient, index) => {
+      /* eslint-disable no-param-reassign */
+      coefficient.pValueBonferroni = bonferroni[index];
+      coefficient.pValueFdr = fdr[index];
+      /* eslint-enable no-param-reassign */
+    });
+  });
+
+  return {
+    confidenceLevel: confidenceLevel || 0.95,
+    rois: _.zipObject(dependentKeys, rois),
+  };
+}
+
+module.exports = {
+  /* eslint-disable object-shorthand */
+  adjustBenjaminiHochberg: adjustBenjaminiHochberg,
+  adjustBonferroni: adjustBonferroni,
+  computeStatistics: computeStatistics,
+  computeTable: computeTable,
+  getROIResults: getROIResults,
+  /* eslint-enable object-shorthand */
+};
@@ -0,0 +1,187 @@
+/**
+ * Validation.
+ *
+ * Estimate how well the federated model generalizes to subjects it wasn't fit
+ * on. With a `holdoutFraction` every site holds some of its subjects out of
+ * fitting, and a final `validation` round asks each site to evaluate the
+ * model on them. `simulator.crossValidate` runs a leave-one-site-out loop
+ * instead: it refits without each site in turn, and the site left out
+ * evaluates that model on all of its subjects.
+ *
+ * Either way the out-of-sample metrics are reported per site and pooled:
+ *
+ *   {
+ *     pooled: { mse: 1402.5, r2: 0.41, sampleSize: 36 },
+ *     sites: { 'site-1': { mse: 1380.2, r2: 0.44, sampleSize: 12 }, ... },
+ *   }
+ *
+ * The `ridge` model reports the mean squared error, in the dependent
+ * variable's standardized units, and r². The `logistic` model reports
+ * accuracy and AUC.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const helpers = require('./helpers.js');
+const quorum = require('./quorum.js');
+const runners = require('./runners.js');
+
+/**
+ * Whether a subject is held out. Held-out subjects are spread evenly through
+ * a site's subjects, starting with the first.
+ *
+ * @param {number} index Subject's position
+ * @param {number} fraction
+ * @returns {boolean}
+ */
+function isHeldOut(index, fraction) {
+  return Math.ceil((index + 1) * fraction) > Math.ceil(index * fraction);
+}
+
+/**
+ * Split a site's subjects into those used for fitting and those held out.
+ *
+ * @example
+ * splitHoldout({ xVals: [[1], [2], [3], [4]], yVals: [5, 6, 7, 8] }, 0.25);
+ * // => {
+ * //   holdout: { xVals: [[1]], yVals: [5] },
+ * //   training: { xVals: [[2], [3], [4]], yVals: [6, 7, 8] },
+ * // }
+ *
+ * @param {Object} data Site's `xVals` and `yVals`
+ * @param {(number|null)} fraction Fraction of subjects to hold out, rounded
+ * up. `null` holds none out.
+ * @returns {Object} `holdout` and `training`, each with `xVals` and `yVals`
+ */
+function splitHoldout(data, fraction) {
+  const heldOut = data.yVals.map((value, index) => (
+    !!fraction && isHeldOut(index, fraction)
+  ));
+  const pick = keep => ({
+    xVals: data.xVals.filter((row, index) => heldOut[index] === keep),
+    yVals: data.yVals.filter((value, index) => heldOut[index] === keep),
+  });
+  const split = { holdout: pick(true), training: pick(false) };
+
+  if (!split.training.yVals.length) {
+    throw new Error(
+      `Expected subjects to remain for fitting after holding out ${fraction}`
+    );
+  }
+
+  return split;
+}
+
+/**
+ * Evaluate coefficients on a site's held-out subjects.
+ *
+ * @param {array[]} xVals Held-out design matrix, without an intercept column
+ * @param {number[]} yVals Held-out dependent variable
+ * @param {number[]} aggregateMVals Coefficients, ordered by `coefficientKeys`
+ * @param {string[]} coefficientKeys
+ * @param {Object} options
+ * @param {boolean} options.intercept
+ * @param {string} options.model
+ * @param {Object} options.normalization Column normalization to standardize
+ * with, from the subjects the model was fit on. See
+ * `normalization.getColumnNormalization`.
+ * @returns {Object} `sampleSize`, and `ssResidual` and `ssTotal` or
+ * `accuracy` and `auc`
+ */
+function computeValidation(
+  xVals,
+  yVals,
+  aggregateMVals,
+  coefficientKeys,
+  options
+) {
+  const result = runners.computeRegression(
+    xVals,
+    yVals,
+    aggregateMVals,
+    coefficientKeys,
+    _.pick(options, ['intercept', 'model', 'normalization'])
+  );
+
+  return _.pick(
+    result,
+    options.model === 'logistic' ?
+      ['accuracy', 'auc', 'sampleSize'] :
+      ['sampleSize', 'ssResidual', 'ssTotal']
+  );
+}
+
+/**
+ * Get a validation's metrics from its summed or averaged values.
+ *
+ * @param {Object} values `sampleSize`, and `ssResidual` and `ssTotal` or
+ * `accuracy` and `auc`
+ * @returns {Object} `sampleSize`, and `mse` and `r2` or `accuracy` and `auc`
+ */
+function getMetrics(values) {
+  if (_.has(values, 'accuracy')) {
+    return _.pick(values, ['accuracy', 'auc', 'sampleSize']);
+  }
+
+  return {
+    mse: values.ssResidual / values.sampleSize,
+    r2: values.ssTotal ? 1 - values.ssResidual / values.ssTotal : 0,
+    sampleSize: values.sampleSize,
+  };
+}
+
+/**
+ * Weight sites' values by sample size.
+ *
+ * @param {Object[]} localResults
+ * @param {string} key
+ * @returns {(number|null)} `null` if no site has a value
+ */
+function getWeightedMean(localResults, key) {
+  const results = localResults.filter(result => _.isNumber(result[key]));
+  const sampleSize = helpers.sum(_.map(results, 'sampleSize'));
+
+  return sampleSize ?
+    _.sumBy(results, result => result[key] * result.sampleSize) / sampleSize :
+    null;
+}
+
+/**
+ * Pool sites' validations.
+ *
+ * The pooled mean squared error and r² come from sites' summed squares, so
+ * they're the same as if every held-out subject were at one site. Accuracy
+ * and AUC are weighted by sample size; AUC doesn't pool exactly, so its
+ * pooled value is an approximation.
+ *
+ * @param {Object[]} localResults Sites' `computeValidation` results
+ * @returns {Object} `pooled` metrics, and `sites`' metrics keyed by site ID
+ */
+function poolValidation(localResults) {
+  const pooled = { sampleSize: helpers.sum(_.map(localResults, 'sampleSize')) };
+
+  if (_.has(localResults[0], 'accuracy')) {
+    pooled.accuracy = getWeightedMean(localResults, 'accuracy');
+    pooled.auc = getWeightedMean(localResults, 'auc');
+  } else {
+    pooled.ssResidual = helpers.sum(_.map(localResults, 'ssResidual'));
+    pooled.ssTotal = helpers.sum(_.map(localResults, 'ssTotal'));
+  }
+
+  return {
+    pooled: getMetrics(pooled),
+    sites: _.zipObject(
+      localResults.map(quorum.getSiteId),
+      localResults.map(getMetrics)
+    ),
+  };
+}
+
+module.exports = {
+  /* eslint-disable object-shorthand */
+  computeValidation: computeValidation,
+  poolValidation: poolValidation,
+  splitHoldout: splitHoldout,
+  /* eslint-enable object-shorthand */
+};
@@ -1,5 +1,27 @@
 'use strict';
 
+require('./accountant.js');
+require('./adapters.js');
+require('./cache.js');
+require('./cli.js');
+require('./config.js');
+require('./design.js');
+require('./distributions.js');
 require('./helpers.js');
+require('./history.js');
 require('./index.js');
+require('./manifest.js');
+require('./masking.js');
+require('./models.js');
+require('./normalization.js');
+require('./optimizers.js');
+require('./phases.js');
+require('./prng.js');
+require('./quorum.js');
+require('./regularization.js');
+require('./robust.js');
 require('./runners.js');
+require('./schemas.js');
+require('./simulator.js');
+require('./univariate.js');
+require('./validation.js');
@@ -0,0 +1,96 @@
+'use strict';
+
+const accountant = require('../src/accountant.js');
+const deepFreeze = require('deep-freeze');
+const tape = require('tape');
+
+const sampleLedger = [0.1, 0.1, 0.1, 0.1];
+
+deepFreeze(sampleLedger);
+
+tape('gets spent epsilon with basic composition', t => {
+  t.equal(accountant.getSpent([], { composition: 'basic' }), 0, 'empty ledger');
+  t.ok(
+    Math.abs(
+      accountant.getSpent(sampleLedger, { composition: 'basic' }) - 0.4
+    ) < 1e-12,
+    'sums epsilons'
+  );
+  t.end();
+});
+
+tape('gets spent epsilon with advanced composition', t => {
+  const delta = 1e-5;
+  const manyRounds = [];
+
+  for (let i = 0; i < 1000; i++) {
+    manyRounds.push(0.01);
+  }
+
+  t.equal(
+    accountant.getSpent(sampleLedger, { composition: 'advanced', delta }),
+    accountant.getSpent(sampleLedger, { composition: 'basic' }),
+    'falls back to basic composition for few rounds'
+  );
+  t.ok(
+    Math.abs(
+      accountant.getSpent(manyRounds, { composition: 'advanced', delta }) -
+      (
+        0.01 * Math.sqrt(2 * 1000 * Math.log(1 / delta)) +
+        1000 * 0.01 * Math.expm1(0.01)
+      )
+    ) < 1e-9,
+    'applies advanced composition theorem'
+  );
+  t.ok(
+    accountant.getSpent(manyRounds, { composition: 'advanced', delta }) <
+    accountant.getSpent(manyRounds, { composition: 'basic' }),
+    'is tighter than basic composition for many rounds'
+  );
+  t.throws(
+    () => accountant.getSpent(sampleLedger, { composition: 'wat' }),
+    /Unknown composition 'wat'/,
+    'rejects unknown compositions'
+  );
+  t.end();
+});
+
+tape('records releases', t => {
+  t.deepEqual(
+    accountant.record(sampleLedger, 0.2),
+    [0.1, 0.1, 0.1, 0.1, 0.2],
+    'appends epsilon'
+  );
+  t.end();
+});
+
+tape('checks budget', t => {
+  const options = {
+    budget: 0.5,
+    composition: 'basic',
+  };
+
+  t.ok(accountant.canSpend(sampleLedger, 0.1, options), 'within budget');
+  t.notOk(accountant.canSpend(sampleLedger, 0.2, options), 'over budget');
+  t.ok(
+    accountant.canSpend(sampleLedger, 100, {
+      budget: null,
+      composition: 'basic',
+    }),
+    'no budget'
+  );
+  t.end();
+});
+
+tape('gets max spent epsilon', t => {
+  t.equal(
+    accountant.getMaxSpent([
+      { privacySpent: 0.3 },
+      { privacySpent: 1.2 },
+      {},
+    ]),
+    1.2
+  );
+  t.equal(accountant.getMaxSpent([]), 0, 'no results');
+  t.end();
+});
@@ -0,0 +1,248 @@
+'use strict';
+
+const adapters = require('../src/adapters.js');
+const cache = require('../src/cache.js');
+const fs = require('fs');
+const path = require('path');
+const tape = require('tape');
+
+const stubs = path.join(__dirname, 'stubs');
+const stub = filename => path.join(stubs, 'adapters', filename);
+const read = filename => fs.readFileSync(stub(filename), 'utf-8');
+
+tape('chooses formats', t => {
+  t.equal(adapters.getFormat('S01.txt'), 'aseg', 'chooses aseg');
+  t.equal(adapters.getFormat('S01.aseg.stats'), 'aseg', 'chooses aseg stats');
+  t.equal(adapters.getFormat('S01.stats'), 'aseg', 'chooses aseg for other stats');
+  t.equal(adapters.getFormat('lh.aparc.stats'), 'aparc', 'chooses aparc');
+  t.equal(adapters.getFormat('THICKNESS.CSV'), 'csv', 'ignores case');
+  t.equal(adapters.getFormat('S01.json'), 'json', 'chooses JSON');
+  t.equal(adapters.getFormat('S01.txt', 'csv'), 'csv', 'uses explicit format');
+  t.throws(
+    () => adapters.getFormat('S01.mgz'),
+    /S01\.mgz: No input format for this file's extension/,
+    'rejects unknown extensions'
+  );
+  t.throws(
+    () => adapters.getFormat('S01.txt', 'xlsx'),
+    /Unknown input format 'xlsx'. Expected one of: aparc, aseg, csv, json/,
+    'rejects unknown formats'
+  );
+  t.end();
+});
+
+tape('parses aseg files', t => {
+  const filename = path.join(stubs, 'site-1', 'S01.txt');
+  const records = adapters.parseFile(fs.readFileSync(filename, 'utf-8'), filename);
+
+  t.equal(records.length, 1, 'parses a record');
+  t.equal(records[0].subject, null, "doesn't name subject");
+  t.equal(records[0].values['Left-Hippocampus'], 4000.1, 'parses values');
+  t.notOk('header' in records[0].values, 'omits header');
+  t.throws(
+    () => adapters.parseFile('Measure:volume S01\n\nLeft-Hippocampus 1 2\n', 'S01.txt'),
+    /S01\.txt: line 3: Expected an ROI and its value, found 3 fields/,
+    'names line of malformed rows'
+  );
+  t.throws(
+    () => adapters.parseFile('Measure:volume S01\nLeft-Hippocampus 1\n', 'S01.txt'),
+    /S01\.txt: Invalid aseg stats: /,
+    'validates fields'
+  );
+  t.equal(
+    adapters.parseFile(read('S02.aseg.stats'), stub('S02.aseg.stats'))[0]
+      .values['Left-Hippocampus'],
+    adapters.parseFile(
+      fs.readFileSync(path.join(stubs, 'site-1', 'S02.txt'), 'utf-8'),
+      'S02.txt'
+    )[0].values['Left-Hippocampus'],
+    'parses .stats files'
+  );
+  t.end();
+});
+
+tape('parses aparc files', t => {
+  t.deepEqual(
+    adapters.parseFile(read('lh.aparc.stats'), 'lh.aparc.stats'),
+    [{
+      location: 'line 1',
+      subject: null,
+      values: {
+        lh_bankssts_thickness: 2.516,
+        lh_caudalanteriorcingulate_thickness: 2.658,
+      },
+    }],
+    'keys thickness by hemisphere and structure'
+  );
+  t.throws(
+    () => adapters.parseFile(read('invalid.aparc.stats'), 'invalid.aparc.stats'),
+    /invalid\.aparc\.stats: line 4: Expected a numeric value for 'lh_caudalanteriorcingulate_thickness', found 'thick'/, // eslint-disable-line max-len
+    'names line of invalid values'
+  );
+  t.throws(
+    () => adapters.parseFile('bankssts 1 2\n', 'lh.aparc.stats'),
+    /line 1: Expected a '# ColHeaders' line first/,
+    'requires column headers'
+  );
+  t.end();
+});
+
+tape('parses CSV tables', t => {
+  const records = adapters.parseFile(read('thickness.csv'), 'thickness.csv');
+
+  t.deepEqual(
+    records[1],
+    {
+      location: 'line 3',
+      subject: 'S02',
+      values: { lh_bankssts_thickness: 2.402, rh_bankssts_thickness: 2.377 },
+    },
+    'parses a record per row'
+  );
+  t.throws(
+    () => adapters.parseFile(read('invalid.csv'), 'invalid.csv'),
+    /invalid\.csv: line 4: Expected 3 fields, found 2/,
+    'names line of malformed rows'
+  );
+  t.throws(
+    () => adapters.parseFile('id,a\nS01,1\n', 'rois.csv'),
+    /rois\.csv: line 1: Expected a 'subject' column/,
+    'requires subject column'
+  );
+  t.throws(
+    () => adapters.parseFile('subject,a\nS01,\n', 'rois.csv'),
+    /rois\.csv: line 2: Expected a numeric value for 'a', found ''/,
+    'rejects empty values'
+  );
+  t.end();
+});
+
+tape('parses JSON', t => {
+  t.deepEqual(
+    adapters.parseFile(read('values.json'), 'values.json')[1],
+    {
+      location: 'entry 2',
+      subject: 'S02',
+      values: { lh_bankssts_thickness: 2.402 },
+    },
+    'parses arrays of subjects'
+  );
+  t.deepEqual(
+    adapters.parseFile(read('S01.json'), 'S01.json'),
+    [{
+      location: 'entry 1',
+      subject: null,
+      values: { lh_bankssts_thickness: 2.516 },
+    }],
+    'parses single subjects'
+  );
+  t.throws(
+    () => adapters.parseFile(read('invalid.json'), 'invalid.json'),
+    /invalid\.json: line 2: /,
+    'names line of syntax errors'
+  );
+  t.throws(
+    () => adapters.parseFile('[{ "a": 1 }]', 'values.json'),
+    /values\.json: entry 1: Expected a 'subject' string/,
+    'requires subjects in arrays'
+  );
+  t.end();
+});
+
+tape('registers adapters', t => {
+  adapters.registerAdapter('tsv', {
+    extensions: ['.tsv'],
+    parse: content => content.trim().split('\n').slice(1).map((line, index) => {
+      const fields = line.split('\t');
+
+      return {
+        location: `line ${index + 2}`,
+        subject: fields[0],
+        values: { a: Number(fields[1]) },
+      };
+    }),
+  });
+
+  t.equal(adapters.getFormat('rois.tsv'), 'tsv', 'chooses by extension');
+  t.deepEqual(
+    adapters.parseFile('subject\ta\nS01\t1\n', 'rois.tsv')[0].values,
+    { a: 1 },
+    'parses with adapter'
+  );
+  t.throws(
+    () => adapters.registerAdapter('xlsx', { parse: () => [] }),
+    /Expected adapter 'xlsx' to have extensions and a parse function/,
+    'validates adapters'
+  );
+
+  delete adapters.ADAPTERS.tsv;
+  t.end();
+});
+
+tape('reads ROI values for subjects', t => {
+  adapters.readROIs(
+    [
+      { file: path.join(stubs, 'site-1', 'S01.txt'), subject: 'S01' },
+      { file: stub('thickness.csv'), subject: 'S02' },
+      { file: stub('thickness.csv'), subject: 'S01' },
+    ],
+    ['Left-Hippocampus'],
+    {},
+    error => {
+      t.ok(
+        /thickness\.csv: line 3: Missing ROI 'Left-Hippocampus'/.test(error.message),
+        'names record missing ROI'
+      );
+
+      adapters.readROIs(
+        [
+          { file: stub('thickness.csv'), subject: 'S02' },
+          { file: stub('values.json'), subject: 'S01' },
+          { file: stub('lh.aparc.stats'), subject: 'S03' },
+        ],
+        ['lh_bankssts_thickness'],
+        { cache: cache.createCache() },
+        (error2, roiValues) => {
+          t.error(error2, 'reads without error');
+          t.deepEqual(
+            roiValues,
+            [[2.402], [2.516], [2.516]],
+            'reads subjects\' values'
+          );
+          t.end();
+        }
+      );
+    }
+  );
+});
+
+tape('reads every record of files without subjects', t => {
+  adapters.readRecords(
+    [stub('thickness.csv'), stub('S01.json')],
+    {},
+    (error, records) => {
+      t.error(error, 'reads without error');
+      t.deepEqual(
+        records.map(record => [record.file, record.subject]),
+        [
+          [stub('thickness.csv'), 'S01'],
+          [stub('thickness.csv'), 'S02'],
+          [stub('S01.json'), null],
+        ],
+        'returns records with files'
+      );
+
+      adapters.readRecords(
+        [{ file: stub('thickness.csv'), subject: 'S09' }],
+        {},
+        error2 => {
+          t.ok(
+            /thickness\.csv: No values for subject 'S09'/.test(error2.message),
+            'names missing subject'
+          );
+          t.end();
+        }
+      );
+    }
+  );
+});
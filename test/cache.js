@@ -0,0 +1,177 @@
+'use strict';
+
+const async = require('async');
+const cache = require('../src/cache.js');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tape = require('tape');
+
+const s01 = path.join(__dirname, 'stubs', 'site-1', 'S01.txt');
+const s02 = path.join(__dirname, 'stubs', 'site-1', 'S02.txt');
+
+tape('caches parsed files in memory', t => {
+  const parseCache = cache.createCache();
+
+  async.mapSeries(
+    [s01, s02, s01, s01],
+    (filename, cb) => parseCache.get(filename, null, cb),
+    (error, records) => {
+      t.error(error, 'reads without error');
+      t.equal(
+        records[1][0].values['Left-Hippocampus'],
+        3921.3,
+        'parses each file'
+      );
+      t.deepEqual(records[2], records[0], 'reuses parsed file');
+      t.deepEqual(
+        parseCache.getStats(),
+        { diskHits: 0, hits: 2, invalidations: 0, misses: 2, writeErrors: 0 },
+        'counts hits and misses'
+      );
+
+      parseCache.clear();
+
+      t.deepEqual(
+        parseCache.getStats(),
+        { diskHits: 0, hits: 0, invalidations: 0, misses: 0, writeErrors: 0 },
+        'resets counters'
+      );
+      t.end();
+    }
+  );
+});
+
+tape('invalidates changed files', t => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'multishot-'));
+  const filename = path.join(directory, 'S01.txt');
+  const parseCache = cache.createCache();
+
+  fs.writeFileSync(filename, fs.readFileSync(s01));
+
+  parseCache.get(filename, null, (error, records) => {
+    t.error(error, 'reads without error');
+    t.equal(records[0].values['Left-Hippocampus'], 4000.1, 'parses file');
+
+    fs.writeFileSync(
+      filename,
+      fs.readFileSync(s01, 'utf-8')
+        .replace('Left-Hippocampus 4000.1', 'Left-Hippocampus 123.4')
+    );
+
+    parseCache.get(filename, null, (error2, changed) => {
+      t.error(error2, 'reads changed file without error');
+      t.equal(changed[0].values['Left-Hippocampus'], 123.4, 'parses changed file');
+      t.deepEqual(
+        parseCache.getStats(),
+        { diskHits: 0, hits: 0, invalidations: 1, misses: 2, writeErrors: 0 },
+        'counts invalidation'
+      );
+
+      fs.unlinkSync(filename);
+      fs.rmdirSync(directory);
+      t.end();
+    });
+  });
+});
+
+tape('caches parsed files on disk', t => {
+  const directory = path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), 'multishot-')),
+    'cache'
+  );
+
+  cache.createCache({ directory }).get(s01, null, error => {
+    t.error(error, 'writes without error');
+    t.equal(fs.readdirSync(directory).length, 1, 'writes entry');
+
+    const parseCache = cache.createCache({ directory });
+
+    parseCache.get(s01, null, (error2, records) => {
+      t.error(error2, 'reads without error');
+      t.equal(records[0].values['Left-Hippocampus'], 4000.1, 'reads entry');
+      t.deepEqual(
+        parseCache.getStats(),
+        { diskHits: 1, hits: 0, invalidations: 0, misses: 0, writeErrors: 0 },
+        'counts disk hit'
+      );
+
+      fs.readdirSync(directory).forEach(
+        filename => fs.unlinkSync(path.join(directory, filename))
+      );
+      fs.rmdirSync(directory);
+      fs.rmdirSync(path.dirname(directory));
+      t.end();
+    });
+  });
+});
+
+tape('caches files by format', t => {
+  const parseCache = cache.createCache();
+
+  async.mapSeries(
+    [null, 'aseg'],
+    (format, cb) => parseCache.get(s01, format, cb),
+    error => {
+      t.error(error, 'reads without error');
+      t.deepEqual(
+        parseCache.getStats(),
+        { diskHits: 0, hits: 1, invalidations: 0, misses: 1, writeErrors: 0 },
+        'keys entries by resolved format'
+      );
+      t.end();
+    }
+  );
+});
+
+tape('reports unreadable and invalid files', t => {
+  const parseCache = cache.createCache();
+
+  parseCache.get(path.join(__dirname, 'stubs', 'nope.txt'), null, error => {
+    t.ok(error && error.code === 'ENOENT', 'passes read errors');
+
+    parseCache.get(
+      path.join(__dirname, 'stubs', 'site-1', 'manifest.csv'),
+      'aseg',
+      error2 => {
+        t.ok(/manifest\.csv: line 2: /.test(error2.message), 'passes parse errors');
+        t.equal(parseCache.getStats().misses, 0, "doesn't cache failures");
+        t.end();
+      }
+    );
+  });
+});
+
+tape('hands out copies', t => {
+  const parseCache = cache.createCache();
+
+  parseCache.get(s01, null, (error, records) => {
+    t.error(error, 'reads without error');
+
+    const values = records[0].values;
+
+    values['Left-Hippocampus'] = 0;
+
+    parseCache.get(s01, null, (error2, again) => {
+      t.error(error2, 'reads again without error');
+      t.equal(
+        again[0].values['Left-Hippocampus'],
+        4000.1,
+        "keeps entries from callers' changes"
+      );
+      t.end();
+    });
+  });
+});
+
+tape('ignores write errors', t => {
+  // A directory can't be created inside a file
+  const parseCache = cache.createCache({ directory: path.join(s01, 'cache') });
+
+  parseCache.get(s01, null, (error, records) => {
+    t.error(error, 'reads without error');
+    t.equal(records[0].values['Left-Hippocampus'], 4000.1, 'parses file');
+    t.equal(parseCache.getStats().writeErrors, 1, 'counts write error');
+    t.end();
+  });
+});
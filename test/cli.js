@@ -0,0 +1,268 @@
+'use strict';
+
+const cli = require('../src/cli.js');
+const path = require('path');
+const tape = require('tape');
+
+const stubs = path.join(__dirname, 'stubs');
+
+/**
+ * Run the CLI, collecting its output.
+ */
+function run(args, callback) {
+  const output = { stderr: '', stdout: '' };
+  const io = {
+    stderr: { write: chunk => { output.stderr += chunk; } },
+    stdout: { write: chunk => { output.stdout += chunk; } },
+  };
+
+  cli.run(args, io, code => callback(code, output));
+}
+
+tape('parses arguments', t => {
+  t.deepEqual(
+    cli.parseArgs(
+      ['a', '--json', '--config', 'c.json', '--roi=x', '--roi', 'y', 'b'],
+      { boolean: ['json'], multiple: ['roi'], string: ['config'] }
+    ),
+    {
+      options: { config: 'c.json', json: true, roi: ['x', 'y'] },
+      positional: ['a', 'b'],
+    }
+  );
+  t.throws(
+    () => cli.parseArgs(['--wat'], {}),
+    /Unknown option --wat/,
+    'rejects unknown options'
+  );
+  t.throws(
+    () => cli.parseArgs(['--config'], { string: ['config'] }),
+    /--config requires a value/,
+    'requires values'
+  );
+  t.end();
+});
+
+tape('formats tables', t => {
+  t.equal(
+    cli.formatTable(['a', 'bb'], [['ccc', 1], ['d', 22]]),
+    'a    bb\nccc  1\nd    22'
+  );
+  t.end();
+});
+
+tape('prints usage', t => {
+  run(['--help'], (code, output) => {
+    t.equal(code, 0, 'exits successfully');
+    t.equal(output.stdout, cli.USAGE, 'prints usage');
+
+    run(['wat'], (code2, output2) => {
+      t.equal(code2, 1, 'fails on unknown command');
+      t.ok(/Unknown command 'wat'/.test(output2.stderr), 'names command');
+      t.end();
+    });
+  });
+});
+
+tape('simulates site folders', t => {
+  run(
+    ['simulate', path.join(stubs, 'site-1'), path.join(stubs, 'site-2')],
+    (code, output) => {
+      const lines = output.stdout.split('\n');
+
+      t.equal(code, 0, 'exits successfully');
+      t.ok(/^Round\s+Iteration\s+Objective/.test(lines[0]), 'prints header');
+      t.ok(/complete \(converged\)/.test(output.stdout), 'prints status');
+      t.ok(/^Left-Hippocampus\s+-?\d/m.test(output.stdout), 'prints estimates');
+      t.end();
+    }
+  );
+});
+
+tape('simulates mass-univariate analyses', t => {
+  run(
+    [
+      'simulate',
+      '--config',
+      path.join(stubs, 'mass-univariate.json'),
+      path.join(stubs, 'site-1'),
+      path.join(stubs, 'site-2'),
+    ],
+    (code, output) => {
+      t.equal(code, 0, 'exits successfully');
+      t.ok(
+        /^ROI\s+Coefficient\s+Estimate\s+SE\s+t\s+p\s+p \(FDR\)/m.test(output.stdout),
+        'prints header'
+      );
+      t.ok(/^Right-Hippocampus\s+group\s+-?\d/m.test(output.stdout), 'prints ROIs');
+      t.end();
+    }
+  );
+});
+
+tape('simulates as JSON', t => {
+  run(
+    [
+      'simulate',
+      '--json',
+      '--config',
+      path.join(stubs, 'exact.json'),
+      path.join(stubs, 'site-1'),
+    ],
+    (code, output) => {
+      t.equal(code, 0, 'exits successfully');
+      t.equal(output.stderr, '', "doesn't print errors");
+
+      if (code) {
+        t.end();
+        return;
+      }
+
+      const simulation = JSON.parse(output.stdout);
+
+      t.equal(simulation.remoteResult.completionReason, 'solved', 'prints simulation');
+      t.deepEqual(
+        Object.keys(simulation.siteResults),
+        ['site-1'],
+        'names sites by folder'
+      );
+      t.end();
+    }
+  );
+});
+
+tape('cross-validates site folders', t => {
+  run(
+    [
+      'cross-validate',
+      path.join(stubs, 'site-1'),
+      path.join(stubs, 'site-2'),
+      path.join(stubs, 'site-3'),
+    ],
+    (code, output) => {
+      const lines = output.stdout.split('\n');
+
+      t.equal(code, 0, 'exits successfully');
+      t.ok(/^Site\s+Subjects\s+MSE\s+r²/.test(lines[0]), 'prints header');
+      t.ok(/^site-3\s+\d+/m.test(output.stdout), 'prints sites');
+      t.ok(/^pooled\s+\d+/m.test(output.stdout), 'prints pooled metrics');
+      t.end();
+    }
+  );
+});
+
+tape('reports simulation errors', t => {
+  run(['simulate', path.join(stubs, 'nope')], (code, output) => {
+    t.equal(code, 1, 'fails');
+    t.ok(/^multishot: .*ENOENT/.test(output.stderr), 'prints error');
+
+    run(['simulate'], (code2, output2) => {
+      t.ok(/at least one site directory/.test(output2.stderr), 'requires sites');
+      t.end();
+    });
+  });
+});
+
+tape('inspects results', t => {
+  run(['inspect', path.join(stubs, 'results', 'remote.json')], (code, output) => {
+    t.equal(code, 0, 'exits successfully');
+    t.ok(/^remote result: /.test(output.stdout), 'detects remote result');
+    t.ok(/"completionReason": "converged"/.test(output.stdout), 'pretty-prints');
+    t.ok(/Valid remote result/.test(output.stdout), 'validates');
+
+    run(['inspect', path.join(stubs, 'results', 'local.json')], (code2, output2) => {
+      t.equal(code2, 0, 'validates local result');
+      t.ok(/^local result: /.test(output2.stdout), 'detects local result');
+      t.end();
+    });
+  });
+});
+
+tape('reports invalid results', t => {
+  run(
+    ['inspect', path.join(stubs, 'results', 'invalid-local.json')],
+    (code, output) => {
+      t.equal(code, 1, 'fails');
+      t.ok(
+        /'gradient.Left-Hippocampus' should be a finite number/.test(output.stderr),
+        'checks gradient'
+      );
+      t.ok(
+        /'sampleSize' should be a positive integer/.test(output.stderr),
+        'checks sample size'
+      );
+
+      run(['inspect', path.join(stubs, 'analyses-3.json')], (code2, output2) => {
+        t.equal(code2, 1, 'fails on unrecognized result');
+        t.ok(/Unrecognized result/.test(output2.stderr), 'explains');
+        t.end();
+      });
+    }
+  );
+});
+
+tape('inspects against a configuration', t => {
+  const configFilename = path.join(stubs, 'results', 'config.json');
+
+  run(
+    ['inspect', '--config', configFilename, path.join(stubs, 'results', 'remote.json')],
+    (code, output) => {
+      t.equal(code, 1, 'fails');
+      t.ok(
+        /'mVals' should have coefficients \(Intercept\), group, age/.test(output.stderr),
+        'checks coefficients'
+      );
+      t.end();
+    }
+  );
+});
+
+tape('extracts ROI values as CSV', t => {
+  const filenames = ['S01.txt', 'S02.txt'].map(
+    filename => path.join(stubs, 'site-1', filename)
+  );
+
+  run(
+    ['extract', '--roi', 'Left-Hippocampus', '--roi', 'Right-Hippocampus']
+      .concat(filenames),
+    (code, output) => {
+      t.equal(code, 0, 'exits successfully');
+      t.equal(
+        output.stdout,
+        'file,subject,Left-Hippocampus,Right-Hippocampus\n' +
+        `${filenames[0]},,4000.1,4216.2\n` +
+        `${filenames[1]},,3921.3,4158.3\n`,
+        'prints CSV'
+      );
+      t.end();
+    }
+  );
+});
+
+tape('exports convergence history', t => {
+  const filename = path.join(stubs, 'results', 'remote.json');
+
+  run(['history', filename], (code, output) => {
+    t.equal(code, 0, 'exits successfully');
+    t.equal(
+      output.stdout,
+      'iterationCount,objective,gradientNorm,learningRate,r2,accepted\n' +
+      '8,2.09112,0.84211,0.04375,0.82551,true\n' +
+      '9,2.08498,0.00213,0.04375,0.826252,true\n',
+      'prints CSV'
+    );
+
+    run(['history', '--format', 'json', filename], (code2, output2) => {
+      t.equal(JSON.parse(output2.stdout).length, 2, 'prints JSON');
+
+      run(
+        ['history', path.join(stubs, 'results', 'local.json')],
+        (code3, output3) => {
+          t.equal(code3, 1, 'fails without history');
+          t.ok(/Expected a remote result with a 'history'/.test(output3.stderr), 'explains');
+          t.end();
+        }
+      );
+    });
+  });
+});
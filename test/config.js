@@ -0,0 +1,414 @@
+'use strict';
+
+const config = require('../src/config.js');
+const tape = require('tape');
+
+tape('creates default config', t => {
+  t.deepEqual(config.createConfig(), config.DEFAULTS, 'matches defaults');
+  t.notEqual(
+    config.createConfig().roiKeys,
+    config.DEFAULTS.roiKeys,
+    'copies defaults'
+  );
+  t.end();
+});
+
+tape('overrides defaults', t => {
+  const roiKeys = ['Left-Hippocampus', 'Right-Hippocampus'];
+  const actual = config.createConfig({
+    learningRate: 0.5,
+    roiKeys: roiKeys, // eslint-disable-line object-shorthand
+  });
+
+  t.equal(actual.learningRate, 0.5, 'sets learning rate');
+  t.deepEqual(actual.roiKeys, roiKeys, 'sets ROI keys');
+  t.equal(actual.tolerance, config.DEFAULTS.tolerance, 'keeps tolerance');
+  t.deepEqual(
+    config.createConfig({
+      optimizer: 'adam',
+      optimizerOptions: { beta1: 0.8 },
+    }).optimizerOptions,
+    { beta1: 0.8 },
+    'sets optimizer options'
+  );
+  t.end();
+});
+
+tape('validates config', t => {
+  t.throws(
+    () => config.createConfig('wat'),
+    /options to be an object/,
+    'rejects non-objects'
+  );
+  t.throws(
+    () => config.createConfig({ learningRat: 0.5 }),
+    /Unknown option\(s\): learningRat/,
+    'rejects unknown options'
+  );
+  t.throws(
+    () => config.createConfig({ aggregation: 'mean' }),
+    /'aggregation' to be one of: sum, weighted/,
+    'rejects unknown aggregation'
+  );
+  t.throws(
+    () => config.createConfig({
+      aggregation: 'weighted',
+      differentialPrivacy: true,
+      secureAggregation: true,
+    }),
+    /Aggregation 'weighted' doesn't support differentialPrivacy with secureAggregation/,
+    'rejects weighting masked means'
+  );
+  t.throws(
+    () => config.createConfig({ aggregation: 'median', secureAggregation: true }),
+    /Aggregation 'median' doesn't support secureAggregation/,
+    'rejects robust aggregation of masked sums'
+  );
+  t.throws(
+    () => config.createConfig({ aggregation: 'trimmedMean', mode: 'exact' }),
+    /Aggregation 'trimmedMean' requires mode 'iterative'/,
+    'rejects robust aggregation of sufficient statistics'
+  );
+  t.throws(
+    () => config.createConfig({ anomalyThreshold: 0 }),
+    /'anomalyThreshold' to be greater than 0/,
+    'rejects zero anomaly threshold'
+  );
+  t.throws(
+    () => config.createConfig({ anomalyThreshold: 3.5, secureAggregation: true }),
+    /Option 'anomalyThreshold' doesn't support secureAggregation/,
+    'rejects scoring masked sums'
+  );
+  t.throws(
+    () => config.createConfig({ clipNorm: -1 }),
+    /'clipNorm' to be greater than 0/,
+    'rejects negative clip norm'
+  );
+  t.throws(
+    () => config.createConfig({ trimFraction: 0.5 }),
+    /'trimFraction' to be less than 0.5/,
+    'rejects trimming every site'
+  );
+  t.throws(
+    () => config.createConfig({ cache: 'yes' }),
+    /'cache' to be a boolean/,
+    'rejects nonboolean cache flag'
+  );
+  t.throws(
+    () => config.createConfig({ cacheDirectory: '' }),
+    /'cacheDirectory' to be a non-empty string or null/,
+    'rejects empty cache directory'
+  );
+  t.throws(
+    () => config.createConfig({ clipBound: 0 }),
+    /'clipBound' to be greater than 0/,
+    'rejects zero clip bound'
+  );
+  t.throws(
+    () => config.createConfig({ composition: 'wat' }),
+    /'composition' to be one of: basic, advanced/,
+    'rejects unknown composition'
+  );
+  t.throws(
+    () => config.createConfig({ confidenceLevel: 95 }),
+    /'confidenceLevel' to be less than 1/,
+    'rejects percentage confidence level'
+  );
+  t.throws(
+    () => config.createConfig({ historySize: 0 }),
+    /'historySize' to be at least 1/,
+    'rejects empty history size'
+  );
+  t.throws(
+    () => config.createConfig({ holdoutFraction: 1 }),
+    /'holdoutFraction' to be less than 1/,
+    'rejects holding out every subject'
+  );
+  t.throws(
+    () => config.createConfig({ differentialPrivacy: true, holdoutFraction: 0.2 }),
+    /Option 'holdoutFraction' doesn't support differentialPrivacy/,
+    'rejects unnoised validation'
+  );
+  t.throws(
+    () => config.createConfig({ inference: 1 }),
+    /'inference' to be a boolean/,
+    'rejects nonboolean inference flag'
+  );
+  t.throws(
+    () => config.createConfig({ inputFormat: 'xlsx' }),
+    /'inputFormat' to be one of: aparc, aseg, csv, json/,
+    'rejects unknown input format'
+  );
+  t.throws(
+    () => config.createConfig({ lambda: -1 }),
+    /'lambda' to be at least 0/,
+    'rejects negative penalty'
+  );
+  t.throws(
+    () => config.createConfig({ holdoutFraction: 0.2, lambdas: [] }),
+    /'lambdas' to be a non-empty array/,
+    'rejects empty search'
+  );
+  t.throws(
+    () => config.createConfig({ holdoutFraction: 0.2, lambdas: [0, '1'] }),
+    /'lambdas' to only contain non-negative numbers/,
+    'rejects nonnumeric penalties'
+  );
+  t.throws(
+    () => config.createConfig({ holdoutFraction: 0.2, lambdas: [1, 1] }),
+    /'lambdas' to contain unique values/,
+    'rejects duplicate penalties'
+  );
+  t.throws(
+    () => config.createConfig({ lambdas: [0, 1] }),
+    /Option 'lambdas' requires a holdoutFraction/,
+    'requires subjects to validate on'
+  );
+  t.throws(
+    () => config.createConfig({ delta: 1 }),
+    /'delta' to be less than 1/,
+    'rejects delta of 1'
+  );
+  t.throws(
+    () => config.createConfig({ privacyBudget: -1 }),
+    /'privacyBudget' to be greater than 0/,
+    'rejects negative privacy budget'
+  );
+  t.throws(
+    () => config.createConfig({ differentialPrivacy: 'yes' }),
+    /'differentialPrivacy' to be a boolean/,
+    'rejects nonboolean differential privacy flag'
+  );
+  t.throws(
+    () => config.createConfig({ epsilon: '1' }),
+    /'epsilon' to be a finite number/,
+    'rejects nonnumeric epsilon'
+  );
+  t.throws(
+    () => config.createConfig({ learningRate: -0.7 }),
+    /'learningRate' to be greater than 0/,
+    'rejects negative learning rate'
+  );
+  t.throws(
+    () => config.createConfig({ maxSiteLag: 0 }),
+    /'maxSiteLag' to be at least 1/,
+    'rejects zero site lag'
+  );
+  t.throws(
+    () => config.createConfig({ maxSiteLag: 2, minSites: 2 }),
+    /'minSiteFraction' to be below 1 with 'maxSiteLag'/,
+    'rejects site lag without a partial quorum'
+  );
+  t.throws(
+    () => config.createConfig({ minSiteFraction: 1.5 }),
+    /'minSiteFraction' to be at most 1/,
+    'rejects site fraction over 1'
+  );
+  t.throws(
+    () => config.createConfig({ minSites: 2.5 }),
+    /'minSites' to be an integer/,
+    'rejects fractional site count'
+  );
+  t.throws(
+    () => config.createConfig({ randomSeed: 1.5 }),
+    /'randomSeed' to be an integer/,
+    'rejects fractional seed'
+  );
+  t.throws(
+    () => config.createConfig({ randomSeed: Math.pow(2, 32) }),
+    /'randomSeed' to be between 0 and 4294967295/,
+    'rejects seeds over 32 bits'
+  );
+  t.throws(
+    () => config.createConfig({ differentialPrivacy: true, randomSeed: 42 }),
+    /'randomSeed' to be null with 'differentialPrivacy'/,
+    'rejects seeded noise'
+  );
+  t.throws(
+    () => config.createConfig({ rejoin: 'yes' }),
+    /'rejoin' to be a boolean/,
+    'rejects nonboolean rejoin flag'
+  );
+  t.throws(
+    () => config.createConfig({ normalization: 'site' }),
+    /'normalization' to be one of: local, global/,
+    'rejects unknown normalization'
+  );
+  t.throws(
+    () => config.createConfig({ differentialPrivacy: true, normalization: 'global' }),
+    /Normalization 'global' doesn't support differentialPrivacy/,
+    'rejects unnoised moments'
+  );
+  t.throws(
+    () => config.createConfig({ normalization: 'global', secureAggregation: true }),
+    /Normalization 'global' doesn't support secureAggregation/,
+    'rejects masked moments'
+  );
+  t.throws(
+    () => config.createConfig({ mode: 'oneshot' }),
+    /'mode' to be one of: iterative, exact/,
+    'rejects unknown mode'
+  );
+  t.throws(
+    () => config.createConfig({ mode: 'exact', model: 'logistic' }),
+    /Mode 'exact' requires model 'ridge'/,
+    'rejects exact logistic regression'
+  );
+  t.throws(
+    () => config.createConfig({ differentialPrivacy: true, mode: 'exact' }),
+    /Mode 'exact' doesn't support differentialPrivacy/,
+    'rejects exact mode with differential privacy'
+  );
+  t.throws(
+    () => config.createConfig({ optimizer: 'newton' }),
+    /'optimizer' to be one of: adam, gradientDescent, lineSearch, momentum/,
+    'rejects unknown optimizer'
+  );
+  t.throws(
+    () => config.createConfig({ optimizer: 'adam', optimizerOptions: { beta: 0.9 } }),
+    /Unknown optimizer option 'beta' for 'adam'/,
+    'rejects options for another optimizer'
+  );
+  t.throws(
+    () => config.createConfig({ optimizer: 'momentum', optimizerOptions: { beta: 0 } }),
+    /'beta' to be greater than 0/,
+    'rejects nonpositive optimizer options'
+  );
+  t.throws(
+    () => config.createConfig({ secureAggregation: 'yes' }),
+    /'secureAggregation' to be a boolean/,
+    'rejects nonboolean secure aggregation flag'
+  );
+  t.throws(
+    () => config.createConfig({ tolerance: Infinity }),
+    /'tolerance' to be a finite number/,
+    'rejects infinite tolerance'
+  );
+  t.throws(
+    () => config.createConfig({ maxIterationCount: 1.5 }),
+    /'maxIterationCount' to be an integer/,
+    'rejects fractional max iteration count'
+  );
+  t.throws(
+    () => config.createConfig({ maxIterationCount: 0 }),
+    /'maxIterationCount' to be at least 1/,
+    'rejects zero max iteration count'
+  );
+  t.throws(
+    () => config.createConfig({ model: 'svm' }),
+    /'model' to be one of: ridge, logistic/,
+    'rejects unknown model'
+  );
+  t.throws(
+    () => config.createConfig({
+      dependent: 'Left-Hippocampus',
+      model: 'logistic',
+      predictors: ['group'],
+    }),
+    /'dependent' to be 'group' for logistic models/,
+    'requires group dependent variable for logistic models'
+  );
+  t.throws(
+    () => config.createConfig({ dependent: 'Right-Hippocampus' }),
+    /'dependent' to be one of: group, Left-Hippocampus/,
+    'rejects unknown dependent variable'
+  );
+  t.throws(
+    () => config.createConfig({ dependent: 'Left-Hippocampus' }),
+    /'predictors' when 'dependent' is an ROI/,
+    'requires predictors for ROI dependent variable'
+  );
+  t.throws(
+    () => config.createConfig({ predictors: ['age', 'group'] }),
+    /'predictors' not to contain 'group'/,
+    'rejects dependent variable as predictor'
+  );
+  t.throws(
+    () => config.createConfig({ predictors: ['(Intercept)', 'age'] }),
+    /'predictors' not to contain '\(Intercept\)'/,
+    'rejects intercept as predictor'
+  );
+  t.throws(
+    () => config.createConfig({ predictors: ['age', 'age'] }),
+    /'predictors' to contain unique values/,
+    'rejects duplicate predictors'
+  );
+  t.throws(
+    () => config.createConfig({ roiKeys: [] }),
+    /'roiKeys' to be a non-empty array/,
+    'rejects empty ROI keys'
+  );
+  t.throws(
+    () => config.createConfig({ roiKeys: ['Left-Hippocampus', 100] }),
+    /'roiKeys' to only contain non-empty strings/,
+    'rejects nonstring ROI keys'
+  );
+  t.throws(
+    () => config.createConfig({
+      roiKeys: ['Left-Hippocampus', 'Left-Hippocampus'],
+    }),
+    /'roiKeys' to contain unique values/,
+    'rejects duplicate ROI keys'
+  );
+  t.end();
+});
+
+tape('validates mass-univariate analysis', t => {
+  const massConfig = {
+    massUnivariate: true,
+    mode: 'exact',
+    predictors: ['group', 'age'],
+    roiKeys: ['Left-Hippocampus', 'Right-Hippocampus'],
+  };
+  const createMassConfig = options => config.createConfig(
+    Object.assign({}, massConfig, options)
+  );
+
+  t.ok(createMassConfig().massUnivariate, 'accepts group as a predictor');
+  t.throws(
+    () => createMassConfig({ massUnivariate: 'yes' }),
+    /'massUnivariate' to be a boolean/,
+    'rejects nonboolean'
+  );
+  t.throws(
+    () => createMassConfig({ predictors: null }),
+    /'predictors' with 'massUnivariate'/,
+    'requires predictors'
+  );
+  t.throws(
+    () => createMassConfig({ predictors: ['Left-Hippocampus', 'Right-Hippocampus'] }),
+    /'roiKeys' to contain an ROI that isn't a predictor/,
+    'requires a dependent ROI'
+  );
+  t.throws(
+    () => createMassConfig({ mode: 'iterative' }),
+    /'massUnivariate' requires mode 'exact'/,
+    'requires exact mode'
+  );
+  t.throws(
+    () => createMassConfig({ inference: false }),
+    /'massUnivariate' requires option 'inference'/,
+    'requires inference'
+  );
+  t.throws(
+    () => createMassConfig({ lambda: 1 }),
+    /'massUnivariate' doesn't support lambda/,
+    'rejects penalties'
+  );
+  t.throws(
+    () => createMassConfig({ holdoutFraction: 0.2 }),
+    /'massUnivariate' doesn't support holdoutFraction/,
+    'rejects holdout'
+  );
+  t.throws(
+    () => createMassConfig({ normalization: 'global' }),
+    /'massUnivariate' doesn't support normalization 'global'/,
+    'rejects global normalization'
+  );
+  t.throws(
+    () => createMassConfig({ secureAggregation: true }),
+    /'massUnivariate' doesn't support secureAggregation/,
+    'rejects secure aggregation'
+  );
+  t.end();
+});
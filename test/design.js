@@ -0,0 +1,151 @@
+'use strict';
+
+const deepFreeze = require('deep-freeze');
+const design = require('../src/design.js');
+const tape = require('tape');
+
+const sampleConfig = {
+  dependent: 'Left-Hippocampus',
+  groups: ['control', 'patient'],
+  intercept: true,
+  predictors: ['group', 'age', 'Right-Hippocampus'],
+  roiKeys: ['Left-Hippocampus', 'Right-Hippocampus'],
+};
+const sampleRows = [{
+  covariates: { age: 34, sex: 'F' },
+  group: 'control',
+  location: 'line 2',
+}, {
+  covariates: { age: 51, sex: 'M' },
+  group: 'patient',
+  location: 'line 3',
+}];
+const sampleROIValues = [[4065.7, 4265], [3713.1, 3901.2]];
+
+deepFreeze(sampleConfig);
+deepFreeze(sampleRows);
+deepFreeze(sampleROIValues);
+
+tape('gets coefficient keys', t => {
+  t.deepEqual(
+    design.getCoefficientKeys(sampleConfig),
+    ['(Intercept)', 'group', 'age', 'Right-Hippocampus'],
+    'adds intercept'
+  );
+  t.deepEqual(
+    design.getCoefficientKeys({
+      intercept: false,
+      predictors: null,
+      roiKeys: ['Left-Hippocampus'],
+    }),
+    ['Left-Hippocampus'],
+    'defaults to ROI keys'
+  );
+  t.end();
+});
+
+tape('gets dependent keys', t => {
+  t.deepEqual(design.getDependentKeys(sampleConfig), ['Left-Hippocampus']);
+  t.deepEqual(
+    design.getDependentKeys(
+      Object.assign({}, sampleConfig, { massUnivariate: true })
+    ),
+    ['Left-Hippocampus'],
+    'uses ROIs that aren\'t predictors'
+  );
+  t.end();
+});
+
+tape('gets design matrix', t => {
+  t.deepEqual(
+    design.getDesignMatrix(sampleRows, sampleROIValues, sampleConfig),
+    {
+      xVals: [[0, 34, 4265], [1, 51, 3901.2]],
+      yVals: [4065.7, 3713.1],
+    }
+  );
+  t.deepEqual(
+    design.getDesignMatrix(sampleRows, sampleROIValues, {
+      dependent: 'group',
+      groups: ['control', 'patient'],
+      predictors: null,
+      roiKeys: ['Right-Hippocampus', 'Left-Hippocampus'],
+    }),
+    {
+      xVals: [[4065.7, 4265], [3713.1, 3901.2]],
+      yVals: [0, 1],
+    },
+    'predicts group from ROIs'
+  );
+  t.deepEqual(
+    design.getDesignMatrix(sampleRows, sampleROIValues, {
+      dependent: 'group',
+      groups: ['control', 'patient'],
+      massUnivariate: true,
+      predictors: ['group'],
+      roiKeys: ['Right-Hippocampus', 'Left-Hippocampus'],
+    }),
+    {
+      xVals: [[0], [1]],
+      yVals: [[4065.7, 4265], [3713.1, 3901.2]],
+    },
+    'gets every ROI'
+  );
+  t.throws(
+    () => design.getDesignMatrix(
+      sampleRows,
+      sampleROIValues,
+      Object.assign({}, sampleConfig, { predictors: ['icv'] })
+    ),
+    /Manifest line 2 missing covariate 'icv'/,
+    'rejects missing covariates'
+  );
+  t.throws(
+    () => design.getDesignMatrix(
+      sampleRows,
+      sampleROIValues,
+      Object.assign({}, sampleConfig, { predictors: ['sex'] })
+    ),
+    /Manifest line 2 has nonnumeric covariate 'sex'/,
+    'rejects nonnumeric covariates'
+  );
+  t.end();
+});
+
+tape('adds intercept', t => {
+  t.deepEqual(design.addIntercept([[2, 3], [4, 5]]), [[1, 2, 3], [1, 4, 5]]);
+  t.end();
+});
+
+tape('validates in-memory data', t => {
+  const data = { xVals: [[0, 34, 1.2], [1, 51, 1.5]], yVals: [4.1, 3.7] };
+
+  t.equal(design.validateData(data, sampleConfig), data, 'passes');
+  t.throws(
+    () => design.validateData({ xVals: [] }, sampleConfig),
+    /xVals and yVals arrays/,
+    'requires arrays'
+  );
+  t.throws(
+    () => design.validateData({ xVals: data.xVals, yVals: [1] }, sampleConfig),
+    /Expected 2 yVals, one per row, found 1/,
+    'checks dependent length'
+  );
+  t.throws(
+    () => design.validateData(
+      { xVals: [[0, 34, 1.2], [1, 51]], yVals: [1, 2] },
+      sampleConfig
+    ),
+    /row 2 to have 3 numeric values: group, age, Right-Hippocampus/,
+    'checks row width'
+  );
+  t.throws(
+    () => design.validateData(
+      data,
+      Object.assign({}, sampleConfig, { massUnivariate: true })
+    ),
+    /row 1 to have 1 numeric yVals: Left-Hippocampus/,
+    'checks every ROI'
+  );
+  t.end();
+});
@@ -0,0 +1,53 @@
+'use strict';
+
+const distributions = require('../src/distributions.js');
+const tape = require('tape');
+
+const isClose = (actual, expected, tolerance) => (
+  Math.abs(actual - expected) < (tolerance || 1e-9)
+);
+
+tape('computes log gamma', t => {
+  t.ok(isClose(distributions.logGamma(5), Math.log(24)), 'integers');
+  t.ok(
+    isClose(distributions.logGamma(0.5), Math.log(Math.sqrt(Math.PI))),
+    'half integers'
+  );
+  t.end();
+});
+
+tape('computes incomplete beta', t => {
+  t.equal(distributions.incompleteBeta(0, 2, 3), 0, 'lower bound');
+  t.equal(distributions.incompleteBeta(1, 2, 3), 1, 'upper bound');
+  t.ok(isClose(distributions.incompleteBeta(0.3, 1, 1), 0.3), 'uniform');
+  t.ok(
+    isClose(distributions.incompleteBeta(0.4, 2, 3), 0.5248),
+    'matches closed form'
+  );
+  t.end();
+});
+
+tape('computes Student’s t distribution', t => {
+  t.equal(distributions.studentTCDF(0, 5), 0.5, 'symmetric');
+  t.ok(
+    isClose(distributions.studentTQuantile(0.975, 10), 2.228138852, 1e-8),
+    'matches table quantile'
+  );
+  t.ok(
+    isClose(distributions.studentTQuantile(0.975, 1), 12.70620474, 1e-7),
+    'heavy tails'
+  );
+  t.ok(
+    isClose(distributions.studentTPValue(2.228138852, 10), 0.05, 1e-9),
+    'two-sided p-value'
+  );
+  t.ok(
+    isClose(
+      distributions.studentTPValue(-1.5, 7),
+      2 * distributions.studentTCDF(-1.5, 7),
+      1e-12
+    ),
+    'p-value matches CDF'
+  );
+  t.end();
+});
@@ -1,8 +1,12 @@
 'use strict';
 
+const _ = require('lodash');
+const cache = require('../src/cache.js');
 const deepFreeze = require('deep-freeze');
 const helpers = require('../src/helpers.js');
 const laplace = require('coinstac-distributed-algorithm-set').laplace;
+const path = require('path');
+const prng = require('../src/prng.js');
 const random = require('lodash/random');
 const sampleAnalyses1 = require('./stubs/analyses-1.json');
 const sampleAnalyses2 = require('./stubs/analyses-2.json');
@@ -49,6 +53,29 @@ tape('mean', t => {
   t.end();
 });
 
+tape('weighted mean', t => {
+  t.ok(
+    Math.abs(helpers.weightedMean([0.5, 0.9], [10, 30]) - 0.8) < 1e-12,
+    'weights values'
+  );
+  t.equal(helpers.weightedMean([1, 3], [0, 0]), 2, 'falls back to mean');
+  t.end();
+});
+
+tape('get accuracy', t => {
+  t.equal(helpers.getAccuracy([1, 0, 1, 0], [0.9, 0.2, 0.4, 0.5]), 0.5);
+  t.equal(helpers.getAccuracy([], []), 0, 'handles no labels');
+  t.end();
+});
+
+tape('get AUC', t => {
+  t.equal(helpers.getAUC([1, 0, 1, 0], [0.9, 0.2, 0.8, 0.3]), 1, 'perfect');
+  t.equal(helpers.getAUC([1, 0, 1, 0], [0.1, 0.2, 0.8, 0.3]), 0.5, 'mixed');
+  t.equal(helpers.getAUC([1, 0], [0.5, 0.5]), 0.5, 'counts ties as half');
+  t.equal(helpers.getAUC([1, 1], [0.5, 0.6]), null, 'needs both labels');
+  t.end();
+});
+
 tape('sum', t => {
   t.equals(helpers.sum([1, 6, -10, 12]), 9, 'regular array');
   t.equals(
@@ -223,6 +250,50 @@ tape('add noise', t => {
   t.end();
 });
 
+tape('add seeded noise', t => {
+  const roi = { max: 1, min: 0 };
+  const spy = sinon.spy(laplace, 'noise');
+  const noised = helpers.addNoise(0.5, roi, 10, 1, prng.createPrng(42));
+
+  t.equal(
+    noised,
+    helpers.addNoise(0.5, roi, 10, 1, prng.createPrng(42)),
+    'repeats noise for a seed'
+  );
+  t.notEqual(noised, 0.5, 'adds noise');
+  t.notOk(spy.called, 'draws from the generator');
+
+  laplace.noise.restore();
+  t.end();
+});
+
+tape('get remote seed', t => {
+  const options = { learningRate: 0.7, roiKeys: ['a', 'b'] };
+  const seed = helpers.getRemoteSeed(
+    _.assign({ random: prng.createPrng(42) }, options)
+  );
+
+  t.deepEqual(
+    seed.mVals,
+    helpers.getRemoteSeed(_.assign({ random: prng.createPrng(42) }, options)).mVals,
+    'draws initial coefficients from the generator'
+  );
+  t.deepEqual(seed.previousBestFit.mVals, seed.mVals, 'starts best fit there');
+  t.deepEqual(seed.gradient, { a: 0, b: 0 }, 'starts with a zero gradient');
+  t.end();
+});
+
+tape('clip L1 norm', t => {
+  const values = [3, -1];
+
+  deepFreeze(values);
+
+  t.deepEqual(helpers.clipL1Norm(values, 2), [1.5, -0.5], 'scales values');
+  t.deepEqual(helpers.clipL1Norm(values, 4), values, 'leaves small values');
+  t.deepEqual(helpers.clipL1Norm([0, 0], 1), [0, 0], 'handles zeros');
+  t.end();
+});
+
 tape('get ROI values', t => {
   const analyses = sampleAnalyses2.map(a => { // eslint-disable-line arrow-body-style
     return {
@@ -238,3 +309,75 @@ tape('get ROI values', t => {
   );
   t.end();
 });
+
+tape('mark remote complete', t => {
+  const remoteResult = { iterationCount: 10 };
+
+  deepFreeze(remoteResult);
+
+  t.deepEqual(
+    helpers.markRemoteComplete(remoteResult),
+    { complete: true, iterationCount: 10 },
+    'marks complete'
+  );
+  t.deepEqual(
+    helpers.markRemoteComplete(remoteResult, 'converged'),
+    { complete: true, completionReason: 'converged', iterationCount: 10 },
+    'adds reason'
+  );
+  t.end();
+});
+
+tape('get ROIs from files', t => {
+  helpers.getROIsFromFiles(
+    [
+      path.join(__dirname, 'stubs', 'site-1', 'S01.txt'),
+      path.join(__dirname, 'stubs', 'site-1', 'S02.txt'),
+    ],
+    ['Left-Hippocampus', 'Right-Hippocampus'],
+    (error, roiValues) => {
+      t.error(error, 'reads without error');
+      t.equal(roiValues.length, 2, 'returns value per file');
+      t.deepEqual(roiValues[0], [4000.1, 4216.2], 'returns ordered values');
+      t.end();
+    }
+  );
+});
+
+tape('get ROIs from cached files', t => {
+  const parseCache = cache.createCache();
+  const filename = path.join(__dirname, 'stubs', 'site-1', 'S01.txt');
+
+  helpers.getROIsFromFiles([filename], ['Left-Hippocampus'], parseCache, () => {
+    helpers.getROIsFromFiles(
+      [filename],
+      ['Left-Hippocampus'],
+      parseCache,
+      (error, roiValues) => {
+        t.error(error, 'reads without error');
+        t.deepEqual(roiValues, [[4000.1]], 'returns ordered values');
+        t.equal(parseCache.getStats().hits, 1, 'uses cache');
+        t.end();
+      }
+    );
+  });
+});
+
+tape('get ROIs from invalid files', t => {
+  helpers.getROIsFromFiles(
+    [path.join(__dirname, 'stubs', 'site-1', 'manifest.csv')],
+    ['Left-Hippocampus'],
+    error => {
+      t.ok(error, 'errors');
+      t.end();
+    }
+  );
+});
+
+tape('formats CSV', t => {
+  t.equal(
+    helpers.formatCSV([['file', 'value'], ['S 01, "a".txt', 1.5], ['x', null]]),
+    'file,value\n"S 01, ""a"".txt",1.5\nx,\n'
+  );
+  t.end();
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+const history = require('../src/history.js');
+const tape = require('tape');
+
+const entries = [
+  {
+    accepted: true,
+    gradientNorm: 1.5,
+    iterationCount: 0,
+    learningRate: 0.7,
+    objective: 10,
+    r2: 0.1,
+  },
+  {
+    accepted: false,
+    gradientNorm: 0.5,
+    iterationCount: 1,
+    learningRate: 0.35,
+    objective: 12,
+    r2: 0.05,
+  },
+];
+
+tape('appends history entries', t => {
+  t.deepEqual(
+    history.appendHistory([entries[0]], entries[1], null),
+    entries,
+    'keeps every entry without a size'
+  );
+  t.deepEqual(
+    history.appendHistory([entries[0]], entries[1], 1),
+    [entries[1]],
+    'keeps latest entries'
+  );
+  t.end();
+});
+
+tape('exports history', t => {
+  t.equal(
+    history.exportHistory(entries, 'csv'),
+    'iterationCount,objective,gradientNorm,learningRate,r2,accepted\n' +
+    '0,10,1.5,0.7,0.1,true\n' +
+    '1,12,0.5,0.35,0.05,false\n',
+    'exports CSV'
+  );
+  t.deepEqual(
+    JSON.parse(history.exportHistory(entries, 'json')),
+    entries,
+    'exports JSON'
+  );
+  t.throws(
+    () => history.exportHistory(entries, 'xlsx'),
+    /Unknown history format 'xlsx'. Expected one of: csv, json/,
+    'rejects unknown formats'
+  );
+  t.throws(
+    () => history.exportHistory(null, 'csv'),
+    /Expected history to be an array/,
+    'rejects non-arrays'
+  );
+  t.end();
+});
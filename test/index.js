@@ -1,6 +1,10 @@
 'use strict';
 
+const _ = require('lodash');
+const async = require('async');
 const multishot = require('../src/index.js');
+const path = require('path');
+const schemas = require('../src/schemas.js');
 const tape = require('tape');
 
 tape('exports expected format', t => {
@@ -16,3 +20,676 @@ tape('exports expected format', t => {
   );
   t.end();
 });
+
+tape('creates configured definitions', t => {
+  const createMultishot = multishot.createMultishot;
+  const definition = createMultishot({
+    learningRate: 0.5,
+    roiKeys: ['Left-Hippocampus', 'Right-Hippocampus'],
+  });
+
+  t.equal(typeof createMultishot, 'function', 'exports factory');
+  t.equal(definition.name, multishot.name, 'has name');
+  t.equal(definition.version, multishot.version, 'has version');
+  t.equal(typeof definition.local.fn, 'function', 'has local function');
+  t.equal(typeof definition.remote.fn, 'function', 'has remote function');
+  t.throws(
+    () => createMultishot({ roiKeys: [] }),
+    /roiKeys/,
+    'validates options'
+  );
+
+  definition.remote.fn({}, (error, result) => {
+    t.error(error, 'seeds without error');
+    t.equal(result.learningRate, 0.5, 'seeds configured learning rate');
+    t.deepEqual(
+      Object.keys(result.mVals),
+      ['Left-Hippocampus', 'Right-Hippocampus'],
+      'seeds configured ROI keys'
+    );
+    t.end();
+  });
+});
+
+tape('completes when a site exhausts its privacy budget', t => {
+  const definition = multishot.createMultishot({
+    differentialPrivacy: true,
+    privacyBudget: 2,
+  });
+  const previousData = {
+    iterationCount: 2,
+    mVals: { 'Left-Hippocampus': 0.5 },
+    schemaVersion: schemas.SCHEMA_VERSION,
+  };
+
+  definition.local.fn(
+    {
+      filenames: [],
+      previousData: {
+        previousAggregateMVals: [0.25],
+        privacyLedger: [1, 1],
+      },
+      remoteResult: previousData,
+    },
+    (error, localResult) => {
+      t.error(error, 'local without error');
+      t.ok(localResult.budgetExhausted, 'site refuses to release');
+      t.equal(localResult.privacySpent, 2, 'reports spent epsilon');
+
+      definition.remote.fn(
+        {
+          previousData,
+          userResults: [{
+            budgetExhausted: true,
+            previousAggregateMVals: [0.5],
+            privacyLedger: [1, 1],
+            privacySpent: 2,
+            schemaVersion: schemas.SCHEMA_VERSION,
+          }],
+        },
+        (error2, remoteResult) => {
+          t.error(error2, 'remote without error');
+          t.ok(remoteResult.complete, 'marks complete');
+          t.equal(
+            remoteResult.completionReason,
+            'privacy-budget-exhausted',
+            'sets reason'
+          );
+          t.equal(remoteResult.privacySpent, 2, 'reports budget used');
+          t.end();
+        }
+      );
+    }
+  );
+});
+
+tape("draws noise the remote result can't recompute", t => {
+  const definition = multishot.createMultishot({ differentialPrivacy: true });
+  const dirname = path.join(__dirname, 'stubs', 'site-1');
+  const params = {
+    filenames: ['S01.txt', 'S02.txt', 'manifest.csv'].map(
+      filename => path.join(dirname, filename)
+    ),
+    remoteResult: {
+      iterationCount: 1,
+      mVals: { 'Left-Hippocampus': 0.5 },
+      randomSeed: 42,
+      replayable: false,
+      schemaVersion: schemas.SCHEMA_VERSION,
+    },
+    username: 'site-1',
+  };
+
+  async.times(
+    2,
+    (index, next) => definition.local.fn(_.cloneDeep(params), next),
+    (error, localResults) => {
+      t.error(error, 'computes without error');
+      t.notEqual(
+        localResults[0].gradient['Left-Hippocampus'],
+        localResults[1].gradient['Left-Hippocampus'],
+        'draws fresh noise for the same remote result'
+      );
+      t.end();
+    }
+  );
+});
+
+tape('computes local results from a site manifest', t => {
+  const dirname = path.join(__dirname, 'stubs', 'site-1');
+
+  multishot.local.fn(
+    {
+      filenames: ['S01.txt', 'S02.txt', 'manifest.csv'].map(
+        filename => path.join(dirname, filename)
+      ),
+      remoteResult: {
+        iterationCount: 1,
+        mVals: { 'Left-Hippocampus': 0.5 },
+        schemaVersion: schemas.SCHEMA_VERSION,
+      },
+    },
+    (error, localResult) => {
+      t.error(error, 'computes without error');
+      t.equal(
+        typeof localResult.gradient['Left-Hippocampus'],
+        'number',
+        'computes gradient'
+      );
+      t.equal(typeof localResult.objective, 'number', 'computes objective');
+      t.end();
+    }
+  );
+});
+
+tape('computes local results from a subject × ROI table', t => {
+  const dirname = path.join(__dirname, 'stubs', 'site-3');
+  const definition = multishot.createMultishot({
+    dependent: 'Left-Hippocampus',
+    intercept: true,
+    predictors: ['group', 'age', 'Right-Hippocampus'],
+    roiKeys: ['Left-Hippocampus', 'Right-Hippocampus'],
+  });
+
+  definition.local.fn(
+    {
+      filenames: ['manifest.csv', 'rois.csv'].map(
+        filename => path.join(dirname, filename)
+      ),
+      remoteResult: {
+        iterationCount: 1,
+        mVals: {
+          '(Intercept)': 0,
+          'Right-Hippocampus': 0,
+          age: 0,
+          group: 0,
+        },
+        schemaVersion: schemas.SCHEMA_VERSION,
+      },
+    },
+    (error, localResult) => {
+      t.error(error, 'computes without error');
+      t.equal(localResult.sampleSize, 6, 'reads every subject');
+      t.end();
+    }
+  );
+});
+
+tape('caches parsed files across iterations', t => {
+  const definition = multishot.createMultishot();
+  const dirname = path.join(__dirname, 'stubs', 'site-1');
+  const params = mVal => ({
+    filenames: ['S01.txt', 'S02.txt', 'manifest.csv'].map(
+      filename => path.join(dirname, filename)
+    ),
+    remoteResult: {
+      iterationCount: 1,
+      mVals: { 'Left-Hippocampus': mVal },
+      schemaVersion: schemas.SCHEMA_VERSION,
+    },
+  });
+
+  t.equal(
+    multishot.createMultishot({ cache: false }).cache,
+    null,
+    'disables cache'
+  );
+
+  async.mapSeries(
+    [params(0.5), params(0.6)],
+    definition.local.fn,
+    error => {
+      const stats = definition.cache.getStats();
+
+      t.error(error, 'computes without error');
+      t.ok(stats.misses > 0, 'parses files once');
+      t.equal(stats.hits, stats.misses, 'reuses parsed files');
+      t.end();
+    }
+  );
+});
+
+tape('requires a site manifest', t => {
+  multishot.local.fn(
+    {
+      filenames: [path.join(__dirname, 'stubs', 'site-1', 'S01.txt')],
+      remoteResult: {
+        iterationCount: 1,
+        mVals: { 'Left-Hippocampus': 0.5 },
+        schemaVersion: schemas.SCHEMA_VERSION,
+      },
+    },
+    error => {
+      t.ok(error instanceof Error, 'errors');
+      t.ok(/manifest\.csv, manifest\.json/.test(error.message), 'names manifest');
+      t.end();
+    }
+  );
+});
+
+tape('computes local results with covariates', t => {
+  const definition = multishot.createMultishot({
+    dependent: 'Left-Hippocampus',
+    intercept: true,
+    predictors: ['group', 'age', 'sex'],
+  });
+
+  definition.remote.fn({}, (error, remoteResult) => {
+    t.deepEqual(
+      Object.keys(remoteResult.mVals),
+      ['(Intercept)', 'group', 'age', 'sex'],
+      'seeds named coefficients'
+    );
+
+    definition.local.fn(
+      {
+        filenames: [path.join(__dirname, 'stubs', 'site-2', 'manifest.json')],
+        remoteResult,
+      },
+      (error2, localResult) => {
+        t.error(error2, 'computes without error');
+        t.deepEqual(
+          Object.keys(localResult.gradient),
+          ['(Intercept)', 'group', 'age', 'sex'],
+          'computes named gradient'
+        );
+        t.end();
+      }
+    );
+  });
+});
+
+tape('computes local logistic results', t => {
+  const definition = multishot.createMultishot({
+    intercept: true,
+    model: 'logistic',
+    roiKeys: ['Left-Hippocampus', 'Right-Hippocampus'],
+  });
+
+  definition.local.fn(
+    {
+      filenames: [path.join(__dirname, 'stubs', 'site-1', 'manifest.csv')],
+      remoteResult: {
+        iterationCount: 1,
+        mVals: {
+          '(Intercept)': 0,
+          'Left-Hippocampus': -1,
+          'Right-Hippocampus': -1,
+        },
+        schemaVersion: schemas.SCHEMA_VERSION,
+      },
+    },
+    (error, localResult) => {
+      t.error(error, 'computes without error');
+      t.equal(localResult.sampleSize, 6, 'reports sample size');
+      t.ok(
+        localResult.accuracy >= 0 && localResult.accuracy <= 1,
+        'computes accuracy'
+      );
+      t.ok(localResult.auc >= 0 && localResult.auc <= 1, 'computes AUC');
+      t.end();
+    }
+  );
+});
+
+tape('solves exact regression in one round', t => {
+  const definition = multishot.createMultishot({
+    dependent: 'Left-Hippocampus',
+    intercept: true,
+    mode: 'exact',
+    predictors: ['group', 'age'],
+  });
+
+  definition.remote.fn({}, (error, seed) => {
+    const runSite = (site, cb) => definition.local.fn(
+      {
+        filenames: [path.join(__dirname, 'stubs', site, 'manifest.csv')],
+        remoteResult: seed,
+      },
+      cb
+    );
+
+    runSite('site-1', (error1, localResult) => {
+      t.error(error1, 'local without error');
+      t.equal(localResult.sampleSize, 6, 'shares sample size');
+      t.equal(localResult.xTx.length, 3, 'shares XᵀX');
+      t.equal(localResult.xTy.length, 3, 'shares Xᵀy');
+      t.equal(typeof localResult.yTy, 'number', 'shares yᵀy');
+
+      definition.remote.fn(
+        { previousData: seed, userResults: [localResult, localResult] },
+        (error2, remoteResult) => {
+          t.error(error2, 'remote without error');
+          t.ok(remoteResult.complete, 'marks complete');
+          t.equal(remoteResult.completionReason, 'solved', 'sets reason');
+          t.equal(remoteResult.iterationCount, 1, 'takes one round');
+          t.equal(remoteResult.sampleSize, 12, 'sums sample sizes');
+          t.deepEqual(
+            Object.keys(remoteResult.mVals),
+            ['(Intercept)', 'group', 'age'],
+            'solves coefficients'
+          );
+          t.equal(remoteResult.inference.df, 12 - 2 - 2, 'reports inference');
+          t.end();
+        }
+      );
+    });
+  });
+});
+
+tape('runs an inference round before completing', t => {
+  const definition = multishot.createMultishot({
+    dependent: 'Left-Hippocampus',
+    intercept: true,
+    maxIterationCount: 1,
+    predictors: ['group', 'age'],
+  });
+
+  definition.remote.fn({}, (error, seed) => {
+    const previousData = _.assign({}, seed, { iterationCount: 1 });
+    const bestMVals = seed.previousBestFit.mVals;
+
+    definition.remote.fn(
+      {
+        previousData,
+        userResults: [{
+          gradient: seed.gradient,
+          objective: 1,
+          previousAggregateMVals: _.values(seed.mVals),
+          sampleSize: 6,
+          schemaVersion: schemas.SCHEMA_VERSION,
+        }],
+      },
+      (error1, inferenceRound) => {
+        t.error(error1, 'remote without error');
+        t.notOk(inferenceRound.complete, "doesn't complete");
+        t.equal(inferenceRound.phase, 'inference', 'starts inference');
+        t.deepEqual(inferenceRound.mVals, bestMVals, 'uses best fit');
+
+        definition.local.fn(
+          {
+            filenames: [
+              path.join(__dirname, 'stubs', 'site-1', 'manifest.csv'),
+            ],
+            previousData: {
+              previousAggregateMVals: _.values(bestMVals),
+            },
+            remoteResult: inferenceRound,
+          },
+          (error2, localResult) => {
+            t.error(error2, 'local without error');
+            t.equal(localResult.phase, 'inference', 'tags phase');
+            t.equal(localResult.xTx.length, 3, 'shares XᵀX');
+
+            definition.remote.fn(
+              { previousData: inferenceRound, userResults: [localResult] },
+              (error3, remoteResult) => {
+                t.error(error3, 'completes without error');
+                t.ok(remoteResult.complete, 'marks complete');
+                t.equal(
+                  remoteResult.completionReason,
+                  'max-iterations',
+                  'keeps completion reason'
+                );
+                t.equal(remoteResult.phase, 'done', 'ends in done phase');
+                t.equal(remoteResult.inference.df, 3, 'reports inference');
+                t.deepEqual(
+                  Object.keys(remoteResult.inference.coefficients),
+                  ['(Intercept)', 'group', 'age'],
+                  'reports each coefficient'
+                );
+                t.end();
+              }
+            );
+          }
+        );
+      }
+    );
+  });
+});
+
+tape('aggregates masked results', t => {
+  const options = {
+    dependent: 'Left-Hippocampus',
+    inference: false,
+    intercept: true,
+    predictors: ['group', 'age'],
+  };
+  const definition = multishot.createMultishot(
+    _.assign({ secureAggregation: true }, options)
+  );
+  const plainDefinition = multishot.createMultishot(options);
+  const sites = [
+    { manifest: 'site-1/manifest.csv', username: 'site-a' },
+    { manifest: 'site-2/manifest.json', username: 'site-b' },
+    { manifest: 'site-1/manifest.csv', username: 'site-c' },
+  ];
+  const runLocal = (fn, remoteResult, previousResults) => (site, cb) => fn(
+    {
+      filenames: [path.join(__dirname, 'stubs', site.manifest)],
+      previousData: previousResults ?
+        previousResults[sites.indexOf(site)] :
+        undefined,
+      remoteResult,
+      username: site.username,
+    },
+    cb
+  );
+  const runRemote = (previousData, userResults, cb) => definition.remote.fn(
+    { previousData, userResults },
+    cb
+  );
+
+  async.waterfall([
+    cb => definition.remote.fn({}, cb),
+    (seed, cb) => {
+      t.equal(seed.phase, 'keys', 'starts with key exchange');
+      async.map(sites, runLocal(definition.local.fn, seed), (error, keys) => {
+        cb(error, seed, keys);
+      });
+    },
+    (seed, keyResults, cb) => {
+      t.ok(keyResults.every(r => r.publicKey), 'shares public keys');
+      runRemote(seed, keyResults, (error, remoteResult) => {
+        cb(error, remoteResult, keyResults);
+      });
+    },
+    (remoteResult, keyResults, cb) => {
+      t.deepEqual(
+        Object.keys(remoteResult.publicKeys),
+        ['site-a', 'site-b', 'site-c'],
+        'collects public keys'
+      );
+      t.equal(remoteResult.phase, 'fit', 'ends key exchange');
+      async.parallel([
+        cb1 => async.map(
+          sites,
+          runLocal(definition.local.fn, remoteResult, keyResults),
+          cb1
+        ),
+        cb2 => async.map(
+          sites,
+          runLocal(plainDefinition.local.fn, remoteResult),
+          cb2
+        ),
+      ], (error, localResults) => {
+        cb(error, remoteResult, localResults[0], localResults[1]);
+      });
+    },
+    (remoteResult, maskedResults, plainResults, cb) => {
+      t.ok(maskedResults.every(r => r.masked && !r.gradient), 'masks results');
+      runRemote(remoteResult, maskedResults, (error, request) => {
+        t.deepEqual(
+          request.maskRecovery,
+          { counted: ['site-a', 'site-b', 'site-c'], dropped: [] },
+          'asks counted sites to reveal their masks'
+        );
+        async.map(
+          sites,
+          runLocal(definition.local.fn, request, maskedResults),
+          (error2, revealed) => {
+            cb(error || error2, remoteResult, request, maskedResults, revealed, plainResults);
+          }
+        );
+      });
+    },
+    (remoteResult, request, maskedResults, revealed, plainResults, cb) => {
+      const plainObjective = _.sumBy(plainResults, 'objective');
+
+      runRemote(request, revealed, (error, aggregate) => {
+        t.error(error, 'aggregates without error');
+        t.ok(
+          Math.abs(aggregate.objective - plainObjective) < 1e-4,
+          'recovers summed objective'
+        );
+        t.ok(
+          _.keys(aggregate.gradient).every(key => Math.abs(
+            aggregate.gradient[key] - _.sumBy(plainResults, r => r.gradient[key])
+          ) < 1e-4),
+          'recovers summed gradient'
+        );
+        cb(error, remoteResult, maskedResults, plainResults);
+      });
+    },
+    (remoteResult, maskedResults, plainResults, cb) => {
+      runRemote(remoteResult, maskedResults.slice(0, 2), (error, recovery) => {
+        t.deepEqual(
+          recovery.maskRecovery,
+          { counted: ['site-a', 'site-b'], dropped: ['site-c'] },
+          'requests recovery when a site drops out'
+        );
+        async.map(
+          sites,
+          runLocal(definition.local.fn, recovery, maskedResults),
+          (error2, recoveryResults) => {
+            t.equal(recoveryResults[2], null, "dropped site doesn't reveal its masks");
+            cb(error2, recovery, recoveryResults.slice(0, 2), plainResults);
+          }
+        );
+      });
+    },
+    (recovery, recoveryResults, plainResults, cb) => {
+      const unmasking = _.assign({}, recovery, {
+        maskRecovery: { counted: ['site-a', 'site-b', 'site-c'], dropped: ['site-c'] },
+      });
+
+      definition.local.fn(
+        {
+          filenames: [path.join(__dirname, 'stubs', sites[0].manifest)],
+          previousData: _.omit(recoveryResults[0], 'recoveryMask'),
+          remoteResult: unmasking,
+          username: 'site-a',
+        },
+        error => {
+          t.ok(
+            /Won't reveal masks with site-c: counted and dropped/.test(error && error.message),
+            'refuses to unmask a counted site'
+          );
+          cb(null, recovery, recoveryResults, plainResults);
+        }
+      );
+    },
+    (recovery, recoveryResults, plainResults, cb) => {
+      t.ok(
+        recoveryResults.every(r => r.recoveryMask && r.masked),
+        'survivors share recovery masks'
+      );
+      runRemote(recovery, recoveryResults, (error, aggregate) => {
+        t.error(error, 'recovers without error');
+        t.ok(
+          Math.abs(
+            aggregate.objective - _.sumBy(plainResults.slice(0, 2), 'objective')
+          ) < 1e-4,
+          'recovers survivors’ objective'
+        );
+        t.deepEqual(
+          Object.keys(aggregate.publicKeys),
+          ['site-a', 'site-b'],
+          'drops site from later rounds'
+        );
+        t.notOk(aggregate.maskRecovery, 'ends recovery');
+        cb();
+      });
+    },
+  ], error => {
+    t.error(error, 'runs protocol');
+    t.end();
+  });
+});
+
+tape('validates results in both directions', t => {
+  const definition = multishot.createMultishot();
+
+  definition.remote.fn({}, (error, seed) => {
+    t.equal(seed.schemaVersion, schemas.SCHEMA_VERSION, 'stamps remote results');
+
+    definition.local.fn(
+      {
+        filenames: [path.join(__dirname, 'stubs', 'site-1', 'manifest.csv')],
+        remoteResult: _.assign({}, seed, { mVals: { 'Left-Hippocampus': '1' } }),
+        username: 'site-1',
+      },
+      error1 => {
+        t.ok(
+          /Invalid remote result: 'mVals.Left-Hippocampus' should be a finite number/
+            .test(error1.message),
+          'rejects malformed remote results'
+        );
+
+        definition.local.fn(
+          {
+            filenames: [path.join(__dirname, 'stubs', 'site-1', 'manifest.csv')],
+            remoteResult: seed,
+            username: 'site-1',
+          },
+          (error2, localResult) => {
+            t.equal(localResult.schemaVersion, schemas.SCHEMA_VERSION, 'stamps local results');
+            t.equal(localResult.username, 'site-1', 'names site');
+
+            definition.remote.fn(
+              {
+                previousData: seed,
+                userResults: [
+                  localResult,
+                  _.assign({}, localResult, {
+                    gradient: {},
+                    username: 'site-2',
+                  }),
+                ],
+              },
+              error3 => {
+                t.ok(
+                  /Invalid local result from 'site-2': 'gradient' should have coefficients Left-Hippocampus/ // eslint-disable-line max-len
+                    .test(error3.message),
+                  'rejects malformed local results'
+                );
+
+                multishot.createMultishot({ minSiteFraction: 0.5 }).remote.fn(
+                  {
+                    previousData: seed,
+                    userResults: [
+                      localResult,
+                      _.assign({}, localResult, { username: 'site-2' }),
+                      {
+                        gradient: { 'Left-Hippocampus': 'stale' },
+                        previousAggregateMVals: [0.125],
+                        username: 'site-3',
+                      },
+                    ],
+                  },
+                  (error4, remoteResult) => {
+                    t.error(error4, "doesn't validate stale results");
+                    t.deepEqual(
+                      _.last(remoteResult.participation.rounds).sites,
+                      ['site-1', 'site-2'],
+                      'runs the round without them'
+                    );
+                    t.end();
+                  }
+                );
+              }
+            );
+          }
+        );
+      }
+    );
+  });
+});
+
+tape('requires a username for secure aggregation', t => {
+  multishot.createMultishot({ secureAggregation: true }).local.fn(
+    {
+      filenames: [],
+      remoteResult: {
+        iterationCount: 0,
+        mVals: { 'Left-Hippocampus': 0.5 },
+        phase: 'keys',
+        schemaVersion: schemas.SCHEMA_VERSION,
+      },
+    },
+    error => {
+      t.ok(/requires a username/.test(error.message), 'errors');
+      t.end();
+    }
+  );
+});
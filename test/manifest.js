@@ -0,0 +1,176 @@
+'use strict';
+
+const manifest = require('../src/manifest.js');
+const path = require('path');
+const tape = require('tape');
+
+const groups = ['control', 'patient'];
+
+tape('parses CSV manifests', t => {
+  const content = [
+    'file,subject,group,age,sex,site',
+    'S01.txt,S01,control,34,0,"Albuquerque, NM"',
+    '',
+    '"S 02.txt",S02,patient,,1,"The ""Pit"""',
+    '',
+  ].join('\n');
+  const rows = manifest.parseManifest(content, 'csv');
+
+  t.deepEqual(rows, [{
+    covariates: { age: 34, sex: 0, site: 'Albuquerque, NM' },
+    file: 'S01.txt',
+    group: 'control',
+    location: 'line 2',
+    subject: 'S01',
+  }, {
+    covariates: { age: null, sex: 1, site: 'The "Pit"' },
+    file: 'S 02.txt',
+    group: 'patient',
+    location: 'line 4',
+    subject: 'S02',
+  }]);
+  t.throws(
+    () => manifest.parseManifest('file,subject,group\nS01.txt,S01\n', 'csv'),
+    /Expected 3 fields on line 2, found 2/,
+    'checks field count'
+  );
+  t.deepEqual(
+    manifest.parseManifest('file,subject,group,age\n007.txt,007,1e3,034\n', 'csv')
+      .map(row => [row.file, row.subject, row.group, row.covariates.age]),
+    [['007.txt', '007', '1e3', 34]],
+    'keeps required columns as written'
+  );
+  t.throws(
+    () => manifest.parseManifest('file,subject\nS01.txt,S01\n', 'csv'),
+    /line 2 missing required 'group'/,
+    'checks required columns'
+  );
+  t.throws(
+    () => manifest.parseManifest('file,subject,group\n"S01.txt,S01,x\n', 'csv'),
+    /Unterminated quote on line 2/,
+    'checks quotes'
+  );
+  t.end();
+});
+
+tape('parses JSON manifests', t => {
+  t.deepEqual(
+    manifest.parseManifest(
+      JSON.stringify([{ age: 29, file: 'S11.txt', group: 'patient', subject: 11 }]),
+      'json'
+    ),
+    [{
+      covariates: { age: 29 },
+      file: 'S11.txt',
+      group: 'patient',
+      location: 'entry 1',
+      subject: '11',
+    }]
+  );
+  t.throws(
+    () => manifest.parseManifest('{}', 'json'),
+    /manifest JSON to be an array/,
+    'checks for array'
+  );
+  t.throws(
+    () => manifest.parseManifest('[{ "file": "S11.txt" }]', 'json'),
+    /entry 1 missing required 'subject'/,
+    'checks required properties'
+  );
+  t.throws(
+    () => manifest.parseManifest('', 'xml'),
+    /Unknown manifest format 'xml'/,
+    'checks format'
+  );
+  t.end();
+});
+
+tape('validates manifests', t => {
+  const rows = manifest.parseManifest(
+    'file,subject,group\nS01.txt,S01,control\nS02.txt,S02,patient\n',
+    'csv'
+  );
+
+  t.equal(manifest.validateManifest(rows, { groups }), rows, 'passes');
+  t.throws(
+    () => manifest.validateManifest([], { groups }),
+    /contains no subjects/,
+    'rejects empty manifests'
+  );
+  t.throws(
+    () => manifest.validateManifest(
+      manifest.parseManifest(
+        'file,subject,group\nS01.txt,S01,control\nS02.txt,S01,patient\n',
+        'csv'
+      ),
+      { groups }
+    ),
+    /line 3 has duplicate subject 'S01' \(first on line 2\)/,
+    'rejects duplicate subjects'
+  );
+  t.throws(
+    () => manifest.validateManifest(
+      manifest.parseManifest('file,subject,group\nS01.txt,S01,patinet\n', 'csv'),
+      { groups }
+    ),
+    /line 2 has unknown group 'patinet'. Expected one of: control, patient/,
+    'rejects unknown groups'
+  );
+  t.end();
+});
+
+tape('finds manifests', t => {
+  t.equal(
+    manifest.findManifest(['/a/S01.txt', '/a/Manifest.JSON', '/a/S02.txt']),
+    '/a/Manifest.JSON',
+    'finds manifest'
+  );
+  t.equal(
+    manifest.findManifest(['/a/S01.txt', '/a/subjects.csv']),
+    undefined,
+    'no manifest'
+  );
+  t.end();
+});
+
+tape('reads manifests', t => {
+  const dirname = path.join(__dirname, 'stubs', 'site-1');
+
+  manifest.readManifest(
+    path.join(dirname, 'manifest.csv'),
+    { groups },
+    (error, rows) => {
+      t.error(error, 'reads without error');
+      t.equal(rows.length, 6, 'reads rows');
+      t.equal(rows[0].file, path.join(dirname, 'S01.txt'), 'resolves files');
+      t.deepEqual(rows[0].covariates, { age: 34, sex: 0 }, 'reads covariates');
+      t.end();
+    }
+  );
+});
+
+tape('reads JSON manifests', t => {
+  manifest.readManifest(
+    path.join(__dirname, 'stubs', 'site-2', 'manifest.json'),
+    { groups },
+    (error, rows) => {
+      t.error(error, 'reads without error');
+      t.equal(rows.length, 6, 'reads rows');
+      t.end();
+    }
+  );
+});
+
+tape('rejects manifests with missing files', t => {
+  const filename = path.join(__dirname, 'stubs', 'manifests', 'missing-file.csv');
+
+  manifest.readManifest(filename, { groups }, error => {
+    t.ok(error, 'errors');
+    t.ok(
+      /line 3 file not found: .*missing\.txt/.test(error.message),
+      'names missing file'
+    );
+    t.ok(error.message.indexOf(filename) === 0, 'names manifest');
+    t.end();
+  });
+});
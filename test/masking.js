@@ -0,0 +1,271 @@
+'use strict';
+
+const _ = require('lodash');
+const masking = require('../src/masking.js');
+const tape = require('tape');
+
+const coefficientKeys = ['(Intercept)', 'group'];
+const usernames = ['site-a', 'site-b', 'site-c'];
+const localResults = [{
+  gradient: { '(Intercept)': 1.5, group: -2.25 },
+  objective: 10,
+  previousAggregateMVals: [0.1, 0.2],
+  r2: 0.5,
+  sampleSize: 10,
+  ssResidual: 5,
+  ssTotal: 10,
+}, {
+  gradient: { '(Intercept)': -0.5, group: 0.75 },
+  objective: 4.5,
+  previousAggregateMVals: [0.1, 0.2],
+  r2: 0.2,
+  sampleSize: 30,
+  ssResidual: 24,
+  ssTotal: 30,
+}, {
+  gradient: { '(Intercept)': 3, group: 1 },
+  objective: 1,
+  previousAggregateMVals: [0.1, 0.2],
+  r2: 0.8,
+  sampleSize: 20,
+  ssResidual: 4,
+  ssTotal: 20,
+}];
+
+/**
+ * Add the masks sites reveal once the remote has their masked results.
+ */
+function revealMasks(keyStore, round, publicKeys, maskedResults, dropped) {
+  return maskedResults.map(result => _.assign({}, result, {
+    recoveryMask: masking.getRecoveryMask({
+      dropped,
+      length: result.masked.length,
+      round,
+      seeds: keyStore.getSharedSeeds(result.username, publicKeys),
+      selfSeed: keyStore.getSelfSeed(result.username),
+      username: result.username,
+    }),
+  }));
+}
+
+/**
+ * Set up keys for every site and mask their results for a round.
+ */
+function maskAll(keyStore, round) {
+  const publicKeys = _.zipObject(
+    usernames,
+    usernames.map(username => keyStore.getPublicKey(username))
+  );
+
+  return {
+    masked: localResults.map((result, index) => masking.maskResult(result, {
+      coefficientKeys,
+      round,
+      seeds: keyStore.getSharedSeeds(usernames[index], publicKeys),
+      selfSeed: keyStore.getSelfSeed(usernames[index]),
+      username: usernames[index],
+    })),
+    publicKeys,
+  };
+}
+
+const isClose = (actual, expected) => Math.abs(actual - expected) < 1e-5;
+
+tape('encodes fixed-point values', t => {
+  [0, 1.5, -2.25, 123456.789, -1e-3].forEach(value => {
+    t.ok(isClose(masking.decode(masking.encode(value)), value), `${value}`);
+  });
+  t.ok(masking.encode(-1) < masking.MODULUS, 'encodes negatives modulo');
+  t.throws(() => masking.encode(1e12), /too large/, 'rejects large values');
+  t.ok(
+    Math.abs(
+      (masking.decode(masking.encode(0.1234567)) + masking.decode(masking.encode(0.7654321))) -
+      (0.1234567 + 0.7654321)
+    ) <= masking.getResolution(2),
+    'bounds rounding of sums'
+  );
+  t.end();
+});
+
+tape('derives pairwise seeds', t => {
+  const keyStore = masking.createKeyStore();
+  const publicKeys = _.zipObject(
+    usernames,
+    usernames.map(username => keyStore.getPublicKey(username))
+  );
+  const seedsA = keyStore.getSharedSeeds('site-a', publicKeys);
+  const seedsB = keyStore.getSharedSeeds('site-b', publicKeys);
+
+  t.deepEqual(Object.keys(seedsA), ['site-b', 'site-c'], 'excludes self');
+  t.equal(seedsA['site-b'], seedsB['site-a'], 'agrees on shared seed');
+  t.notEqual(seedsA['site-b'], seedsA['site-c'], 'differs per peer');
+  t.end();
+});
+
+tape('masks cancel in the sum', t => {
+  const keyStore = masking.createKeyStore();
+  const setup = maskAll(keyStore, '1:fit');
+  const masked = setup.masked;
+  const sum = masking.unmaskResults(
+    revealMasks(keyStore, '1:fit', setup.publicKeys, masked, []),
+    coefficientKeys
+  );
+
+  t.notOk(_.has(masked[0], 'gradient'), 'hides gradient');
+  t.notOk(_.has(masked[0], 'objective'), 'hides objective');
+  t.deepEqual(masked[0].maskedKeys, ['gradient', 'objective'], 'lists keys');
+  t.notOk(
+    isClose(masking.decode(masked[0].masked[0]), 1.5),
+    'masks values'
+  );
+  t.ok(isClose(sum.gradient['(Intercept)'], 4), 'sums gradient');
+  t.ok(isClose(sum.gradient.group, -0.5), 'sums each coefficient');
+  t.ok(isClose(sum.objective, 15.5), 'sums objective');
+  t.equal(sum.sampleSize, 60, 'sums sample sizes');
+  t.ok(isClose(sum.r2, (5 + 6 + 16) / 60), 'weights r²');
+  t.deepEqual(
+    [sum.ssResidual, sum.ssTotal],
+    [33, 60],
+    'sums sums of squares'
+  );
+  t.deepEqual(sum.previousAggregateMVals, [0.1, 0.2], 'keeps mVals');
+  t.throws(
+    () => masking.unmaskResults(masked, coefficientKeys),
+    /Site 'site-a' didn't reveal its masks/,
+    'requires revealed masks'
+  );
+  t.end();
+});
+
+tape('masks differ between rounds', t => {
+  const keyStore = masking.createKeyStore();
+
+  t.notDeepEqual(
+    maskAll(keyStore, '1:fit').masked[0].masked,
+    maskAll(keyStore, '2:fit').masked[0].masked,
+    'uses new masks'
+  );
+  t.end();
+});
+
+tape('masks sufficient statistics', t => {
+  const keyStore = masking.createKeyStore();
+  const publicKeys = _.zipObject(
+    usernames.slice(0, 2),
+    usernames.slice(0, 2).map(username => keyStore.getPublicKey(username))
+  );
+  const statistics = {
+    sampleSize: 3,
+    xTx: [[3, 1], [1, 2]],
+    xTy: [1, -1],
+    yTy: 3,
+  };
+  const sum = masking.unmaskResults(
+    revealMasks(
+      keyStore,
+      '0:inference',
+      publicKeys,
+      usernames.slice(0, 2).map(username => masking.maskResult(statistics, {
+        coefficientKeys,
+        round: '0:inference',
+        seeds: keyStore.getSharedSeeds(username, publicKeys),
+        selfSeed: keyStore.getSelfSeed(username),
+        username,
+      })),
+      []
+    ),
+    coefficientKeys
+  );
+
+  t.deepEqual(
+    sum.xTx.map(row => row.map(Math.round)),
+    [[6, 2], [2, 4]],
+    'sums matrices'
+  );
+  t.ok(isClose(sum.xTy[1], -2) && isClose(sum.yTy, 6), 'sums vectors');
+  t.end();
+});
+
+tape('recovers the sum when a site drops out', t => {
+  const keyStore = masking.createKeyStore();
+  const round = '3:fit';
+  const setup = maskAll(keyStore, round);
+  const survivors = setup.masked.slice(0, 2);
+
+  t.notOk(
+    isClose(
+      masking.unmaskResults(
+        revealMasks(keyStore, round, setup.publicKeys, survivors, []),
+        coefficientKeys
+      ).objective,
+      14.5
+    ),
+    "masks don't cancel without the dropped site's"
+  );
+  t.ok(
+    isClose(
+      masking.unmaskResults(
+        revealMasks(keyStore, round, setup.publicKeys, survivors, ['site-c']),
+        coefficientKeys
+      ).objective,
+      14.5
+    ),
+    'recovers survivors’ sum'
+  );
+  t.end();
+});
+
+tape("can't unmask a site falsely declared dropped", t => {
+  const keyStore = masking.createKeyStore();
+  const round = '3:fit';
+  const setup = maskAll(keyStore, round);
+  const revealed = revealMasks(
+    keyStore,
+    round,
+    setup.publicKeys,
+    setup.masked.slice(0, 2),
+    ['site-c']
+  );
+  const live = setup.masked[2];
+  const survivorsSum = masking.unmaskResults(revealed, coefficientKeys);
+  const withLive = masking.unmaskResults(
+    revealed.concat(_.assign({}, live, { recoveryMask: live.masked.map(() => 0) })),
+    coefficientKeys
+  );
+
+  t.ok(isClose(survivorsSum.objective, 14.5), 'recovers survivors’ sum');
+  t.notOk(
+    isClose(withLive.objective - survivorsSum.objective, 1),
+    "self mask hides the live site's values"
+  );
+  t.end();
+});
+
+tape('checks recovery requests', t => {
+  const request = { counted: ['site-a', 'site-b'], dropped: ['site-c'] };
+
+  t.ok(masking.checkRecovery(request, 'site-a', usernames), 'reveals for counted sites');
+  t.notOk(
+    masking.checkRecovery(request, 'site-c', usernames),
+    "doesn't reveal for dropped sites"
+  );
+  t.throws(
+    () => masking.checkRecovery(
+      { counted: usernames, dropped: ['site-c'] },
+      'site-a',
+      usernames
+    ),
+    /Won't reveal masks with site-c: counted and dropped/,
+    'refuses to unmask a counted site'
+  );
+  t.throws(
+    () => masking.checkRecovery(
+      { counted: ['site-a'], dropped: ['site-c'] },
+      'site-a',
+      usernames
+    ),
+    /aren't every site/,
+    'refuses incomplete requests'
+  );
+  t.end();
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+const models = require('../src/models.js');
+const tape = require('tape');
+
+const sampleXVals = [[1, 0.5], [1, -1], [1, 2], [1, 0]];
+const sampleYVals = [1, -2, 3.5, 0.25];
+
+/**
+ * Approximate a gradient with central differences.
+ *
+ * @param {function} objective
+ * @param {number[]} mVals
+ * @returns {number[]}
+ */
+function getNumericGradient(objective, mVals) {
+  const step = 1e-6;
+
+  return mVals.map((mVal, index) => {
+    const plus = mVals.slice();
+    const minus = mVals.slice();
+
+    plus[index] += step;
+    minus[index] -= step;
+
+    return (objective(plus) - objective(minus)) / (2 * step);
+  });
+}
+
+tape('converts to matrix', t => {
+  t.deepEqual(models.toMatrix([1, 2]), [[1], [2]], 'wraps 1-dim values');
+  t.deepEqual(models.toMatrix([[1, 2]]), [[1, 2]], 'leaves 2-dim values');
+  t.end();
+});
+
+tape('applies ridge model', t => {
+  t.deepEqual(
+    models.ridge.applyModel([0.5, 2], sampleXVals),
+    [1.5, -1.5, 4.5, 0.5]
+  );
+  t.end();
+});
+
+tape('computes ridge objective', t => {
+  t.equal(
+    models.ridge.objective([0.5, 2], sampleXVals, sampleYVals),
+    0.25 + 0.25 + 1 + 0.0625,
+    'sums squared residuals'
+  );
+  t.end();
+});
+
+tape('computes ridge gradient', t => {
+  const mVals = [0.5, 2];
+  const expected = getNumericGradient(
+    m => models.ridge.objective(m, sampleXVals, sampleYVals),
+    mVals
+  );
+
+  models.ridge.gradient(mVals, sampleXVals, sampleYVals)
+    .forEach((value, index) => {
+      t.ok(Math.abs(value - expected[index]) < 1e-4, 'matches numeric gradient');
+    });
+  t.end();
+});
+
+tape('applies logistic model', t => {
+  t.deepEqual(
+    models.logistic.applyModel([0, 0], sampleXVals),
+    [0.5, 0.5, 0.5, 0.5],
+    'predicts probabilities'
+  );
+  t.end();
+});
+
+tape('computes logistic objective', t => {
+  const labels = [1, 0, 1, 0];
+
+  t.ok(
+    Math.abs(
+      models.logistic.objective([0, 0], sampleXVals, labels) - 4 * Math.log(2)
+    ) < 1e-12,
+    'computes log-loss'
+  );
+  t.ok(
+    isFinite(models.logistic.objective([0, 1000], sampleXVals, labels)),
+    'doesn’t overflow'
+  );
+  t.end();
+});
+
+tape('computes logistic gradient', t => {
+  const labels = [1, 0, 1, 0];
+  const mVals = [0.25, -0.5];
+  const expected = getNumericGradient(
+    m => models.logistic.objective(m, sampleXVals, labels),
+    mVals
+  );
+
+  models.logistic.gradient(mVals, sampleXVals, labels)
+    .forEach((value, index) => {
+      t.ok(Math.abs(value - expected[index]) < 1e-4, 'matches numeric gradient');
+    });
+  t.end();
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+const _ = require('lodash');
+const normalization = require('../src/normalization.js');
+const tape = require('tape');
+
+const options = { dependent: 'y', predictorKeys: ['a', 'b'] };
+const sites = [
+  { xVals: [[1, 5], [3, 5]], yVals: [2, 4] },
+  { xVals: [[5, 5], [7, 5], [9, 5]], yVals: [6, 8, 10] },
+];
+const isClose = (actual, expected) => Math.abs(actual - expected) < 1e-9;
+
+tape('computes moments', t => {
+  t.deepEqual(
+    normalization.computeMoments(sites[0].xVals, sites[0].yVals, options),
+    {
+      sampleSize: 2,
+      xSum: { a: 4, b: 10 },
+      xSumOfSquares: { a: 10, b: 50 },
+      ySum: 6,
+      ySumOfSquares: 20,
+    },
+    'sums each variable'
+  );
+  t.notOk(
+    _.has(
+      normalization.computeMoments(
+        sites[0].xVals,
+        sites[0].yVals,
+        _.assign({}, options, { dependent: null })
+      ),
+      'ySum'
+    ),
+    'skips unstandardized dependent'
+  );
+  t.end();
+});
+
+tape('pools moments', t => {
+  const pooled = normalization.getNormalization(
+    sites.map(site => normalization.computeMoments(site.xVals, site.yVals, options)),
+    options
+  );
+
+  t.deepEqual(pooled.means, { a: 5, b: 5, y: 6 }, 'computes global means');
+  t.ok(isClose(pooled.standardDeviations.a, Math.sqrt(8)), 'computes global SD');
+  t.equal(pooled.standardDeviations.b, 1, 'keeps constant variables unscaled');
+  t.deepEqual(
+    normalization.getColumnNormalization(pooled, options),
+    {
+      xMeans: [5, 5],
+      xStandardDeviations: [pooled.standardDeviations.a, 1],
+      yMean: 6,
+      yStandardDeviation: pooled.standardDeviations.y,
+    },
+    'orders by column'
+  );
+  t.end();
+});
+
+tape('back-transforms coefficients', t => {
+  const shared = {
+    means: { age: 40, y: 10 },
+    standardDeviations: { age: 10, y: 2 },
+  };
+  const original = normalization.backTransform(
+    { '(Intercept)': 0, age: 0.5 },
+    shared,
+    { dependent: 'y' }
+  );
+
+  t.deepEqual(Object.keys(original), ['(Intercept)', 'age'], 'keys coefficients');
+  t.ok(isClose(original['(Intercept)'], 6), 'transforms intercept');
+  t.ok(isClose(original.age, 0.1), 'transforms slopes');
+
+  const logistic = normalization.backTransform(
+    { age: 2 },
+    shared,
+    { dependent: null }
+  );
+
+  t.ok(
+    isClose(logistic['(Intercept)'], -8) && isClose(logistic.age, 0.2),
+    'adds intercept without a standardized dependent'
+  );
+  t.end();
+});
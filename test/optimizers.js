@@ -0,0 +1,263 @@
+'use strict';
+
+const _ = require('lodash');
+const DEFAULTS = require('../src/config.js').DEFAULTS;
+const models = require('../src/models.js');
+const numeric = require('numeric');
+const optimizers = require('../src/optimizers.js');
+const runners = require('../src/runners.js');
+const tape = require('tape');
+
+const roiKeys = ['a', 'b'];
+
+/**
+ * Synthetic sites: y = 0.8a - 0.5b plus a deterministic perturbation.
+ */
+const sites = [0, 1].map(site => {
+  const xVals = [];
+  const yVals = [];
+
+  for (let i = 0; i < 20; i++) {
+    const a = Math.sin(i + site * 7);
+    const b = Math.cos(i * 1.3 + site);
+
+    xVals.push([a, b]);
+    yVals.push(0.8 * a - 0.5 * b + 0.1 * Math.sin(i * 2.7 + site));
+  }
+
+  return { xVals, yVals };
+});
+
+/**
+ * Exact least squares solution over all sites.
+ */
+function getOptimum() {
+  const xVals = _.flatten(_.map(sites, 'xVals'));
+  const yVals = _.flatten(_.map(sites, 'yVals'));
+  const xTranspose = numeric.transpose(xVals);
+  const mVals = numeric.solve(
+    numeric.dot(xTranspose, xVals),
+    numeric.dot(xTranspose, yVals)
+  );
+
+  return models.ridge.objective(mVals, xVals, yVals);
+}
+
+function getLocalResults(remoteResult) {
+  const mVals = roiKeys.map(key => remoteResult.mVals[key]);
+
+  return sites.map(site => ({
+    gradient: _.zipObject(
+      roiKeys,
+      models.ridge.gradient(mVals, site.xVals, site.yVals)
+    ),
+    objective: models.ridge.objective(mVals, site.xVals, site.yVals),
+    sampleSize: site.yVals.length,
+  }));
+}
+
+function getSeed(learningRate) {
+  return {
+    gradient: { a: 0, b: 0 },
+    iterationCount: 0,
+    learningRate,
+    mVals: { a: 0, b: 0 },
+    objective: Infinity,
+    previousBestFit: {
+      gradient: { a: 0, b: 0 },
+      mVals: { a: 0, b: 0 },
+      objective: Infinity,
+    },
+    r2: 0,
+  };
+}
+
+/**
+ * Run rounds until the aggregate stops or the iteration limit is hit.
+ */
+function optimize(optimizer, learningRate) {
+  let remoteResult = getSeed(learningRate);
+
+  while (remoteResult.iterationCount < 2000) {
+    const next = runners.computeAggregate(
+      remoteResult,
+      getLocalResults(remoteResult),
+      1e-6,
+      roiKeys,
+      { optimizer }
+    );
+
+    if (next.converged) {
+      break;
+    }
+
+    remoteResult = JSON.parse(JSON.stringify(next));
+  }
+
+  return remoteResult;
+}
+
+tape('gradient descent shrinks learning rate', t => {
+  const context = {
+    bestFit: { gradient: [1, 2], mVals: [1, 1], objective: 2 },
+    evaluation: { gradient: [4, 4], mVals: [0, 0], objective: 3 },
+    previousBestFit: { gradient: [1, 2], mVals: [1, 1], objective: 2 },
+  };
+  const step = optimizers.gradientDescent.step(
+    optimizers.gradientDescent.init(0.5),
+    context,
+    optimizers.gradientDescent.defaults
+  );
+
+  t.deepEqual(step.state, { learningRate: 0.25 }, 'halves learning rate');
+  t.deepEqual(step.mVals, [0.75, 0.5], 'steps from best fit');
+  t.end();
+});
+
+tape('momentum accumulates velocity', t => {
+  const evaluation = { gradient: [1, -1], mVals: [0, 0], objective: 1 };
+  const context = { bestFit: evaluation, evaluation, previousBestFit: evaluation };
+  const first = optimizers.momentum.step(
+    optimizers.momentum.init(0.1, 2),
+    context,
+    { beta: 0.5 }
+  );
+  const second = optimizers.momentum.step(first.state, context, { beta: 0.5 });
+
+  t.deepEqual(first.state.velocity, [1, -1], 'initial velocity');
+  t.deepEqual(second.state.velocity, [1.5, -1.5], 'accumulates velocity');
+  t.ok(
+    numeric.norm2(numeric.sub(second.mVals, [-0.15, 0.15])) < 1e-12,
+    'steps by velocity'
+  );
+  t.end();
+});
+
+tape('momentum restarts from best fit after rejection', t => {
+  const bestFit = { gradient: [1, 2], mVals: [1, 1], objective: 2 };
+  const step = optimizers.momentum.step(
+    { learningRate: 0.5, velocity: [10, -10] },
+    {
+      bestFit,
+      evaluation: { gradient: [4, 4], mVals: [0, 0], objective: 3 },
+      previousBestFit: bestFit,
+    },
+    optimizers.momentum.defaults
+  );
+
+  t.deepEqual(
+    step.state,
+    { learningRate: 0.25, velocity: [1, 2] },
+    'drops velocity and shrinks learning rate'
+  );
+  t.deepEqual(step.mVals, [0.75, 0.5], 'steps from best fit');
+  t.end();
+});
+
+tape('adam normalizes steps', t => {
+  const evaluation = { gradient: [100, -0.01], mVals: [0, 0], objective: 1 };
+  const step = optimizers.adam.step(
+    optimizers.adam.init(0.1, 2),
+    { bestFit: evaluation, evaluation, previousBestFit: evaluation },
+    optimizers.adam.defaults
+  );
+
+  t.equal(step.state.timestep, 1, 'counts steps');
+  t.ok(Math.abs(step.mVals[0] + 0.1) < 1e-6, 'first step is learning rate');
+  t.ok(Math.abs(step.mVals[1] - 0.1) < 1e-4, 'regardless of scale');
+
+  const bestFit = { gradient: [1, -1], mVals: [1, 1], objective: 0.5 };
+  const restart = optimizers.adam.step(
+    step.state,
+    {
+      bestFit,
+      evaluation: { gradient: [100, -0.01], mVals: [0, 0], objective: 1 },
+      previousBestFit: bestFit,
+    },
+    optimizers.adam.defaults
+  );
+
+  t.equal(restart.state.timestep, 1, 'restarts moments after rejection');
+  t.equal(restart.state.learningRate, 0.05, 'shrinks learning rate');
+  t.ok(
+    numeric.norm2(numeric.sub(restart.mVals, [0.95, 1.05])) < 1e-6,
+    'steps from best fit'
+  );
+  t.end();
+});
+
+tape('line search checks sufficient decrease', t => {
+  const previousBestFit = { gradient: [1, 0], mVals: [1, 0], objective: 1 };
+  const options = optimizers.lineSearch.defaults;
+  const init = optimizers.lineSearch.init(0.5);
+  const accepted = { gradient: [0.5, 0], mVals: [0.5, 0], objective: 0.25 };
+  const rejected = { gradient: [0.5, 0], mVals: [0.5, 0], objective: 0.99999 };
+
+  t.equal(
+    optimizers.lineSearch.step(init, {
+      bestFit: accepted,
+      evaluation: accepted,
+      previousBestFit,
+    }, options).state.learningRate,
+    1,
+    'grows learning rate'
+  );
+  t.equal(
+    optimizers.lineSearch.step(init, {
+      bestFit: previousBestFit,
+      evaluation: rejected,
+      previousBestFit,
+    }, options).state.learningRate,
+    0.25,
+    'shrinks learning rate'
+  );
+  t.end();
+});
+
+tape('persists optimizer state', t => {
+  const result = runners.computeAggregate(
+    getSeed(0.01),
+    getLocalResults(getSeed(0.01)),
+    1e-6,
+    roiKeys,
+    { optimizer: 'adam' }
+  );
+  const next = runners.computeAggregate(
+    result,
+    getLocalResults(result),
+    1e-6,
+    roiKeys,
+    { optimizer: 'adam' }
+  );
+
+  t.equal(result.optimizer, 'adam', 'names optimizer');
+  t.equal(result.optimizerState.timestep, 1, 'sets state');
+  t.equal(next.optimizerState.timestep, 2, 'reuses state');
+  t.equal(
+    runners.computeAggregate(
+      next,
+      getLocalResults(next),
+      1e-6,
+      roiKeys,
+      { optimizer: 'momentum' }
+    ).optimizerState.velocity.length,
+    2,
+    'resets state when optimizer changes'
+  );
+  t.end();
+});
+
+tape('optimizers converge on synthetic data', t => {
+  const optimum = getOptimum();
+
+  Object.keys(optimizers).sort().forEach(name => {
+    const result = optimize(name, DEFAULTS.learningRate);
+
+    t.comment(`${name}: ${result.iterationCount} iterations`);
+    t.ok(
+      result.previousBestFit.objective - optimum < 1e-4,
+      `${name} reaches optimum`
+    );
+  });
+  t.end();
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const phases = require('../src/phases.js');
+const tape = require('tape');
+
+tape('orders phases', t => {
+  const machine = phases.createPhaseMachine(['keys', 'fit', 'inference']);
+
+  t.deepEqual(
+    machine.sequence,
+    ['init', 'keys', 'fit', 'inference', 'done'],
+    'starts with init and ends with done'
+  );
+  t.equal(machine.getNextPhase('init'), 'keys', 'starts with first phase');
+  t.equal(machine.getNextPhase('inference'), 'done', 'ends after last phase');
+  t.throws(
+    () => machine.getNextPhase('normalization'),
+    /Phase 'normalization' isn't part of this computation/,
+    'rejects skipped phase'
+  );
+  t.throws(
+    () => machine.getNextPhase('done'),
+    /Phase 'done' is the last phase/,
+    'rejects phase after done'
+  );
+  t.throws(
+    () => phases.createPhaseMachine(['fit', 'calibration']),
+    /Unknown phase 'calibration'. Expected one of: init, keys/,
+    'rejects unknown phase'
+  );
+  t.throws(
+    () => phases.createPhaseMachine(['fit', 'fit']),
+    /Expected phases to run once each/,
+    'rejects repeated phase'
+  );
+  t.end();
+});
+
+tape('registers handlers', t => {
+  const local = () => {};
+  const remote = () => {};
+  const machine = phases.createPhaseMachine(['fit']);
+
+  t.equal(
+    machine.register('fit', { local, remote }),
+    machine,
+    'returns machine'
+  );
+  t.equal(machine.getHandler('fit', 'local'), local, 'gets local handler');
+  t.equal(machine.getHandler('fit', 'remote'), remote, 'gets remote handler');
+
+  machine.register('init', { remote });
+
+  t.equal(machine.getHandler('init', 'local'), null, 'allows missing handler');
+  t.equal(machine.getHandler('done', 'remote'), null, 'allows missing phase');
+  t.throws(
+    () => machine.register('calibration', { local }),
+    /Unknown phase 'calibration'/,
+    'rejects unknown phase'
+  );
+  t.end();
+});
@@ -0,0 +1,49 @@
+'use strict';
+
+const _ = require('lodash');
+const prng = require('../src/prng.js');
+const tape = require('tape');
+
+tape('generates seeded numbers', t => {
+  const draw = (seed, count) => _.times(count, prng.createPrng(seed));
+  const values = draw(42, 1000);
+
+  t.deepEqual(draw(42, 1000), values, 'repeats a seed’s sequence');
+  t.notDeepEqual(draw(43, 1000), values, 'varies by seed');
+  t.ok(values.every(value => value >= 0 && value < 1), 'draws from [0, 1)');
+  t.ok(Math.abs(_.mean(values) - 0.5) < 0.05, 'draws uniformly');
+  t.end();
+});
+
+tape('creates seeds', t => {
+  const seed = prng.createSeed();
+
+  t.ok(
+    _.isInteger(seed) && seed >= 0 && seed <= prng.MAX_SEED,
+    'draws an unsigned 32-bit integer'
+  );
+  t.equal(
+    prng.deriveSeed(42, 'site-1:3:fit'),
+    prng.deriveSeed(42, 'site-1:3:fit'),
+    'derives seeds deterministically'
+  );
+  t.notEqual(
+    prng.deriveSeed(42, 'site-1:3:fit'),
+    prng.deriveSeed(42, 'site-2:3:fit'),
+    'derives a stream per label'
+  );
+  t.end();
+});
+
+tape('draws Laplace noise', t => {
+  const random = prng.createPrng(7);
+  const noise = _.times(5000, () => prng.laplaceNoise(2, random));
+
+  t.ok(Math.abs(_.mean(noise)) < 0.15, 'centers on 0');
+  t.ok(
+    Math.abs(_.mean(noise.map(Math.abs)) - 2) < 0.15,
+    'has mean absolute deviation of scale'
+  );
+  t.equal(prng.laplaceNoise(2, () => 0), 0, 'treats 0 as the median');
+  t.end();
+});
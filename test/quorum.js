@@ -0,0 +1,233 @@
+'use strict';
+
+const _ = require('lodash');
+const quorum = require('../src/quorum.js');
+const tape = require('tape');
+
+const coefficientKeys = ['a'];
+const options = {
+  coefficientKeys,
+  maxSiteLag: null,
+  minSiteFraction: 1,
+  minSites: null,
+  rejoin: true,
+};
+const getRemoteResult = participation => {
+  const result = { iterationCount: 4, mVals: { a: 0.5 } };
+
+  return participation ? _.assign(result, { participation }) : result;
+};
+const getLocalResult = (username, mVal) => ({
+  gradient: { a: 0.1 },
+  previousAggregateMVals: [mVal],
+  username,
+});
+const userResults = [
+  getLocalResult('site-1', 0.5),
+  getLocalResult('site-2', 0.5),
+  getLocalResult('site-3', 0.25),
+];
+
+tape('sizes quorums', t => {
+  t.equal(quorum.getQuorumSize(3, options), 3, 'requires every site by default');
+  t.equal(
+    quorum.getQuorumSize(3, _.assign({}, options, { minSiteFraction: 0.5 })),
+    2,
+    'rounds fractions up'
+  );
+  t.equal(
+    quorum.getQuorumSize(
+      3,
+      _.assign({}, options, { minSiteFraction: 0.1, minSites: 2 })
+    ),
+    2,
+    'requires minimum site count'
+  );
+  t.end();
+});
+
+tape('identifies current results', t => {
+  t.ok(
+    quorum.isCurrent(userResults[0], getRemoteResult(), coefficientKeys),
+    'accepts results at current mVals'
+  );
+  t.notOk(
+    quorum.isCurrent(userResults[2], getRemoteResult(), coefficientKeys),
+    'rejects stale mVals'
+  );
+  t.notOk(
+    quorum.isCurrent(
+      userResults[0],
+      _.assign(getRemoteResult(), { phase: 'inference' }),
+      coefficientKeys
+    ),
+    'rejects stale phase'
+  );
+  t.equal(quorum.getSiteId({}, 1), 'site-2', 'names sites by position');
+  t.end();
+});
+
+tape('waits for every site by default', t => {
+  t.deepEqual(
+    quorum.assessRound(getRemoteResult(), userResults, options),
+    { contributors: [], participation: null, ready: false },
+    'waits without recording'
+  );
+
+  const round = quorum.assessRound(
+    getRemoteResult(),
+    userResults.slice(0, 2),
+    options
+  );
+
+  t.ok(round.ready, 'runs once every site is current');
+  t.deepEqual(
+    round.participation,
+    {
+      excluded: [],
+      lag: { 'site-1': 0, 'site-2': 0 },
+      rounds: [{ iterationCount: 4, phase: 'fit', sites: ['site-1', 'site-2'] }],
+    },
+    'records contributors'
+  );
+  t.end();
+});
+
+tape('runs rounds with a quorum', t => {
+  const round = quorum.assessRound(
+    getRemoteResult(),
+    userResults,
+    _.assign({}, options, { minSiteFraction: 0.5 })
+  );
+
+  t.ok(round.ready, 'runs without stragglers');
+  t.deepEqual(
+    round.contributors,
+    userResults.slice(0, 2),
+    'aggregates current results'
+  );
+  t.deepEqual(
+    round.participation.lag,
+    { 'site-1': 0, 'site-2': 0, 'site-3': 1 },
+    'counts missed round'
+  );
+  t.deepEqual(
+    quorum.assessRound(
+      getRemoteResult(round.participation),
+      userResults,
+      _.assign({}, options, { minSiteFraction: 0.5 })
+    ).participation,
+    round.participation,
+    "doesn't count a recorded round twice"
+  );
+  t.end();
+});
+
+tape('excludes lagging sites', t => {
+  const lagOptions = _.assign({}, options, { maxSiteLag: 1, minSiteFraction: 0.5 });
+  const missed = quorum.assessRound(getRemoteResult(), userResults, lagOptions);
+
+  t.ok(missed.ready, 'runs without straggler');
+  t.deepEqual(
+    missed.participation,
+    {
+      excluded: [],
+      lag: { 'site-1': 0, 'site-2': 0, 'site-3': 1 },
+      rounds: [{ iterationCount: 4, phase: 'fit', sites: ['site-1', 'site-2'] }],
+    },
+    'counts missed round'
+  );
+
+  const round = quorum.assessRound(
+    _.assign(getRemoteResult(missed.participation), { iterationCount: 5 }),
+    userResults,
+    lagOptions
+  );
+
+  t.ok(round.ready, 'runs again without straggler');
+  t.deepEqual(round.participation.excluded, ['site-3'], 'excludes straggler');
+  t.deepEqual(
+    _.map(round.participation.rounds, 'sites'),
+    [['site-1', 'site-2'], ['site-1', 'site-2']],
+    'records contributors'
+  );
+
+  const rejoined = quorum.assessRound(
+    _.assign(getRemoteResult(round.participation), { iterationCount: 6 }),
+    [userResults[0], userResults[1], getLocalResult('site-3', 0.5)],
+    lagOptions
+  );
+
+  t.deepEqual(rejoined.participation.excluded, [], 'lets site rejoin');
+  t.deepEqual(
+    _.last(rejoined.participation.rounds).sites,
+    ['site-1', 'site-2', 'site-3'],
+    'counts rejoined site'
+  );
+  t.deepEqual(
+    quorum.assessRound(
+      _.assign(getRemoteResult(round.participation), { iterationCount: 6 }),
+      [userResults[0], userResults[1], getLocalResult('site-3', 0.5)],
+      _.assign({}, lagOptions, { rejoin: false })
+    ).contributors,
+    userResults.slice(0, 2),
+    'ignores excluded site without rejoin'
+  );
+  t.end();
+});
+
+tape('counts rounds, not results', t => {
+  const lagOptions = _.assign({}, options, { maxSiteLag: 1, minSiteFraction: 0.5 });
+  const waiting = [userResults[0], getLocalResult('site-2', 0.25), userResults[2]];
+
+  // Each of several sites posting in a round invokes the remote
+  t.ok(
+    _.range(5).every(() => _.isEqual(
+      quorum.assessRound(getRemoteResult(), waiting, lagOptions),
+      { contributors: [], participation: null, ready: false }
+    )),
+    "doesn't count waiting"
+  );
+  t.deepEqual(
+    quorum.assessRound(getRemoteResult(), userResults, lagOptions).participation.lag,
+    { 'site-1': 0, 'site-2': 0, 'site-3': 1 },
+    'counts the round once'
+  );
+  t.end();
+});
+
+tape('detects changed contributors', t => {
+  const getParticipation = rounds => ({
+    excluded: [],
+    lag: {},
+    rounds: rounds.map((sites, index) => ({ iterationCount: index, phase: 'fit', sites })),
+  });
+
+  t.notOk(quorum.hasChangedContributors(undefined), 'ignores missing participation');
+  t.notOk(
+    quorum.hasChangedContributors(getParticipation([['site-1', 'site-2']])),
+    'ignores first round'
+  );
+  t.notOk(
+    quorum.hasChangedContributors(getParticipation([
+      ['site-1', 'site-2'],
+      ['site-2', 'site-1'],
+    ])),
+    'ignores order'
+  );
+  t.ok(
+    quorum.hasChangedContributors(getParticipation([
+      ['site-1', 'site-2', 'site-3'],
+      ['site-1', 'site-2'],
+    ])),
+    'detects dropped site'
+  );
+  t.ok(
+    quorum.hasChangedContributors(getParticipation([
+      ['site-1', 'site-2'],
+      ['site-1', 'site-2', 'site-3'],
+    ])),
+    'detects rejoined site'
+  );
+  t.end();
+});
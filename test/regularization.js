@@ -0,0 +1,75 @@
+'use strict';
+
+const regularization = require('../src/regularization.js');
+const tape = require('tape');
+
+const getValidation = mse => ({
+  pooled: { mse: mse, r2: 1 - mse, sampleSize: 8 }, // eslint-disable-line object-shorthand
+  sites: {},
+});
+
+tape('tracks each penalty\'s fit', t => {
+  t.equal(regularization.getPathStart({}), 0, 'starts first penalty at 0');
+  t.equal(
+    regularization.getPathStart({
+      regularizationPath: [{ iterationCount: 12, lambda: 0, mVals: {} }],
+    }),
+    13,
+    'starts next penalty after the last'
+  );
+  t.end();
+});
+
+tape('pools path validations', t => {
+  const validations = regularization.poolPathValidations(
+    [
+      {
+        pathValidations: [
+          { sampleSize: 2, ssResidual: 1, ssTotal: 4 },
+          { sampleSize: 2, ssResidual: 2, ssTotal: 4 },
+        ],
+        username: 'site-1',
+      },
+      {
+        pathValidations: [
+          { sampleSize: 2, ssResidual: 3, ssTotal: 4 },
+          { sampleSize: 2, ssResidual: 2, ssTotal: 4 },
+        ],
+        username: 'site-2',
+      },
+    ],
+    2
+  );
+
+  t.deepEqual(
+    validations.map(item => item.pooled.mse),
+    [1, 1],
+    'pools each penalty'
+  );
+  t.deepEqual(
+    Object.keys(validations[0].sites),
+    ['site-1', 'site-2'],
+    'keys sites by username'
+  );
+  t.equal(validations[0].sites['site-1'].mse, 0.5, 'reports sites');
+  t.end();
+});
+
+tape('selects penalty', t => {
+  const path = [
+    { lambda: 0, mVals: {}, validation: getValidation(0.4) },
+    { lambda: 1, mVals: {}, validation: getValidation(0.3) },
+    { lambda: 10, mVals: {}, validation: getValidation(0.3) },
+  ];
+
+  t.equal(regularization.selectLambda(path).lambda, 1, 'picks lowest error');
+  t.equal(
+    regularization.getValidationError({
+      pooled: { accuracy: 0.75, auc: 0.8, sampleSize: 8 },
+      sites: {},
+    }),
+    0.25,
+    'uses misclassification rate for logistic models'
+  );
+  t.end();
+});
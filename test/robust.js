@@ -0,0 +1,77 @@
+'use strict';
+
+const robust = require('../src/robust.js');
+const tape = require('tape');
+
+const objectives = [1, 2, 3, 4, 1000];
+const gradients = [[1, -1], [2, -2], [3, -3], [4, -4], [1000, 1000]];
+
+tape('computes robust centers', t => {
+  t.equal(robust.median([3, 1, 2]), 2, 'takes middle value');
+  t.equal(robust.median([4, 1, 3, 2]), 2.5, 'averages middle values');
+  t.equal(robust.trimmedMean([1, 2, 3, 100], 0.25), 2.5, 'trims each end');
+  t.equal(robust.trimmedMean([1, 2, 3, 100], 0.1), 2.5, 'trims at least one from each end');
+  t.equal(robust.trimmedMean([1, 100], 0.4), 50.5, 'keeps a value');
+  t.end();
+});
+
+tape('combines sites robustly', t => {
+  const options = { clipNorm: null, trimFraction: 0.2 };
+
+  t.deepEqual(
+    robust.combine(objectives, gradients, 'median', options),
+    { gradient: [15, -10], objective: 15 },
+    'scales coordinate-wise median by site count'
+  );
+  t.deepEqual(
+    robust.combine(objectives, gradients, 'trimmedMean', options),
+    { gradient: [15, -10], objective: 15 },
+    'scales trimmed mean by site count'
+  );
+
+  const clipped = robust.combine(objectives, gradients, 'clippedMean', options);
+  const bound = 3 * Math.SQRT2;
+  const scale = bound / (1000 * Math.SQRT2);
+
+  t.ok(
+    Math.abs(clipped.gradient[0] - (1 + 2 + 3 + 3 + 1000 * scale)) < 1e-9,
+    'clips gradients to the median norm'
+  );
+  t.ok(
+    Math.abs(clipped.objective - (1 + 2 + 3 + 4 * 0.75 + 1000 * scale)) < 1e-9,
+    'scales objectives like gradients'
+  );
+  t.deepEqual(
+    robust.combine([1, 2], [[3, 4], [0, 1]], 'clippedMean', { clipNorm: 10 }),
+    { gradient: [3, 5], objective: 3 },
+    'keeps gradients within the clip norm'
+  );
+  t.deepEqual(
+    robust.combine(objectives, gradients, 'trimmedMean', { trimFraction: 0.1 }),
+    robust.combine(objectives, gradients, 'trimmedMean', { trimFraction: 0.2 }),
+    'trims at least one site from each end'
+  );
+  t.deepEqual(
+    robust.combine([1, 2], [[3, 4], [0, 1]], 'trimmedMean', { trimFraction: 0.1 }),
+    { gradient: [3, 5], objective: 3 },
+    'keeps both of two sites'
+  );
+  t.end();
+});
+
+tape('scores anomalies', t => {
+  const scores = robust.getAnomalyScores(gradients);
+
+  t.ok(scores[4] > 100, 'scores outlier highly');
+  t.ok(scores.slice(0, 4).every(score => score < 2), 'scores others low');
+  t.deepEqual(
+    robust.getAnomalyScores([[1, 2], [1, 2], [1, 2]]),
+    [0, 0, 0],
+    'scores identical gradients 0'
+  );
+  t.ok(
+    robust.getAnomalyScores([[0], [0], [0], [0], [5]])[4] > 3.5,
+    'scores outlier when most gradients agree'
+  );
+  t.end();
+});
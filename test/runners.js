@@ -1,7 +1,12 @@
 'use strict';
 
+const _ = require('lodash');
+const helpers = require('../src/helpers.js');
+const laplace = require('coinstac-distributed-algorithm-set').laplace;
+const numeric = require('numeric');
 const runners = require('../src/runners.js');
 const sampleAnalyses3 = require('./stubs/analyses-3.json');
+const sinon = require('sinon');
 const tape = require('tape');
 
 tape('computes basic regression', t => {
@@ -15,6 +20,137 @@ tape('computes basic regression', t => {
   t.end();
 });
 
+tape('names diverged fits', t => {
+  t.throws(
+    () => runners.computeRegression([100, 200, 300], [400, 500, 600], [1e200], ['a']),
+    /Objective is Infinity at the remote's coefficients: the fit diverged/,
+    'rejects non-finite objectives'
+  );
+  t.end();
+});
+
+tape('computes multiple regression', t => {
+  const regression = runners.computeRegression(
+    [[0, 34], [1, 51], [0, 45], [1, 38], [0, 57]],
+    [4065.7, 3713.1, 3941.4, 3802.6, 3895],
+    [0.1, 0.2, 0.3],
+    ['(Intercept)', 'group', 'age'],
+    { intercept: true }
+  );
+
+  t.deepEqual(
+    Object.keys(regression.gradient),
+    ['(Intercept)', 'group', 'age'],
+    'names coefficients'
+  );
+  t.ok(
+    Object.keys(regression.gradient).every(
+      key => isFinite(regression.gradient[key])
+    ),
+    'computes gradient'
+  );
+  t.ok(isFinite(regression.objective), 'computes objective');
+  t.ok(
+    Math.abs(1 - regression.ssResidual / regression.ssTotal - regression.r2) < 1e-9,
+    'reports sums of squares'
+  );
+  t.end();
+});
+
+tape('normalizes with shared parameters', t => {
+  const xVals = [[0, 34], [1, 51], [0, 45], [1, 38], [0, 57]];
+  const yVals = [4065.7, 3713.1, 3941.4, 3802.6, 3895];
+  const getMoments = values => {
+    const mean = _.mean(values);
+
+    return {
+      mean,
+      standardDeviation: Math.sqrt(_.mean(values.map(value => (value - mean) * (value - mean)))),
+    };
+  };
+  const columns = [0, 1].map(index => getMoments(xVals.map(row => row[index])));
+  const shared = {
+    xMeans: _.map(columns, 'mean'),
+    xStandardDeviations: _.map(columns, 'standardDeviation'),
+    yMean: getMoments(yVals).mean,
+    yStandardDeviation: getMoments(yVals).standardDeviation,
+  };
+  const args = [xVals, yVals, [0.1, 0.2, 0.3], ['(Intercept)', 'group', 'age']];
+  const local = runners.computeRegression.apply(null, args.concat({ intercept: true }));
+  const global = runners.computeRegression.apply(
+    null,
+    args.concat({ intercept: true, normalization: shared })
+  );
+
+  t.ok(
+    Math.abs(local.objective - global.objective) < 1e-9 &&
+    _.every(local.gradient, (value, key) => Math.abs(value - global.gradient[key]) < 1e-9),
+    "matches local normalization with the site's own moments"
+  );
+  t.ok(
+    Math.abs(
+      runners.computeStatistics(xVals, yVals, { normalization: _.assign({}, shared, {
+        xMeans: [0.5, 40],
+      }) }).xTx[1][1] -
+      runners.computeStatistics(xVals, yVals).xTx[1][1]
+    ) > 1e-3,
+    'uses shared parameters for sufficient statistics'
+  );
+  t.end();
+});
+
+tape('computes logistic regression', t => {
+  const regression = runners.computeRegression(
+    [[4065.7], [3713.1], [3941.4], [3802.6]],
+    [0, 1, 0, 1],
+    [0, -1],
+    ['(Intercept)', 'Left-Hippocampus'],
+    { intercept: true, model: 'logistic' }
+  );
+
+  t.equal(regression.sampleSize, 4, 'reports sample size');
+  t.equal(regression.accuracy, 1, 'computes accuracy');
+  t.equal(regression.auc, 1, 'computes AUC');
+  t.notOk('r2' in regression, 'doesn’t compute r2');
+  t.end();
+});
+
+tape('computes differentially private regression', t => {
+  const privacy = {
+    clipBound: 0.5,
+    epsilon: 0.2,
+  };
+  const stub = sinon.stub(laplace, 'noise').returns(0);
+  const regression = runners.computeRegression(
+    [100, 200, 300, 400],
+    [1, 2, 3, 5],
+    [10],
+    ['Left-Hippocampus'],
+    { privacy }
+  );
+
+  laplace.noise.restore();
+
+  t.ok(
+    Math.abs(regression.gradient['Left-Hippocampus']) <= privacy.clipBound,
+    'clips gradient'
+  );
+  t.ok(
+    regression.objective >= 0 && regression.objective <= privacy.clipBound,
+    'clips objective'
+  );
+  t.notOk('r2' in regression, 'doesn’t release r2');
+  t.ok(
+    stub.calledWith(2 * privacy.clipBound / 4 / (privacy.epsilon / 2)),
+    'adds gradient noise scaled to sensitivity'
+  );
+  t.ok(
+    stub.calledWith(privacy.clipBound / 4 / (privacy.epsilon / 2)),
+    'adds objective noise scaled to sensitivity'
+  );
+  t.end();
+});
+
 tape('computes basic aggregate', t => {
   const aggregate = runners.computeAggregate(
     {
@@ -45,3 +181,595 @@ tape('computes basic aggregate', t => {
   t.ok(aggregate, 'computes it');
   t.end();
 });
+
+tape('aggregates classification metrics', t => {
+  const localResults = [{
+    accuracy: 0.5,
+    auc: null,
+    gradient: { 'Left-Hippocampus': 1 },
+    objective: 2,
+    sampleSize: 10,
+  }, {
+    accuracy: 0.9,
+    auc: 0.75,
+    gradient: { 'Left-Hippocampus': -0.5 },
+    objective: 3,
+    sampleSize: 30,
+  }];
+  const aggregate = runners.computeAggregate(
+    {
+      gradient: { 'Left-Hippocampus': 0 },
+      iterationCount: 0,
+      learningRate: 0.7,
+      mVals: { 'Left-Hippocampus': 0.5 },
+      objective: Infinity,
+      previousBestFit: {
+        gradient: { 'Left-Hippocampus': 0 },
+        mVals: { 'Left-Hippocampus': 0.5 },
+        objective: Infinity,
+      },
+      r2: 0,
+    },
+    localResults,
+    1e-5,
+    ['Left-Hippocampus']
+  );
+
+  t.ok(Math.abs(aggregate.accuracy - 0.8) < 1e-12, 'weights accuracy');
+  t.equal(aggregate.auc, 0.75, 'skips sites without AUC');
+  t.end();
+});
+
+tape('weights sites by sample size', t => {
+  const localResults = [{
+    gradient: { 'Left-Hippocampus': 30 },
+    objective: 15,
+    r2: 0.9,
+    sampleSize: 15,
+    ssResidual: 1.5,
+    ssTotal: 15,
+  }, {
+    gradient: { 'Left-Hippocampus': -90 },
+    objective: 900,
+    r2: 0,
+    sampleSize: 900,
+    ssResidual: 900,
+    ssTotal: 900,
+  }];
+  const previousRemoteResult = {
+    gradient: { 'Left-Hippocampus': 0 },
+    iterationCount: 0,
+    learningRate: 0.7,
+    mVals: { 'Left-Hippocampus': 0.5 },
+    objective: Infinity,
+    previousBestFit: {
+      gradient: { 'Left-Hippocampus': 0 },
+      mVals: { 'Left-Hippocampus': 0.5 },
+      objective: Infinity,
+    },
+    r2: 0,
+  };
+  const aggregate = (results, options) => runners.computeAggregate(
+    previousRemoteResult,
+    results,
+    1e-5,
+    ['Left-Hippocampus'],
+    options
+  );
+  const summed = aggregate(localResults);
+  const weighted = aggregate(localResults, { aggregation: 'weighted' });
+  const isClose = (actual, expected) => Math.abs(actual - expected) < 1e-12;
+
+  t.equal(summed.gradient['Left-Hippocampus'], -60, 'sums gradients');
+  t.equal(summed.r2, 0.45, 'averages r²');
+  t.ok(
+    isClose(weighted.gradient['Left-Hippocampus'], -60 / 915),
+    'takes gradient mean per subject'
+  );
+  t.ok(isClose(weighted.objective, 1), 'takes objective mean per subject');
+  t.ok(isClose(weighted.r2, 1 - 901.5 / 915), 'pools r²');
+
+  const means = aggregate(
+    [
+      _.assign({}, localResults[0], { gradient: { 'Left-Hippocampus': 2 } }),
+      _.assign({}, localResults[1], { gradient: { 'Left-Hippocampus': -0.1 } }),
+    ],
+    { aggregation: 'weighted', localMeans: true }
+  );
+
+  t.ok(
+    isClose(means.gradient['Left-Hippocampus'], (15 * 2 - 900 * 0.1) / 915),
+    'weights local means'
+  );
+  t.ok(
+    isClose(
+      aggregate(
+        localResults.map(result => _.omit(result, 'ssResidual')),
+        { aggregation: 'weighted' }
+      ).r2,
+      0.9 * 15 / 915
+    ),
+    'weights r² without sums of squares'
+  );
+  t.end();
+});
+
+tape('aggregates robustly', t => {
+  const localResults = [1, 2, 3, 4, 1000].map((value, index) => ({
+    gradient: { 'Left-Hippocampus': value },
+    objective: value,
+    r2: 0.5,
+    sampleSize: 10,
+    username: index === 4 ? 'misconfigured' : `site-${index + 1}`,
+  }));
+  const previousRemoteResult = {
+    flaggedSites: ['site-9'],
+    iterationCount: 0,
+    learningRate: 0.7,
+    mVals: { 'Left-Hippocampus': 0.5 },
+    previousBestFit: {
+      gradient: {},
+      mVals: { 'Left-Hippocampus': 0.5 },
+      objective: Infinity,
+    },
+  };
+  const aggregate = options => runners.computeAggregate(
+    previousRemoteResult,
+    localResults,
+    1e-5,
+    ['Left-Hippocampus'],
+    options
+  );
+  const median = aggregate({ aggregation: 'median', anomalyThreshold: 3.5 });
+
+  t.equal(median.gradient['Left-Hippocampus'], 15, 'takes median gradient');
+  t.equal(median.objective, 15, 'takes median objective');
+  t.equal(
+    aggregate({ aggregation: 'trimmedMean', trimFraction: 0.2 }).objective,
+    15,
+    'trims sites'
+  );
+  t.equal(
+    aggregate({ aggregation: 'clippedMean', clipNorm: 2 }).gradient['Left-Hippocampus'],
+    9,
+    'clips gradients'
+  );
+  t.ok(median.anomalyScores.misconfigured > 100, 'scores sites');
+  t.deepEqual(
+    median.flaggedSites,
+    ['site-9', 'misconfigured'],
+    'adds flagged sites to earlier ones'
+  );
+  t.notOk(_.has(aggregate(), 'anomalyScores'), 'scores only with a threshold');
+
+  const compared = runners.computeAggregate(
+    _.assign({}, previousRemoteResult, {
+      previousBestFit: _.assign({}, previousRemoteResult.previousBestFit, {
+        gradient: { 'Left-Hippocampus': 20 },
+        objective: 1,
+      }),
+    }),
+    localResults,
+    1e-5,
+    ['Left-Hippocampus'],
+    { aggregation: 'median' }
+  );
+
+  t.equal(
+    compared.previousBestFit.objective,
+    15,
+    'compares fits by gradient norm, not objective'
+  );
+  t.end();
+});
+
+tape('records convergence history', t => {
+  const localResults = [{
+    gradient: { 'Left-Hippocampus': 3 },
+    objective: 2,
+    r2: 0.5,
+    sampleSize: 10,
+  }, {
+    gradient: { 'Left-Hippocampus': 1 },
+    objective: 3,
+    r2: 0.3,
+    sampleSize: 30,
+  }];
+  const previousRemoteResult = {
+    gradient: { 'Left-Hippocampus': 0 },
+    history: [{
+      accepted: true,
+      gradientNorm: 5,
+      iterationCount: 0,
+      learningRate: 0.7,
+      objective: 4,
+      r2: 0.2,
+    }],
+    iterationCount: 1,
+    learningRate: 0.7,
+    mVals: { 'Left-Hippocampus': 0.5 },
+    objective: 4,
+    previousBestFit: {
+      gradient: { 'Left-Hippocampus': 5 },
+      mVals: { 'Left-Hippocampus': 0 },
+      objective: 4,
+    },
+    r2: 0.2,
+  };
+  const aggregate = runners.computeAggregate(
+    previousRemoteResult,
+    localResults,
+    1e-5,
+    ['Left-Hippocampus']
+  );
+
+  t.equal(aggregate.history.length, 2, 'appends an entry');
+  t.deepEqual(
+    aggregate.history[1],
+    {
+      accepted: false,
+      gradientNorm: 4,
+      iterationCount: 1,
+      learningRate: 0.35,
+      objective: 5,
+      r2: 0.4,
+    },
+    'records rejected step'
+  );
+  t.deepEqual(
+    runners.computeAggregate(
+      previousRemoteResult,
+      localResults,
+      1e-5,
+      ['Left-Hippocampus'],
+      { historySize: 1 }
+    ).history,
+    [aggregate.history[1]],
+    'caps history'
+  );
+
+  const converged = runners.computeAggregate(
+    previousRemoteResult,
+    localResults.map(result => _.assign({}, result, {
+      gradient: { 'Left-Hippocampus': 0 },
+    })),
+    1e-5,
+    ['Left-Hippocampus']
+  );
+
+  t.ok(converged.converged, 'converges');
+  t.deepEqual(
+    converged.mVals,
+    previousRemoteResult.mVals,
+    'keeps the evaluated coefficients'
+  );
+  t.deepEqual(
+    _.last(converged.history),
+    {
+      accepted: false,
+      gradientNorm: 0,
+      iterationCount: previousRemoteResult.iterationCount,
+      learningRate: 0.7,
+      objective: 5,
+      r2: 0.4,
+    },
+    'records the final coefficients\' evaluation'
+  );
+  t.end();
+});
+
+tape('solves exact regression from sufficient statistics', t => {
+  const coefficientKeys = ['(Intercept)', 'a', 'b'];
+  const sites = [0, 1].map(site => {
+    const xVals = [];
+    const yVals = [];
+
+    for (let i = 0; i < 15; i++) {
+      const a = Math.sin(i + site * 5);
+      const b = Math.cos(i * 1.7 + site);
+
+      xVals.push([a, b]);
+      yVals.push(2 + 0.6 * a - 0.3 * b + 0.05 * Math.sin(i * 3.1 + site));
+    }
+
+    return { xVals, yVals };
+  });
+  const exact = runners.computeExactAggregate(
+    sites.map(site => runners.computeStatistics(
+      site.xVals,
+      site.yVals,
+      { intercept: true }
+    )),
+    coefficientKeys
+  );
+
+  t.deepEqual(Object.keys(exact.mVals), coefficientKeys, 'names coefficients');
+  t.equal(exact.sampleSize, 30, 'sums sample sizes');
+  t.ok(exact.r2 > 0.9 && exact.r2 <= 1, 'computes r²');
+
+  let remoteResult = {
+    gradient: _.zipObject(coefficientKeys, [0, 0, 0]),
+    iterationCount: 0,
+    learningRate: 0.01,
+    mVals: _.zipObject(coefficientKeys, [0, 0, 0]),
+    objective: Infinity,
+    previousBestFit: {
+      gradient: _.zipObject(coefficientKeys, [0, 0, 0]),
+      mVals: _.zipObject(coefficientKeys, [0, 0, 0]),
+      objective: Infinity,
+    },
+    r2: 0,
+  };
+
+  while (remoteResult.iterationCount < 1000) {
+    const mVals =
+      helpers.pickOrderedValues(coefficientKeys, remoteResult.mVals);
+    const next = runners.computeAggregate(
+      remoteResult,
+      sites.map(site => runners.computeRegression(
+        site.xVals,
+        site.yVals,
+        mVals,
+        coefficientKeys,
+        { intercept: true }
+      )),
+      1e-8,
+      coefficientKeys,
+      { optimizer: 'lineSearch' }
+    );
+
+    if (next.converged) {
+      break;
+    }
+
+    remoteResult = next;
+  }
+
+  t.ok(
+    coefficientKeys.every(key => (
+      Math.abs(remoteResult.previousBestFit.mVals[key] - exact.mVals[key]) < 1e-6
+    )),
+    'iterative mode converges to exact coefficients'
+  );
+  t.ok(
+    Math.abs(remoteResult.previousBestFit.objective - exact.objective) < 1e-9,
+    'matches residual sum of squares'
+  );
+  t.end();
+});
+
+tape('rejects singular normal equations', t => {
+  t.throws(
+    () => runners.computeExactAggregate(
+      [runners.computeStatistics([[1, 2], [2, 4], [3, 6]], [1, 2, 3])],
+      ['a', 'b']
+    ),
+    /singular/,
+    'throws'
+  );
+  t.end();
+});
+
+tape('penalizes coefficients', t => {
+  const coefficientKeys = ['(Intercept)', 'a', 'b'];
+  const sites = [0, 1].map(site => {
+    const xVals = [];
+    const yVals = [];
+
+    for (let i = 0; i < 12; i++) {
+      const a = Math.sin(i + site * 4);
+      const b = Math.cos(i * 2.3 + site);
+
+      xVals.push([a, b]);
+      yVals.push(1 + 0.8 * a + 0.4 * b + 0.1 * Math.sin(i * 5.1 + site));
+    }
+
+    return { xVals, yVals };
+  });
+  const mVals = [0.2, 0.5, -0.5];
+  const getLocalResults = (values, lambda) => sites.map(site => (
+    runners.computeRegression(
+      site.xVals,
+      site.yVals,
+      values,
+      coefficientKeys,
+      { intercept: true, lambda: lambda } // eslint-disable-line object-shorthand
+    )
+  ));
+  const unpenalized = getLocalResults(mVals, 0)[0];
+  const penalized = getLocalResults(mVals, 2)[0];
+
+  t.deepEqual(
+    _.mapValues(
+      penalized.gradient,
+      (value, key) => _.round(value - unpenalized.gradient[key], 10)
+    ),
+    { '(Intercept)': 0, a: 24, b: -24 },
+    'adds 2nλm to the gradient, except for the intercept'
+  );
+  t.equal(
+    _.round(penalized.objective - unpenalized.objective, 10),
+    12,
+    'adds nλ‖m‖² to the objective'
+  );
+
+  const statistics = sites.map(site => runners.computeStatistics(
+    site.xVals,
+    site.yVals,
+    { intercept: true }
+  ));
+  const exact = runners.computeExactAggregate(statistics, coefficientKeys);
+  const ridge = runners.computeExactAggregate(statistics, coefficientKeys, 5);
+  const getRemoteResult = values => ({
+    iterationCount: 0,
+    learningRate: 0.01,
+    mVals: values,
+    previousBestFit: { gradient: {}, mVals: values, objective: Infinity },
+  });
+  const aggregate = (values, lambda) => runners.computeAggregate(
+    getRemoteResult(values),
+    getLocalResults(helpers.pickOrderedValues(coefficientKeys, values), 0),
+    1e-8,
+    coefficientKeys,
+    { lambda: lambda } // eslint-disable-line object-shorthand
+  );
+
+  t.ok(
+    Math.abs(ridge.mVals.a) < Math.abs(exact.mVals.a) &&
+      Math.abs(ridge.mVals.b) < Math.abs(exact.mVals.b),
+    'shrinks exact coefficients'
+  );
+  t.ok(ridge.r2 < exact.r2, 'reports r² without the penalty');
+  t.ok(
+    aggregate(ridge.mVals, 5).converged,
+    'exact and iterative penalties have the same minimum'
+  );
+  t.notOk(
+    aggregate(ridge.mVals, 0).converged,
+    'moves the unpenalized minimum'
+  );
+  t.end();
+});
+
+tape('computes coefficient inference', t => {
+  const xVals = [[1, 1], [1, 2], [1, 3], [1, 4], [1, 5]];
+  const yVals = [2.1, 3.9, 6.2, 7.8, 10.1];
+  const getStatistics = (from, to) => {
+    const x = xVals.slice(from, to);
+    const y = yVals.slice(from, to);
+    const xTranspose = numeric.transpose(x);
+
+    return {
+      sampleSize: y.length,
+      xTx: numeric.dot(xTranspose, x),
+      xTy: numeric.dot(xTranspose, y),
+      yTy: numeric.dot(y, y),
+    };
+  };
+  const localResults = [getStatistics(0, 2), getStatistics(2, 5)];
+  const coefficientKeys = ['(Intercept)', 'x'];
+  const exact = runners.computeExactAggregate(localResults, coefficientKeys);
+  const inference = runners.computeInference(
+    localResults,
+    exact.mVals,
+    coefficientKeys,
+    0.9
+  );
+  const slope = inference.coefficients.x;
+
+  // Simple regression: se(slope) = √(σ² / Σ(x - x̄)²), where Σ(x - x̄)² = 10
+  const residualVariance = exact.objective / 3;
+
+  t.equal(inference.df, 3, 'sets degrees of freedom');
+  t.equal(inference.confidenceLevel, 0.9, 'sets confidence level');
+  t.ok(
+    Math.abs(inference.residualVariance - residualVariance) < 1e-12,
+    'pools residual variance'
+  );
+  t.ok(Math.abs(slope.estimate - 1.99) < 1e-12, 'reports estimate');
+  t.ok(
+    Math.abs(slope.standardError - Math.sqrt(residualVariance / 10)) < 1e-12,
+    'computes standard error'
+  );
+  t.ok(
+    Math.abs(slope.tStatistic - slope.estimate / slope.standardError) < 1e-12,
+    'computes t-statistic'
+  );
+  t.ok(slope.pValue > 0 && slope.pValue < 1e-4, 'computes p-value');
+  t.ok(
+    slope.confidenceInterval[0] < slope.estimate &&
+    slope.confidenceInterval[1] > slope.estimate,
+    'computes confidence interval'
+  );
+  t.throws(
+    () => runners.computeInference(
+      [getStatistics(0, 2)],
+      exact.mVals,
+      coefficientKeys
+    ),
+    /Expected more subjects \(2\) than coefficients and centered means \(2\)/,
+    'requires residual degrees of freedom'
+  );
+  t.end();
+});
+
+tape('counts locally centered means in inference', t => {
+  // Each site's variables are centered on its own means
+  const sites = [0, 1, 2].map(site => {
+    const rows = _.range(8).map(i => {
+      const x = Math.sin(i * 1.7 + site);
+
+      return [x, 0.5 * x + 0.2 * Math.cos(i * 3.1 + site)];
+    });
+    const means = [0, 1].map(index => helpers.mean(rows.map(row => row[index])));
+
+    return rows.map(row => [row[0] - means[0], row[1] - means[1]]);
+  });
+  const localResults = sites.map(rows => {
+    const x = rows.map(row => [row[0]]);
+    const y = rows.map(row => row[1]);
+    const xTranspose = numeric.transpose(x);
+
+    return {
+      sampleSize: y.length,
+      xTx: numeric.dot(xTranspose, x),
+      xTy: numeric.dot(xTranspose, y),
+      yTy: numeric.dot(y, y),
+    };
+  });
+  const exact = runners.computeExactAggregate(localResults, ['x']);
+  const inference = runners.computeInference(
+    localResults,
+    exact.mVals,
+    ['x'],
+    0.95,
+    'local'
+  );
+
+  // Pooled OLS with a fixed effect per site
+  const rows = _.flatten(sites.map((siteRows, site) => siteRows.map(
+    row => [row[0]].concat([0, 1, 2].map(index => (index === site ? 1 : 0)))
+  )));
+  const y = _.flatten(sites).map(row => row[1]);
+  const inverse = numeric.inv(numeric.dot(numeric.transpose(rows), rows));
+  const estimates = numeric.dot(inverse, numeric.dot(numeric.transpose(rows), y));
+  const residuals = numeric.sub(y, numeric.dot(rows, estimates));
+  const df = y.length - 4;
+  const residualVariance = numeric.dot(residuals, residuals) / df;
+
+  t.equal(inference.df, df, 'subtracts a degree of freedom per site');
+  t.ok(Math.abs(inference.coefficients.x.estimate - estimates[0]) < 1e-12, 'matches estimate');
+  t.ok(
+    Math.abs(inference.residualVariance - residualVariance) < 1e-12,
+    'matches residual variance'
+  );
+  t.ok(
+    Math.abs(
+      inference.coefficients.x.standardError - Math.sqrt(residualVariance * inverse[0][0])
+    ) < 1e-12,
+    'matches standard error'
+  );
+  t.equal(
+    runners.computeInference(
+      localResults,
+      exact.mVals,
+      ['x'],
+      0.95,
+      'global'
+    ).df,
+    y.length - 2,
+    'subtracts one degree of freedom for a pooled mean'
+  );
+  t.equal(
+    runners.computeInference(
+      [_.assign({ siteCount: 3 }, localResults[0])],
+      exact.mVals,
+      ['x'],
+      0.95,
+      'local'
+    ).df,
+    8 - 4,
+    'counts sites unmasked together'
+  );
+  t.end();
+});
@@ -0,0 +1,365 @@
+'use strict';
+
+const _ = require('lodash');
+const schemas = require('../src/schemas.js');
+const tape = require('tape');
+
+const coefficientKeys = ['(Intercept)', 'age'];
+const getLocalResult = () => ({
+  gradient: { '(Intercept)': 0.1, age: -0.2 },
+  objective: 3.5,
+  previousAggregateMVals: [0.5, 0.25],
+  r2: 0.4,
+  sampleSize: 12,
+  schemaVersion: schemas.SCHEMA_VERSION,
+  username: 'site-1',
+});
+const getRemoteResult = () => ({
+  gradient: { '(Intercept)': 0.1, age: -0.2 },
+  iterationCount: 3,
+  learningRate: 0.7,
+  mVals: { '(Intercept)': 0.5, age: 0.25 },
+  objective: Infinity,
+  previousBestFit: {
+    gradient: {},
+    mVals: {},
+    objective: Infinity,
+  },
+  r2: 0,
+  schemaVersion: schemas.SCHEMA_VERSION,
+});
+
+tape('accepts valid local results', t => {
+  const options = { coefficientKeys };
+
+  t.deepEqual(
+    schemas.getLocalProblems(getLocalResult(), options),
+    [],
+    'accepts fit results'
+  );
+  t.deepEqual(
+    schemas.getLocalProblems({
+      phase: 'inference',
+      previousAggregateMVals: [0.5, 0.25],
+      sampleSize: 12,
+      schemaVersion: schemas.SCHEMA_VERSION,
+      xTx: [[12, 1], [1, 12]],
+      xTy: [2, 3],
+      yTy: 14,
+    }, options),
+    [],
+    'accepts sufficient statistics'
+  );
+  t.deepEqual(
+    schemas.getLocalProblems({
+      previousAggregateMVals: [0.5, 0.25],
+      roiStatistics: {
+        'Left-Hippocampus': { xTy: [2, 3], yTy: 14 },
+        'Right-Hippocampus': { xTy: [1, 4], yTy: 11 },
+      },
+      sampleSize: 12,
+      schemaVersion: schemas.SCHEMA_VERSION,
+      xTx: [[12, 1], [1, 12]],
+    }, options),
+    [],
+    'accepts sufficient statistics per ROI'
+  );
+  t.deepEqual(
+    schemas.getLocalProblems({
+      phase: 'keys',
+      previousAggregateMVals: [0.5, 0.25],
+      publicKey: 'BASE64',
+      schemaVersion: schemas.SCHEMA_VERSION,
+      username: 'site-1',
+    }, options),
+    [],
+    'accepts public keys'
+  );
+  t.deepEqual(
+    schemas.getLocalProblems({
+      pathValidations: [
+        { sampleSize: 4, ssResidual: 1.5, ssTotal: 4 },
+        { sampleSize: 4, ssResidual: 2, ssTotal: 4 },
+      ],
+      phase: 'validation',
+      previousAggregateMVals: [0.5, 0.25],
+      sampleSize: 4,
+      schemaVersion: schemas.SCHEMA_VERSION,
+    }, options),
+    [],
+    'accepts validations of a regularization path'
+  );
+  t.deepEqual(
+    schemas.getLocalProblems(getLocalResult()),
+    [],
+    'accepts results without known coefficients'
+  );
+  t.end();
+});
+
+tape('names invalid local fields', t => {
+  const options = { coefficientKeys };
+  const withGradient = gradient => _.assign(getLocalResult(), { gradient });
+
+  t.deepEqual(
+    schemas.getLocalProblems(withGradient({ '(Intercept)': 0.1, age: '0.2' }), options),
+    ["'gradient.age' should be a finite number"],
+    'rejects string gradients'
+  );
+  t.deepEqual(
+    schemas.getLocalProblems(withGradient({ '(Intercept)': 0.1 }), options),
+    ["'gradient' should have coefficients (Intercept), age, found (Intercept)"],
+    'rejects missing coefficients'
+  );
+  t.deepEqual(
+    schemas.getLocalProblems(
+      _.assign(_.omit(getLocalResult(), 'objective'), {
+        previousAggregateMVals: [0.5],
+        wat: true,
+      }),
+      options
+    ),
+    [
+      "missing 'objective'",
+      "unknown field 'wat'",
+      "'previousAggregateMVals' should have 2 values, found 1",
+    ],
+    'lists every problem'
+  );
+  t.deepEqual(
+    schemas.getLocalProblems(
+      _.assign(getLocalResult(), { objective: NaN, sampleSize: 0 }),
+      options
+    ),
+    [
+      "'objective' should be a finite number",
+      "'sampleSize' should be a positive integer",
+    ],
+    'rejects invalid numbers'
+  );
+  t.deepEqual(
+    schemas.getLocalProblems({
+      previousAggregateMVals: [0.5, 0.25],
+      roiStatistics: { 'Left-Hippocampus': { xTy: [2], yTy: 14 } },
+      sampleSize: 12,
+      schemaVersion: schemas.SCHEMA_VERSION,
+      xTx: [[12, 1], [1, 12]],
+    }, options),
+    ["'roiStatistics.Left-Hippocampus.xTy' should have 2 values, found 1"],
+    'checks statistics per ROI'
+  );
+  t.deepEqual(
+    schemas.getLocalProblems(
+      _.assign(getLocalResult(), { schemaVersion: schemas.SCHEMA_VERSION + 1 }),
+      options
+    ),
+    [
+      `'schemaVersion' ${schemas.SCHEMA_VERSION + 1} isn't supported, ` +
+      `expected ${schemas.SCHEMA_VERSION}`,
+    ],
+    'rejects other versions'
+  );
+  t.deepEqual(
+    schemas.getLocalProblems('wat'),
+    ['should be an object'],
+    'rejects non-objects'
+  );
+  t.end();
+});
+
+tape('names invalid remote fields', t => {
+  const options = { coefficientKeys };
+
+  t.deepEqual(
+    schemas.getRemoteProblems(getRemoteResult(), options),
+    [],
+    'accepts remote results'
+  );
+  t.deepEqual(
+    schemas.getRemoteProblems(
+      _.assign(getRemoteResult(), {
+        iterationCount: -1,
+        mVals: { '(Intercept)': 0.5, age: null },
+      }),
+      options
+    ),
+    [
+      "'iterationCount' should be a non-negative integer",
+      "'mVals.age' should be a finite number",
+    ],
+    'rejects invalid fields'
+  );
+  t.deepEqual(
+    schemas.getRemoteProblems(
+      _.assign(getRemoteResult(), {
+        previousBestFit: { gradient: {}, mVals: { age: 'x' }, objective: 1 },
+      })
+    ),
+    ["'previousBestFit.mVals.age' should be a finite number"],
+    'checks nested fits'
+  );
+  t.deepEqual(
+    schemas.getRemoteProblems(
+      _.assign(getRemoteResult(), {
+        participation: {
+          excluded: [],
+          lag: { 'site-1': 0 },
+          rounds: [{ iterationCount: 0, phase: 'fit', sites: 'site-1' }],
+        },
+      })
+    ),
+    ["'participation.rounds.0' should have an iterationCount, phase and sites"],
+    'checks participation'
+  );
+  t.deepEqual(
+    schemas.getRemoteProblems(
+      _.assign(getRemoteResult(), {
+        history: [{
+          accepted: 'yes',
+          gradientNorm: 1,
+          iterationCount: 0,
+          learningRate: 0.7,
+          objective: 3,
+          r2: 0.1,
+        }],
+      })
+    ),
+    [
+      "'history.0' should have accepted, gradientNorm, iterationCount, " +
+        'learningRate, objective and r2',
+    ],
+    'checks history'
+  );
+  t.deepEqual(
+    schemas.getRemoteProblems(
+      _.assign(getRemoteResult(), {
+        validation: {
+          pooled: { mse: 0.5, r2: 0.5, sampleSize: 8 },
+          sites: { 'site-1': { mse: 'high', sampleSize: 8 } },
+        },
+      })
+    ),
+    ["'validation.sites.site-1.mse' should be a finite number or null"],
+    'checks validation'
+  );
+  t.deepEqual(
+    schemas.getRemoteProblems(
+      _.assign(getRemoteResult(), {
+        normalization: { means: { age: 40 }, standardDeviations: { age: 0 } },
+      })
+    ),
+    ["'normalization.standardDeviations' should be positive"],
+    'checks normalization'
+  );
+  t.deepEqual(
+    schemas.getRemoteProblems(
+      _.assign(getRemoteResult(), {
+        lambda: 1,
+        regularizationPath: [
+          { lambda: 0, mVals: { '(Intercept)': 0.5, age: 0.25 } },
+          { lambda: -1, mVals: { '(Intercept)': 0.5, age: 0.2 } },
+        ],
+      }),
+      options
+    ),
+    ["'regularizationPath.1.lambda' should be a non-negative number"],
+    'checks regularization path'
+  );
+  t.deepEqual(
+    schemas.getRemoteProblems(
+      _.assign(getRemoteResult(), {
+        anomalyScores: { 'site-1': 0.2, 'site-2': 'high' },
+        flaggedSites: ['site-2', 3],
+      })
+    ),
+    [
+      "'anomalyScores.site-2' should be a finite number",
+      "'flaggedSites' should be an array of site IDs",
+    ],
+    'checks anomalies'
+  );
+  t.deepEqual(
+    schemas.getRemoteProblems(
+      _.assign(getRemoteResult(), {
+        massUnivariate: {
+          confidenceLevel: 0.95,
+          rois: {
+            'Left-Hippocampus': {
+              coefficients: {
+                age: {
+                  estimate: 0.2,
+                  pValue: 0.01,
+                  pValueBonferroni: 0.02,
+                  standardError: 0.05,
+                  tStatistic: 4,
+                },
+              },
+              df: 10,
+              r2: 0.6,
+            },
+          },
+        },
+      })
+    ),
+    [
+      "'massUnivariate.rois.Left-Hippocampus.coefficients.age' should have " +
+        'finite estimate, pValue, pValueBonferroni, pValueFdr, standardError ' +
+        'and tStatistic',
+    ],
+    'checks mass-univariate analysis'
+  );
+  t.deepEqual(
+    schemas.getRemoteProblems(_.assign(getRemoteResult(), { phase: 'calibration' })),
+    [
+      "'phase' should be one of: init, keys, normalization, statistics, fit, " +
+        'inference, validation, done',
+    ],
+    'checks phase'
+  );
+  t.deepEqual(
+    schemas.getRemoteProblems(_.omit(getRemoteResult(), 'schemaVersion')),
+    ["missing 'schemaVersion'"],
+    'requires schema version'
+  );
+  t.end();
+});
+
+tape('validates local results by site', t => {
+  const results = [getLocalResult(), getLocalResult()];
+
+  t.equal(
+    schemas.validateLocalResults(results, { coefficientKeys }),
+    results,
+    'returns valid results'
+  );
+
+  results[1].username = 'site-2';
+  results[1].gradient.age = '-0.2';
+
+  t.throws(
+    () => schemas.validateLocalResults(results, { coefficientKeys }),
+    /Invalid local result from 'site-2': 'gradient.age' should be a finite number/,
+    'names site and field'
+  );
+
+  delete results[1].username;
+
+  t.throws(
+    () => schemas.validateLocalResults(results, { coefficientKeys }),
+    /Invalid local result from site 2: /,
+    'names site by position without a username'
+  );
+  t.end();
+});
+
+tape('validates remote results', t => {
+  const result = getRemoteResult();
+
+  t.equal(schemas.validateRemoteResult(result), result, 'returns valid result');
+  t.throws(
+    () => schemas.validateRemoteResult(_.omit(result, 'mVals')),
+    /Invalid remote result: missing 'mVals'/,
+    'names field'
+  );
+  t.end();
+});
@@ -0,0 +1,805 @@
+'use strict';
+
+const _ = require('lodash');
+const async = require('async');
+const path = require('path');
+const simulator = require('../src/simulator.js');
+const tape = require('tape');
+
+const directories = ['site-1', 'site-2'].map(
+  dirname => path.join(__dirname, 'stubs', dirname)
+);
+const covariateConfig = {
+  dependent: 'Left-Hippocampus',
+  intercept: true,
+  predictors: ['group', 'age'],
+};
+
+/**
+ * Synthetic site: y = 1 + 0.5a - 0.25b plus a deterministic perturbation.
+ */
+function getSyntheticData(offset) {
+  const xVals = [];
+  const yVals = [];
+
+  for (let i = 0; i < 25; i++) {
+    const a = Math.sin(i + offset);
+    const b = Math.cos(2 * i + offset);
+
+    xVals.push([a, b]);
+    yVals.push(1 + 0.5 * a - 0.25 * b + 0.05 * Math.sin(7 * i + offset));
+  }
+
+  return { xVals, yVals };
+}
+
+tape('simulates site directories until complete', t => {
+  simulator.simulate({ sites: directories }, (error, simulation) => {
+    t.error(error, 'simulates without error');
+    t.ok(simulation.remoteResult.complete, 'completes');
+    t.equal(
+      simulation.remoteResult.completionReason,
+      'converged',
+      'converges'
+    );
+    t.equal(simulation.trace.length, simulation.rounds, 'traces every round');
+    t.deepEqual(
+      Object.keys(simulation.siteResults),
+      ['site-1', 'site-2'],
+      'names sites'
+    );
+    t.ok(
+      simulation.trace[0].remoteResult && !simulation.trace[0].remoteResult.complete,
+      'seeds remote'
+    );
+    t.ok(
+      _.every(simulation.trace[0].localResults, result => result.gradient),
+      'sites respond to seed'
+    );
+    t.equal(
+      _.last(simulation.trace).remoteResult,
+      simulation.remoteResult,
+      'ends with final remote result'
+    );
+    t.deepEqual(
+      _.map(simulation.remoteResult.history, 'iterationCount'),
+      _.range(simulation.remoteResult.iterationCount + 1),
+      'records every iteration'
+    );
+    t.ok(
+      _.last(simulation.remoteResult.history).gradientNorm < 1e-5,
+      'ends history with the final coefficients'
+    );
+    t.end();
+  });
+});
+
+tape('iterative mode converges to exact solution', t => {
+  simulator.simulate({
+    config: covariateConfig,
+    sites: directories,
+  }, (error, iterative) => {
+    t.error(error, 'simulates iterative mode');
+
+    simulator.simulate({
+      config: _.assign({ mode: 'exact' }, covariateConfig),
+      sites: directories,
+    }, (error2, exact) => {
+      t.error(error2, 'simulates exact mode');
+      t.equal(exact.remoteResult.iterationCount, 1, 'solves in one round');
+      t.ok(
+        _.every(exact.remoteResult.mVals, (value, key) => (
+          Math.abs(value - iterative.remoteResult.mVals[key]) < 1e-4
+        )),
+        'matches coefficients'
+      );
+      t.ok(
+        Math.abs(
+          exact.remoteResult.inference.coefficients.group.standardError -
+          iterative.remoteResult.inference.coefficients.group.standardError
+        ) < 1e-4,
+        'matches inference'
+      );
+      t.end();
+    });
+  });
+});
+
+tape('simulates weighted aggregation', t => {
+  const config = _.assign({ inference: false }, covariateConfig);
+
+  simulator.simulate({ config, sites: directories }, (error, summed) => {
+    simulator.simulate({
+      config: _.assign({ aggregation: 'weighted' }, config),
+      sites: directories,
+    }, (error2, weighted) => {
+      t.error(error2, 'simulates without error');
+      t.equal(weighted.remoteResult.completionReason, 'converged', 'converges');
+      t.ok(
+        _.every(
+          weighted.remoteResult.mVals,
+          (value, key) => Math.abs(value - summed.remoteResult.mVals[key]) < 1e-3
+        ),
+        'finds the same coefficients'
+      );
+      t.end();
+    });
+  });
+});
+
+tape('simulates synthetic datasets', t => {
+  simulator.simulate({
+    config: {
+      dependent: 'Left-Hippocampus',
+      mode: 'exact',
+      roiKeys: ['Left-Hippocampus', 'a', 'b'],
+      predictors: ['a', 'b'],
+    },
+    sites: [
+      { data: getSyntheticData(0), username: 'alpha' },
+      { data: getSyntheticData(3), username: 'beta' },
+    ],
+  }, (error, simulation) => {
+    t.error(error, 'simulates without error');
+    t.deepEqual(
+      Object.keys(simulation.siteResults),
+      ['alpha', 'beta'],
+      'uses usernames'
+    );
+    t.ok(simulation.remoteResult.r2 > 0.95, 'fits synthetic data');
+    t.end();
+  });
+});
+
+tape('simulates global normalization', t => {
+  // Sites' predictors have different ranges, so local normalization differs
+  const getScaledData = offset => {
+    const data = getSyntheticData(offset);
+    const xVals = data.xVals.map(row => [3 + 2 * row[0], 10 + offset * row[1]]);
+
+    return {
+      xVals,
+      yVals: xVals.map(
+        (row, index) => 1 + 0.5 * row[0] - 0.25 * row[1] +
+          0.05 * Math.sin(7 * index + offset)
+      ),
+    };
+  };
+
+  simulator.simulate({
+    config: {
+      dependent: 'Left-Hippocampus',
+      intercept: true,
+      mode: 'exact',
+      normalization: 'global',
+      predictors: ['a', 'b'],
+      roiKeys: ['Left-Hippocampus', 'a', 'b'],
+    },
+    sites: [{ data: getScaledData(2) }, { data: getScaledData(5) }],
+  }, (error, simulation) => {
+    const remoteResult = simulation.remoteResult;
+
+    t.error(error, 'simulates without error');
+    t.deepEqual(
+      _.uniq(simulation.trace
+        .filter(entry => entry.remoteResult)
+        .map(entry => entry.remoteResult.phase)),
+      ['normalization', 'statistics', 'done'],
+      'runs phases in order'
+    );
+    t.deepEqual(
+      Object.keys(remoteResult.normalization.means),
+      ['a', 'b', 'Left-Hippocampus'],
+      'shares normalization'
+    );
+    t.ok(
+      _.every(
+        { '(Intercept)': 1, a: 0.5, b: -0.25 },
+        (value, key) => Math.abs(remoteResult.originalMVals[key] - value) < 0.05
+      ),
+      'reports coefficients in original units'
+    );
+    t.end();
+  });
+});
+
+tape('agrees on r² under global normalization', t => {
+  // Sites' means differ, so they're far from the shared mean
+  const getShiftedData = offset => {
+    const data = getSyntheticData(offset);
+
+    return {
+      xVals: data.xVals,
+      yVals: data.xVals.map(
+        (row, index) => offset + 0.1 * row[0] + Math.sin(7 * index + offset)
+      ),
+    };
+  };
+  const simulate = (mode, callback) => simulator.simulate({
+    config: {
+      dependent: 'Left-Hippocampus',
+      intercept: true,
+      mode,
+      normalization: 'global',
+      predictors: ['a', 'b'],
+      roiKeys: ['Left-Hippocampus', 'a', 'b'],
+    },
+    sites: [{ data: getShiftedData(2) }, { data: getShiftedData(5) }],
+  }, callback);
+
+  simulate('exact', (error, exact) => {
+    t.error(error, 'solves without error');
+
+    simulate('iterative', (error2, iterative) => {
+      t.error(error2, 'fits without error');
+      t.ok(
+        Math.abs(iterative.remoteResult.r2 - exact.remoteResult.r2) < 1e-4,
+        'pools r² around the shared mean'
+      );
+      t.end();
+    });
+  });
+});
+
+tape('simulates secure aggregation', t => {
+  simulator.simulate({
+    config: _.assign({ secureAggregation: true }, covariateConfig),
+    sites: directories,
+  }, (error, simulation) => {
+    t.error(error, 'simulates without error');
+    t.equal(
+      simulation.trace[0].remoteResult.phase,
+      'keys',
+      'exchanges keys'
+    );
+    t.ok(
+      _.every(
+        simulation.trace[2].localResults,
+        result => result.masked && !result.gradient
+      ),
+      'masks local results'
+    );
+    t.equal(
+      simulation.remoteResult.completionReason,
+      'converged',
+      'converges despite rounded objectives'
+    );
+    t.ok(simulation.remoteResult.inference, 'completes with inference');
+    t.end();
+  });
+});
+
+tape('simulates sites dropping out', t => {
+  const config = {
+    dependent: 'Left-Hippocampus',
+    maxSiteLag: 2,
+    minSiteFraction: 0.5,
+    roiKeys: ['Left-Hippocampus', 'a', 'b'],
+    predictors: ['a', 'b'],
+  };
+
+  simulator.simulate({
+    config,
+    sites: [
+      { data: getSyntheticData(0) },
+      { data: getSyntheticData(3) },
+      { data: getSyntheticData(5), offlineRounds: _.range(3, 1000) },
+    ],
+  }, (error, simulation) => {
+    const participation = simulation.remoteResult.participation;
+
+    t.error(error, 'simulates without error');
+    t.ok(simulation.remoteResult.complete, 'completes without the straggler');
+    t.deepEqual(participation.excluded, ['site-3'], 'excludes the straggler');
+    t.deepEqual(
+      participation.rounds.slice(1, 3),
+      [
+        { iterationCount: 1, phase: 'fit', sites: ['site-1', 'site-2', 'site-3'] },
+        { iterationCount: 2, phase: 'fit', sites: ['site-1', 'site-2'] },
+      ],
+      'reports contributors'
+    );
+
+    simulator.simulate({
+      config,
+      sites: [
+        { data: getSyntheticData(0) },
+        { data: getSyntheticData(3) },
+        { data: getSyntheticData(5), offlineRounds: [3, 4, 5, 6] },
+      ],
+    }, (error2, simulation2) => {
+      const participation2 = simulation2.remoteResult.participation;
+
+      t.error(error2, 'simulates without error');
+      t.ok(
+        _.every(simulation2.trace.slice(3, 7), 'remoteResult'),
+        "doesn't wait for the straggler"
+      );
+      t.deepEqual(
+        participation2.rounds[3].sites,
+        ['site-1', 'site-2'],
+        'runs rounds with a quorum'
+      );
+      t.deepEqual(participation2.excluded, [], 'lets the straggler rejoin');
+      t.deepEqual(
+        _.last(participation2.rounds).sites,
+        ['site-1', 'site-2', 'site-3'],
+        'counts the rejoined site'
+      );
+      t.end();
+    });
+  });
+});
+
+tape('converges after a site rejoins', t => {
+  simulator.simulate({
+    config: {
+      dependent: 'Left-Hippocampus',
+      learningRate: 0.02,
+      maxSiteLag: 2,
+      minSiteFraction: 0.5,
+      predictors: ['a', 'b'],
+      roiKeys: ['Left-Hippocampus', 'a', 'b'],
+    },
+    sites: [
+      { data: getSyntheticData(0) },
+      { data: getSyntheticData(3) },
+      { data: getSyntheticData(5), offlineRounds: [4, 5, 6, 7] },
+    ],
+  }, (error, simulation) => {
+    const remoteResult = simulation.remoteResult;
+
+    t.error(error, 'simulates without error');
+    t.deepEqual(
+      _.last(remoteResult.participation.rounds).sites,
+      ['site-1', 'site-2', 'site-3'],
+      'counts the rejoined site'
+    );
+    t.equal(remoteResult.completionReason, 'converged', 'converges');
+    t.end();
+  });
+});
+
+tape('validates on held-out subjects', t => {
+  simulator.simulate({
+    config: {
+      dependent: 'Left-Hippocampus',
+      holdoutFraction: 0.2,
+      intercept: true,
+      mode: 'exact',
+      predictors: ['a', 'b'],
+      roiKeys: ['Left-Hippocampus', 'a', 'b'],
+    },
+    sites: [{ data: getSyntheticData(0) }, { data: getSyntheticData(3) }],
+  }, (error, simulation) => {
+    const remoteResult = simulation.remoteResult;
+
+    t.error(error, 'simulates without error');
+    t.deepEqual(
+      _.uniq(simulation.trace
+        .filter(entry => entry.remoteResult)
+        .map(entry => entry.remoteResult.phase)),
+      ['statistics', 'validation', 'done'],
+      'validates after fitting'
+    );
+    t.equal(remoteResult.completionReason, 'solved', 'keeps completion reason');
+    t.equal(
+      remoteResult.inference.df,
+      40 - 2 - 2,
+      'fits without held-out subjects'
+    );
+    t.deepEqual(
+      _.mapValues(remoteResult.validation.sites, 'sampleSize'),
+      { 'site-1': 5, 'site-2': 5 },
+      'evaluates held-out subjects'
+    );
+    t.ok(remoteResult.validation.pooled.r2 > 0.9, 'reports out-of-sample r²');
+    t.end();
+  });
+});
+
+tape('searches penalties by held-out error', t => {
+  const config = {
+    dependent: 'Left-Hippocampus',
+    holdoutFraction: 0.2,
+    intercept: true,
+    lambdas: [0, 1, 100],
+    predictors: ['a', 'b'],
+    roiKeys: ['Left-Hippocampus', 'a', 'b'],
+  };
+  const sites = [{ data: getSyntheticData(0) }, { data: getSyntheticData(3) }];
+
+  simulator.simulate({
+    config: _.assign({ mode: 'exact' }, config),
+    sites: sites, // eslint-disable-line object-shorthand
+  }, (error, exact) => {
+    const remoteResult = exact.remoteResult;
+    const exactPath = remoteResult.regularizationPath;
+
+    t.error(error, 'simulates exact search without error');
+    t.deepEqual(_.map(exactPath, 'lambda'), [0, 1, 100], 'reports every penalty');
+    t.ok(exactPath.every(entry => entry.validation), 'validates every penalty');
+    t.equal(
+      remoteResult.lambda,
+      _.minBy(exactPath, entry => entry.validation.pooled.mse).lambda,
+      'picks lowest held-out error'
+    );
+    t.ok(
+      exactPath[2].validation.pooled.mse > exactPath[0].validation.pooled.mse,
+      'heavy penalty underfits'
+    );
+    t.notOk(remoteResult.inference, 'skips inference');
+
+    simulator.simulate({ config: config, sites: sites }, (error2, iterative) => { // eslint-disable-line object-shorthand, max-len
+      const iterativePath = iterative.remoteResult.regularizationPath;
+
+      t.error(error2, 'simulates iterative search without error');
+      t.deepEqual(
+        _.uniq(iterative.trace
+          .filter(entry => entry.remoteResult)
+          .map(entry => entry.remoteResult.phase)),
+        ['fit', 'validation', 'done'],
+        'alternates fitting and validation'
+      );
+      t.deepEqual(
+        _.map(iterativePath, 'completionReason'),
+        ['converged', 'converged', 'converged'],
+        'fits every penalty'
+      );
+      t.ok(
+        iterativePath.every((entry, index) => (
+          Math.abs(entry.validation.pooled.mse - exactPath[index].validation.pooled.mse) < 1e-6
+        )),
+        'matches exact path'
+      );
+      t.equal(iterative.remoteResult.lambda, remoteResult.lambda, 'picks same penalty');
+      t.end();
+    });
+  });
+});
+
+tape('penalizes per subject in every mode', t => {
+  const config = {
+    dependent: 'Left-Hippocampus',
+    intercept: true,
+    lambda: 0.5,
+    predictors: ['a', 'b'],
+    roiKeys: ['Left-Hippocampus', 'a', 'b'],
+    tolerance: 1e-6,
+  };
+  const sites = [{ data: getSyntheticData(0) }, { data: getSyntheticData(3) }];
+
+  async.mapSeries(
+    [
+      { lambda: 0, mode: 'exact' },
+      { mode: 'exact' },
+      { aggregation: 'weighted', learningRate: 0.5 },
+      { learningRate: 0.01 },
+    ],
+    (options, callback) => simulator.simulate({
+      config: _.assign({}, config, options),
+      sites: sites, // eslint-disable-line object-shorthand
+    }, callback),
+    (error, simulations) => {
+      const unpenalized = simulations[0].remoteResult.mVals;
+      const exact = simulations[1].remoteResult.mVals;
+      const isClose = mVals => _.every(mVals, (value, key) => Math.abs(value - exact[key]) < 1e-4);
+
+      t.error(error, 'simulates without error');
+      t.ok(Math.abs(exact.a) < 0.9 * Math.abs(unpenalized.a), 'shrinks coefficients');
+      t.ok(isClose(simulations[2].remoteResult.mVals), 'matches exact with weighted aggregation');
+      t.ok(isClose(simulations[3].remoteResult.mVals), 'matches exact with summed aggregation');
+      t.end();
+    }
+  );
+});
+
+tape('cross-validates leaving one site out', t => {
+  const config = {
+    dependent: 'Left-Hippocampus',
+    intercept: true,
+    mode: 'exact',
+    predictors: ['a', 'b'],
+    roiKeys: ['Left-Hippocampus', 'a', 'b'],
+  };
+  const sites = [
+    { data: getSyntheticData(0) },
+    { data: getSyntheticData(2) },
+    { data: getSyntheticData(4), username: 'gamma' },
+  ];
+
+  simulator.crossValidate({
+    config,
+    sites,
+  }, (error, crossValidation) => {
+    const validation = crossValidation.validation;
+
+    t.error(error, 'cross-validates without error');
+    t.deepEqual(
+      Object.keys(crossValidation.folds),
+      ['site-1', 'site-2', 'gamma'],
+      'runs fold per site'
+    );
+    t.notDeepEqual(
+      crossValidation.folds['site-1'].mVals,
+      crossValidation.folds.gamma.mVals,
+      'refits each fold'
+    );
+    t.deepEqual(
+      _.mapValues(validation.sites, 'sampleSize'),
+      { 'site-1': 25, 'site-2': 25, gamma: 25 },
+      'evaluates every subject of the site left out'
+    );
+    t.equal(validation.pooled.sampleSize, 75, 'pools sites');
+    t.ok(validation.pooled.r2 > 0.9, 'reports out-of-sample r²');
+
+    simulator.crossValidate({ sites: [{ data: getSyntheticData(0) }] }, error2 => {
+      t.ok(/at least 2 sites/.test(error2.message), 'requires sites');
+
+      simulator.crossValidate({
+        config: _.assign({ holdoutFraction: 0.2 }, config),
+        sites,
+      }, error3 => {
+        t.ok(
+          /'holdoutFraction' to be null to cross-validate/.test(error3 && error3.message),
+          'rejects held-out subjects'
+        );
+        t.end();
+      });
+    });
+  });
+});
+
+tape('replays seeded runs', t => {
+  const config = {
+    dependent: 'Left-Hippocampus',
+    intercept: true,
+    maxIterationCount: 10,
+    predictors: ['a', 'b'],
+    randomSeed: 42,
+    roiKeys: ['Left-Hippocampus', 'a', 'b'],
+  };
+  const sites = [{ data: getSyntheticData(0) }, { data: getSyntheticData(3) }];
+
+  simulator.simulate({
+    config: config, // eslint-disable-line object-shorthand
+    sites: sites, // eslint-disable-line object-shorthand
+  }, (error, first) => {
+    t.error(error, 'simulates without error');
+    t.equal(first.remoteResult.randomSeed, 42, 'records seed');
+    t.ok(first.remoteResult.replayable, 'records seeded run as replayable');
+
+    simulator.simulate({
+      config,
+      sites: sites, // eslint-disable-line object-shorthand
+    }, (error2, second) => {
+      t.error(error2, 'replays without error');
+      t.deepEqual(second.remoteResult, first.remoteResult, 'replays run exactly');
+
+      simulator.simulate({
+        config: _.omit(config, 'randomSeed'),
+        sites: sites, // eslint-disable-line object-shorthand
+      }, (error3, unseeded) => {
+        const randomSeed = unseeded.remoteResult.randomSeed;
+
+        t.error(error3, 'simulates unseeded run without error');
+        t.ok(_.isInteger(randomSeed), 'records drawn seed');
+        t.ok(unseeded.remoteResult.replayable, 'records run as replayable');
+
+        simulator.simulate({
+          config: _.assign({}, config, { randomSeed }),
+          sites: sites, // eslint-disable-line object-shorthand
+        }, (error4, replay) => {
+          t.error(error4, 'replays drawn seed without error');
+          t.deepEqual(
+            replay.remoteResult.history,
+            unseeded.remoteResult.history,
+            'replays from recorded seed'
+          );
+
+          simulator.simulate({
+            config: _.assign(_.omit(config, 'randomSeed'), {
+              differentialPrivacy: true,
+              epsilon: 5,
+            }),
+            sites: sites, // eslint-disable-line object-shorthand
+          }, (error5, noised) => {
+            t.error(error5, 'simulates noised run without error');
+            t.equal(
+              noised.remoteResult.replayable,
+              false,
+              "records that noised runs can't be replayed"
+            );
+            t.end();
+          });
+        });
+      });
+    });
+  });
+});
+
+tape('resists a misconfigured site', t => {
+  const config = {
+    anomalyThreshold: 10,
+    dependent: 'Left-Hippocampus',
+    intercept: true,
+    predictors: ['a', 'b'],
+    randomSeed: 5,
+    roiKeys: ['Left-Hippocampus', 'a', 'b'],
+  };
+  const sites = [0, 1, 2, 3].map(offset => ({ data: getSyntheticData(offset) }));
+  const misconfigured = getSyntheticData(4);
+
+  // Its dependent variable's sign is flipped
+  misconfigured.yVals = misconfigured.yVals.map(value => -value);
+
+  simulator.simulate({
+    config: _.assign({ aggregation: 'clippedMean' }, config),
+    sites: sites, // eslint-disable-line object-shorthand
+  }, (error, clean) => {
+    const expected = clean.remoteResult.mVals;
+    const getError = mVals => Math.abs(mVals.a - expected.a) + Math.abs(mVals.b - expected.b);
+    const withMisconfigured = sites.concat({ data: misconfigured, username: 'flipped' });
+
+    t.error(error, 'simulates without error');
+
+    simulator.simulate({
+      config,
+      sites: withMisconfigured,
+    }, (error2, summed) => {
+      t.error(error2, 'simulates sum without error');
+      t.ok(getError(summed.remoteResult.mVals) > 0.2, 'sum is pulled off');
+      t.ok(_.includes(summed.remoteResult.flaggedSites, 'flipped'), 'flags site');
+
+      simulator.simulate({
+        config: _.assign({ aggregation: 'clippedMean' }, config),
+        sites: withMisconfigured,
+      }, (error3, clipped) => {
+        t.error(error3, 'simulates clipped mean without error');
+        t.ok(getError(clipped.remoteResult.mVals) < 0.01, 'clipped mean resists site');
+        t.ok(
+          clipped.remoteResult.anomalyScores.flipped > 10,
+          'scores site in last round'
+        );
+        t.end();
+      });
+    });
+  });
+});
+
+tape('converges with robust aggregation', t => {
+  const sites = [0, 1, 2, 3].map(offset => ({ data: getSyntheticData(offset) }));
+
+  async.mapSeries(
+    ['median', 'trimmedMean', 'clippedMean'],
+    (aggregation, callback) => simulator.simulate({
+      config: {
+        aggregation: aggregation, // eslint-disable-line object-shorthand
+        dependent: 'Left-Hippocampus',
+        intercept: true,
+        predictors: ['a', 'b'],
+        roiKeys: ['Left-Hippocampus', 'a', 'b'],
+        trimFraction: 0.25,
+      },
+      sites: sites, // eslint-disable-line object-shorthand
+    }, callback),
+    (error, simulations) => {
+      t.error(error, 'simulates without error');
+      t.deepEqual(
+        simulations.map(simulation => simulation.remoteResult.completionReason),
+        ['converged', 'converged', 'converged'],
+        'converges with every rule'
+      );
+
+      simulator.simulate({
+        config: {
+          aggregation: 'trimmedMean',
+          dependent: 'Left-Hippocampus',
+          intercept: true,
+          minSiteFraction: 0.5,
+          predictors: ['a', 'b'],
+          roiKeys: ['Left-Hippocampus', 'a', 'b'],
+          trimFraction: 0.25,
+        },
+        sites: sites.slice(0, 3).concat(
+          _.assign({ offlineRounds: _.range(3, 1000) }, sites[3])
+        ),
+      }, (error2, dropout) => {
+        t.error(error2, 'trims when a site drops out partway');
+        t.deepEqual(
+          _.last(dropout.remoteResult.participation.rounds).sites,
+          ['site-1', 'site-2', 'site-3'],
+          'runs without the site'
+        );
+        t.equal(dropout.remoteResult.completionReason, 'converged', 'converges');
+        t.end();
+      });
+    }
+  );
+});
+
+tape('analyzes every ROI in one run', t => {
+  const roiKeys = ['Left-Hippocampus', 'Right-Hippocampus', 'Left-Amygdala'];
+
+  simulator.simulate({
+    config: _.assign({}, covariateConfig, {
+      massUnivariate: true,
+      mode: 'exact',
+      roiKeys,
+    }),
+    sites: directories,
+  }, (error, mass) => {
+    t.error(error, 'simulates without error');
+    t.equal(mass.remoteResult.iterationCount, 1, 'solves in one round');
+
+    simulator.simulate({
+      config: _.assign({ mode: 'exact' }, covariateConfig),
+      sites: directories,
+    }, (error2, single) => {
+      const rois = mass.remoteResult.massUnivariate.rois;
+      const group = rois['Left-Hippocampus'].coefficients.group;
+      const expected = single.remoteResult.inference.coefficients.group;
+
+      t.error(error2, 'simulates single ROI');
+      t.deepEqual(Object.keys(rois), roiKeys, 'reports every ROI');
+      t.ok(
+        Math.abs(group.estimate - expected.estimate) < 1e-9 &&
+          Math.abs(group.pValue - expected.pValue) < 1e-9,
+        'matches a single-ROI run'
+      );
+      t.ok(
+        Math.abs(group.pValueBonferroni - Math.min(1, 3 * group.pValue)) < 1e-12,
+        'corrects for every ROI'
+      );
+      t.deepEqual(
+        mass.remoteResult.mVals,
+        single.remoteResult.mVals,
+        'reports first ROI\'s coefficients'
+      );
+      t.end();
+    });
+  });
+});
+
+tape('reports stalled simulations', t => {
+  simulator.simulate({
+    definition: {
+      local: { fn: (params, cb) => cb(null, null) },
+      remote: {
+        fn: (params, cb) => cb(null, params.previousData ? null : { mVals: {} }),
+      },
+    },
+    sites: [{ data: getSyntheticData(0) }],
+  }, error => {
+    t.ok(/stalled in round 2/.test(error.message), 'errors');
+    t.equal(error.trace.length, 2, 'includes trace');
+    t.end();
+  });
+});
+
+tape('names failing sites', t => {
+  simulator.simulate({
+    sites: [{ data: { xVals: [[1, 2]], yVals: [1] }, username: 'broken' }],
+  }, error => {
+    t.ok(/^broken: Expected data row 1/.test(error.message), 'errors');
+    t.end();
+  });
+});
+
+tape('validates sites', t => {
+  simulator.simulate({ sites: [] }, error => {
+    t.ok(/non-empty array/.test(error.message), 'requires sites');
+
+    simulator.simulate({ sites: [{ username: 'x' }] }, error2 => {
+      t.ok(/data, a directory or filenames/.test(error2.message), 'requires data');
+
+      simulator.simulate(
+        { sites: [{ data: getSyntheticData(0), offlineRounds: 2 }] },
+        error3 => {
+          t.ok(/offlineRounds to be an array/.test(error3.message), 'checks rounds');
+          t.end();
+        }
+      );
+    });
+  });
+});
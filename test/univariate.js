@@ -0,0 +1,103 @@
+'use strict';
+
+const _ = require('lodash');
+const runners = require('../src/runners.js');
+const tape = require('tape');
+const univariate = require('../src/univariate.js');
+
+const coefficientKeys = ['(Intercept)', 'a'];
+const dependentKeys = ['roi-1', 'roi-2'];
+
+/**
+ * Synthetic site: roi-1 depends on a, roi-2 is noise.
+ */
+function getSite(offset) {
+  const xVals = _.range(20).map(i => [Math.sin(i + offset)]);
+  const yVals = xVals.map((row, i) => [
+    2 * row[0] + 0.1 * Math.cos(3 * i + offset),
+    Math.cos(5 * i + offset),
+  ]);
+
+  return { xVals, yVals };
+}
+
+tape('adjusts p-values', t => {
+  t.deepEqual(
+    univariate.adjustBonferroni([0.01, 0.04, 0.5]),
+    [0.03, 0.12, 1],
+    'multiplies by count, capped at 1'
+  );
+  t.deepEqual(
+    univariate.adjustBenjaminiHochberg([0.01, 0.04, 0.03, 0.5]).map(
+      value => _.round(value, 4)
+    ),
+    [0.04, 0.0533, 0.0533, 0.5],
+    'keeps adjusted p-values monotonic'
+  );
+  t.deepEqual(univariate.adjustBenjaminiHochberg([]), [], 'accepts no tests');
+  t.end();
+});
+
+tape('computes statistics per ROI', t => {
+  const site = getSite(0);
+  const statistics = univariate.computeStatistics(
+    site.xVals,
+    site.yVals,
+    dependentKeys,
+    { intercept: true }
+  );
+  const single = runners.computeStatistics(
+    site.xVals,
+    _.map(site.yVals, 1),
+    { intercept: true }
+  );
+
+  t.deepEqual(Object.keys(statistics.roiStatistics), dependentKeys, 'keys ROIs');
+  t.deepEqual(statistics.xTx, single.xTx, 'shares XᵀX once');
+  t.deepEqual(
+    statistics.roiStatistics['roi-2'],
+    _.pick(single, ['xTy', 'yTy']),
+    'matches single-ROI statistics'
+  );
+  t.end();
+});
+
+tape('solves every ROI', t => {
+  const localResults = [0, 1, 2].map(offset => {
+    const site = getSite(offset);
+
+    return univariate.computeStatistics(
+      site.xVals,
+      site.yVals,
+      dependentKeys,
+      { intercept: true }
+    );
+  });
+  const table = univariate.computeTable(localResults, coefficientKeys, dependentKeys);
+  const slopes = _.map(table.rois, roi => roi.coefficients.a);
+
+  t.deepEqual(Object.keys(table.rois), dependentKeys, 'orders ROIs');
+  t.equal(table.confidenceLevel, 0.95, 'defaults confidence level');
+  t.equal(table.rois['roi-1'].df, 58, 'reports degrees of freedom');
+  t.ok(slopes[0].pValue < 1e-6, 'finds effect');
+  t.ok(slopes[1].pValue > 0.05, 'finds no effect in noise');
+  t.deepEqual(
+    _.map(slopes, 'pValueBonferroni'),
+    univariate.adjustBonferroni(_.map(slopes, 'pValue')),
+    'corrects across ROIs'
+  );
+  t.ok(
+    slopes.every(slope => slope.pValueFdr <= slope.pValueBonferroni),
+    'FDR correction is less conservative'
+  );
+  t.throws(
+    () => univariate.computeTable(
+      localResults.slice(0, 1).map(result => _.assign({}, result, { sampleSize: 2 })),
+      coefficientKeys,
+      dependentKeys
+    ),
+    /ROI 'roi-1': Expected more subjects/,
+    'names failing ROI'
+  );
+  t.end();
+});
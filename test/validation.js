@@ -0,0 +1,105 @@
+'use strict';
+
+const _ = require('lodash');
+const tape = require('tape');
+const validation = require('../src/validation.js');
+
+const data = { xVals: [[1], [2], [3], [4]], yVals: [5, 6, 7, 8] };
+
+tape('splits held-out subjects', t => {
+  t.deepEqual(
+    validation.splitHoldout(data, 0.25),
+    {
+      holdout: { xVals: [[1]], yVals: [5] },
+      training: { xVals: [[2], [3], [4]], yVals: [6, 7, 8] },
+    },
+    'holds out fraction'
+  );
+  t.deepEqual(
+    validation.splitHoldout(data, 0.5).holdout.yVals,
+    [5, 7],
+    'spreads held-out subjects'
+  );
+  t.deepEqual(
+    validation.splitHoldout(data, 0.1).holdout.yVals,
+    [5],
+    'holds out at least one subject'
+  );
+  t.deepEqual(
+    validation.splitHoldout(data, null),
+    { holdout: { xVals: [], yVals: [] }, training: data },
+    'holds out none without a fraction'
+  );
+  t.throws(
+    () => validation.splitHoldout({ xVals: [[1]], yVals: [5] }, 0.5),
+    /Expected subjects to remain for fitting after holding out 0.5/,
+    'keeps subjects for fitting'
+  );
+  t.end();
+});
+
+tape('computes validation', t => {
+  const options = {
+    intercept: true,
+    model: 'ridge',
+    normalization: {
+      xMeans: [2.5],
+      xStandardDeviations: [1],
+      yMean: 6.5,
+      yStandardDeviation: 1,
+    },
+  };
+  const perfect = validation.computeValidation(
+    data.xVals,
+    data.yVals,
+    [0, 1],
+    ['(Intercept)', 'x'],
+    options
+  );
+
+  t.deepEqual(
+    Object.keys(perfect).sort(),
+    ['sampleSize', 'ssResidual', 'ssTotal'],
+    'shares sums of squares'
+  );
+  t.ok(perfect.ssResidual < 1e-12, 'evaluates coefficients');
+  t.equal(perfect.ssTotal, 5, 'uses given normalization');
+  t.deepEqual(
+    Object.keys(validation.computeValidation(
+      data.xVals,
+      [0, 1, 0, 1],
+      [0, 1],
+      ['(Intercept)', 'x'],
+      _.assign({}, options, { model: 'logistic' })
+    )).sort(),
+    ['accuracy', 'auc', 'sampleSize'],
+    'shares classification metrics'
+  );
+  t.end();
+});
+
+tape('pools validation', t => {
+  t.deepEqual(
+    validation.poolValidation([
+      { sampleSize: 2, ssResidual: 1, ssTotal: 4, username: 'a' },
+      { sampleSize: 6, ssResidual: 3, ssTotal: 4 },
+    ]),
+    {
+      pooled: { mse: 0.5, r2: 0.5, sampleSize: 8 },
+      sites: {
+        a: { mse: 0.5, r2: 0.75, sampleSize: 2 },
+        'site-2': { mse: 0.5, r2: 0.25, sampleSize: 6 },
+      },
+    },
+    'pools sums of squares'
+  );
+  t.deepEqual(
+    validation.poolValidation([
+      { accuracy: 1, auc: null, sampleSize: 1 },
+      { accuracy: 0.5, auc: 0.75, sampleSize: 3 },
+    ]).pooled,
+    { accuracy: 0.625, auc: 0.75, sampleSize: 4 },
+    'weights classification metrics'
+  );
+  t.end();
+});